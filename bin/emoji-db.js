@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+const {parseArgs} = require('util')
+const emoji = require('..')
+const skinToneVariants = require('../data-skin-tone-variants.json')
+
+const USAGE = `Usage: emoji-db <command> [--json] [--max-version <version>]
+
+Commands:
+  info <emoji|slug>       Every field of an emoji
+  search <text>           Emoji matching text, best first (--limit <n>)
+  group <slug> [--list]   A group and its subgroups, or every emoji in it
+  components              Skin tones and hair styles
+  stats                   Emoji counts per group
+
+Options:
+  --json                  Print JSON instead of text
+  --max-version <version> Leave out emoji newer than an Emoji version, e.g. 12.1
+`
+
+// The data as a platform that supports up to maxVersion sees it
+function dataset(maxVersion) {
+  if (maxVersion) return emoji.filterByVersion(maxVersion)
+  return {dataByEmoji: emoji.dataByEmoji, dataByGroup: emoji.dataByGroup, orderedEmoji: emoji.ordered(), skinToneVariants}
+}
+
+// '😀 grinning_face  grinning face'
+const line = ({emoji: key, slug, name}) => `${key}  ${slug}  ${name}`
+
+// The entry for an emoji (in any qualification or skin tone) or a slug
+function info(query, data) {
+  const stripped = emoji.stripSkinTone(query)
+  const key = stripped ? stripped.base : (emoji.getBySlug(query) || {}).emoji
+  if (!key || !data.dataByEmoji[key]) return null
+  return Object.assign({emoji: key}, data.dataByEmoji[key])
+}
+
+function formatInfo(entry) {
+  const {emoji: key, name, ...fields} = entry
+  const width = Math.max(...Object.keys(fields).map(field => field.length)) + 2
+  const format = value => Array.isArray(value) ? value.join(', ') : typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return [`${key}  ${name}`, ...Object.keys(fields).map(field => `${field.padEnd(width)}${format(fields[field])}`)].join('\n')
+}
+
+// { name: 'Smileys & Emotion', slug: 'smileys_emotion', count: 169, subgroups: { 'face-smiling': 14, ... } }
+function groupSummary({name, slug, emojis}) {
+  const subgroups = {}
+  for (const {subgroup} of emojis) subgroups[subgroup] = (subgroups[subgroup] || 0) + 1
+  return {name, slug, count: emojis.length, subgroups}
+}
+
+function stats(data) {
+  const versions = Object.values(data.dataByEmoji).map(entry => entry.emoji_version)
+  const groups = {}
+  for (const {name, emojis} of data.dataByGroup) groups[name] = emojis.length
+  return {
+    emoji: data.orderedEmoji.length,
+    skin_tone_variations: [].concat(...Object.values(data.skinToneVariants)).length,
+    components: Object.keys(emoji.components()).length,
+    latest_emoji_version: versions.sort((a, b) => parseFloat(a) - parseFloat(b)).pop(),
+    groups
+  }
+}
+
+const columns = object => {
+  const width = Math.max(...Object.keys(object).map(key => key.length)) + 2
+  return Object.keys(object).map(key => `${key.padEnd(width)}${object[key]}`).join('\n')
+}
+
+// run(['info', 'waving_hand']) -> '👋  waving hand\nslug  waving_hand\n...\n'
+//
+// Returns the output of a command, or throws a message for the user
+function run(args) {
+  const {values, positionals} = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      json: {type: 'boolean', default: false},
+      'max-version': {type: 'string'},
+      list: {type: 'boolean', default: false},
+      limit: {type: 'string'}
+    }
+  })
+  const [command, ...rest] = positionals
+  const query = rest.join(' ')
+  const maxVersion = values['max-version']
+  const data = dataset(maxVersion)
+  const print = (json, text) => `${values.json ? JSON.stringify(json, null, 2) : text}\n`
+
+  switch (command) {
+    case 'info': {
+      if (!query) throw USAGE
+      const entry = info(query, data)
+      if (!entry) throw `No emoji found for ${query}${maxVersion ? ` up to Emoji ${maxVersion}` : ''}`
+      return print(entry, formatInfo(entry))
+    }
+    case 'search': {
+      if (!query) throw USAGE
+      const limit = values.limit ? Number(values.limit) : undefined
+      if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) throw `--limit must be a positive number, got ${values.limit}`
+      const results = emoji.search(query, {limit, maxVersion})
+      return print(results, results.map(line).join('\n'))
+    }
+    case 'group': {
+      if (!query) throw USAGE
+      const group = data.dataByGroup.find(group => group.slug === query)
+      if (!group) throw `No group ${query}, try one of: ${data.dataByGroup.map(group => group.slug).join(', ')}`
+      if (values.list) return print(group, group.emojis.map(line).join('\n'))
+      const summary = groupSummary(group)
+      return print(summary, `${summary.name} (${summary.slug}): ${summary.count} emoji\n${columns(summary.subgroups)}`)
+    }
+    case 'components': {
+      const components = emoji.components()
+      return print(components, Object.keys(components).map(name => `${components[name]}  ${name}`).join('\n'))
+    }
+    case 'stats': {
+      const counts = stats(data)
+      const {groups, ...totals} = counts
+      return print(counts, `${columns(totals)}\n\n${columns(groups)}`)
+    }
+    default:
+      throw USAGE
+  }
+}
+
+if (require.main === module) {
+  if (!parseArgs) {
+    process.stderr.write(`emoji-db needs Node.js 18.3 or later, this is ${process.version}\n`)
+    process.exit(1)
+  }
+  try {
+    process.stdout.write(run(process.argv.slice(2)))
+  } catch (error) {
+    process.stderr.write(`${error instanceof Error ? error.message : error}\n`)
+    process.exit(1)
+  }
+}
+
+module.exports = {run}
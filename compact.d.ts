@@ -0,0 +1,11 @@
+import type {Emoji} from './index';
+
+export interface CompactData {
+  format: 1;
+  emoji: Array<string>;
+  strings: Array<string>;
+  fields: Array<[string, 'value' | 'interned' | 'interned_list' | 'boolean' | 'derived']>;
+  columns: Array<Array<unknown> | null>;
+}
+
+export declare function decode(compact: CompactData): Record<string, Emoji>;
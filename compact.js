@@ -0,0 +1,45 @@
+// Decodes data-compact.json into the same objects as data-by-emoji.json
+//
+// const {decode} = require('unicode-emoji-json/compact')
+// const dataByEmoji = decode(require('unicode-emoji-json/data-compact.json'))
+//
+// The format is described in script/compact.js, which writes it.
+
+// Fields that follow from the emoji itself
+function codepoints(emoji) {
+  const hex = []
+  for (const character of emoji) hex.push(character.codePointAt(0).toString(16).toUpperCase().padStart(4, '0'))
+  return hex
+}
+const DERIVED = {
+  codepoints,
+  codepoints_string: emoji => codepoints(emoji).join('-').toLowerCase(),
+  utf16_length: emoji => emoji.length
+}
+
+function decode({format, emoji, strings, fields, columns}) {
+  if (format !== 1) throw new TypeError(`Unknown data-compact.json format ${format}`)
+
+  const dataByEmoji = {}
+  for (let index = 0; index < emoji.length; index++) {
+    const key = emoji[index]
+    const entry = {}
+    for (let column = 0; column < fields.length; column++) {
+      const [field, encoding] = fields[column]
+      if (encoding === 'derived') {
+        entry[field] = DERIVED[field](key)
+        continue
+      }
+      const value = columns[column][index]
+      if (value === null) continue
+      if (encoding === 'interned') entry[field] = strings[value]
+      else if (encoding === 'interned_list') entry[field] = value.map(string => strings[string])
+      else if (encoding === 'boolean') entry[field] = value === 1
+      else entry[field] = value
+    }
+    dataByEmoji[key] = entry
+  }
+  return dataByEmoji
+}
+
+module.exports = {decode}
@@ -0,0 +1,5 @@
+// Generated by script/build.js from the Unicode emoji data. Do not edit.
+//
+// Returns a new global regex matching every emoji in data-by-emoji.json, their
+// skin tone variations and their minimally-qualified and unqualified forms
+module.exports = () => /(?=[\u{23}\u{2A}\u{30}-\u{39}\u{A9}\u{AE}\u{203C}\u{2049}\u{2122}\u{2139}\u{2194}-\u{2199}\u{21A9}\u{21AA}\u{231A}\u{231B}\u{2328}\u{23CF}\u{23E9}-\u{23F3}\u{23F8}-\u{23FA}\u{24C2}\u{25AA}\u{25AB}\u{25B6}\u{25C0}\u{25FB}-\u{25FE}\u{2600}-\u{2604}\u{260E}\u{2611}\u{2614}\u{2615}\u{2618}\u{261D}\u{2620}\u{2622}\u{2623}\u{2626}\u{262A}\u{262E}\u{262F}\u{2638}-\u{263A}\u{2640}\u{2642}\u{2648}-\u{2653}\u{265F}\u{2660}\u{2663}\u{2665}\u{2666}\u{2668}\u{267B}\u{267E}\u{267F}\u{2692}-\u{2697}\u{2699}\u{269B}\u{269C}\u{26A0}\u{26A1}\u{26A7}\u{26AA}\u{26AB}\u{26B0}\u{26B1}\u{26BD}\u{26BE}\u{26C4}\u{26C5}\u{26C8}\u{26CE}\u{26CF}\u{26D1}\u{26D3}\u{26D4}\u{26E9}\u{26EA}\u{26F0}-\u{26F5}\u{26F7}-\u{26FA}\u{26FD}\u{2702}\u{2705}\u{2708}-\u{270D}\u{270F}\u{2712}\u{2714}\u{2716}\u{271D}\u{2721}\u{2728}\u{2733}\u{2734}\u{2744}\u{2747}\u{274C}\u{274E}\u{2753}-\u{2755}\u{2757}\u{2763}\u{2764}\u{2795}-\u{2797}\u{27A1}\u{27B0}\u{27BF}\u{2934}\u{2935}\u{2B05}-\u{2B07}\u{2B1B}\u{2B1C}\u{2B50}\u{2B55}\u{3030}\u{303D}\u{3297}\u{3299}\u{1F004}\u{1F0CF}\u{1F170}\u{1F171}\u{1F17E}\u{1F17F}\u{1F18E}\u{1F191}-\u{1F19A}\u{1F1E6}-\u{1F1FF}\u{1F201}\u{1F202}\u{1F21A}\u{1F22F}\u{1F232}-\u{1F23A}\u{1F250}\u{1F251}\u{1F300}-\u{1F321}\u{1F324}-\u{1F393}\u{1F396}\u{1F397}\u{1F399}-\u{1F39B}\u{1F39E}-\u{1F3F0}\u{1F3F3}-\u{1F3F5}\u{1F3F7}-\u{1F3FA}\u{1F400}-\u{1F4FD}\u{1F4FF}-\u{1F53D}\u{1F549}-\u{1F54E}\u{1F550}-\u{1F567}\u{1F56F}\u{1F570}\u{1F573}-\u{1F57A}\u{1F587}\u{1F58A}-\u{1F58D}\u{1F590}\u{1F595}\u{1F596}\u{1F5A4}\u{1F5A5}\u{1F5A8}\u{1F5B1}\u{1F5B2}\u{1F5BC}\u{1F5C2}-\u{1F5C4}\u{1F5D1}-\u{1F5D3}\u{1F5DC}-\u{1F5DE}\u{1F5E1}\u{1F5E3}\u{1F5E8}\u{1F5EF}\u{1F5F3}\u{1F5FA}-\u{1F64F}\u{1F680}-\u{1F6C5}\u{1F6CB}-\u{1F6D2}\u{1F6D5}-\u{1F6D7}\u{1F6DC}-\u{1F6E5}\u{1F6E9}\u{1F6EB}\u{1F6EC}\u{1F6F0}\u{1F6F3}-\u{1F6FC}\u{1F7E0}-\u{1F7EB}\u{1F7F0}\u{1F90C}-\u{1F93A}\u{1F93C}-\u{1F945}\u{1F947}-\u{1F9AF}\u{1F9B4}-\u{1F9FF}\u{1FA70}-\u{1FA7C}\u{1FA80}-\u{1FA89}\u{1FA8F}-\u{1FAC6}\u{1FACE}-\u{1FADC}\u{1FADF}-\u{1FAE9}\u{1FAF0}-\u{1FAF8}])(?:\u{23}(?:\u{FE0F}\u{20E3}|\u{20E3})|\u{2A}(?:\u{FE0F}\u{20E3}|\u{20E3})|\u{30}(?:\u{FE0F}\u{20E3}|\u{20E3})|\u{31}(?:\u{FE0F}\u{20E3}|\u{20E3})|\u{32}(?:\u{FE0F}\u{20E3}|\u{20E3})|\u{33}(?:\u{FE0F}\u{20E3}|\u{20E3})|\u{34}(?:\u{FE0F}\u{20E3}|\u{20E3})|\u{35}(?:\u{FE0F}\u{20E3}|\u{20E3})|\u{36}(?:\u{FE0F}\u{20E3}|\u{20E3})|\u{37}(?:\u{FE0F}\u{20E3}|\u{20E3})|\u{38}(?:\u{FE0F}\u{20E3}|\u{20E3})|\u{39}(?:\u{FE0F}\u{20E3}|\u{20E3})|\u{A9}(?:\u{FE0F})?|\u{AE}(?:\u{FE0F})?|\u{203C}(?:\u{FE0F})?|\u{2049}(?:\u{FE0F})?|\u{2122}(?:\u{FE0F})?|\u{2139}(?:\u{FE0F})?|\u{2194}(?:\u{FE0F})?|\u{2195}(?:\u{FE0F})?|\u{2196}(?:\u{FE0F})?|\u{2197}(?:\u{FE0F})?|\u{2198}(?:\u{FE0F})?|\u{2199}(?:\u{FE0F})?|\u{21A9}(?:\u{FE0F})?|\u{21AA}(?:\u{FE0F})?|\u{2328}(?:\u{FE0F})?|\u{23CF}(?:\u{FE0F})?|\u{23ED}(?:\u{FE0F})?|\u{23EE}(?:\u{FE0F})?|\u{23EF}(?:\u{FE0F})?|\u{23F1}(?:\u{FE0F})?|\u{23F2}(?:\u{FE0F})?|\u{23F8}(?:\u{FE0F})?|\u{23F9}(?:\u{FE0F})?|\u{23FA}(?:\u{FE0F})?|\u{24C2}(?:\u{FE0F})?|\u{25AA}(?:\u{FE0F})?|\u{25AB}(?:\u{FE0F})?|\u{25B6}(?:\u{FE0F})?|\u{25C0}(?:\u{FE0F})?|\u{25FB}(?:\u{FE0F})?|\u{25FC}(?:\u{FE0F})?|\u{2600}(?:\u{FE0F})?|\u{2601}(?:\u{FE0F})?|\u{2602}(?:\u{FE0F})?|\u{2603}(?:\u{FE0F})?|\u{2604}(?:\u{FE0F})?|\u{260E}(?:\u{FE0F})?|\u{2611}(?:\u{FE0F})?|\u{2618}(?:\u{FE0F})?|\u{261D}(?:[\u{FE0F}\u{1F3FB}-\u{1F3FF}])?|\u{2620}(?:\u{FE0F})?|\u{2622}(?:\u{FE0F})?|\u{2623}(?:\u{FE0F})?|\u{2626}(?:\u{FE0F})?|\u{262A}(?:\u{FE0F})?|\u{262E}(?:\u{FE0F})?|\u{262F}(?:\u{FE0F})?|\u{2638}(?:\u{FE0F})?|\u{2639}(?:\u{FE0F})?|\u{263A}(?:\u{FE0F})?|\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?|\u{265F}(?:\u{FE0F})?|\u{2660}(?:\u{FE0F})?|\u{2663}(?:\u{FE0F})?|\u{2665}(?:\u{FE0F})?|\u{2666}(?:\u{FE0F})?|\u{2668}(?:\u{FE0F})?|\u{267B}(?:\u{FE0F})?|\u{267E}(?:\u{FE0F})?|\u{2692}(?:\u{FE0F})?|\u{2694}(?:\u{FE0F})?|\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2697}(?:\u{FE0F})?|\u{2699}(?:\u{FE0F})?|\u{269B}(?:\u{FE0F})?|\u{269C}(?:\u{FE0F})?|\u{26A0}(?:\u{FE0F})?|\u{26A7}(?:\u{FE0F})?|\u{26B0}(?:\u{FE0F})?|\u{26B1}(?:\u{FE0F})?|\u{26C8}(?:\u{FE0F})?|\u{26CF}(?:\u{FE0F})?|\u{26D1}(?:\u{FE0F})?|\u{26D3}(?:\u{200D}\u{1F4A5}|\u{FE0F}(?:\u{200D}\u{1F4A5})?)?|\u{26E9}(?:\u{FE0F})?|\u{26F0}(?:\u{FE0F})?|\u{26F1}(?:\u{FE0F})?|\u{26F4}(?:\u{FE0F})?|\u{26F7}(?:\u{FE0F})?|\u{26F8}(?:\u{FE0F})?|\u{26F9}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{FE0F}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{2702}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2709}(?:\u{FE0F})?|\u{270A}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{270B}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{270C}(?:[\u{FE0F}\u{1F3FB}-\u{1F3FF}])?|\u{270D}(?:[\u{FE0F}\u{1F3FB}-\u{1F3FF}])?|\u{270F}(?:\u{FE0F})?|\u{2712}(?:\u{FE0F})?|\u{2714}(?:\u{FE0F})?|\u{2716}(?:\u{FE0F})?|\u{271D}(?:\u{FE0F})?|\u{2721}(?:\u{FE0F})?|\u{2733}(?:\u{FE0F})?|\u{2734}(?:\u{FE0F})?|\u{2744}(?:\u{FE0F})?|\u{2747}(?:\u{FE0F})?|\u{2763}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:[\u{1F525}\u{1FA79}])|\u{FE0F}(?:\u{200D}(?:[\u{1F525}\u{1FA79}]))?)?|\u{27A1}(?:\u{FE0F})?|\u{2934}(?:\u{FE0F})?|\u{2935}(?:\u{FE0F})?|\u{2B05}(?:\u{FE0F})?|\u{2B06}(?:\u{FE0F})?|\u{2B07}(?:\u{FE0F})?|\u{3030}(?:\u{FE0F})?|\u{303D}(?:\u{FE0F})?|\u{3297}(?:\u{FE0F})?|\u{3299}(?:\u{FE0F})?|\u{1F170}(?:\u{FE0F})?|\u{1F171}(?:\u{FE0F})?|\u{1F17E}(?:\u{FE0F})?|\u{1F17F}(?:\u{FE0F})?|\u{1F1E6}(?:[\u{1F1E8}-\u{1F1EC}\u{1F1EE}\u{1F1F1}\u{1F1F2}\u{1F1F4}\u{1F1F6}-\u{1F1FA}\u{1F1FC}\u{1F1FD}\u{1F1FF}])|\u{1F1E7}(?:[\u{1F1E6}\u{1F1E7}\u{1F1E9}-\u{1F1EF}\u{1F1F1}-\u{1F1F4}\u{1F1F6}-\u{1F1F9}\u{1F1FB}\u{1F1FC}\u{1F1FE}\u{1F1FF}])|\u{1F1E8}(?:[\u{1F1E6}\u{1F1E8}\u{1F1E9}\u{1F1EB}-\u{1F1EE}\u{1F1F0}-\u{1F1F7}\u{1F1FA}-\u{1F1FF}])|\u{1F1E9}(?:[\u{1F1EA}\u{1F1EC}\u{1F1EF}\u{1F1F0}\u{1F1F2}\u{1F1F4}\u{1F1FF}])|\u{1F1EA}(?:[\u{1F1E6}\u{1F1E8}\u{1F1EA}\u{1F1EC}\u{1F1ED}\u{1F1F7}-\u{1F1FA}])|\u{1F1EB}(?:[\u{1F1EE}-\u{1F1F0}\u{1F1F2}\u{1F1F4}\u{1F1F7}])|\u{1F1EC}(?:[\u{1F1E6}\u{1F1E7}\u{1F1E9}-\u{1F1EE}\u{1F1F1}-\u{1F1F3}\u{1F1F5}-\u{1F1FA}\u{1F1FC}\u{1F1FE}])|\u{1F1ED}(?:[\u{1F1F0}\u{1F1F2}\u{1F1F3}\u{1F1F7}\u{1F1F9}\u{1F1FA}])|\u{1F1EE}(?:[\u{1F1E8}-\u{1F1EA}\u{1F1F1}-\u{1F1F4}\u{1F1F6}-\u{1F1F9}])|\u{1F1EF}(?:[\u{1F1EA}\u{1F1F2}\u{1F1F4}\u{1F1F5}])|\u{1F1F0}(?:[\u{1F1EA}\u{1F1EC}-\u{1F1EE}\u{1F1F2}\u{1F1F3}\u{1F1F5}\u{1F1F7}\u{1F1FC}\u{1F1FE}\u{1F1FF}])|\u{1F1F1}(?:[\u{1F1E6}-\u{1F1E8}\u{1F1EE}\u{1F1F0}\u{1F1F7}-\u{1F1FB}\u{1F1FE}])|\u{1F1F2}(?:[\u{1F1E6}\u{1F1E8}-\u{1F1ED}\u{1F1F0}-\u{1F1FF}])|\u{1F1F3}(?:[\u{1F1E6}\u{1F1E8}\u{1F1EA}-\u{1F1EC}\u{1F1EE}\u{1F1F1}\u{1F1F4}\u{1F1F5}\u{1F1F7}\u{1F1FA}\u{1F1FF}])|\u{1F1F4}\u{1F1F2}|\u{1F1F5}(?:[\u{1F1E6}\u{1F1EA}-\u{1F1ED}\u{1F1F0}-\u{1F1F3}\u{1F1F7}-\u{1F1F9}\u{1F1FC}\u{1F1FE}])|\u{1F1F6}\u{1F1E6}|\u{1F1F7}(?:[\u{1F1EA}\u{1F1F4}\u{1F1F8}\u{1F1FA}\u{1F1FC}])|\u{1F1F8}(?:[\u{1F1E6}-\u{1F1EA}\u{1F1EC}-\u{1F1F4}\u{1F1F7}-\u{1F1F9}\u{1F1FB}\u{1F1FD}-\u{1F1FF}])|\u{1F1F9}(?:[\u{1F1E6}\u{1F1E8}\u{1F1E9}\u{1F1EB}-\u{1F1ED}\u{1F1EF}-\u{1F1F4}\u{1F1F7}\u{1F1F9}\u{1F1FB}\u{1F1FC}\u{1F1FF}])|\u{1F1FA}(?:[\u{1F1E6}\u{1F1EC}\u{1F1F2}\u{1F1F3}\u{1F1F8}\u{1F1FE}\u{1F1FF}])|\u{1F1FB}(?:[\u{1F1E6}\u{1F1E8}\u{1F1EA}\u{1F1EC}\u{1F1EE}\u{1F1F3}\u{1F1FA}])|\u{1F1FC}(?:[\u{1F1EB}\u{1F1F8}])|\u{1F1FD}\u{1F1F0}|\u{1F1FE}(?:[\u{1F1EA}\u{1F1F9}])|\u{1F1FF}(?:[\u{1F1E6}\u{1F1F2}\u{1F1FC}])|\u{1F202}(?:\u{FE0F})?|\u{1F237}(?:\u{FE0F})?|\u{1F321}(?:\u{FE0F})?|\u{1F324}(?:\u{FE0F})?|\u{1F325}(?:\u{FE0F})?|\u{1F326}(?:\u{FE0F})?|\u{1F327}(?:\u{FE0F})?|\u{1F328}(?:\u{FE0F})?|\u{1F329}(?:\u{FE0F})?|\u{1F32A}(?:\u{FE0F})?|\u{1F32B}(?:\u{FE0F})?|\u{1F32C}(?:\u{FE0F})?|\u{1F336}(?:\u{FE0F})?|\u{1F344}(?:\u{200D}\u{1F7EB})?|\u{1F34B}(?:\u{200D}\u{1F7E9})?|\u{1F37D}(?:\u{FE0F})?|\u{1F385}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F396}(?:\u{FE0F})?|\u{1F397}(?:\u{FE0F})?|\u{1F399}(?:\u{FE0F})?|\u{1F39A}(?:\u{FE0F})?|\u{1F39B}(?:\u{FE0F})?|\u{1F39E}(?:\u{FE0F})?|\u{1F39F}(?:\u{FE0F})?|\u{1F3C2}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F3C3}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?)?|\u{1F3C4}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F3C7}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F3CA}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F3CB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{FE0F}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F3CC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{FE0F}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F3CD}(?:\u{FE0F})?|\u{1F3CE}(?:\u{FE0F})?|\u{1F3D4}(?:\u{FE0F})?|\u{1F3D5}(?:\u{FE0F})?|\u{1F3D6}(?:\u{FE0F})?|\u{1F3D7}(?:\u{FE0F})?|\u{1F3D8}(?:\u{FE0F})?|\u{1F3D9}(?:\u{FE0F})?|\u{1F3DA}(?:\u{FE0F})?|\u{1F3DB}(?:\u{FE0F})?|\u{1F3DC}(?:\u{FE0F})?|\u{1F3DD}(?:\u{FE0F})?|\u{1F3DE}(?:\u{FE0F})?|\u{1F3DF}(?:\u{FE0F})?|\u{1F3F3}(?:\u{200D}(?:\u{26A7}(?:\u{FE0F})?|\u{1F308})|\u{FE0F}(?:\u{200D}(?:\u{26A7}(?:\u{FE0F})?|\u{1F308}))?)?|\u{1F3F4}(?:\u{200D}\u{2620}(?:\u{FE0F})?|\u{E0067}(?:\u{E0062}(?:\u{E0065}\u{E006E}\u{E0067}\u{E007F}|\u{E0073}\u{E0063}\u{E0074}\u{E007F}|\u{E0077}\u{E006C}\u{E0073}\u{E007F})))?|\u{1F3F5}(?:\u{FE0F})?|\u{1F3F7}(?:\u{FE0F})?|\u{1F408}(?:\u{200D}\u{2B1B})?|\u{1F415}(?:\u{200D}\u{1F9BA})?|\u{1F426}(?:\u{200D}(?:[\u{2B1B}\u{1F525}]))?|\u{1F43B}(?:\u{200D}\u{2744}(?:\u{FE0F})?)?|\u{1F43F}(?:\u{FE0F})?|\u{1F441}(?:\u{200D}\u{1F5E8}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{1F5E8}(?:\u{FE0F})?)?)?|\u{1F442}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F443}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F446}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F447}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F448}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F449}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F44A}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F44B}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F44C}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F44D}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F44E}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F44F}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F450}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F466}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F467}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F468}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F48B}\u{200D}\u{1F468}|\u{1F468})|\u{FE0F}(?:\u{200D}(?:\u{1F48B}\u{200D}\u{1F468}|\u{1F468})))|\u{1F466}(?:\u{200D}\u{1F466})?|\u{1F467}(?:\u{200D}(?:[\u{1F466}\u{1F467}]))?|\u{1F468}(?:\u{200D}(?:\u{1F466}(?:\u{200D}\u{1F466})?|\u{1F467}(?:\u{200D}(?:[\u{1F466}\u{1F467}]))?))|\u{1F469}(?:\u{200D}(?:\u{1F466}(?:\u{200D}\u{1F466})?|\u{1F467}(?:\u{200D}(?:[\u{1F466}\u{1F467}]))?))|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}])|\u{1F3FB}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}\u{200D}\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}]))|\u{FE0F}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}\u{200D}\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}]))))|\u{1F91D}\u{200D}\u{1F468}(?:[\u{1F3FC}-\u{1F3FF}])|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?|\u{1F3FC}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}\u{200D}\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}]))|\u{FE0F}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}\u{200D}\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}]))))|\u{1F91D}\u{200D}\u{1F468}(?:[\u{1F3FB}\u{1F3FD}-\u{1F3FF}])|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?|\u{1F3FD}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}\u{200D}\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}]))|\u{FE0F}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}\u{200D}\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}]))))|\u{1F91D}\u{200D}\u{1F468}(?:[\u{1F3FB}\u{1F3FC}\u{1F3FE}\u{1F3FF}])|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?|\u{1F3FE}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}\u{200D}\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}]))|\u{FE0F}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}\u{200D}\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}]))))|\u{1F91D}\u{200D}\u{1F468}(?:[\u{1F3FB}-\u{1F3FD}\u{1F3FF}])|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?|\u{1F3FF}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}\u{200D}\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}]))|\u{FE0F}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}\u{200D}\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}]))))|\u{1F91D}\u{200D}\u{1F468}(?:[\u{1F3FB}-\u{1F3FE}])|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?)?|\u{1F469}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F48B}\u{200D}(?:[\u{1F468}\u{1F469}])|[\u{1F468}\u{1F469}])|\u{FE0F}(?:\u{200D}(?:\u{1F48B}\u{200D}(?:[\u{1F468}\u{1F469}])|[\u{1F468}\u{1F469}])))|\u{1F466}(?:\u{200D}\u{1F466})?|\u{1F467}(?:\u{200D}(?:[\u{1F466}\u{1F467}]))?|\u{1F469}(?:\u{200D}(?:\u{1F466}(?:\u{200D}\u{1F466})?|\u{1F467}(?:\u{200D}(?:[\u{1F466}\u{1F467}]))?))|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}])|\u{1F3FB}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}]))))|\u{FE0F}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}]))))))|\u{1F91D}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FC}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FC}-\u{1F3FF}])))|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?|\u{1F3FC}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}]))))|\u{FE0F}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}]))))))|\u{1F91D}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}\u{1F3FD}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}\u{1F3FD}-\u{1F3FF}])))|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?|\u{1F3FD}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}]))))|\u{FE0F}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}]))))))|\u{1F91D}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}\u{1F3FC}\u{1F3FE}\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}\u{1F3FC}\u{1F3FE}\u{1F3FF}])))|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?|\u{1F3FE}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}]))))|\u{FE0F}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}]))))))|\u{1F91D}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FD}\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FD}\u{1F3FF}])))|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?|\u{1F3FF}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}]))))|\u{FE0F}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F48B}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FF}]))))))|\u{1F91D}(?:\u{200D}(?:\u{1F468}(?:[\u{1F3FB}-\u{1F3FE}])|\u{1F469}(?:[\u{1F3FB}-\u{1F3FE}])))|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?)?|\u{1F46B}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F46C}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F46D}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F46E}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F46F}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F470}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F471}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F472}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F473}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F474}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F475}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F476}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F477}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F478}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F47C}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F481}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F482}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F483}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F485}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F486}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F487}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F48F}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F491}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F4AA}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F4FD}(?:\u{FE0F})?|\u{1F549}(?:\u{FE0F})?|\u{1F54A}(?:\u{FE0F})?|\u{1F56F}(?:\u{FE0F})?|\u{1F570}(?:\u{FE0F})?|\u{1F573}(?:\u{FE0F})?|\u{1F574}(?:[\u{FE0F}\u{1F3FB}-\u{1F3FF}])?|\u{1F575}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{FE0F}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F576}(?:\u{FE0F})?|\u{1F577}(?:\u{FE0F})?|\u{1F578}(?:\u{FE0F})?|\u{1F579}(?:\u{FE0F})?|\u{1F57A}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F587}(?:\u{FE0F})?|\u{1F58A}(?:\u{FE0F})?|\u{1F58B}(?:\u{FE0F})?|\u{1F58C}(?:\u{FE0F})?|\u{1F58D}(?:\u{FE0F})?|\u{1F590}(?:[\u{FE0F}\u{1F3FB}-\u{1F3FF}])?|\u{1F595}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F596}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F5A5}(?:\u{FE0F})?|\u{1F5A8}(?:\u{FE0F})?|\u{1F5B1}(?:\u{FE0F})?|\u{1F5B2}(?:\u{FE0F})?|\u{1F5BC}(?:\u{FE0F})?|\u{1F5C2}(?:\u{FE0F})?|\u{1F5C3}(?:\u{FE0F})?|\u{1F5C4}(?:\u{FE0F})?|\u{1F5D1}(?:\u{FE0F})?|\u{1F5D2}(?:\u{FE0F})?|\u{1F5D3}(?:\u{FE0F})?|\u{1F5DC}(?:\u{FE0F})?|\u{1F5DD}(?:\u{FE0F})?|\u{1F5DE}(?:\u{FE0F})?|\u{1F5E1}(?:\u{FE0F})?|\u{1F5E3}(?:\u{FE0F})?|\u{1F5E8}(?:\u{FE0F})?|\u{1F5EF}(?:\u{FE0F})?|\u{1F5F3}(?:\u{FE0F})?|\u{1F5FA}(?:\u{FE0F})?|\u{1F62E}(?:\u{200D}\u{1F4A8})?|\u{1F635}(?:\u{200D}\u{1F4AB})?|\u{1F636}(?:\u{200D}\u{1F32B}(?:\u{FE0F})?)?|\u{1F642}(?:\u{200D}(?:\u{2194}(?:\u{FE0F})?|\u{2195}(?:\u{FE0F})?))?|\u{1F645}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F646}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F647}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F64B}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F64C}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F64D}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F64E}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F64F}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F6A3}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F6B4}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F6B5}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F6B6}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?)?|\u{1F6C0}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F6CB}(?:\u{FE0F})?|\u{1F6CC}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F6CD}(?:\u{FE0F})?|\u{1F6CE}(?:\u{FE0F})?|\u{1F6CF}(?:\u{FE0F})?|\u{1F6E0}(?:\u{FE0F})?|\u{1F6E1}(?:\u{FE0F})?|\u{1F6E2}(?:\u{FE0F})?|\u{1F6E3}(?:\u{FE0F})?|\u{1F6E4}(?:\u{FE0F})?|\u{1F6E5}(?:\u{FE0F})?|\u{1F6E9}(?:\u{FE0F})?|\u{1F6F0}(?:\u{FE0F})?|\u{1F6F3}(?:\u{FE0F})?|\u{1F90C}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F90F}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F918}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F919}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F91A}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F91B}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F91C}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F91D}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F91E}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F91F}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F926}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F930}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F931}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F932}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F933}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F934}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F935}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F936}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F937}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F938}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F939}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F93C}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F93D}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F93E}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F977}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F9B5}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F9B6}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F9B8}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F9B9}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F9BB}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F9CD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F9CE}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{2642}(?:\u{200D}\u{27A1}(?:\u{FE0F})?|\u{FE0F}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?)?|\u{27A1}(?:\u{FE0F})?))?)?|\u{1F9CF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F9D1}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{1F91D}\u{200D}\u{1F9D1}|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9D1}\u{200D}\u{1F9D2}(?:\u{200D}\u{1F9D2})?|\u{1F9D2}(?:\u{200D}\u{1F9D2})?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F384}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}])|\u{1F3FB}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F48B}\u{200D}\u{1F9D1}(?:[\u{1F3FC}-\u{1F3FF}])|\u{1F9D1}(?:[\u{1F3FC}-\u{1F3FF}]))|\u{FE0F}(?:\u{200D}(?:\u{1F48B}\u{200D}\u{1F9D1}(?:[\u{1F3FC}-\u{1F3FF}])|\u{1F9D1}(?:[\u{1F3FC}-\u{1F3FF}]))))|\u{1F91D}\u{200D}\u{1F9D1}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F384}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?|\u{1F3FC}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F48B}\u{200D}\u{1F9D1}(?:[\u{1F3FB}\u{1F3FD}-\u{1F3FF}])|\u{1F9D1}(?:[\u{1F3FB}\u{1F3FD}-\u{1F3FF}]))|\u{FE0F}(?:\u{200D}(?:\u{1F48B}\u{200D}\u{1F9D1}(?:[\u{1F3FB}\u{1F3FD}-\u{1F3FF}])|\u{1F9D1}(?:[\u{1F3FB}\u{1F3FD}-\u{1F3FF}]))))|\u{1F91D}\u{200D}\u{1F9D1}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F384}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?|\u{1F3FD}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F48B}\u{200D}\u{1F9D1}(?:[\u{1F3FB}\u{1F3FC}\u{1F3FE}\u{1F3FF}])|\u{1F9D1}(?:[\u{1F3FB}\u{1F3FC}\u{1F3FE}\u{1F3FF}]))|\u{FE0F}(?:\u{200D}(?:\u{1F48B}\u{200D}\u{1F9D1}(?:[\u{1F3FB}\u{1F3FC}\u{1F3FE}\u{1F3FF}])|\u{1F9D1}(?:[\u{1F3FB}\u{1F3FC}\u{1F3FE}\u{1F3FF}]))))|\u{1F91D}\u{200D}\u{1F9D1}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F384}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?|\u{1F3FE}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F48B}\u{200D}\u{1F9D1}(?:[\u{1F3FB}-\u{1F3FD}\u{1F3FF}])|\u{1F9D1}(?:[\u{1F3FB}-\u{1F3FD}\u{1F3FF}]))|\u{FE0F}(?:\u{200D}(?:\u{1F48B}\u{200D}\u{1F9D1}(?:[\u{1F3FB}-\u{1F3FD}\u{1F3FF}])|\u{1F9D1}(?:[\u{1F3FB}-\u{1F3FD}\u{1F3FF}]))))|\u{1F91D}\u{200D}\u{1F9D1}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F384}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?|\u{1F3FF}(?:\u{200D}(?:\u{2695}(?:\u{FE0F})?|\u{2696}(?:\u{FE0F})?|\u{2708}(?:\u{FE0F})?|\u{2764}(?:\u{200D}(?:\u{1F48B}\u{200D}\u{1F9D1}(?:[\u{1F3FB}-\u{1F3FE}])|\u{1F9D1}(?:[\u{1F3FB}-\u{1F3FE}]))|\u{FE0F}(?:\u{200D}(?:\u{1F48B}\u{200D}\u{1F9D1}(?:[\u{1F3FB}-\u{1F3FE}])|\u{1F9D1}(?:[\u{1F3FB}-\u{1F3FE}]))))|\u{1F91D}\u{200D}\u{1F9D1}(?:[\u{1F3FB}-\u{1F3FF}])|\u{1F9AF}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BC}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|\u{1F9BD}(?:\u{200D}\u{27A1}(?:\u{FE0F})?)?|[\u{1F33E}\u{1F373}\u{1F37C}\u{1F384}\u{1F393}\u{1F3A4}\u{1F3A8}\u{1F3EB}\u{1F3ED}\u{1F4BB}\u{1F4BC}\u{1F527}\u{1F52C}\u{1F680}\u{1F692}\u{1F9B0}-\u{1F9B3}]))?)?|\u{1F9D2}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F9D3}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F9D4}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F9D5}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1F9D6}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F9D7}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F9D8}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F9D9}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F9DA}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F9DB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F9DC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F9DD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?)|\u{1F3FB}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FC}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FD}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F3FF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?)?|\u{1F9DE}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1F9DF}(?:\u{200D}(?:\u{2640}(?:\u{FE0F})?|\u{2642}(?:\u{FE0F})?))?|\u{1FAC3}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1FAC4}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1FAC5}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1FAF0}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1FAF1}(?:\u{1F3FB}(?:\u{200D}\u{1FAF2}(?:[\u{1F3FC}-\u{1F3FF}]))?|\u{1F3FC}(?:\u{200D}\u{1FAF2}(?:[\u{1F3FB}\u{1F3FD}-\u{1F3FF}]))?|\u{1F3FD}(?:\u{200D}\u{1FAF2}(?:[\u{1F3FB}\u{1F3FC}\u{1F3FE}\u{1F3FF}]))?|\u{1F3FE}(?:\u{200D}\u{1FAF2}(?:[\u{1F3FB}-\u{1F3FD}\u{1F3FF}]))?|\u{1F3FF}(?:\u{200D}\u{1FAF2}(?:[\u{1F3FB}-\u{1F3FE}]))?)?|\u{1FAF2}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1FAF3}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1FAF4}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1FAF5}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1FAF6}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1FAF7}(?:[\u{1F3FB}-\u{1F3FF}])?|\u{1FAF8}(?:[\u{1F3FB}-\u{1F3FF}])?|[\u{231A}\u{231B}\u{23E9}-\u{23EC}\u{23F0}\u{23F3}\u{25FD}\u{25FE}\u{2614}\u{2615}\u{2648}-\u{2653}\u{267F}\u{2693}\u{26A1}\u{26AA}\u{26AB}\u{26BD}\u{26BE}\u{26C4}\u{26C5}\u{26CE}\u{26D4}\u{26EA}\u{26F2}\u{26F3}\u{26F5}\u{26FA}\u{26FD}\u{2705}\u{2728}\u{274C}\u{274E}\u{2753}-\u{2755}\u{2757}\u{2795}-\u{2797}\u{27B0}\u{27BF}\u{2B1B}\u{2B1C}\u{2B50}\u{2B55}\u{1F004}\u{1F0CF}\u{1F18E}\u{1F191}-\u{1F19A}\u{1F201}\u{1F21A}\u{1F22F}\u{1F232}-\u{1F236}\u{1F238}-\u{1F23A}\u{1F250}\u{1F251}\u{1F300}-\u{1F320}\u{1F32D}-\u{1F335}\u{1F337}-\u{1F343}\u{1F345}-\u{1F34A}\u{1F34C}-\u{1F37C}\u{1F37E}-\u{1F384}\u{1F386}-\u{1F393}\u{1F3A0}-\u{1F3C1}\u{1F3C5}\u{1F3C6}\u{1F3C8}\u{1F3C9}\u{1F3CF}-\u{1F3D3}\u{1F3E0}-\u{1F3F0}\u{1F3F8}-\u{1F3FA}\u{1F400}-\u{1F407}\u{1F409}-\u{1F414}\u{1F416}-\u{1F425}\u{1F427}-\u{1F43A}\u{1F43C}-\u{1F43E}\u{1F440}\u{1F444}\u{1F445}\u{1F451}-\u{1F465}\u{1F46A}\u{1F479}-\u{1F47B}\u{1F47D}-\u{1F480}\u{1F484}\u{1F488}-\u{1F48E}\u{1F490}\u{1F492}-\u{1F4A9}\u{1F4AB}-\u{1F4FC}\u{1F4FF}-\u{1F53D}\u{1F54B}-\u{1F54E}\u{1F550}-\u{1F567}\u{1F5A4}\u{1F5FB}-\u{1F62D}\u{1F62F}-\u{1F634}\u{1F637}-\u{1F641}\u{1F643}\u{1F644}\u{1F648}-\u{1F64A}\u{1F680}-\u{1F6A2}\u{1F6A4}-\u{1F6B3}\u{1F6B7}-\u{1F6BF}\u{1F6C1}-\u{1F6C5}\u{1F6D0}-\u{1F6D2}\u{1F6D5}-\u{1F6D7}\u{1F6DC}-\u{1F6DF}\u{1F6EB}\u{1F6EC}\u{1F6F4}-\u{1F6FC}\u{1F7E0}-\u{1F7EB}\u{1F7F0}\u{1F90D}\u{1F90E}\u{1F910}-\u{1F917}\u{1F920}-\u{1F925}\u{1F927}-\u{1F92F}\u{1F93A}\u{1F93F}-\u{1F945}\u{1F947}-\u{1F976}\u{1F978}-\u{1F9AF}\u{1F9B4}\u{1F9B7}\u{1F9BA}\u{1F9BC}-\u{1F9CC}\u{1F9D0}\u{1F9E0}-\u{1F9FF}\u{1FA70}-\u{1FA7C}\u{1FA80}-\u{1FA89}\u{1FA8F}-\u{1FAC2}\u{1FAC6}\u{1FACE}-\u{1FADC}\u{1FADF}-\u{1FAE9}])/gu
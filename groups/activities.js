@@ -0,0 +1,91 @@
+// Generated by script/build.js from the Unicode emoji data. Do not edit.
+
+exports.name = "Activities"
+exports.slug = "activities"
+exports.emojis = [
+  {"emoji":"🎃","skin_tone_support":false,"name":"jack-o-lantern","slug":"jack_o_lantern","subgroup":"event","codepoints":["1F383"],"codepoints_string":"1f383","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["celebration","halloween","jack","jack-o-lantern","lantern","pumpkin"]},
+  {"emoji":"🎄","skin_tone_support":false,"name":"Christmas tree","slug":"christmas_tree","subgroup":"event","codepoints":["1F384"],"codepoints_string":"1f384","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["celebration","Christmas","tree"]},
+  {"emoji":"🎆","skin_tone_support":false,"name":"fireworks","slug":"fireworks","subgroup":"event","codepoints":["1F386"],"codepoints_string":"1f386","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["boom","celebration","entertainment","fireworks","yolo"]},
+  {"emoji":"🎇","skin_tone_support":false,"name":"sparkler","slug":"sparkler","subgroup":"event","codepoints":["1F387"],"codepoints_string":"1f387","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["boom","celebration","fireworks","sparkle","sparkler"]},
+  {"emoji":"🧨","skin_tone_support":false,"name":"firecracker","slug":"firecracker","subgroup":"event","codepoints":["1F9E8"],"codepoints_string":"1f9e8","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dynamite","explosive","fire","firecracker","fireworks","light","pop","popping","spark"]},
+  {"emoji":"✨","skin_tone_support":false,"name":"sparkles","slug":"sparkles","subgroup":"event","codepoints":["2728"],"codepoints_string":"2728","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["*","magic","sparkle","sparkles","star"]},
+  {"emoji":"🎈","skin_tone_support":false,"name":"balloon","slug":"balloon","subgroup":"event","codepoints":["1F388"],"codepoints_string":"1f388","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["balloon","birthday","celebrate","celebration"]},
+  {"emoji":"🎉","skin_tone_support":false,"name":"party popper","slug":"party_popper","subgroup":"event","codepoints":["1F389"],"codepoints_string":"1f389","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["awesome","birthday","celebrate","celebration","excited","hooray","party","popper","tada","woohoo"]},
+  {"emoji":"🎊","skin_tone_support":false,"name":"confetti ball","slug":"confetti_ball","subgroup":"event","codepoints":["1F38A"],"codepoints_string":"1f38a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","celebrate","celebration","confetti","party","woohoo"]},
+  {"emoji":"🎋","skin_tone_support":false,"name":"tanabata tree","slug":"tanabata_tree","subgroup":"event","codepoints":["1F38B"],"codepoints_string":"1f38b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["banner","celebration","Japanese","tanabata","tree"]},
+  {"emoji":"🎍","skin_tone_support":false,"name":"pine decoration","slug":"pine_decoration","subgroup":"event","codepoints":["1F38D"],"codepoints_string":"1f38d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bamboo","celebration","decoration","Japanese","pine","plant"]},
+  {"emoji":"🎎","skin_tone_support":false,"name":"Japanese dolls","slug":"japanese_dolls","subgroup":"event","codepoints":["1F38E"],"codepoints_string":"1f38e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["celebration","doll","dolls","festival","Japanese"]},
+  {"emoji":"🎏","skin_tone_support":false,"name":"carp streamer","slug":"carp_streamer","subgroup":"event","codepoints":["1F38F"],"codepoints_string":"1f38f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["carp","celebration","streamer"]},
+  {"emoji":"🎐","skin_tone_support":false,"name":"wind chime","slug":"wind_chime","subgroup":"event","codepoints":["1F390"],"codepoints_string":"1f390","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bell","celebration","chime","wind"]},
+  {"emoji":"🎑","skin_tone_support":false,"name":"moon viewing ceremony","slug":"moon_viewing_ceremony","subgroup":"event","codepoints":["1F391"],"codepoints_string":"1f391","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["celebration","ceremony","moon","viewing"]},
+  {"emoji":"🧧","skin_tone_support":false,"name":"red envelope","slug":"red_envelope","subgroup":"event","codepoints":["1F9E7"],"codepoints_string":"1f9e7","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["envelope","gift","good","hóngbāo","lai","luck","money","red","see"]},
+  {"emoji":"🎀","skin_tone_support":false,"name":"ribbon","slug":"ribbon","subgroup":"event","codepoints":["1F380"],"codepoints_string":"1f380","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["celebration","ribbon"]},
+  {"emoji":"🎁","skin_tone_support":false,"name":"wrapped gift","slug":"wrapped_gift","subgroup":"event","codepoints":["1F381"],"codepoints_string":"1f381","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["birthday","bow","box","celebration","christmas","gift","present","surprise","wrapped"]},
+  {"emoji":"🎗️","skin_tone_support":false,"name":"reminder ribbon","slug":"reminder_ribbon","subgroup":"event","codepoints":["1F397","FE0F"],"codepoints_string":"1f397-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["celebration","reminder","ribbon"]},
+  {"emoji":"🎟️","skin_tone_support":false,"name":"admission tickets","slug":"admission_tickets","subgroup":"event","codepoints":["1F39F","FE0F"],"codepoints_string":"1f39f-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["admission","ticket","tickets"]},
+  {"emoji":"🎫","skin_tone_support":false,"name":"ticket","slug":"ticket","subgroup":"event","codepoints":["1F3AB"],"codepoints_string":"1f3ab","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["admission","stub","ticket"]},
+  {"emoji":"🎖️","skin_tone_support":false,"name":"military medal","slug":"military_medal","subgroup":"award-medal","codepoints":["1F396","FE0F"],"codepoints_string":"1f396-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["award","celebration","medal","military"]},
+  {"emoji":"🏆","skin_tone_support":false,"name":"trophy","slug":"trophy","subgroup":"award-medal","codepoints":["1F3C6"],"codepoints_string":"1f3c6","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["champion","champs","prize","slay","sport","trophy","victory","win","winning"]},
+  {"emoji":"🏅","skin_tone_support":false,"name":"sports medal","slug":"sports_medal","subgroup":"award-medal","codepoints":["1F3C5"],"codepoints_string":"1f3c5","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["award","gold","medal","sports","winner"]},
+  {"emoji":"🥇","skin_tone_support":false,"name":"1st place medal","slug":"1st_place_medal","subgroup":"award-medal","codepoints":["1F947"],"codepoints_string":"1f947","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["1st","first","gold","medal","place"]},
+  {"emoji":"🥈","skin_tone_support":false,"name":"2nd place medal","slug":"2nd_place_medal","subgroup":"award-medal","codepoints":["1F948"],"codepoints_string":"1f948","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["2nd","medal","place","second","silver"]},
+  {"emoji":"🥉","skin_tone_support":false,"name":"3rd place medal","slug":"3rd_place_medal","subgroup":"award-medal","codepoints":["1F949"],"codepoints_string":"1f949","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["3rd","bronze","medal","place","third"]},
+  {"emoji":"⚽","skin_tone_support":false,"name":"soccer ball","slug":"soccer_ball","subgroup":"sport","codepoints":["26BD"],"codepoints_string":"26bd","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","football","futbol","soccer","sport"]},
+  {"emoji":"⚾","skin_tone_support":false,"name":"baseball","slug":"baseball","subgroup":"sport","codepoints":["26BE"],"codepoints_string":"26be","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","baseball","sport"]},
+  {"emoji":"🥎","skin_tone_support":false,"name":"softball","slug":"softball","subgroup":"sport","codepoints":["1F94E"],"codepoints_string":"1f94e","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","glove","softball","sports","underarm"]},
+  {"emoji":"🏀","skin_tone_support":false,"name":"basketball","slug":"basketball","subgroup":"sport","codepoints":["1F3C0"],"codepoints_string":"1f3c0","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","basketball","hoop","sport"]},
+  {"emoji":"🏐","skin_tone_support":false,"name":"volleyball","slug":"volleyball","subgroup":"sport","codepoints":["1F3D0"],"codepoints_string":"1f3d0","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","game","volleyball"]},
+  {"emoji":"🏈","skin_tone_support":false,"name":"american football","slug":"american_football","subgroup":"sport","codepoints":["1F3C8"],"codepoints_string":"1f3c8","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["american","ball","bowl","football","sport","super"]},
+  {"emoji":"🏉","skin_tone_support":false,"name":"rugby football","slug":"rugby_football","subgroup":"sport","codepoints":["1F3C9"],"codepoints_string":"1f3c9","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","football","rugby","sport"]},
+  {"emoji":"🎾","skin_tone_support":false,"name":"tennis","slug":"tennis","subgroup":"sport","codepoints":["1F3BE"],"codepoints_string":"1f3be","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","racquet","sport","tennis"]},
+  {"emoji":"🥏","skin_tone_support":false,"name":"flying disc","slug":"flying_disc","subgroup":"sport","codepoints":["1F94F"],"codepoints_string":"1f94f","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["disc","flying","ultimate"]},
+  {"emoji":"🎳","skin_tone_support":false,"name":"bowling","slug":"bowling","subgroup":"sport","codepoints":["1F3B3"],"codepoints_string":"1f3b3","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","bowling","game","sport","strike"]},
+  {"emoji":"🏏","skin_tone_support":false,"name":"cricket game","slug":"cricket_game","subgroup":"sport","codepoints":["1F3CF"],"codepoints_string":"1f3cf","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","bat","cricket","game"]},
+  {"emoji":"🏑","skin_tone_support":false,"name":"field hockey","slug":"field_hockey","subgroup":"sport","codepoints":["1F3D1"],"codepoints_string":"1f3d1","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","field","game","hockey","stick"]},
+  {"emoji":"🏒","skin_tone_support":false,"name":"ice hockey","slug":"ice_hockey","subgroup":"sport","codepoints":["1F3D2"],"codepoints_string":"1f3d2","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["game","hockey","ice","puck","stick"]},
+  {"emoji":"🥍","skin_tone_support":false,"name":"lacrosse","slug":"lacrosse","subgroup":"sport","codepoints":["1F94D"],"codepoints_string":"1f94d","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","goal","lacrosse","sports","stick"]},
+  {"emoji":"🏓","skin_tone_support":false,"name":"ping pong","slug":"ping_pong","subgroup":"sport","codepoints":["1F3D3"],"codepoints_string":"1f3d3","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","bat","game","paddle","ping","pingpong","pong","table","tennis"]},
+  {"emoji":"🏸","skin_tone_support":false,"name":"badminton","slug":"badminton","subgroup":"sport","codepoints":["1F3F8"],"codepoints_string":"1f3f8","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["badminton","birdie","game","racquet","shuttlecock"]},
+  {"emoji":"🥊","skin_tone_support":false,"name":"boxing glove","slug":"boxing_glove","subgroup":"sport","codepoints":["1F94A"],"codepoints_string":"1f94a","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["boxing","glove"]},
+  {"emoji":"🥋","skin_tone_support":false,"name":"martial arts uniform","slug":"martial_arts_uniform","subgroup":"sport","codepoints":["1F94B"],"codepoints_string":"1f94b","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arts","judo","karate","martial","taekwondo","uniform"]},
+  {"emoji":"🥅","skin_tone_support":false,"name":"goal net","slug":"goal_net","subgroup":"sport","codepoints":["1F945"],"codepoints_string":"1f945","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["goal","net"]},
+  {"emoji":"⛳","skin_tone_support":false,"name":"flag in hole","slug":"flag_in_hole","subgroup":"sport","codepoints":["26F3"],"codepoints_string":"26f3","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["flag","golf","hole","sport"]},
+  {"emoji":"⛸️","skin_tone_support":false,"name":"ice skate","slug":"ice_skate","subgroup":"sport","codepoints":["26F8","FE0F"],"codepoints_string":"26f8-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["ice","skate","skating"]},
+  {"emoji":"🎣","skin_tone_support":false,"name":"fishing pole","slug":"fishing_pole","subgroup":"sport","codepoints":["1F3A3"],"codepoints_string":"1f3a3","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["entertainment","fish","fishing","pole","sport"]},
+  {"emoji":"🤿","skin_tone_support":false,"name":"diving mask","slug":"diving_mask","subgroup":"sport","codepoints":["1F93F"],"codepoints_string":"1f93f","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["diving","mask","scuba","snorkeling"]},
+  {"emoji":"🎽","skin_tone_support":false,"name":"running shirt","slug":"running_shirt","subgroup":"sport","codepoints":["1F3BD"],"codepoints_string":"1f3bd","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["athletics","running","sash","shirt"]},
+  {"emoji":"🎿","skin_tone_support":false,"name":"skis","slug":"skis","subgroup":"sport","codepoints":["1F3BF"],"codepoints_string":"1f3bf","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ski","skis","snow","sport"]},
+  {"emoji":"🛷","skin_tone_support":false,"name":"sled","slug":"sled","subgroup":"sport","codepoints":["1F6F7"],"codepoints_string":"1f6f7","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["luge","sled","sledge","sleigh","snow","toboggan"]},
+  {"emoji":"🥌","skin_tone_support":false,"name":"curling stone","slug":"curling_stone","subgroup":"sport","codepoints":["1F94C"],"codepoints_string":"1f94c","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["curling","game","rock","stone"]},
+  {"emoji":"🎯","skin_tone_support":false,"name":"bullseye","slug":"bullseye","subgroup":"game","codepoints":["1F3AF"],"codepoints_string":"1f3af","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bull","bullseye","dart","direct","entertainment","game","hit","target"]},
+  {"emoji":"🪀","skin_tone_support":false,"name":"yo-yo","slug":"yo_yo","subgroup":"game","codepoints":["1FA80"],"codepoints_string":"1fa80","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["fluctuate","toy","yo-yo"]},
+  {"emoji":"🪁","skin_tone_support":false,"name":"kite","slug":"kite","subgroup":"game","codepoints":["1FA81"],"codepoints_string":"1fa81","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["fly","kite","soar"]},
+  {"emoji":"🔫","skin_tone_support":false,"name":"water pistol","slug":"water_pistol","subgroup":"game","codepoints":["1F52B"],"codepoints_string":"1f52b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["gun","handgun","pistol","revolver","tool","water","weapon"]},
+  {"emoji":"🎱","skin_tone_support":false,"name":"pool 8 ball","slug":"pool_8_ball","subgroup":"game","codepoints":["1F3B1"],"codepoints_string":"1f3b1","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["8","8ball","ball","billiard","eight","game","pool"]},
+  {"emoji":"🔮","skin_tone_support":false,"name":"crystal ball","slug":"crystal_ball","subgroup":"game","codepoints":["1F52E"],"codepoints_string":"1f52e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","crystal","fairy","fairytale","fantasy","fortune","future","magic","tale","tool"]},
+  {"emoji":"🪄","skin_tone_support":false,"name":"magic wand","slug":"magic_wand","subgroup":"game","codepoints":["1FA84"],"codepoints_string":"1fa84","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["magic","magician","wand","witch","wizard"]},
+  {"emoji":"🎮","skin_tone_support":false,"name":"video game","slug":"video_game","subgroup":"game","codepoints":["1F3AE"],"codepoints_string":"1f3ae","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["controller","entertainment","game","video"]},
+  {"emoji":"🕹️","skin_tone_support":false,"name":"joystick","slug":"joystick","subgroup":"game","codepoints":["1F579","FE0F"],"codepoints_string":"1f579-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["game","joystick","video","videogame"]},
+  {"emoji":"🎰","skin_tone_support":false,"name":"slot machine","slug":"slot_machine","subgroup":"game","codepoints":["1F3B0"],"codepoints_string":"1f3b0","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["casino","gamble","gambling","game","machine","slot","slots"]},
+  {"emoji":"🎲","skin_tone_support":false,"name":"game die","slug":"game_die","subgroup":"game","codepoints":["1F3B2"],"codepoints_string":"1f3b2","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dice","die","entertainment","game"]},
+  {"emoji":"🧩","skin_tone_support":false,"name":"puzzle piece","slug":"puzzle_piece","subgroup":"game","codepoints":["1F9E9"],"codepoints_string":"1f9e9","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clue","interlocking","jigsaw","piece","puzzle"]},
+  {"emoji":"🧸","skin_tone_support":false,"name":"teddy bear","slug":"teddy_bear","subgroup":"game","codepoints":["1F9F8"],"codepoints_string":"1f9f8","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bear","plaything","plush","stuffed","teddy","toy"]},
+  {"emoji":"🪅","skin_tone_support":false,"name":"piñata","slug":"pinata","subgroup":"game","codepoints":["1FA85"],"codepoints_string":"1fa85","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["candy","celebrate","celebration","cinco","de","festive","mayo","party","pinada","pinata","piñata"]},
+  {"emoji":"🪩","skin_tone_support":false,"name":"mirror ball","slug":"mirror_ball","subgroup":"game","codepoints":["1FAA9"],"codepoints_string":"1faa9","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","dance","disco","glitter","mirror","party"]},
+  {"emoji":"🪆","skin_tone_support":false,"name":"nesting dolls","slug":"nesting_dolls","subgroup":"game","codepoints":["1FA86"],"codepoints_string":"1fa86","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["babooshka","baboushka","babushka","doll","dolls","matryoshka","nesting","russia"]},
+  {"emoji":"♠️","skin_tone_support":false,"name":"spade suit","slug":"spade_suit","subgroup":"game","codepoints":["2660","FE0F"],"codepoints_string":"2660-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["card","game","spade","suit"]},
+  {"emoji":"♥️","skin_tone_support":false,"name":"heart suit","slug":"heart_suit","subgroup":"game","codepoints":["2665","FE0F"],"codepoints_string":"2665-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["card","emotion","game","heart","hearts","suit"]},
+  {"emoji":"♦️","skin_tone_support":false,"name":"diamond suit","slug":"diamond_suit","subgroup":"game","codepoints":["2666","FE0F"],"codepoints_string":"2666-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["card","diamond","game","suit"]},
+  {"emoji":"♣️","skin_tone_support":false,"name":"club suit","slug":"club_suit","subgroup":"game","codepoints":["2663","FE0F"],"codepoints_string":"2663-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["card","club","clubs","game","suit"]},
+  {"emoji":"♟️","skin_tone_support":false,"name":"chess pawn","slug":"chess_pawn","subgroup":"game","codepoints":["265F","FE0F"],"codepoints_string":"265f-fe0f","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["chess","dupe","expendable","pawn"]},
+  {"emoji":"🃏","skin_tone_support":false,"name":"joker","slug":"joker","subgroup":"game","codepoints":["1F0CF"],"codepoints_string":"1f0cf","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["card","game","joker","wildcard"]},
+  {"emoji":"🀄","skin_tone_support":false,"name":"mahjong red dragon","slug":"mahjong_red_dragon","subgroup":"game","codepoints":["1F004"],"codepoints_string":"1f004","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["dragon","game","mahjong","red"]},
+  {"emoji":"🎴","skin_tone_support":false,"name":"flower playing cards","slug":"flower_playing_cards","subgroup":"game","codepoints":["1F3B4"],"codepoints_string":"1f3b4","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["card","cards","flower","game","Japanese","playing"]},
+  {"emoji":"🎭","skin_tone_support":false,"name":"performing arts","slug":"performing_arts","subgroup":"arts & crafts","codepoints":["1F3AD"],"codepoints_string":"1f3ad","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["actor","actress","art","arts","entertainment","mask","performing","theater","theatre","thespian"]},
+  {"emoji":"🖼️","skin_tone_support":false,"name":"framed picture","slug":"framed_picture","subgroup":"arts & crafts","codepoints":["1F5BC","FE0F"],"codepoints_string":"1f5bc-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["art","frame","framed","museum","painting","picture"]},
+  {"emoji":"🎨","skin_tone_support":false,"name":"artist palette","slug":"artist_palette","subgroup":"arts & crafts","codepoints":["1F3A8"],"codepoints_string":"1f3a8","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["art","artist","artsy","arty","colorful","creative","entertainment","museum","painter","painting","palette"]},
+  {"emoji":"🧵","skin_tone_support":false,"name":"thread","slug":"thread","subgroup":"arts & crafts","codepoints":["1F9F5"],"codepoints_string":"1f9f5","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["needle","sewing","spool","string","thread"]},
+  {"emoji":"🪡","skin_tone_support":false,"name":"sewing needle","slug":"sewing_needle","subgroup":"arts & crafts","codepoints":["1FAA1"],"codepoints_string":"1faa1","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["embroidery","needle","sew","sewing","stitches","sutures","tailoring","thread"]},
+  {"emoji":"🧶","skin_tone_support":false,"name":"yarn","slug":"yarn","subgroup":"arts & crafts","codepoints":["1F9F6"],"codepoints_string":"1f9f6","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","crochet","knit","yarn"]},
+  {"emoji":"🪢","skin_tone_support":false,"name":"knot","slug":"knot","subgroup":"arts & crafts","codepoints":["1FAA2"],"codepoints_string":"1faa2","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cord","knot","rope","tangled","tie","twine","twist"]}
+]
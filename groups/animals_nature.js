@@ -0,0 +1,165 @@
+// Generated by script/build.js from the Unicode emoji data. Do not edit.
+
+exports.name = "Animals & Nature"
+exports.slug = "animals_nature"
+exports.emojis = [
+  {"emoji":"🐵","skin_tone_support":false,"name":"monkey face","slug":"monkey_face","subgroup":"animal-mammal","codepoints":["1F435"],"codepoints_string":"1f435","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","banana","face","monkey"]},
+  {"emoji":"🐒","skin_tone_support":false,"name":"monkey","slug":"monkey","subgroup":"animal-mammal","codepoints":["1F412"],"codepoints_string":"1f412","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","banana","monkey"]},
+  {"emoji":"🦍","skin_tone_support":false,"name":"gorilla","slug":"gorilla","subgroup":"animal-mammal","codepoints":["1F98D"],"codepoints_string":"1f98d","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","gorilla"]},
+  {"emoji":"🦧","skin_tone_support":false,"name":"orangutan","slug":"orangutan","subgroup":"animal-mammal","codepoints":["1F9A7"],"codepoints_string":"1f9a7","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","ape","monkey","orangutan"]},
+  {"emoji":"🐶","skin_tone_support":false,"name":"dog face","slug":"dog_face","subgroup":"animal-mammal","codepoints":["1F436"],"codepoints_string":"1f436","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["adorbs","animal","dog","face","pet","puppies","puppy"]},
+  {"emoji":"🐕","skin_tone_support":false,"name":"dog","slug":"dog","subgroup":"animal-mammal","codepoints":["1F415"],"codepoints_string":"1f415","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","animals","dog","dogs","pet"]},
+  {"emoji":"🦮","skin_tone_support":false,"name":"guide dog","slug":"guide_dog","subgroup":"animal-mammal","codepoints":["1F9AE"],"codepoints_string":"1f9ae","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["accessibility","animal","blind","dog","guide"]},
+  {"emoji":"🐕‍🦺","skin_tone_support":false,"name":"service dog","slug":"service_dog","subgroup":"animal-mammal","codepoints":["1F415","200D","1F9BA"],"codepoints_string":"1f415-200d-1f9ba","utf16_length":5,"unicode_version":"12.0","emoji_version":"12.0","type":"zwj_sequence","components":["🐕","🦺"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["accessibility","animal","assistance","dog","service"]},
+  {"emoji":"🐩","skin_tone_support":false,"name":"poodle","slug":"poodle","subgroup":"animal-mammal","codepoints":["1F429"],"codepoints_string":"1f429","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","dog","fluffy","poodle"]},
+  {"emoji":"🐺","skin_tone_support":false,"name":"wolf","slug":"wolf","subgroup":"animal-mammal","codepoints":["1F43A"],"codepoints_string":"1f43a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","face","wolf"]},
+  {"emoji":"🦊","skin_tone_support":false,"name":"fox","slug":"fox","subgroup":"animal-mammal","codepoints":["1F98A"],"codepoints_string":"1f98a","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","face","fox"]},
+  {"emoji":"🦝","skin_tone_support":false,"name":"raccoon","slug":"raccoon","subgroup":"animal-mammal","codepoints":["1F99D"],"codepoints_string":"1f99d","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","curious","raccoon","sly"]},
+  {"emoji":"🐱","skin_tone_support":false,"name":"cat face","slug":"cat_face","subgroup":"animal-mammal","codepoints":["1F431"],"codepoints_string":"1f431","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","cat","face","kitten","kitty","pet"]},
+  {"emoji":"🐈","skin_tone_support":false,"name":"cat","slug":"cat","subgroup":"animal-mammal","codepoints":["1F408"],"codepoints_string":"1f408","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","animals","cat","cats","kitten","pet"]},
+  {"emoji":"🐈‍⬛","skin_tone_support":false,"name":"black cat","slug":"black_cat","subgroup":"animal-mammal","codepoints":["1F408","200D","2B1B"],"codepoints_string":"1f408-200d-2b1b","utf16_length":4,"unicode_version":"13.0","emoji_version":"13.0","type":"zwj_sequence","components":["🐈","⬛"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","black","cat","feline","halloween","meow","unlucky"]},
+  {"emoji":"🦁","skin_tone_support":false,"name":"lion","slug":"lion","subgroup":"animal-mammal","codepoints":["1F981"],"codepoints_string":"1f981","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["alpha","animal","face","Leo","lion","mane","order","rawr","roar","safari","strong","zodiac"]},
+  {"emoji":"🐯","skin_tone_support":false,"name":"tiger face","slug":"tiger_face","subgroup":"animal-mammal","codepoints":["1F42F"],"codepoints_string":"1f42f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","big","cat","face","predator","tiger"]},
+  {"emoji":"🐅","skin_tone_support":false,"name":"tiger","slug":"tiger","subgroup":"animal-mammal","codepoints":["1F405"],"codepoints_string":"1f405","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","big","cat","predator","tiger","zoo"]},
+  {"emoji":"🐆","skin_tone_support":false,"name":"leopard","slug":"leopard","subgroup":"animal-mammal","codepoints":["1F406"],"codepoints_string":"1f406","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","big","cat","leopard","predator","zoo"]},
+  {"emoji":"🐴","skin_tone_support":false,"name":"horse face","slug":"horse_face","subgroup":"animal-mammal","codepoints":["1F434"],"codepoints_string":"1f434","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","dressage","equine","face","farm","horse","horses"]},
+  {"emoji":"🫎","skin_tone_support":false,"name":"moose","slug":"moose","subgroup":"animal-mammal","codepoints":["1FACE"],"codepoints_string":"1face","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["alces","animal","antlers","elk","mammal","moose"]},
+  {"emoji":"🫏","skin_tone_support":false,"name":"donkey","slug":"donkey","subgroup":"animal-mammal","codepoints":["1FACF"],"codepoints_string":"1facf","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","ass","burro","donkey","hinny","mammal","mule","stubborn"]},
+  {"emoji":"🐎","skin_tone_support":false,"name":"horse","slug":"horse","subgroup":"animal-mammal","codepoints":["1F40E"],"codepoints_string":"1f40e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","equestrian","farm","horse","racehorse","racing"]},
+  {"emoji":"🦄","skin_tone_support":false,"name":"unicorn","slug":"unicorn","subgroup":"animal-mammal","codepoints":["1F984"],"codepoints_string":"1f984","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","unicorn"]},
+  {"emoji":"🦓","skin_tone_support":false,"name":"zebra","slug":"zebra","subgroup":"animal-mammal","codepoints":["1F993"],"codepoints_string":"1f993","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","stripe","zebra"]},
+  {"emoji":"🦌","skin_tone_support":false,"name":"deer","slug":"deer","subgroup":"animal-mammal","codepoints":["1F98C"],"codepoints_string":"1f98c","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","deer"]},
+  {"emoji":"🦬","skin_tone_support":false,"name":"bison","slug":"bison","subgroup":"animal-mammal","codepoints":["1F9AC"],"codepoints_string":"1f9ac","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bison","buffalo","herd","wisent"]},
+  {"emoji":"🐮","skin_tone_support":false,"name":"cow face","slug":"cow_face","subgroup":"animal-mammal","codepoints":["1F42E"],"codepoints_string":"1f42e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","cow","face","farm","milk","moo"]},
+  {"emoji":"🐂","skin_tone_support":false,"name":"ox","slug":"ox","subgroup":"animal-mammal","codepoints":["1F402"],"codepoints_string":"1f402","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","animals","bull","farm","ox","Taurus","zodiac"]},
+  {"emoji":"🐃","skin_tone_support":false,"name":"water buffalo","slug":"water_buffalo","subgroup":"animal-mammal","codepoints":["1F403"],"codepoints_string":"1f403","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","buffalo","water","zoo"]},
+  {"emoji":"🐄","skin_tone_support":false,"name":"cow","slug":"cow","subgroup":"animal-mammal","codepoints":["1F404"],"codepoints_string":"1f404","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","animals","cow","farm","milk","moo"]},
+  {"emoji":"🐷","skin_tone_support":false,"name":"pig face","slug":"pig_face","subgroup":"animal-mammal","codepoints":["1F437"],"codepoints_string":"1f437","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bacon","face","farm","pig","pork"]},
+  {"emoji":"🐖","skin_tone_support":false,"name":"pig","slug":"pig","subgroup":"animal-mammal","codepoints":["1F416"],"codepoints_string":"1f416","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bacon","farm","pig","pork","sow"]},
+  {"emoji":"🐗","skin_tone_support":false,"name":"boar","slug":"boar","subgroup":"animal-mammal","codepoints":["1F417"],"codepoints_string":"1f417","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","boar","pig"]},
+  {"emoji":"🐽","skin_tone_support":false,"name":"pig nose","slug":"pig_nose","subgroup":"animal-mammal","codepoints":["1F43D"],"codepoints_string":"1f43d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","face","farm","nose","pig","smell","snout"]},
+  {"emoji":"🐏","skin_tone_support":false,"name":"ram","slug":"ram","subgroup":"animal-mammal","codepoints":["1F40F"],"codepoints_string":"1f40f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","Aries","horns","male","ram","sheep","zodiac","zoo"]},
+  {"emoji":"🐑","skin_tone_support":false,"name":"ewe","slug":"ewe","subgroup":"animal-mammal","codepoints":["1F411"],"codepoints_string":"1f411","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","baa","ewe","farm","female","fluffy","lamb","sheep","wool"]},
+  {"emoji":"🐐","skin_tone_support":false,"name":"goat","slug":"goat","subgroup":"animal-mammal","codepoints":["1F410"],"codepoints_string":"1f410","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","Capricorn","farm","goat","milk","zodiac"]},
+  {"emoji":"🐪","skin_tone_support":false,"name":"camel","slug":"camel","subgroup":"animal-mammal","codepoints":["1F42A"],"codepoints_string":"1f42a","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","camel","desert","dromedary","hump","one"]},
+  {"emoji":"🐫","skin_tone_support":false,"name":"two-hump camel","slug":"two_hump_camel","subgroup":"animal-mammal","codepoints":["1F42B"],"codepoints_string":"1f42b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bactrian","camel","desert","hump","two","two-hump"]},
+  {"emoji":"🦙","skin_tone_support":false,"name":"llama","slug":"llama","subgroup":"animal-mammal","codepoints":["1F999"],"codepoints_string":"1f999","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["alpaca","animal","guanaco","llama","vicuña","wool"]},
+  {"emoji":"🦒","skin_tone_support":false,"name":"giraffe","slug":"giraffe","subgroup":"animal-mammal","codepoints":["1F992"],"codepoints_string":"1f992","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","giraffe","spots"]},
+  {"emoji":"🐘","skin_tone_support":false,"name":"elephant","slug":"elephant","subgroup":"animal-mammal","codepoints":["1F418"],"codepoints_string":"1f418","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","elephant"]},
+  {"emoji":"🦣","skin_tone_support":false,"name":"mammoth","slug":"mammoth","subgroup":"animal-mammal","codepoints":["1F9A3"],"codepoints_string":"1f9a3","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","extinction","large","mammoth","tusk","wooly"]},
+  {"emoji":"🦏","skin_tone_support":false,"name":"rhinoceros","slug":"rhinoceros","subgroup":"animal-mammal","codepoints":["1F98F"],"codepoints_string":"1f98f","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","rhinoceros"]},
+  {"emoji":"🦛","skin_tone_support":false,"name":"hippopotamus","slug":"hippopotamus","subgroup":"animal-mammal","codepoints":["1F99B"],"codepoints_string":"1f99b","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","hippo","hippopotamus"]},
+  {"emoji":"🐭","skin_tone_support":false,"name":"mouse face","slug":"mouse_face","subgroup":"animal-mammal","codepoints":["1F42D"],"codepoints_string":"1f42d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","face","mouse"]},
+  {"emoji":"🐁","skin_tone_support":false,"name":"mouse","slug":"mouse","subgroup":"animal-mammal","codepoints":["1F401"],"codepoints_string":"1f401","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","animals","mouse"]},
+  {"emoji":"🐀","skin_tone_support":false,"name":"rat","slug":"rat","subgroup":"animal-mammal","codepoints":["1F400"],"codepoints_string":"1f400","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","rat"]},
+  {"emoji":"🐹","skin_tone_support":false,"name":"hamster","slug":"hamster","subgroup":"animal-mammal","codepoints":["1F439"],"codepoints_string":"1f439","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","face","hamster","pet"]},
+  {"emoji":"🐰","skin_tone_support":false,"name":"rabbit face","slug":"rabbit_face","subgroup":"animal-mammal","codepoints":["1F430"],"codepoints_string":"1f430","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bunny","face","pet","rabbit"]},
+  {"emoji":"🐇","skin_tone_support":false,"name":"rabbit","slug":"rabbit","subgroup":"animal-mammal","codepoints":["1F407"],"codepoints_string":"1f407","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bunny","pet","rabbit"]},
+  {"emoji":"🐿️","skin_tone_support":false,"name":"chipmunk","slug":"chipmunk","subgroup":"animal-mammal","codepoints":["1F43F","FE0F"],"codepoints_string":"1f43f-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","chipmunk","squirrel"]},
+  {"emoji":"🦫","skin_tone_support":false,"name":"beaver","slug":"beaver","subgroup":"animal-mammal","codepoints":["1F9AB"],"codepoints_string":"1f9ab","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","beaver","dam","teeth"]},
+  {"emoji":"🦔","skin_tone_support":false,"name":"hedgehog","slug":"hedgehog","subgroup":"animal-mammal","codepoints":["1F994"],"codepoints_string":"1f994","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","hedgehog","spiny"]},
+  {"emoji":"🦇","skin_tone_support":false,"name":"bat","slug":"bat","subgroup":"animal-mammal","codepoints":["1F987"],"codepoints_string":"1f987","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bat","vampire"]},
+  {"emoji":"🐻","skin_tone_support":false,"name":"bear","slug":"bear","subgroup":"animal-mammal","codepoints":["1F43B"],"codepoints_string":"1f43b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bear","face","grizzly","growl","honey"]},
+  {"emoji":"🐻‍❄️","skin_tone_support":false,"name":"polar bear","slug":"polar_bear","subgroup":"animal-mammal","codepoints":["1F43B","200D","2744","FE0F"],"codepoints_string":"1f43b-200d-2744-fe0f","utf16_length":5,"unicode_version":"13.0","emoji_version":"13.0","type":"zwj_sequence","components":["🐻","❄️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","arctic","bear","polar","white"]},
+  {"emoji":"🐨","skin_tone_support":false,"name":"koala","slug":"koala","subgroup":"animal-mammal","codepoints":["1F428"],"codepoints_string":"1f428","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","australia","bear","down","face","koala","marsupial","under"]},
+  {"emoji":"🐼","skin_tone_support":false,"name":"panda","slug":"panda","subgroup":"animal-mammal","codepoints":["1F43C"],"codepoints_string":"1f43c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bamboo","face","panda"]},
+  {"emoji":"🦥","skin_tone_support":false,"name":"sloth","slug":"sloth","subgroup":"animal-mammal","codepoints":["1F9A5"],"codepoints_string":"1f9a5","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["lazy","sloth","slow"]},
+  {"emoji":"🦦","skin_tone_support":false,"name":"otter","slug":"otter","subgroup":"animal-mammal","codepoints":["1F9A6"],"codepoints_string":"1f9a6","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","fishing","otter","playful"]},
+  {"emoji":"🦨","skin_tone_support":false,"name":"skunk","slug":"skunk","subgroup":"animal-mammal","codepoints":["1F9A8"],"codepoints_string":"1f9a8","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","skunk","stink"]},
+  {"emoji":"🦘","skin_tone_support":false,"name":"kangaroo","slug":"kangaroo","subgroup":"animal-mammal","codepoints":["1F998"],"codepoints_string":"1f998","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","joey","jump","kangaroo","marsupial"]},
+  {"emoji":"🦡","skin_tone_support":false,"name":"badger","slug":"badger","subgroup":"animal-mammal","codepoints":["1F9A1"],"codepoints_string":"1f9a1","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","badger","honey","pester"]},
+  {"emoji":"🐾","skin_tone_support":false,"name":"paw prints","slug":"paw_prints","subgroup":"animal-mammal","codepoints":["1F43E"],"codepoints_string":"1f43e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["feet","paw","paws","print","prints"]},
+  {"emoji":"🦃","skin_tone_support":false,"name":"turkey","slug":"turkey","subgroup":"animal-bird","codepoints":["1F983"],"codepoints_string":"1f983","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bird","gobble","thanksgiving","turkey"]},
+  {"emoji":"🐔","skin_tone_support":false,"name":"chicken","slug":"chicken","subgroup":"animal-bird","codepoints":["1F414"],"codepoints_string":"1f414","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bird","chicken","ornithology"]},
+  {"emoji":"🐓","skin_tone_support":false,"name":"rooster","slug":"rooster","subgroup":"animal-bird","codepoints":["1F413"],"codepoints_string":"1f413","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bird","ornithology","rooster"]},
+  {"emoji":"🐣","skin_tone_support":false,"name":"hatching chick","slug":"hatching_chick","subgroup":"animal-bird","codepoints":["1F423"],"codepoints_string":"1f423","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","baby","bird","chick","egg","hatching"]},
+  {"emoji":"🐤","skin_tone_support":false,"name":"baby chick","slug":"baby_chick","subgroup":"animal-bird","codepoints":["1F424"],"codepoints_string":"1f424","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","baby","bird","chick","ornithology"]},
+  {"emoji":"🐥","skin_tone_support":false,"name":"front-facing baby chick","slug":"front_facing_baby_chick","subgroup":"animal-bird","codepoints":["1F425"],"codepoints_string":"1f425","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","baby","bird","chick","front-facing","newborn","ornithology"]},
+  {"emoji":"🐦","skin_tone_support":false,"name":"bird","slug":"bird","subgroup":"animal-bird","codepoints":["1F426"],"codepoints_string":"1f426","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bird","ornithology"]},
+  {"emoji":"🐧","skin_tone_support":false,"name":"penguin","slug":"penguin","subgroup":"animal-bird","codepoints":["1F427"],"codepoints_string":"1f427","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","antarctica","bird","ornithology","penguin"]},
+  {"emoji":"🕊️","skin_tone_support":false,"name":"dove","slug":"dove","subgroup":"animal-bird","codepoints":["1F54A","FE0F"],"codepoints_string":"1f54a-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bird","dove","fly","ornithology","peace"]},
+  {"emoji":"🦅","skin_tone_support":false,"name":"eagle","slug":"eagle","subgroup":"animal-bird","codepoints":["1F985"],"codepoints_string":"1f985","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bird","eagle","ornithology"]},
+  {"emoji":"🦆","skin_tone_support":false,"name":"duck","slug":"duck","subgroup":"animal-bird","codepoints":["1F986"],"codepoints_string":"1f986","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bird","duck","ornithology"]},
+  {"emoji":"🦢","skin_tone_support":false,"name":"swan","slug":"swan","subgroup":"animal-bird","codepoints":["1F9A2"],"codepoints_string":"1f9a2","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bird","cygnet","duckling","ornithology","swan","ugly"]},
+  {"emoji":"🦉","skin_tone_support":false,"name":"owl","slug":"owl","subgroup":"animal-bird","codepoints":["1F989"],"codepoints_string":"1f989","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bird","ornithology","owl","wise"]},
+  {"emoji":"🦤","skin_tone_support":false,"name":"dodo","slug":"dodo","subgroup":"animal-bird","codepoints":["1F9A4"],"codepoints_string":"1f9a4","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bird","dodo","extinction","large","ornithology"]},
+  {"emoji":"🪶","skin_tone_support":false,"name":"feather","slug":"feather","subgroup":"animal-bird","codepoints":["1FAB6"],"codepoints_string":"1fab6","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bird","feather","flight","light","plumage"]},
+  {"emoji":"🦩","skin_tone_support":false,"name":"flamingo","slug":"flamingo","subgroup":"animal-bird","codepoints":["1F9A9"],"codepoints_string":"1f9a9","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bird","flamboyant","flamingo","ornithology","tropical"]},
+  {"emoji":"🦚","skin_tone_support":false,"name":"peacock","slug":"peacock","subgroup":"animal-bird","codepoints":["1F99A"],"codepoints_string":"1f99a","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bird","colorful","ornithology","ostentatious","peacock","peahen","pretty","proud"]},
+  {"emoji":"🦜","skin_tone_support":false,"name":"parrot","slug":"parrot","subgroup":"animal-bird","codepoints":["1F99C"],"codepoints_string":"1f99c","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bird","ornithology","parrot","pirate","talk"]},
+  {"emoji":"🪽","skin_tone_support":false,"name":"wing","slug":"wing","subgroup":"animal-bird","codepoints":["1FABD"],"codepoints_string":"1fabd","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["angelic","ascend","aviation","bird","fly","flying","heavenly","mythology","soar","wing"]},
+  {"emoji":"🐦‍⬛","skin_tone_support":false,"name":"black bird","slug":"black_bird","subgroup":"animal-bird","codepoints":["1F426","200D","2B1B"],"codepoints_string":"1f426-200d-2b1b","utf16_length":4,"unicode_version":"15.0","emoji_version":"15.0","type":"zwj_sequence","components":["🐦","⬛"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","beak","bird","black","caw","corvid","crow","ornithology","raven","rook"]},
+  {"emoji":"🪿","skin_tone_support":false,"name":"goose","slug":"goose","subgroup":"animal-bird","codepoints":["1FABF"],"codepoints_string":"1fabf","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bird","duck","flock","fowl","gaggle","gander","geese","goose","honk","ornithology","silly"]},
+  {"emoji":"🐦‍🔥","skin_tone_support":false,"name":"phoenix","slug":"phoenix","subgroup":"animal-bird","codepoints":["1F426","200D","1F525"],"codepoints_string":"1f426-200d-1f525","utf16_length":5,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🐦","🔥"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ascend","ascension","emerge","fantasy","firebird","glory","immortal","phoenix","rebirth","reincarnation","reinvent","renewal","revival","revive","rise","transform"]},
+  {"emoji":"🐸","skin_tone_support":false,"name":"frog","slug":"frog","subgroup":"animal-amphibian","codepoints":["1F438"],"codepoints_string":"1f438","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","face","frog"]},
+  {"emoji":"🐊","skin_tone_support":false,"name":"crocodile","slug":"crocodile","subgroup":"animal-reptile","codepoints":["1F40A"],"codepoints_string":"1f40a","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","crocodile","zoo"]},
+  {"emoji":"🐢","skin_tone_support":false,"name":"turtle","slug":"turtle","subgroup":"animal-reptile","codepoints":["1F422"],"codepoints_string":"1f422","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","terrapin","tortoise","turtle"]},
+  {"emoji":"🦎","skin_tone_support":false,"name":"lizard","slug":"lizard","subgroup":"animal-reptile","codepoints":["1F98E"],"codepoints_string":"1f98e","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","lizard","reptile"]},
+  {"emoji":"🐍","skin_tone_support":false,"name":"snake","slug":"snake","subgroup":"animal-reptile","codepoints":["1F40D"],"codepoints_string":"1f40d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bearer","Ophiuchus","serpent","snake","zodiac"]},
+  {"emoji":"🐲","skin_tone_support":false,"name":"dragon face","slug":"dragon_face","subgroup":"animal-reptile","codepoints":["1F432"],"codepoints_string":"1f432","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","dragon","face","fairy","fairytale","tale"]},
+  {"emoji":"🐉","skin_tone_support":false,"name":"dragon","slug":"dragon","subgroup":"animal-reptile","codepoints":["1F409"],"codepoints_string":"1f409","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","dragon","fairy","fairytale","knights","tale"]},
+  {"emoji":"🦕","skin_tone_support":false,"name":"sauropod","slug":"sauropod","subgroup":"animal-reptile","codepoints":["1F995"],"codepoints_string":"1f995","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["brachiosaurus","brontosaurus","dinosaur","diplodocus","sauropod"]},
+  {"emoji":"🦖","skin_tone_support":false,"name":"T-Rex","slug":"t_rex","subgroup":"animal-reptile","codepoints":["1F996"],"codepoints_string":"1f996","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dinosaur","Rex","T","T-Rex","Tyrannosaurus"]},
+  {"emoji":"🐳","skin_tone_support":false,"name":"spouting whale","slug":"spouting_whale","subgroup":"animal-marine","codepoints":["1F433"],"codepoints_string":"1f433","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","beach","face","ocean","spouting","whale"]},
+  {"emoji":"🐋","skin_tone_support":false,"name":"whale","slug":"whale","subgroup":"animal-marine","codepoints":["1F40B"],"codepoints_string":"1f40b","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","beach","ocean","whale"]},
+  {"emoji":"🐬","skin_tone_support":false,"name":"dolphin","slug":"dolphin","subgroup":"animal-marine","codepoints":["1F42C"],"codepoints_string":"1f42c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","beach","dolphin","flipper","ocean"]},
+  {"emoji":"🦭","skin_tone_support":false,"name":"seal","slug":"seal","subgroup":"animal-marine","codepoints":["1F9AD"],"codepoints_string":"1f9ad","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","lion","ocean","sea","seal"]},
+  {"emoji":"🐟","skin_tone_support":false,"name":"fish","slug":"fish","subgroup":"animal-marine","codepoints":["1F41F"],"codepoints_string":"1f41f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","dinner","fish","fishes","fishing","Pisces","zodiac"]},
+  {"emoji":"🐠","skin_tone_support":false,"name":"tropical fish","slug":"tropical_fish","subgroup":"animal-marine","codepoints":["1F420"],"codepoints_string":"1f420","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","fish","fishes","tropical"]},
+  {"emoji":"🐡","skin_tone_support":false,"name":"blowfish","slug":"blowfish","subgroup":"animal-marine","codepoints":["1F421"],"codepoints_string":"1f421","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","blowfish","fish"]},
+  {"emoji":"🦈","skin_tone_support":false,"name":"shark","slug":"shark","subgroup":"animal-marine","codepoints":["1F988"],"codepoints_string":"1f988","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","fish","shark"]},
+  {"emoji":"🐙","skin_tone_support":false,"name":"octopus","slug":"octopus","subgroup":"animal-marine","codepoints":["1F419"],"codepoints_string":"1f419","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","creature","ocean","octopus"]},
+  {"emoji":"🐚","skin_tone_support":false,"name":"spiral shell","slug":"spiral_shell","subgroup":"animal-marine","codepoints":["1F41A"],"codepoints_string":"1f41a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","beach","conch","sea","shell","spiral"]},
+  {"emoji":"🪸","skin_tone_support":false,"name":"coral","slug":"coral","subgroup":"animal-marine","codepoints":["1FAB8"],"codepoints_string":"1fab8","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["change","climate","coral","ocean","reef","sea"]},
+  {"emoji":"🪼","skin_tone_support":false,"name":"jellyfish","slug":"jellyfish","subgroup":"animal-marine","codepoints":["1FABC"],"codepoints_string":"1fabc","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","aquarium","burn","invertebrate","jelly","jellyfish","life","marine","ocean","ouch","plankton","sea","sting","stinger","tentacles"]},
+  {"emoji":"🦀","skin_tone_support":false,"name":"crab","slug":"crab","subgroup":"animal-marine","codepoints":["1F980"],"codepoints_string":"1f980","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["Cancer","crab","zodiac"]},
+  {"emoji":"🦞","skin_tone_support":false,"name":"lobster","slug":"lobster","subgroup":"animal-marine","codepoints":["1F99E"],"codepoints_string":"1f99e","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bisque","claws","lobster","seafood"]},
+  {"emoji":"🦐","skin_tone_support":false,"name":"shrimp","slug":"shrimp","subgroup":"animal-marine","codepoints":["1F990"],"codepoints_string":"1f990","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","shellfish","shrimp","small"]},
+  {"emoji":"🦑","skin_tone_support":false,"name":"squid","slug":"squid","subgroup":"animal-marine","codepoints":["1F991"],"codepoints_string":"1f991","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","food","mollusk","squid"]},
+  {"emoji":"🦪","skin_tone_support":false,"name":"oyster","slug":"oyster","subgroup":"animal-marine","codepoints":["1F9AA"],"codepoints_string":"1f9aa","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["diving","oyster","pearl"]},
+  {"emoji":"🐌","skin_tone_support":false,"name":"snail","slug":"snail","subgroup":"animal-bug","codepoints":["1F40C"],"codepoints_string":"1f40c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","escargot","garden","nature","slug","snail"]},
+  {"emoji":"🦋","skin_tone_support":false,"name":"butterfly","slug":"butterfly","subgroup":"animal-bug","codepoints":["1F98B"],"codepoints_string":"1f98b","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["butterfly","insect","pretty"]},
+  {"emoji":"🐛","skin_tone_support":false,"name":"bug","slug":"bug","subgroup":"animal-bug","codepoints":["1F41B"],"codepoints_string":"1f41b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bug","garden","insect"]},
+  {"emoji":"🐜","skin_tone_support":false,"name":"ant","slug":"ant","subgroup":"animal-bug","codepoints":["1F41C"],"codepoints_string":"1f41c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","ant","garden","insect"]},
+  {"emoji":"🐝","skin_tone_support":false,"name":"honeybee","slug":"honeybee","subgroup":"animal-bug","codepoints":["1F41D"],"codepoints_string":"1f41d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bee","bumblebee","honey","honeybee","insect","nature","spring"]},
+  {"emoji":"🪲","skin_tone_support":false,"name":"beetle","slug":"beetle","subgroup":"animal-bug","codepoints":["1FAB2"],"codepoints_string":"1fab2","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","beetle","bug","insect"]},
+  {"emoji":"🐞","skin_tone_support":false,"name":"lady beetle","slug":"lady_beetle","subgroup":"animal-bug","codepoints":["1F41E"],"codepoints_string":"1f41e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","beetle","garden","insect","lady","ladybird","ladybug","nature"]},
+  {"emoji":"🦗","skin_tone_support":false,"name":"cricket","slug":"cricket","subgroup":"animal-bug","codepoints":["1F997"],"codepoints_string":"1f997","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","bug","cricket","grasshopper","insect","Orthoptera"]},
+  {"emoji":"🪳","skin_tone_support":false,"name":"cockroach","slug":"cockroach","subgroup":"animal-bug","codepoints":["1FAB3"],"codepoints_string":"1fab3","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","cockroach","insect","pest","roach"]},
+  {"emoji":"🕷️","skin_tone_support":false,"name":"spider","slug":"spider","subgroup":"animal-bug","codepoints":["1F577","FE0F"],"codepoints_string":"1f577-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","insect","spider"]},
+  {"emoji":"🕸️","skin_tone_support":false,"name":"spider web","slug":"spider_web","subgroup":"animal-bug","codepoints":["1F578","FE0F"],"codepoints_string":"1f578-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["spider","web"]},
+  {"emoji":"🦂","skin_tone_support":false,"name":"scorpion","slug":"scorpion","subgroup":"animal-bug","codepoints":["1F982"],"codepoints_string":"1f982","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["Scorpio","scorpion","Scorpius","zodiac"]},
+  {"emoji":"🦟","skin_tone_support":false,"name":"mosquito","slug":"mosquito","subgroup":"animal-bug","codepoints":["1F99F"],"codepoints_string":"1f99f","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bite","disease","fever","insect","malaria","mosquito","pest","virus"]},
+  {"emoji":"🪰","skin_tone_support":false,"name":"fly","slug":"fly","subgroup":"animal-bug","codepoints":["1FAB0"],"codepoints_string":"1fab0","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","disease","fly","insect","maggot","pest","rotting"]},
+  {"emoji":"🪱","skin_tone_support":false,"name":"worm","slug":"worm","subgroup":"animal-bug","codepoints":["1FAB1"],"codepoints_string":"1fab1","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","annelid","earthworm","parasite","worm"]},
+  {"emoji":"🦠","skin_tone_support":false,"name":"microbe","slug":"microbe","subgroup":"animal-bug","codepoints":["1F9A0"],"codepoints_string":"1f9a0","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["amoeba","bacteria","microbe","science","virus"]},
+  {"emoji":"💐","skin_tone_support":false,"name":"bouquet","slug":"bouquet","subgroup":"plant-flower","codepoints":["1F490"],"codepoints_string":"1f490","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["anniversary","birthday","bouquet","date","flower","love","plant","romance"]},
+  {"emoji":"🌸","skin_tone_support":false,"name":"cherry blossom","slug":"cherry_blossom","subgroup":"plant-flower","codepoints":["1F338"],"codepoints_string":"1f338","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blossom","cherry","flower","plant","spring","springtime"]},
+  {"emoji":"💮","skin_tone_support":false,"name":"white flower","slug":"white_flower","subgroup":"plant-flower","codepoints":["1F4AE"],"codepoints_string":"1f4ae","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["flower","white"]},
+  {"emoji":"🪷","skin_tone_support":false,"name":"lotus","slug":"lotus","subgroup":"plant-flower","codepoints":["1FAB7"],"codepoints_string":"1fab7","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beauty","Buddhism","calm","flower","Hinduism","lotus","peace","purity","serenity"]},
+  {"emoji":"🏵️","skin_tone_support":false,"name":"rosette","slug":"rosette","subgroup":"plant-flower","codepoints":["1F3F5","FE0F"],"codepoints_string":"1f3f5-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["plant","rosette"]},
+  {"emoji":"🌹","skin_tone_support":false,"name":"rose","slug":"rose","subgroup":"plant-flower","codepoints":["1F339"],"codepoints_string":"1f339","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beauty","elegant","flower","love","plant","red","rose","valentine"]},
+  {"emoji":"🥀","skin_tone_support":false,"name":"wilted flower","slug":"wilted_flower","subgroup":"plant-flower","codepoints":["1F940"],"codepoints_string":"1f940","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dying","flower","wilted"]},
+  {"emoji":"🌺","skin_tone_support":false,"name":"hibiscus","slug":"hibiscus","subgroup":"plant-flower","codepoints":["1F33A"],"codepoints_string":"1f33a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["flower","hibiscus","plant"]},
+  {"emoji":"🌻","skin_tone_support":false,"name":"sunflower","slug":"sunflower","subgroup":"plant-flower","codepoints":["1F33B"],"codepoints_string":"1f33b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["flower","outdoors","plant","sun","sunflower"]},
+  {"emoji":"🌼","skin_tone_support":false,"name":"blossom","slug":"blossom","subgroup":"plant-flower","codepoints":["1F33C"],"codepoints_string":"1f33c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blossom","buttercup","dandelion","flower","plant"]},
+  {"emoji":"🌷","skin_tone_support":false,"name":"tulip","slug":"tulip","subgroup":"plant-flower","codepoints":["1F337"],"codepoints_string":"1f337","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blossom","flower","growth","plant","tulip"]},
+  {"emoji":"🪻","skin_tone_support":false,"name":"hyacinth","slug":"hyacinth","subgroup":"plant-flower","codepoints":["1FABB"],"codepoints_string":"1fabb","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bloom","bluebonnet","flower","hyacinth","indigo","lavender","lilac","lupine","plant","purple","shrub","snapdragon","spring","violet"]},
+  {"emoji":"🌱","skin_tone_support":false,"name":"seedling","slug":"seedling","subgroup":"plant-other","codepoints":["1F331"],"codepoints_string":"1f331","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["plant","sapling","seedling","sprout","young"]},
+  {"emoji":"🪴","skin_tone_support":false,"name":"potted plant","slug":"potted_plant","subgroup":"plant-other","codepoints":["1FAB4"],"codepoints_string":"1fab4","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["decor","grow","house","nurturing","plant","pot","potted"]},
+  {"emoji":"🌲","skin_tone_support":false,"name":"evergreen tree","slug":"evergreen_tree","subgroup":"plant-other","codepoints":["1F332"],"codepoints_string":"1f332","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["christmas","evergreen","forest","pine","tree"]},
+  {"emoji":"🌳","skin_tone_support":false,"name":"deciduous tree","slug":"deciduous_tree","subgroup":"plant-other","codepoints":["1F333"],"codepoints_string":"1f333","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["deciduous","forest","green","habitat","shedding","tree"]},
+  {"emoji":"🌴","skin_tone_support":false,"name":"palm tree","slug":"palm_tree","subgroup":"plant-other","codepoints":["1F334"],"codepoints_string":"1f334","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beach","palm","plant","tree","tropical"]},
+  {"emoji":"🌵","skin_tone_support":false,"name":"cactus","slug":"cactus","subgroup":"plant-other","codepoints":["1F335"],"codepoints_string":"1f335","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cactus","desert","drought","nature","plant"]},
+  {"emoji":"🌾","skin_tone_support":false,"name":"sheaf of rice","slug":"sheaf_of_rice","subgroup":"plant-other","codepoints":["1F33E"],"codepoints_string":"1f33e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ear","grain","grains","plant","rice","sheaf"]},
+  {"emoji":"🌿","skin_tone_support":false,"name":"herb","slug":"herb","subgroup":"plant-other","codepoints":["1F33F"],"codepoints_string":"1f33f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["herb","leaf","plant"]},
+  {"emoji":"☘️","skin_tone_support":false,"name":"shamrock","slug":"shamrock","subgroup":"plant-other","codepoints":["2618","FE0F"],"codepoints_string":"2618-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["irish","plant","shamrock"]},
+  {"emoji":"🍀","skin_tone_support":false,"name":"four leaf clover","slug":"four_leaf_clover","subgroup":"plant-other","codepoints":["1F340"],"codepoints_string":"1f340","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["4","clover","four","four-leaf","irish","leaf","lucky","plant"]},
+  {"emoji":"🍁","skin_tone_support":false,"name":"maple leaf","slug":"maple_leaf","subgroup":"plant-other","codepoints":["1F341"],"codepoints_string":"1f341","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["falling","leaf","maple"]},
+  {"emoji":"🍂","skin_tone_support":false,"name":"fallen leaf","slug":"fallen_leaf","subgroup":"plant-other","codepoints":["1F342"],"codepoints_string":"1f342","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["autumn","fall","fallen","falling","leaf"]},
+  {"emoji":"🍃","skin_tone_support":false,"name":"leaf fluttering in wind","slug":"leaf_fluttering_in_wind","subgroup":"plant-other","codepoints":["1F343"],"codepoints_string":"1f343","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blow","flutter","fluttering","leaf","wind"]},
+  {"emoji":"🪹","skin_tone_support":false,"name":"empty nest","slug":"empty_nest","subgroup":"plant-other","codepoints":["1FAB9"],"codepoints_string":"1fab9","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["branch","empty","home","nest","nesting"]},
+  {"emoji":"🪺","skin_tone_support":false,"name":"nest with eggs","slug":"nest_with_eggs","subgroup":"plant-other","codepoints":["1FABA"],"codepoints_string":"1faba","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bird","branch","egg","eggs","nest","nesting"]},
+  {"emoji":"🍄","skin_tone_support":false,"name":"mushroom","slug":"mushroom","subgroup":"plant-other","codepoints":["1F344"],"codepoints_string":"1f344","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["fungus","mushroom","toadstool"]},
+  {"emoji":"🪾","skin_tone_support":false,"name":"leafless tree","slug":"leafless_tree","subgroup":"plant-other","codepoints":["1FABE"],"codepoints_string":"1fabe","utf16_length":2,"unicode_version":"16.0","emoji_version":"16.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bare","barren","branches","dead","drought","leafless","tree","trunk","winter","wood"]}
+]
@@ -0,0 +1,276 @@
+// Generated by script/build.js from the Unicode emoji data. Do not edit.
+
+export const name = "Flags"
+export const slug = "flags"
+export const emojis = [
+  {"emoji":"🏁","skin_tone_support":false,"name":"chequered flag","slug":"chequered_flag","subgroup":"flag","codepoints":["1F3C1"],"codepoints_string":"1f3c1","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["checkered","chequered","finish","flag","flags","game","race","racing","sport","win"]},
+  {"emoji":"🚩","skin_tone_support":false,"name":"triangular flag","slug":"triangular_flag","subgroup":"flag","codepoints":["1F6A9"],"codepoints_string":"1f6a9","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["construction","flag","golf","post","triangular"]},
+  {"emoji":"🎌","skin_tone_support":false,"name":"crossed flags","slug":"crossed_flags","subgroup":"flag","codepoints":["1F38C"],"codepoints_string":"1f38c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["celebration","cross","crossed","flags","Japanese"]},
+  {"emoji":"🏴","skin_tone_support":false,"name":"black flag","slug":"black_flag","subgroup":"flag","codepoints":["1F3F4"],"codepoints_string":"1f3f4","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["black","flag","waving"]},
+  {"emoji":"🏳️","skin_tone_support":false,"name":"white flag","slug":"white_flag","subgroup":"flag","codepoints":["1F3F3","FE0F"],"codepoints_string":"1f3f3-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["flag","waving","white"]},
+  {"emoji":"🏳️‍🌈","skin_tone_support":false,"name":"rainbow flag","slug":"rainbow_flag","subgroup":"flag","codepoints":["1F3F3","FE0F","200D","1F308"],"codepoints_string":"1f3f3-fe0f-200d-1f308","utf16_length":6,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🏳️","🌈"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bisexual","flag","gay","genderqueer","glbt","glbtq","lesbian","lgbt","lgbtq","lgbtqia","pride","queer","rainbow","trans","transgender"]},
+  {"emoji":"🏳️‍⚧️","skin_tone_support":false,"name":"transgender flag","slug":"transgender_flag","subgroup":"flag","codepoints":["1F3F3","FE0F","200D","26A7","FE0F"],"codepoints_string":"1f3f3-fe0f-200d-26a7-fe0f","utf16_length":6,"unicode_version":"13.0","emoji_version":"13.0","type":"zwj_sequence","components":["🏳️","⚧️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blue","flag","light","pink","transgender","white"]},
+  {"emoji":"🏴‍☠️","skin_tone_support":false,"name":"pirate flag","slug":"pirate_flag","subgroup":"flag","codepoints":["1F3F4","200D","2620","FE0F"],"codepoints_string":"1f3f4-200d-2620-fe0f","utf16_length":5,"unicode_version":"11.0","emoji_version":"11.0","type":"zwj_sequence","components":["🏴","☠️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["flag","Jolly","pirate","plunder","Roger","treasure"]},
+  {"emoji":"🇦🇨","skin_tone_support":false,"name":"flag Ascension Island","slug":"flag_ascension_island","subgroup":"country-flag","codepoints":["1F1E6","1F1E8"],"codepoints_string":"1f1e6-1f1e8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AC","keywords":["flag"]},
+  {"emoji":"🇦🇩","skin_tone_support":false,"name":"flag Andorra","slug":"flag_andorra","subgroup":"country-flag","codepoints":["1F1E6","1F1E9"],"codepoints_string":"1f1e6-1f1e9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AD","keywords":["flag"]},
+  {"emoji":"🇦🇪","skin_tone_support":false,"name":"flag United Arab Emirates","slug":"flag_united_arab_emirates","subgroup":"country-flag","codepoints":["1F1E6","1F1EA"],"codepoints_string":"1f1e6-1f1ea","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AE","keywords":["flag"]},
+  {"emoji":"🇦🇫","skin_tone_support":false,"name":"flag Afghanistan","slug":"flag_afghanistan","subgroup":"country-flag","codepoints":["1F1E6","1F1EB"],"codepoints_string":"1f1e6-1f1eb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AF","keywords":["flag"]},
+  {"emoji":"🇦🇬","skin_tone_support":false,"name":"flag Antigua & Barbuda","slug":"flag_antigua_barbuda","subgroup":"country-flag","codepoints":["1F1E6","1F1EC"],"codepoints_string":"1f1e6-1f1ec","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AG","keywords":["flag"]},
+  {"emoji":"🇦🇮","skin_tone_support":false,"name":"flag Anguilla","slug":"flag_anguilla","subgroup":"country-flag","codepoints":["1F1E6","1F1EE"],"codepoints_string":"1f1e6-1f1ee","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AI","keywords":["flag"]},
+  {"emoji":"🇦🇱","skin_tone_support":false,"name":"flag Albania","slug":"flag_albania","subgroup":"country-flag","codepoints":["1F1E6","1F1F1"],"codepoints_string":"1f1e6-1f1f1","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AL","keywords":["flag"]},
+  {"emoji":"🇦🇲","skin_tone_support":false,"name":"flag Armenia","slug":"flag_armenia","subgroup":"country-flag","codepoints":["1F1E6","1F1F2"],"codepoints_string":"1f1e6-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AM","keywords":["flag"]},
+  {"emoji":"🇦🇴","skin_tone_support":false,"name":"flag Angola","slug":"flag_angola","subgroup":"country-flag","codepoints":["1F1E6","1F1F4"],"codepoints_string":"1f1e6-1f1f4","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AO","keywords":["flag"]},
+  {"emoji":"🇦🇶","skin_tone_support":false,"name":"flag Antarctica","slug":"flag_antarctica","subgroup":"country-flag","codepoints":["1F1E6","1F1F6"],"codepoints_string":"1f1e6-1f1f6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AQ","keywords":["flag"]},
+  {"emoji":"🇦🇷","skin_tone_support":false,"name":"flag Argentina","slug":"flag_argentina","subgroup":"country-flag","codepoints":["1F1E6","1F1F7"],"codepoints_string":"1f1e6-1f1f7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AR","keywords":["flag"]},
+  {"emoji":"🇦🇸","skin_tone_support":false,"name":"flag American Samoa","slug":"flag_american_samoa","subgroup":"country-flag","codepoints":["1F1E6","1F1F8"],"codepoints_string":"1f1e6-1f1f8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AS","keywords":["flag"]},
+  {"emoji":"🇦🇹","skin_tone_support":false,"name":"flag Austria","slug":"flag_austria","subgroup":"country-flag","codepoints":["1F1E6","1F1F9"],"codepoints_string":"1f1e6-1f1f9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AT","keywords":["flag"]},
+  {"emoji":"🇦🇺","skin_tone_support":false,"name":"flag Australia","slug":"flag_australia","subgroup":"country-flag","codepoints":["1F1E6","1F1FA"],"codepoints_string":"1f1e6-1f1fa","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AU","keywords":["flag"]},
+  {"emoji":"🇦🇼","skin_tone_support":false,"name":"flag Aruba","slug":"flag_aruba","subgroup":"country-flag","codepoints":["1F1E6","1F1FC"],"codepoints_string":"1f1e6-1f1fc","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AW","keywords":["flag"]},
+  {"emoji":"🇦🇽","skin_tone_support":false,"name":"flag Åland Islands","slug":"flag_aland_islands","subgroup":"country-flag","codepoints":["1F1E6","1F1FD"],"codepoints_string":"1f1e6-1f1fd","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AX","keywords":["flag"]},
+  {"emoji":"🇦🇿","skin_tone_support":false,"name":"flag Azerbaijan","slug":"flag_azerbaijan","subgroup":"country-flag","codepoints":["1F1E6","1F1FF"],"codepoints_string":"1f1e6-1f1ff","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"AZ","keywords":["flag"]},
+  {"emoji":"🇧🇦","skin_tone_support":false,"name":"flag Bosnia & Herzegovina","slug":"flag_bosnia_herzegovina","subgroup":"country-flag","codepoints":["1F1E7","1F1E6"],"codepoints_string":"1f1e7-1f1e6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BA","keywords":["flag"]},
+  {"emoji":"🇧🇧","skin_tone_support":false,"name":"flag Barbados","slug":"flag_barbados","subgroup":"country-flag","codepoints":["1F1E7","1F1E7"],"codepoints_string":"1f1e7-1f1e7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BB","keywords":["flag"]},
+  {"emoji":"🇧🇩","skin_tone_support":false,"name":"flag Bangladesh","slug":"flag_bangladesh","subgroup":"country-flag","codepoints":["1F1E7","1F1E9"],"codepoints_string":"1f1e7-1f1e9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BD","keywords":["flag"]},
+  {"emoji":"🇧🇪","skin_tone_support":false,"name":"flag Belgium","slug":"flag_belgium","subgroup":"country-flag","codepoints":["1F1E7","1F1EA"],"codepoints_string":"1f1e7-1f1ea","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BE","keywords":["flag"]},
+  {"emoji":"🇧🇫","skin_tone_support":false,"name":"flag Burkina Faso","slug":"flag_burkina_faso","subgroup":"country-flag","codepoints":["1F1E7","1F1EB"],"codepoints_string":"1f1e7-1f1eb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BF","keywords":["flag"]},
+  {"emoji":"🇧🇬","skin_tone_support":false,"name":"flag Bulgaria","slug":"flag_bulgaria","subgroup":"country-flag","codepoints":["1F1E7","1F1EC"],"codepoints_string":"1f1e7-1f1ec","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BG","keywords":["flag"]},
+  {"emoji":"🇧🇭","skin_tone_support":false,"name":"flag Bahrain","slug":"flag_bahrain","subgroup":"country-flag","codepoints":["1F1E7","1F1ED"],"codepoints_string":"1f1e7-1f1ed","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BH","keywords":["flag"]},
+  {"emoji":"🇧🇮","skin_tone_support":false,"name":"flag Burundi","slug":"flag_burundi","subgroup":"country-flag","codepoints":["1F1E7","1F1EE"],"codepoints_string":"1f1e7-1f1ee","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BI","keywords":["flag"]},
+  {"emoji":"🇧🇯","skin_tone_support":false,"name":"flag Benin","slug":"flag_benin","subgroup":"country-flag","codepoints":["1F1E7","1F1EF"],"codepoints_string":"1f1e7-1f1ef","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BJ","keywords":["flag"]},
+  {"emoji":"🇧🇱","skin_tone_support":false,"name":"flag St. Barthélemy","slug":"flag_st_barthelemy","subgroup":"country-flag","codepoints":["1F1E7","1F1F1"],"codepoints_string":"1f1e7-1f1f1","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BL","keywords":["flag"]},
+  {"emoji":"🇧🇲","skin_tone_support":false,"name":"flag Bermuda","slug":"flag_bermuda","subgroup":"country-flag","codepoints":["1F1E7","1F1F2"],"codepoints_string":"1f1e7-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BM","keywords":["flag"]},
+  {"emoji":"🇧🇳","skin_tone_support":false,"name":"flag Brunei","slug":"flag_brunei","subgroup":"country-flag","codepoints":["1F1E7","1F1F3"],"codepoints_string":"1f1e7-1f1f3","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BN","keywords":["flag"]},
+  {"emoji":"🇧🇴","skin_tone_support":false,"name":"flag Bolivia","slug":"flag_bolivia","subgroup":"country-flag","codepoints":["1F1E7","1F1F4"],"codepoints_string":"1f1e7-1f1f4","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BO","keywords":["flag"]},
+  {"emoji":"🇧🇶","skin_tone_support":false,"name":"flag Caribbean Netherlands","slug":"flag_caribbean_netherlands","subgroup":"country-flag","codepoints":["1F1E7","1F1F6"],"codepoints_string":"1f1e7-1f1f6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BQ","keywords":["flag"]},
+  {"emoji":"🇧🇷","skin_tone_support":false,"name":"flag Brazil","slug":"flag_brazil","subgroup":"country-flag","codepoints":["1F1E7","1F1F7"],"codepoints_string":"1f1e7-1f1f7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BR","keywords":["flag"]},
+  {"emoji":"🇧🇸","skin_tone_support":false,"name":"flag Bahamas","slug":"flag_bahamas","subgroup":"country-flag","codepoints":["1F1E7","1F1F8"],"codepoints_string":"1f1e7-1f1f8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BS","keywords":["flag"]},
+  {"emoji":"🇧🇹","skin_tone_support":false,"name":"flag Bhutan","slug":"flag_bhutan","subgroup":"country-flag","codepoints":["1F1E7","1F1F9"],"codepoints_string":"1f1e7-1f1f9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BT","keywords":["flag"]},
+  {"emoji":"🇧🇻","skin_tone_support":false,"name":"flag Bouvet Island","slug":"flag_bouvet_island","subgroup":"country-flag","codepoints":["1F1E7","1F1FB"],"codepoints_string":"1f1e7-1f1fb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BV","keywords":["flag"]},
+  {"emoji":"🇧🇼","skin_tone_support":false,"name":"flag Botswana","slug":"flag_botswana","subgroup":"country-flag","codepoints":["1F1E7","1F1FC"],"codepoints_string":"1f1e7-1f1fc","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BW","keywords":["flag"]},
+  {"emoji":"🇧🇾","skin_tone_support":false,"name":"flag Belarus","slug":"flag_belarus","subgroup":"country-flag","codepoints":["1F1E7","1F1FE"],"codepoints_string":"1f1e7-1f1fe","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BY","keywords":["flag"]},
+  {"emoji":"🇧🇿","skin_tone_support":false,"name":"flag Belize","slug":"flag_belize","subgroup":"country-flag","codepoints":["1F1E7","1F1FF"],"codepoints_string":"1f1e7-1f1ff","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"BZ","keywords":["flag"]},
+  {"emoji":"🇨🇦","skin_tone_support":false,"name":"flag Canada","slug":"flag_canada","subgroup":"country-flag","codepoints":["1F1E8","1F1E6"],"codepoints_string":"1f1e8-1f1e6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CA","keywords":["flag"]},
+  {"emoji":"🇨🇨","skin_tone_support":false,"name":"flag Cocos (Keeling) Islands","slug":"flag_cocos_islands","subgroup":"country-flag","codepoints":["1F1E8","1F1E8"],"codepoints_string":"1f1e8-1f1e8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CC","keywords":["flag"]},
+  {"emoji":"🇨🇩","skin_tone_support":false,"name":"flag Congo - Kinshasa","slug":"flag_congo_kinshasa","subgroup":"country-flag","codepoints":["1F1E8","1F1E9"],"codepoints_string":"1f1e8-1f1e9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CD","keywords":["flag"]},
+  {"emoji":"🇨🇫","skin_tone_support":false,"name":"flag Central African Republic","slug":"flag_central_african_republic","subgroup":"country-flag","codepoints":["1F1E8","1F1EB"],"codepoints_string":"1f1e8-1f1eb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CF","keywords":["flag"]},
+  {"emoji":"🇨🇬","skin_tone_support":false,"name":"flag Congo - Brazzaville","slug":"flag_congo_brazzaville","subgroup":"country-flag","codepoints":["1F1E8","1F1EC"],"codepoints_string":"1f1e8-1f1ec","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CG","keywords":["flag"]},
+  {"emoji":"🇨🇭","skin_tone_support":false,"name":"flag Switzerland","slug":"flag_switzerland","subgroup":"country-flag","codepoints":["1F1E8","1F1ED"],"codepoints_string":"1f1e8-1f1ed","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CH","keywords":["flag"]},
+  {"emoji":"🇨🇮","skin_tone_support":false,"name":"flag Côte d’Ivoire","slug":"flag_cote_d_ivoire","subgroup":"country-flag","codepoints":["1F1E8","1F1EE"],"codepoints_string":"1f1e8-1f1ee","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CI","keywords":["flag"]},
+  {"emoji":"🇨🇰","skin_tone_support":false,"name":"flag Cook Islands","slug":"flag_cook_islands","subgroup":"country-flag","codepoints":["1F1E8","1F1F0"],"codepoints_string":"1f1e8-1f1f0","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CK","keywords":["flag"]},
+  {"emoji":"🇨🇱","skin_tone_support":false,"name":"flag Chile","slug":"flag_chile","subgroup":"country-flag","codepoints":["1F1E8","1F1F1"],"codepoints_string":"1f1e8-1f1f1","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CL","keywords":["flag"]},
+  {"emoji":"🇨🇲","skin_tone_support":false,"name":"flag Cameroon","slug":"flag_cameroon","subgroup":"country-flag","codepoints":["1F1E8","1F1F2"],"codepoints_string":"1f1e8-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CM","keywords":["flag"]},
+  {"emoji":"🇨🇳","skin_tone_support":false,"name":"flag China","slug":"flag_china","subgroup":"country-flag","codepoints":["1F1E8","1F1F3"],"codepoints_string":"1f1e8-1f1f3","utf16_length":4,"unicode_version":"0.6","emoji_version":"0.6","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CN","keywords":["flag"]},
+  {"emoji":"🇨🇴","skin_tone_support":false,"name":"flag Colombia","slug":"flag_colombia","subgroup":"country-flag","codepoints":["1F1E8","1F1F4"],"codepoints_string":"1f1e8-1f1f4","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CO","keywords":["flag"]},
+  {"emoji":"🇨🇵","skin_tone_support":false,"name":"flag Clipperton Island","slug":"flag_clipperton_island","subgroup":"country-flag","codepoints":["1F1E8","1F1F5"],"codepoints_string":"1f1e8-1f1f5","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CP","keywords":["flag"]},
+  {"emoji":"🇨🇶","skin_tone_support":false,"name":"flag Sark","slug":"flag_sark","subgroup":"country-flag","codepoints":["1F1E8","1F1F6"],"codepoints_string":"1f1e8-1f1f6","utf16_length":4,"unicode_version":"16.0","emoji_version":"16.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CQ","keywords":["flag"]},
+  {"emoji":"🇨🇷","skin_tone_support":false,"name":"flag Costa Rica","slug":"flag_costa_rica","subgroup":"country-flag","codepoints":["1F1E8","1F1F7"],"codepoints_string":"1f1e8-1f1f7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CR","keywords":["flag"]},
+  {"emoji":"🇨🇺","skin_tone_support":false,"name":"flag Cuba","slug":"flag_cuba","subgroup":"country-flag","codepoints":["1F1E8","1F1FA"],"codepoints_string":"1f1e8-1f1fa","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CU","keywords":["flag"]},
+  {"emoji":"🇨🇻","skin_tone_support":false,"name":"flag Cape Verde","slug":"flag_cape_verde","subgroup":"country-flag","codepoints":["1F1E8","1F1FB"],"codepoints_string":"1f1e8-1f1fb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CV","keywords":["flag"]},
+  {"emoji":"🇨🇼","skin_tone_support":false,"name":"flag Curaçao","slug":"flag_curacao","subgroup":"country-flag","codepoints":["1F1E8","1F1FC"],"codepoints_string":"1f1e8-1f1fc","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CW","keywords":["flag"]},
+  {"emoji":"🇨🇽","skin_tone_support":false,"name":"flag Christmas Island","slug":"flag_christmas_island","subgroup":"country-flag","codepoints":["1F1E8","1F1FD"],"codepoints_string":"1f1e8-1f1fd","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CX","keywords":["flag"]},
+  {"emoji":"🇨🇾","skin_tone_support":false,"name":"flag Cyprus","slug":"flag_cyprus","subgroup":"country-flag","codepoints":["1F1E8","1F1FE"],"codepoints_string":"1f1e8-1f1fe","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CY","keywords":["flag"]},
+  {"emoji":"🇨🇿","skin_tone_support":false,"name":"flag Czechia","slug":"flag_czechia","subgroup":"country-flag","codepoints":["1F1E8","1F1FF"],"codepoints_string":"1f1e8-1f1ff","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"CZ","keywords":["flag"]},
+  {"emoji":"🇩🇪","skin_tone_support":false,"name":"flag Germany","slug":"flag_germany","subgroup":"country-flag","codepoints":["1F1E9","1F1EA"],"codepoints_string":"1f1e9-1f1ea","utf16_length":4,"unicode_version":"0.6","emoji_version":"0.6","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"DE","keywords":["flag"]},
+  {"emoji":"🇩🇬","skin_tone_support":false,"name":"flag Diego Garcia","slug":"flag_diego_garcia","subgroup":"country-flag","codepoints":["1F1E9","1F1EC"],"codepoints_string":"1f1e9-1f1ec","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"DG","keywords":["flag"]},
+  {"emoji":"🇩🇯","skin_tone_support":false,"name":"flag Djibouti","slug":"flag_djibouti","subgroup":"country-flag","codepoints":["1F1E9","1F1EF"],"codepoints_string":"1f1e9-1f1ef","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"DJ","keywords":["flag"]},
+  {"emoji":"🇩🇰","skin_tone_support":false,"name":"flag Denmark","slug":"flag_denmark","subgroup":"country-flag","codepoints":["1F1E9","1F1F0"],"codepoints_string":"1f1e9-1f1f0","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"DK","keywords":["flag"]},
+  {"emoji":"🇩🇲","skin_tone_support":false,"name":"flag Dominica","slug":"flag_dominica","subgroup":"country-flag","codepoints":["1F1E9","1F1F2"],"codepoints_string":"1f1e9-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"DM","keywords":["flag"]},
+  {"emoji":"🇩🇴","skin_tone_support":false,"name":"flag Dominican Republic","slug":"flag_dominican_republic","subgroup":"country-flag","codepoints":["1F1E9","1F1F4"],"codepoints_string":"1f1e9-1f1f4","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"DO","keywords":["flag"]},
+  {"emoji":"🇩🇿","skin_tone_support":false,"name":"flag Algeria","slug":"flag_algeria","subgroup":"country-flag","codepoints":["1F1E9","1F1FF"],"codepoints_string":"1f1e9-1f1ff","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"DZ","keywords":["flag"]},
+  {"emoji":"🇪🇦","skin_tone_support":false,"name":"flag Ceuta & Melilla","slug":"flag_ceuta_melilla","subgroup":"country-flag","codepoints":["1F1EA","1F1E6"],"codepoints_string":"1f1ea-1f1e6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"EA","keywords":["flag"]},
+  {"emoji":"🇪🇨","skin_tone_support":false,"name":"flag Ecuador","slug":"flag_ecuador","subgroup":"country-flag","codepoints":["1F1EA","1F1E8"],"codepoints_string":"1f1ea-1f1e8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"EC","keywords":["flag"]},
+  {"emoji":"🇪🇪","skin_tone_support":false,"name":"flag Estonia","slug":"flag_estonia","subgroup":"country-flag","codepoints":["1F1EA","1F1EA"],"codepoints_string":"1f1ea-1f1ea","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"EE","keywords":["flag"]},
+  {"emoji":"🇪🇬","skin_tone_support":false,"name":"flag Egypt","slug":"flag_egypt","subgroup":"country-flag","codepoints":["1F1EA","1F1EC"],"codepoints_string":"1f1ea-1f1ec","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"EG","keywords":["flag"]},
+  {"emoji":"🇪🇭","skin_tone_support":false,"name":"flag Western Sahara","slug":"flag_western_sahara","subgroup":"country-flag","codepoints":["1F1EA","1F1ED"],"codepoints_string":"1f1ea-1f1ed","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"EH","keywords":["flag"]},
+  {"emoji":"🇪🇷","skin_tone_support":false,"name":"flag Eritrea","slug":"flag_eritrea","subgroup":"country-flag","codepoints":["1F1EA","1F1F7"],"codepoints_string":"1f1ea-1f1f7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"ER","keywords":["flag"]},
+  {"emoji":"🇪🇸","skin_tone_support":false,"name":"flag Spain","slug":"flag_spain","subgroup":"country-flag","codepoints":["1F1EA","1F1F8"],"codepoints_string":"1f1ea-1f1f8","utf16_length":4,"unicode_version":"0.6","emoji_version":"0.6","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"ES","keywords":["flag"]},
+  {"emoji":"🇪🇹","skin_tone_support":false,"name":"flag Ethiopia","slug":"flag_ethiopia","subgroup":"country-flag","codepoints":["1F1EA","1F1F9"],"codepoints_string":"1f1ea-1f1f9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"ET","keywords":["flag"]},
+  {"emoji":"🇪🇺","skin_tone_support":false,"name":"flag European Union","slug":"flag_european_union","subgroup":"country-flag","codepoints":["1F1EA","1F1FA"],"codepoints_string":"1f1ea-1f1fa","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"EU","keywords":["flag"]},
+  {"emoji":"🇫🇮","skin_tone_support":false,"name":"flag Finland","slug":"flag_finland","subgroup":"country-flag","codepoints":["1F1EB","1F1EE"],"codepoints_string":"1f1eb-1f1ee","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"FI","keywords":["flag"]},
+  {"emoji":"🇫🇯","skin_tone_support":false,"name":"flag Fiji","slug":"flag_fiji","subgroup":"country-flag","codepoints":["1F1EB","1F1EF"],"codepoints_string":"1f1eb-1f1ef","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"FJ","keywords":["flag"]},
+  {"emoji":"🇫🇰","skin_tone_support":false,"name":"flag Falkland Islands","slug":"flag_falkland_islands","subgroup":"country-flag","codepoints":["1F1EB","1F1F0"],"codepoints_string":"1f1eb-1f1f0","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"FK","keywords":["flag"]},
+  {"emoji":"🇫🇲","skin_tone_support":false,"name":"flag Micronesia","slug":"flag_micronesia","subgroup":"country-flag","codepoints":["1F1EB","1F1F2"],"codepoints_string":"1f1eb-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"FM","keywords":["flag"]},
+  {"emoji":"🇫🇴","skin_tone_support":false,"name":"flag Faroe Islands","slug":"flag_faroe_islands","subgroup":"country-flag","codepoints":["1F1EB","1F1F4"],"codepoints_string":"1f1eb-1f1f4","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"FO","keywords":["flag"]},
+  {"emoji":"🇫🇷","skin_tone_support":false,"name":"flag France","slug":"flag_france","subgroup":"country-flag","codepoints":["1F1EB","1F1F7"],"codepoints_string":"1f1eb-1f1f7","utf16_length":4,"unicode_version":"0.6","emoji_version":"0.6","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"FR","keywords":["flag"]},
+  {"emoji":"🇬🇦","skin_tone_support":false,"name":"flag Gabon","slug":"flag_gabon","subgroup":"country-flag","codepoints":["1F1EC","1F1E6"],"codepoints_string":"1f1ec-1f1e6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GA","keywords":["flag"]},
+  {"emoji":"🇬🇧","skin_tone_support":false,"name":"flag United Kingdom","slug":"flag_united_kingdom","subgroup":"country-flag","codepoints":["1F1EC","1F1E7"],"codepoints_string":"1f1ec-1f1e7","utf16_length":4,"unicode_version":"0.6","emoji_version":"0.6","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GB","keywords":["flag"]},
+  {"emoji":"🇬🇩","skin_tone_support":false,"name":"flag Grenada","slug":"flag_grenada","subgroup":"country-flag","codepoints":["1F1EC","1F1E9"],"codepoints_string":"1f1ec-1f1e9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GD","keywords":["flag"]},
+  {"emoji":"🇬🇪","skin_tone_support":false,"name":"flag Georgia","slug":"flag_georgia","subgroup":"country-flag","codepoints":["1F1EC","1F1EA"],"codepoints_string":"1f1ec-1f1ea","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GE","keywords":["flag"]},
+  {"emoji":"🇬🇫","skin_tone_support":false,"name":"flag French Guiana","slug":"flag_french_guiana","subgroup":"country-flag","codepoints":["1F1EC","1F1EB"],"codepoints_string":"1f1ec-1f1eb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GF","keywords":["flag"]},
+  {"emoji":"🇬🇬","skin_tone_support":false,"name":"flag Guernsey","slug":"flag_guernsey","subgroup":"country-flag","codepoints":["1F1EC","1F1EC"],"codepoints_string":"1f1ec-1f1ec","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GG","keywords":["flag"]},
+  {"emoji":"🇬🇭","skin_tone_support":false,"name":"flag Ghana","slug":"flag_ghana","subgroup":"country-flag","codepoints":["1F1EC","1F1ED"],"codepoints_string":"1f1ec-1f1ed","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GH","keywords":["flag"]},
+  {"emoji":"🇬🇮","skin_tone_support":false,"name":"flag Gibraltar","slug":"flag_gibraltar","subgroup":"country-flag","codepoints":["1F1EC","1F1EE"],"codepoints_string":"1f1ec-1f1ee","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GI","keywords":["flag"]},
+  {"emoji":"🇬🇱","skin_tone_support":false,"name":"flag Greenland","slug":"flag_greenland","subgroup":"country-flag","codepoints":["1F1EC","1F1F1"],"codepoints_string":"1f1ec-1f1f1","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GL","keywords":["flag"]},
+  {"emoji":"🇬🇲","skin_tone_support":false,"name":"flag Gambia","slug":"flag_gambia","subgroup":"country-flag","codepoints":["1F1EC","1F1F2"],"codepoints_string":"1f1ec-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GM","keywords":["flag"]},
+  {"emoji":"🇬🇳","skin_tone_support":false,"name":"flag Guinea","slug":"flag_guinea","subgroup":"country-flag","codepoints":["1F1EC","1F1F3"],"codepoints_string":"1f1ec-1f1f3","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GN","keywords":["flag"]},
+  {"emoji":"🇬🇵","skin_tone_support":false,"name":"flag Guadeloupe","slug":"flag_guadeloupe","subgroup":"country-flag","codepoints":["1F1EC","1F1F5"],"codepoints_string":"1f1ec-1f1f5","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GP","keywords":["flag"]},
+  {"emoji":"🇬🇶","skin_tone_support":false,"name":"flag Equatorial Guinea","slug":"flag_equatorial_guinea","subgroup":"country-flag","codepoints":["1F1EC","1F1F6"],"codepoints_string":"1f1ec-1f1f6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GQ","keywords":["flag"]},
+  {"emoji":"🇬🇷","skin_tone_support":false,"name":"flag Greece","slug":"flag_greece","subgroup":"country-flag","codepoints":["1F1EC","1F1F7"],"codepoints_string":"1f1ec-1f1f7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GR","keywords":["flag"]},
+  {"emoji":"🇬🇸","skin_tone_support":false,"name":"flag South Georgia & South Sandwich Islands","slug":"flag_south_georgia_south_sandwich_islands","subgroup":"country-flag","codepoints":["1F1EC","1F1F8"],"codepoints_string":"1f1ec-1f1f8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GS","keywords":["flag"]},
+  {"emoji":"🇬🇹","skin_tone_support":false,"name":"flag Guatemala","slug":"flag_guatemala","subgroup":"country-flag","codepoints":["1F1EC","1F1F9"],"codepoints_string":"1f1ec-1f1f9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GT","keywords":["flag"]},
+  {"emoji":"🇬🇺","skin_tone_support":false,"name":"flag Guam","slug":"flag_guam","subgroup":"country-flag","codepoints":["1F1EC","1F1FA"],"codepoints_string":"1f1ec-1f1fa","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GU","keywords":["flag"]},
+  {"emoji":"🇬🇼","skin_tone_support":false,"name":"flag Guinea-Bissau","slug":"flag_guinea_bissau","subgroup":"country-flag","codepoints":["1F1EC","1F1FC"],"codepoints_string":"1f1ec-1f1fc","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GW","keywords":["flag"]},
+  {"emoji":"🇬🇾","skin_tone_support":false,"name":"flag Guyana","slug":"flag_guyana","subgroup":"country-flag","codepoints":["1F1EC","1F1FE"],"codepoints_string":"1f1ec-1f1fe","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"GY","keywords":["flag"]},
+  {"emoji":"🇭🇰","skin_tone_support":false,"name":"flag Hong Kong SAR China","slug":"flag_hong_kong_sar_china","subgroup":"country-flag","codepoints":["1F1ED","1F1F0"],"codepoints_string":"1f1ed-1f1f0","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"HK","keywords":["flag"]},
+  {"emoji":"🇭🇲","skin_tone_support":false,"name":"flag Heard & McDonald Islands","slug":"flag_heard_mcdonald_islands","subgroup":"country-flag","codepoints":["1F1ED","1F1F2"],"codepoints_string":"1f1ed-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"HM","keywords":["flag"]},
+  {"emoji":"🇭🇳","skin_tone_support":false,"name":"flag Honduras","slug":"flag_honduras","subgroup":"country-flag","codepoints":["1F1ED","1F1F3"],"codepoints_string":"1f1ed-1f1f3","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"HN","keywords":["flag"]},
+  {"emoji":"🇭🇷","skin_tone_support":false,"name":"flag Croatia","slug":"flag_croatia","subgroup":"country-flag","codepoints":["1F1ED","1F1F7"],"codepoints_string":"1f1ed-1f1f7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"HR","keywords":["flag"]},
+  {"emoji":"🇭🇹","skin_tone_support":false,"name":"flag Haiti","slug":"flag_haiti","subgroup":"country-flag","codepoints":["1F1ED","1F1F9"],"codepoints_string":"1f1ed-1f1f9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"HT","keywords":["flag"]},
+  {"emoji":"🇭🇺","skin_tone_support":false,"name":"flag Hungary","slug":"flag_hungary","subgroup":"country-flag","codepoints":["1F1ED","1F1FA"],"codepoints_string":"1f1ed-1f1fa","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"HU","keywords":["flag"]},
+  {"emoji":"🇮🇨","skin_tone_support":false,"name":"flag Canary Islands","slug":"flag_canary_islands","subgroup":"country-flag","codepoints":["1F1EE","1F1E8"],"codepoints_string":"1f1ee-1f1e8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"IC","keywords":["flag"]},
+  {"emoji":"🇮🇩","skin_tone_support":false,"name":"flag Indonesia","slug":"flag_indonesia","subgroup":"country-flag","codepoints":["1F1EE","1F1E9"],"codepoints_string":"1f1ee-1f1e9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"ID","keywords":["flag"]},
+  {"emoji":"🇮🇪","skin_tone_support":false,"name":"flag Ireland","slug":"flag_ireland","subgroup":"country-flag","codepoints":["1F1EE","1F1EA"],"codepoints_string":"1f1ee-1f1ea","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"IE","keywords":["flag"]},
+  {"emoji":"🇮🇱","skin_tone_support":false,"name":"flag Israel","slug":"flag_israel","subgroup":"country-flag","codepoints":["1F1EE","1F1F1"],"codepoints_string":"1f1ee-1f1f1","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"IL","keywords":["flag"]},
+  {"emoji":"🇮🇲","skin_tone_support":false,"name":"flag Isle of Man","slug":"flag_isle_of_man","subgroup":"country-flag","codepoints":["1F1EE","1F1F2"],"codepoints_string":"1f1ee-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"IM","keywords":["flag"]},
+  {"emoji":"🇮🇳","skin_tone_support":false,"name":"flag India","slug":"flag_india","subgroup":"country-flag","codepoints":["1F1EE","1F1F3"],"codepoints_string":"1f1ee-1f1f3","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"IN","keywords":["flag"]},
+  {"emoji":"🇮🇴","skin_tone_support":false,"name":"flag British Indian Ocean Territory","slug":"flag_british_indian_ocean_territory","subgroup":"country-flag","codepoints":["1F1EE","1F1F4"],"codepoints_string":"1f1ee-1f1f4","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"IO","keywords":["flag"]},
+  {"emoji":"🇮🇶","skin_tone_support":false,"name":"flag Iraq","slug":"flag_iraq","subgroup":"country-flag","codepoints":["1F1EE","1F1F6"],"codepoints_string":"1f1ee-1f1f6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"IQ","keywords":["flag"]},
+  {"emoji":"🇮🇷","skin_tone_support":false,"name":"flag Iran","slug":"flag_iran","subgroup":"country-flag","codepoints":["1F1EE","1F1F7"],"codepoints_string":"1f1ee-1f1f7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"IR","keywords":["flag"]},
+  {"emoji":"🇮🇸","skin_tone_support":false,"name":"flag Iceland","slug":"flag_iceland","subgroup":"country-flag","codepoints":["1F1EE","1F1F8"],"codepoints_string":"1f1ee-1f1f8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"IS","keywords":["flag"]},
+  {"emoji":"🇮🇹","skin_tone_support":false,"name":"flag Italy","slug":"flag_italy","subgroup":"country-flag","codepoints":["1F1EE","1F1F9"],"codepoints_string":"1f1ee-1f1f9","utf16_length":4,"unicode_version":"0.6","emoji_version":"0.6","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"IT","keywords":["flag"]},
+  {"emoji":"🇯🇪","skin_tone_support":false,"name":"flag Jersey","slug":"flag_jersey","subgroup":"country-flag","codepoints":["1F1EF","1F1EA"],"codepoints_string":"1f1ef-1f1ea","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"JE","keywords":["flag"]},
+  {"emoji":"🇯🇲","skin_tone_support":false,"name":"flag Jamaica","slug":"flag_jamaica","subgroup":"country-flag","codepoints":["1F1EF","1F1F2"],"codepoints_string":"1f1ef-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"JM","keywords":["flag"]},
+  {"emoji":"🇯🇴","skin_tone_support":false,"name":"flag Jordan","slug":"flag_jordan","subgroup":"country-flag","codepoints":["1F1EF","1F1F4"],"codepoints_string":"1f1ef-1f1f4","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"JO","keywords":["flag"]},
+  {"emoji":"🇯🇵","skin_tone_support":false,"name":"flag Japan","slug":"flag_japan","subgroup":"country-flag","codepoints":["1F1EF","1F1F5"],"codepoints_string":"1f1ef-1f1f5","utf16_length":4,"unicode_version":"0.6","emoji_version":"0.6","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"JP","keywords":["flag"]},
+  {"emoji":"🇰🇪","skin_tone_support":false,"name":"flag Kenya","slug":"flag_kenya","subgroup":"country-flag","codepoints":["1F1F0","1F1EA"],"codepoints_string":"1f1f0-1f1ea","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"KE","keywords":["flag"]},
+  {"emoji":"🇰🇬","skin_tone_support":false,"name":"flag Kyrgyzstan","slug":"flag_kyrgyzstan","subgroup":"country-flag","codepoints":["1F1F0","1F1EC"],"codepoints_string":"1f1f0-1f1ec","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"KG","keywords":["flag"]},
+  {"emoji":"🇰🇭","skin_tone_support":false,"name":"flag Cambodia","slug":"flag_cambodia","subgroup":"country-flag","codepoints":["1F1F0","1F1ED"],"codepoints_string":"1f1f0-1f1ed","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"KH","keywords":["flag"]},
+  {"emoji":"🇰🇮","skin_tone_support":false,"name":"flag Kiribati","slug":"flag_kiribati","subgroup":"country-flag","codepoints":["1F1F0","1F1EE"],"codepoints_string":"1f1f0-1f1ee","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"KI","keywords":["flag"]},
+  {"emoji":"🇰🇲","skin_tone_support":false,"name":"flag Comoros","slug":"flag_comoros","subgroup":"country-flag","codepoints":["1F1F0","1F1F2"],"codepoints_string":"1f1f0-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"KM","keywords":["flag"]},
+  {"emoji":"🇰🇳","skin_tone_support":false,"name":"flag St. Kitts & Nevis","slug":"flag_st_kitts_nevis","subgroup":"country-flag","codepoints":["1F1F0","1F1F3"],"codepoints_string":"1f1f0-1f1f3","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"KN","keywords":["flag"]},
+  {"emoji":"🇰🇵","skin_tone_support":false,"name":"flag North Korea","slug":"flag_north_korea","subgroup":"country-flag","codepoints":["1F1F0","1F1F5"],"codepoints_string":"1f1f0-1f1f5","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"KP","keywords":["flag"]},
+  {"emoji":"🇰🇷","skin_tone_support":false,"name":"flag South Korea","slug":"flag_south_korea","subgroup":"country-flag","codepoints":["1F1F0","1F1F7"],"codepoints_string":"1f1f0-1f1f7","utf16_length":4,"unicode_version":"0.6","emoji_version":"0.6","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"KR","keywords":["flag"]},
+  {"emoji":"🇰🇼","skin_tone_support":false,"name":"flag Kuwait","slug":"flag_kuwait","subgroup":"country-flag","codepoints":["1F1F0","1F1FC"],"codepoints_string":"1f1f0-1f1fc","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"KW","keywords":["flag"]},
+  {"emoji":"🇰🇾","skin_tone_support":false,"name":"flag Cayman Islands","slug":"flag_cayman_islands","subgroup":"country-flag","codepoints":["1F1F0","1F1FE"],"codepoints_string":"1f1f0-1f1fe","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"KY","keywords":["flag"]},
+  {"emoji":"🇰🇿","skin_tone_support":false,"name":"flag Kazakhstan","slug":"flag_kazakhstan","subgroup":"country-flag","codepoints":["1F1F0","1F1FF"],"codepoints_string":"1f1f0-1f1ff","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"KZ","keywords":["flag"]},
+  {"emoji":"🇱🇦","skin_tone_support":false,"name":"flag Laos","slug":"flag_laos","subgroup":"country-flag","codepoints":["1F1F1","1F1E6"],"codepoints_string":"1f1f1-1f1e6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"LA","keywords":["flag"]},
+  {"emoji":"🇱🇧","skin_tone_support":false,"name":"flag Lebanon","slug":"flag_lebanon","subgroup":"country-flag","codepoints":["1F1F1","1F1E7"],"codepoints_string":"1f1f1-1f1e7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"LB","keywords":["flag"]},
+  {"emoji":"🇱🇨","skin_tone_support":false,"name":"flag St. Lucia","slug":"flag_st_lucia","subgroup":"country-flag","codepoints":["1F1F1","1F1E8"],"codepoints_string":"1f1f1-1f1e8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"LC","keywords":["flag"]},
+  {"emoji":"🇱🇮","skin_tone_support":false,"name":"flag Liechtenstein","slug":"flag_liechtenstein","subgroup":"country-flag","codepoints":["1F1F1","1F1EE"],"codepoints_string":"1f1f1-1f1ee","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"LI","keywords":["flag"]},
+  {"emoji":"🇱🇰","skin_tone_support":false,"name":"flag Sri Lanka","slug":"flag_sri_lanka","subgroup":"country-flag","codepoints":["1F1F1","1F1F0"],"codepoints_string":"1f1f1-1f1f0","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"LK","keywords":["flag"]},
+  {"emoji":"🇱🇷","skin_tone_support":false,"name":"flag Liberia","slug":"flag_liberia","subgroup":"country-flag","codepoints":["1F1F1","1F1F7"],"codepoints_string":"1f1f1-1f1f7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"LR","keywords":["flag"]},
+  {"emoji":"🇱🇸","skin_tone_support":false,"name":"flag Lesotho","slug":"flag_lesotho","subgroup":"country-flag","codepoints":["1F1F1","1F1F8"],"codepoints_string":"1f1f1-1f1f8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"LS","keywords":["flag"]},
+  {"emoji":"🇱🇹","skin_tone_support":false,"name":"flag Lithuania","slug":"flag_lithuania","subgroup":"country-flag","codepoints":["1F1F1","1F1F9"],"codepoints_string":"1f1f1-1f1f9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"LT","keywords":["flag"]},
+  {"emoji":"🇱🇺","skin_tone_support":false,"name":"flag Luxembourg","slug":"flag_luxembourg","subgroup":"country-flag","codepoints":["1F1F1","1F1FA"],"codepoints_string":"1f1f1-1f1fa","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"LU","keywords":["flag"]},
+  {"emoji":"🇱🇻","skin_tone_support":false,"name":"flag Latvia","slug":"flag_latvia","subgroup":"country-flag","codepoints":["1F1F1","1F1FB"],"codepoints_string":"1f1f1-1f1fb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"LV","keywords":["flag"]},
+  {"emoji":"🇱🇾","skin_tone_support":false,"name":"flag Libya","slug":"flag_libya","subgroup":"country-flag","codepoints":["1F1F1","1F1FE"],"codepoints_string":"1f1f1-1f1fe","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"LY","keywords":["flag"]},
+  {"emoji":"🇲🇦","skin_tone_support":false,"name":"flag Morocco","slug":"flag_morocco","subgroup":"country-flag","codepoints":["1F1F2","1F1E6"],"codepoints_string":"1f1f2-1f1e6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MA","keywords":["flag"]},
+  {"emoji":"🇲🇨","skin_tone_support":false,"name":"flag Monaco","slug":"flag_monaco","subgroup":"country-flag","codepoints":["1F1F2","1F1E8"],"codepoints_string":"1f1f2-1f1e8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MC","keywords":["flag"]},
+  {"emoji":"🇲🇩","skin_tone_support":false,"name":"flag Moldova","slug":"flag_moldova","subgroup":"country-flag","codepoints":["1F1F2","1F1E9"],"codepoints_string":"1f1f2-1f1e9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MD","keywords":["flag"]},
+  {"emoji":"🇲🇪","skin_tone_support":false,"name":"flag Montenegro","slug":"flag_montenegro","subgroup":"country-flag","codepoints":["1F1F2","1F1EA"],"codepoints_string":"1f1f2-1f1ea","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"ME","keywords":["flag"]},
+  {"emoji":"🇲🇫","skin_tone_support":false,"name":"flag St. Martin","slug":"flag_st_martin","subgroup":"country-flag","codepoints":["1F1F2","1F1EB"],"codepoints_string":"1f1f2-1f1eb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MF","keywords":["flag"]},
+  {"emoji":"🇲🇬","skin_tone_support":false,"name":"flag Madagascar","slug":"flag_madagascar","subgroup":"country-flag","codepoints":["1F1F2","1F1EC"],"codepoints_string":"1f1f2-1f1ec","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MG","keywords":["flag"]},
+  {"emoji":"🇲🇭","skin_tone_support":false,"name":"flag Marshall Islands","slug":"flag_marshall_islands","subgroup":"country-flag","codepoints":["1F1F2","1F1ED"],"codepoints_string":"1f1f2-1f1ed","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MH","keywords":["flag"]},
+  {"emoji":"🇲🇰","skin_tone_support":false,"name":"flag North Macedonia","slug":"flag_north_macedonia","subgroup":"country-flag","codepoints":["1F1F2","1F1F0"],"codepoints_string":"1f1f2-1f1f0","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MK","keywords":["flag"]},
+  {"emoji":"🇲🇱","skin_tone_support":false,"name":"flag Mali","slug":"flag_mali","subgroup":"country-flag","codepoints":["1F1F2","1F1F1"],"codepoints_string":"1f1f2-1f1f1","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"ML","keywords":["flag"]},
+  {"emoji":"🇲🇲","skin_tone_support":false,"name":"flag Myanmar (Burma)","slug":"flag_myanmar","subgroup":"country-flag","codepoints":["1F1F2","1F1F2"],"codepoints_string":"1f1f2-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MM","keywords":["flag"]},
+  {"emoji":"🇲🇳","skin_tone_support":false,"name":"flag Mongolia","slug":"flag_mongolia","subgroup":"country-flag","codepoints":["1F1F2","1F1F3"],"codepoints_string":"1f1f2-1f1f3","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MN","keywords":["flag"]},
+  {"emoji":"🇲🇴","skin_tone_support":false,"name":"flag Macao SAR China","slug":"flag_macao_sar_china","subgroup":"country-flag","codepoints":["1F1F2","1F1F4"],"codepoints_string":"1f1f2-1f1f4","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MO","keywords":["flag"]},
+  {"emoji":"🇲🇵","skin_tone_support":false,"name":"flag Northern Mariana Islands","slug":"flag_northern_mariana_islands","subgroup":"country-flag","codepoints":["1F1F2","1F1F5"],"codepoints_string":"1f1f2-1f1f5","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MP","keywords":["flag"]},
+  {"emoji":"🇲🇶","skin_tone_support":false,"name":"flag Martinique","slug":"flag_martinique","subgroup":"country-flag","codepoints":["1F1F2","1F1F6"],"codepoints_string":"1f1f2-1f1f6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MQ","keywords":["flag"]},
+  {"emoji":"🇲🇷","skin_tone_support":false,"name":"flag Mauritania","slug":"flag_mauritania","subgroup":"country-flag","codepoints":["1F1F2","1F1F7"],"codepoints_string":"1f1f2-1f1f7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MR","keywords":["flag"]},
+  {"emoji":"🇲🇸","skin_tone_support":false,"name":"flag Montserrat","slug":"flag_montserrat","subgroup":"country-flag","codepoints":["1F1F2","1F1F8"],"codepoints_string":"1f1f2-1f1f8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MS","keywords":["flag"]},
+  {"emoji":"🇲🇹","skin_tone_support":false,"name":"flag Malta","slug":"flag_malta","subgroup":"country-flag","codepoints":["1F1F2","1F1F9"],"codepoints_string":"1f1f2-1f1f9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MT","keywords":["flag"]},
+  {"emoji":"🇲🇺","skin_tone_support":false,"name":"flag Mauritius","slug":"flag_mauritius","subgroup":"country-flag","codepoints":["1F1F2","1F1FA"],"codepoints_string":"1f1f2-1f1fa","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MU","keywords":["flag"]},
+  {"emoji":"🇲🇻","skin_tone_support":false,"name":"flag Maldives","slug":"flag_maldives","subgroup":"country-flag","codepoints":["1F1F2","1F1FB"],"codepoints_string":"1f1f2-1f1fb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MV","keywords":["flag"]},
+  {"emoji":"🇲🇼","skin_tone_support":false,"name":"flag Malawi","slug":"flag_malawi","subgroup":"country-flag","codepoints":["1F1F2","1F1FC"],"codepoints_string":"1f1f2-1f1fc","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MW","keywords":["flag"]},
+  {"emoji":"🇲🇽","skin_tone_support":false,"name":"flag Mexico","slug":"flag_mexico","subgroup":"country-flag","codepoints":["1F1F2","1F1FD"],"codepoints_string":"1f1f2-1f1fd","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MX","keywords":["flag"]},
+  {"emoji":"🇲🇾","skin_tone_support":false,"name":"flag Malaysia","slug":"flag_malaysia","subgroup":"country-flag","codepoints":["1F1F2","1F1FE"],"codepoints_string":"1f1f2-1f1fe","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MY","keywords":["flag"]},
+  {"emoji":"🇲🇿","skin_tone_support":false,"name":"flag Mozambique","slug":"flag_mozambique","subgroup":"country-flag","codepoints":["1F1F2","1F1FF"],"codepoints_string":"1f1f2-1f1ff","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"MZ","keywords":["flag"]},
+  {"emoji":"🇳🇦","skin_tone_support":false,"name":"flag Namibia","slug":"flag_namibia","subgroup":"country-flag","codepoints":["1F1F3","1F1E6"],"codepoints_string":"1f1f3-1f1e6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"NA","keywords":["flag"]},
+  {"emoji":"🇳🇨","skin_tone_support":false,"name":"flag New Caledonia","slug":"flag_new_caledonia","subgroup":"country-flag","codepoints":["1F1F3","1F1E8"],"codepoints_string":"1f1f3-1f1e8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"NC","keywords":["flag"]},
+  {"emoji":"🇳🇪","skin_tone_support":false,"name":"flag Niger","slug":"flag_niger","subgroup":"country-flag","codepoints":["1F1F3","1F1EA"],"codepoints_string":"1f1f3-1f1ea","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"NE","keywords":["flag"]},
+  {"emoji":"🇳🇫","skin_tone_support":false,"name":"flag Norfolk Island","slug":"flag_norfolk_island","subgroup":"country-flag","codepoints":["1F1F3","1F1EB"],"codepoints_string":"1f1f3-1f1eb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"NF","keywords":["flag"]},
+  {"emoji":"🇳🇬","skin_tone_support":false,"name":"flag Nigeria","slug":"flag_nigeria","subgroup":"country-flag","codepoints":["1F1F3","1F1EC"],"codepoints_string":"1f1f3-1f1ec","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"NG","keywords":["flag"]},
+  {"emoji":"🇳🇮","skin_tone_support":false,"name":"flag Nicaragua","slug":"flag_nicaragua","subgroup":"country-flag","codepoints":["1F1F3","1F1EE"],"codepoints_string":"1f1f3-1f1ee","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"NI","keywords":["flag"]},
+  {"emoji":"🇳🇱","skin_tone_support":false,"name":"flag Netherlands","slug":"flag_netherlands","subgroup":"country-flag","codepoints":["1F1F3","1F1F1"],"codepoints_string":"1f1f3-1f1f1","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"NL","keywords":["flag"]},
+  {"emoji":"🇳🇴","skin_tone_support":false,"name":"flag Norway","slug":"flag_norway","subgroup":"country-flag","codepoints":["1F1F3","1F1F4"],"codepoints_string":"1f1f3-1f1f4","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"NO","keywords":["flag"]},
+  {"emoji":"🇳🇵","skin_tone_support":false,"name":"flag Nepal","slug":"flag_nepal","subgroup":"country-flag","codepoints":["1F1F3","1F1F5"],"codepoints_string":"1f1f3-1f1f5","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"NP","keywords":["flag"]},
+  {"emoji":"🇳🇷","skin_tone_support":false,"name":"flag Nauru","slug":"flag_nauru","subgroup":"country-flag","codepoints":["1F1F3","1F1F7"],"codepoints_string":"1f1f3-1f1f7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"NR","keywords":["flag"]},
+  {"emoji":"🇳🇺","skin_tone_support":false,"name":"flag Niue","slug":"flag_niue","subgroup":"country-flag","codepoints":["1F1F3","1F1FA"],"codepoints_string":"1f1f3-1f1fa","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"NU","keywords":["flag"]},
+  {"emoji":"🇳🇿","skin_tone_support":false,"name":"flag New Zealand","slug":"flag_new_zealand","subgroup":"country-flag","codepoints":["1F1F3","1F1FF"],"codepoints_string":"1f1f3-1f1ff","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"NZ","keywords":["flag"]},
+  {"emoji":"🇴🇲","skin_tone_support":false,"name":"flag Oman","slug":"flag_oman","subgroup":"country-flag","codepoints":["1F1F4","1F1F2"],"codepoints_string":"1f1f4-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"OM","keywords":["flag"]},
+  {"emoji":"🇵🇦","skin_tone_support":false,"name":"flag Panama","slug":"flag_panama","subgroup":"country-flag","codepoints":["1F1F5","1F1E6"],"codepoints_string":"1f1f5-1f1e6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"PA","keywords":["flag"]},
+  {"emoji":"🇵🇪","skin_tone_support":false,"name":"flag Peru","slug":"flag_peru","subgroup":"country-flag","codepoints":["1F1F5","1F1EA"],"codepoints_string":"1f1f5-1f1ea","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"PE","keywords":["flag"]},
+  {"emoji":"🇵🇫","skin_tone_support":false,"name":"flag French Polynesia","slug":"flag_french_polynesia","subgroup":"country-flag","codepoints":["1F1F5","1F1EB"],"codepoints_string":"1f1f5-1f1eb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"PF","keywords":["flag"]},
+  {"emoji":"🇵🇬","skin_tone_support":false,"name":"flag Papua New Guinea","slug":"flag_papua_new_guinea","subgroup":"country-flag","codepoints":["1F1F5","1F1EC"],"codepoints_string":"1f1f5-1f1ec","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"PG","keywords":["flag"]},
+  {"emoji":"🇵🇭","skin_tone_support":false,"name":"flag Philippines","slug":"flag_philippines","subgroup":"country-flag","codepoints":["1F1F5","1F1ED"],"codepoints_string":"1f1f5-1f1ed","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"PH","keywords":["flag"]},
+  {"emoji":"🇵🇰","skin_tone_support":false,"name":"flag Pakistan","slug":"flag_pakistan","subgroup":"country-flag","codepoints":["1F1F5","1F1F0"],"codepoints_string":"1f1f5-1f1f0","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"PK","keywords":["flag"]},
+  {"emoji":"🇵🇱","skin_tone_support":false,"name":"flag Poland","slug":"flag_poland","subgroup":"country-flag","codepoints":["1F1F5","1F1F1"],"codepoints_string":"1f1f5-1f1f1","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"PL","keywords":["flag"]},
+  {"emoji":"🇵🇲","skin_tone_support":false,"name":"flag St. Pierre & Miquelon","slug":"flag_st_pierre_miquelon","subgroup":"country-flag","codepoints":["1F1F5","1F1F2"],"codepoints_string":"1f1f5-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"PM","keywords":["flag"]},
+  {"emoji":"🇵🇳","skin_tone_support":false,"name":"flag Pitcairn Islands","slug":"flag_pitcairn_islands","subgroup":"country-flag","codepoints":["1F1F5","1F1F3"],"codepoints_string":"1f1f5-1f1f3","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"PN","keywords":["flag"]},
+  {"emoji":"🇵🇷","skin_tone_support":false,"name":"flag Puerto Rico","slug":"flag_puerto_rico","subgroup":"country-flag","codepoints":["1F1F5","1F1F7"],"codepoints_string":"1f1f5-1f1f7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"PR","keywords":["flag"]},
+  {"emoji":"🇵🇸","skin_tone_support":false,"name":"flag Palestinian Territories","slug":"flag_palestinian_territories","subgroup":"country-flag","codepoints":["1F1F5","1F1F8"],"codepoints_string":"1f1f5-1f1f8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"PS","keywords":["flag"]},
+  {"emoji":"🇵🇹","skin_tone_support":false,"name":"flag Portugal","slug":"flag_portugal","subgroup":"country-flag","codepoints":["1F1F5","1F1F9"],"codepoints_string":"1f1f5-1f1f9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"PT","keywords":["flag"]},
+  {"emoji":"🇵🇼","skin_tone_support":false,"name":"flag Palau","slug":"flag_palau","subgroup":"country-flag","codepoints":["1F1F5","1F1FC"],"codepoints_string":"1f1f5-1f1fc","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"PW","keywords":["flag"]},
+  {"emoji":"🇵🇾","skin_tone_support":false,"name":"flag Paraguay","slug":"flag_paraguay","subgroup":"country-flag","codepoints":["1F1F5","1F1FE"],"codepoints_string":"1f1f5-1f1fe","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"PY","keywords":["flag"]},
+  {"emoji":"🇶🇦","skin_tone_support":false,"name":"flag Qatar","slug":"flag_qatar","subgroup":"country-flag","codepoints":["1F1F6","1F1E6"],"codepoints_string":"1f1f6-1f1e6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"QA","keywords":["flag"]},
+  {"emoji":"🇷🇪","skin_tone_support":false,"name":"flag Réunion","slug":"flag_reunion","subgroup":"country-flag","codepoints":["1F1F7","1F1EA"],"codepoints_string":"1f1f7-1f1ea","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"RE","keywords":["flag"]},
+  {"emoji":"🇷🇴","skin_tone_support":false,"name":"flag Romania","slug":"flag_romania","subgroup":"country-flag","codepoints":["1F1F7","1F1F4"],"codepoints_string":"1f1f7-1f1f4","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"RO","keywords":["flag"]},
+  {"emoji":"🇷🇸","skin_tone_support":false,"name":"flag Serbia","slug":"flag_serbia","subgroup":"country-flag","codepoints":["1F1F7","1F1F8"],"codepoints_string":"1f1f7-1f1f8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"RS","keywords":["flag"]},
+  {"emoji":"🇷🇺","skin_tone_support":false,"name":"flag Russia","slug":"flag_russia","subgroup":"country-flag","codepoints":["1F1F7","1F1FA"],"codepoints_string":"1f1f7-1f1fa","utf16_length":4,"unicode_version":"0.6","emoji_version":"0.6","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"RU","keywords":["flag"]},
+  {"emoji":"🇷🇼","skin_tone_support":false,"name":"flag Rwanda","slug":"flag_rwanda","subgroup":"country-flag","codepoints":["1F1F7","1F1FC"],"codepoints_string":"1f1f7-1f1fc","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"RW","keywords":["flag"]},
+  {"emoji":"🇸🇦","skin_tone_support":false,"name":"flag Saudi Arabia","slug":"flag_saudi_arabia","subgroup":"country-flag","codepoints":["1F1F8","1F1E6"],"codepoints_string":"1f1f8-1f1e6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SA","keywords":["flag"]},
+  {"emoji":"🇸🇧","skin_tone_support":false,"name":"flag Solomon Islands","slug":"flag_solomon_islands","subgroup":"country-flag","codepoints":["1F1F8","1F1E7"],"codepoints_string":"1f1f8-1f1e7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SB","keywords":["flag"]},
+  {"emoji":"🇸🇨","skin_tone_support":false,"name":"flag Seychelles","slug":"flag_seychelles","subgroup":"country-flag","codepoints":["1F1F8","1F1E8"],"codepoints_string":"1f1f8-1f1e8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SC","keywords":["flag"]},
+  {"emoji":"🇸🇩","skin_tone_support":false,"name":"flag Sudan","slug":"flag_sudan","subgroup":"country-flag","codepoints":["1F1F8","1F1E9"],"codepoints_string":"1f1f8-1f1e9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SD","keywords":["flag"]},
+  {"emoji":"🇸🇪","skin_tone_support":false,"name":"flag Sweden","slug":"flag_sweden","subgroup":"country-flag","codepoints":["1F1F8","1F1EA"],"codepoints_string":"1f1f8-1f1ea","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SE","keywords":["flag"]},
+  {"emoji":"🇸🇬","skin_tone_support":false,"name":"flag Singapore","slug":"flag_singapore","subgroup":"country-flag","codepoints":["1F1F8","1F1EC"],"codepoints_string":"1f1f8-1f1ec","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SG","keywords":["flag"]},
+  {"emoji":"🇸🇭","skin_tone_support":false,"name":"flag St. Helena","slug":"flag_st_helena","subgroup":"country-flag","codepoints":["1F1F8","1F1ED"],"codepoints_string":"1f1f8-1f1ed","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SH","keywords":["flag"]},
+  {"emoji":"🇸🇮","skin_tone_support":false,"name":"flag Slovenia","slug":"flag_slovenia","subgroup":"country-flag","codepoints":["1F1F8","1F1EE"],"codepoints_string":"1f1f8-1f1ee","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SI","keywords":["flag"]},
+  {"emoji":"🇸🇯","skin_tone_support":false,"name":"flag Svalbard & Jan Mayen","slug":"flag_svalbard_jan_mayen","subgroup":"country-flag","codepoints":["1F1F8","1F1EF"],"codepoints_string":"1f1f8-1f1ef","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SJ","keywords":["flag"]},
+  {"emoji":"🇸🇰","skin_tone_support":false,"name":"flag Slovakia","slug":"flag_slovakia","subgroup":"country-flag","codepoints":["1F1F8","1F1F0"],"codepoints_string":"1f1f8-1f1f0","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SK","keywords":["flag"]},
+  {"emoji":"🇸🇱","skin_tone_support":false,"name":"flag Sierra Leone","slug":"flag_sierra_leone","subgroup":"country-flag","codepoints":["1F1F8","1F1F1"],"codepoints_string":"1f1f8-1f1f1","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SL","keywords":["flag"]},
+  {"emoji":"🇸🇲","skin_tone_support":false,"name":"flag San Marino","slug":"flag_san_marino","subgroup":"country-flag","codepoints":["1F1F8","1F1F2"],"codepoints_string":"1f1f8-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SM","keywords":["flag"]},
+  {"emoji":"🇸🇳","skin_tone_support":false,"name":"flag Senegal","slug":"flag_senegal","subgroup":"country-flag","codepoints":["1F1F8","1F1F3"],"codepoints_string":"1f1f8-1f1f3","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SN","keywords":["flag"]},
+  {"emoji":"🇸🇴","skin_tone_support":false,"name":"flag Somalia","slug":"flag_somalia","subgroup":"country-flag","codepoints":["1F1F8","1F1F4"],"codepoints_string":"1f1f8-1f1f4","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SO","keywords":["flag"]},
+  {"emoji":"🇸🇷","skin_tone_support":false,"name":"flag Suriname","slug":"flag_suriname","subgroup":"country-flag","codepoints":["1F1F8","1F1F7"],"codepoints_string":"1f1f8-1f1f7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SR","keywords":["flag"]},
+  {"emoji":"🇸🇸","skin_tone_support":false,"name":"flag South Sudan","slug":"flag_south_sudan","subgroup":"country-flag","codepoints":["1F1F8","1F1F8"],"codepoints_string":"1f1f8-1f1f8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SS","keywords":["flag"]},
+  {"emoji":"🇸🇹","skin_tone_support":false,"name":"flag São Tomé & Príncipe","slug":"flag_sao_tome_principe","subgroup":"country-flag","codepoints":["1F1F8","1F1F9"],"codepoints_string":"1f1f8-1f1f9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"ST","keywords":["flag"]},
+  {"emoji":"🇸🇻","skin_tone_support":false,"name":"flag El Salvador","slug":"flag_el_salvador","subgroup":"country-flag","codepoints":["1F1F8","1F1FB"],"codepoints_string":"1f1f8-1f1fb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SV","keywords":["flag"]},
+  {"emoji":"🇸🇽","skin_tone_support":false,"name":"flag Sint Maarten","slug":"flag_sint_maarten","subgroup":"country-flag","codepoints":["1F1F8","1F1FD"],"codepoints_string":"1f1f8-1f1fd","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SX","keywords":["flag"]},
+  {"emoji":"🇸🇾","skin_tone_support":false,"name":"flag Syria","slug":"flag_syria","subgroup":"country-flag","codepoints":["1F1F8","1F1FE"],"codepoints_string":"1f1f8-1f1fe","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SY","keywords":["flag"]},
+  {"emoji":"🇸🇿","skin_tone_support":false,"name":"flag Eswatini","slug":"flag_eswatini","subgroup":"country-flag","codepoints":["1F1F8","1F1FF"],"codepoints_string":"1f1f8-1f1ff","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"SZ","keywords":["flag"]},
+  {"emoji":"🇹🇦","skin_tone_support":false,"name":"flag Tristan da Cunha","slug":"flag_tristan_da_cunha","subgroup":"country-flag","codepoints":["1F1F9","1F1E6"],"codepoints_string":"1f1f9-1f1e6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TA","keywords":["flag"]},
+  {"emoji":"🇹🇨","skin_tone_support":false,"name":"flag Turks & Caicos Islands","slug":"flag_turks_caicos_islands","subgroup":"country-flag","codepoints":["1F1F9","1F1E8"],"codepoints_string":"1f1f9-1f1e8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TC","keywords":["flag"]},
+  {"emoji":"🇹🇩","skin_tone_support":false,"name":"flag Chad","slug":"flag_chad","subgroup":"country-flag","codepoints":["1F1F9","1F1E9"],"codepoints_string":"1f1f9-1f1e9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TD","keywords":["flag"]},
+  {"emoji":"🇹🇫","skin_tone_support":false,"name":"flag French Southern Territories","slug":"flag_french_southern_territories","subgroup":"country-flag","codepoints":["1F1F9","1F1EB"],"codepoints_string":"1f1f9-1f1eb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TF","keywords":["flag"]},
+  {"emoji":"🇹🇬","skin_tone_support":false,"name":"flag Togo","slug":"flag_togo","subgroup":"country-flag","codepoints":["1F1F9","1F1EC"],"codepoints_string":"1f1f9-1f1ec","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TG","keywords":["flag"]},
+  {"emoji":"🇹🇭","skin_tone_support":false,"name":"flag Thailand","slug":"flag_thailand","subgroup":"country-flag","codepoints":["1F1F9","1F1ED"],"codepoints_string":"1f1f9-1f1ed","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TH","keywords":["flag"]},
+  {"emoji":"🇹🇯","skin_tone_support":false,"name":"flag Tajikistan","slug":"flag_tajikistan","subgroup":"country-flag","codepoints":["1F1F9","1F1EF"],"codepoints_string":"1f1f9-1f1ef","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TJ","keywords":["flag"]},
+  {"emoji":"🇹🇰","skin_tone_support":false,"name":"flag Tokelau","slug":"flag_tokelau","subgroup":"country-flag","codepoints":["1F1F9","1F1F0"],"codepoints_string":"1f1f9-1f1f0","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TK","keywords":["flag"]},
+  {"emoji":"🇹🇱","skin_tone_support":false,"name":"flag Timor-Leste","slug":"flag_timor_leste","subgroup":"country-flag","codepoints":["1F1F9","1F1F1"],"codepoints_string":"1f1f9-1f1f1","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TL","keywords":["flag"]},
+  {"emoji":"🇹🇲","skin_tone_support":false,"name":"flag Turkmenistan","slug":"flag_turkmenistan","subgroup":"country-flag","codepoints":["1F1F9","1F1F2"],"codepoints_string":"1f1f9-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TM","keywords":["flag"]},
+  {"emoji":"🇹🇳","skin_tone_support":false,"name":"flag Tunisia","slug":"flag_tunisia","subgroup":"country-flag","codepoints":["1F1F9","1F1F3"],"codepoints_string":"1f1f9-1f1f3","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TN","keywords":["flag"]},
+  {"emoji":"🇹🇴","skin_tone_support":false,"name":"flag Tonga","slug":"flag_tonga","subgroup":"country-flag","codepoints":["1F1F9","1F1F4"],"codepoints_string":"1f1f9-1f1f4","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TO","keywords":["flag"]},
+  {"emoji":"🇹🇷","skin_tone_support":false,"name":"flag Türkiye","slug":"flag_turkiye","subgroup":"country-flag","codepoints":["1F1F9","1F1F7"],"codepoints_string":"1f1f9-1f1f7","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TR","keywords":["flag"]},
+  {"emoji":"🇹🇹","skin_tone_support":false,"name":"flag Trinidad & Tobago","slug":"flag_trinidad_tobago","subgroup":"country-flag","codepoints":["1F1F9","1F1F9"],"codepoints_string":"1f1f9-1f1f9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TT","keywords":["flag"]},
+  {"emoji":"🇹🇻","skin_tone_support":false,"name":"flag Tuvalu","slug":"flag_tuvalu","subgroup":"country-flag","codepoints":["1F1F9","1F1FB"],"codepoints_string":"1f1f9-1f1fb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TV","keywords":["flag"]},
+  {"emoji":"🇹🇼","skin_tone_support":false,"name":"flag Taiwan","slug":"flag_taiwan","subgroup":"country-flag","codepoints":["1F1F9","1F1FC"],"codepoints_string":"1f1f9-1f1fc","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TW","keywords":["flag"]},
+  {"emoji":"🇹🇿","skin_tone_support":false,"name":"flag Tanzania","slug":"flag_tanzania","subgroup":"country-flag","codepoints":["1F1F9","1F1FF"],"codepoints_string":"1f1f9-1f1ff","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"TZ","keywords":["flag"]},
+  {"emoji":"🇺🇦","skin_tone_support":false,"name":"flag Ukraine","slug":"flag_ukraine","subgroup":"country-flag","codepoints":["1F1FA","1F1E6"],"codepoints_string":"1f1fa-1f1e6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"UA","keywords":["flag"]},
+  {"emoji":"🇺🇬","skin_tone_support":false,"name":"flag Uganda","slug":"flag_uganda","subgroup":"country-flag","codepoints":["1F1FA","1F1EC"],"codepoints_string":"1f1fa-1f1ec","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"UG","keywords":["flag"]},
+  {"emoji":"🇺🇲","skin_tone_support":false,"name":"flag U.S. Outlying Islands","slug":"flag_u_s_outlying_islands","subgroup":"country-flag","codepoints":["1F1FA","1F1F2"],"codepoints_string":"1f1fa-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"UM","keywords":["flag"]},
+  {"emoji":"🇺🇳","skin_tone_support":false,"name":"flag United Nations","slug":"flag_united_nations","subgroup":"country-flag","codepoints":["1F1FA","1F1F3"],"codepoints_string":"1f1fa-1f1f3","utf16_length":4,"unicode_version":"4.0","emoji_version":"4.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"UN","keywords":["flag"]},
+  {"emoji":"🇺🇸","skin_tone_support":false,"name":"flag United States","slug":"flag_united_states","subgroup":"country-flag","codepoints":["1F1FA","1F1F8"],"codepoints_string":"1f1fa-1f1f8","utf16_length":4,"unicode_version":"0.6","emoji_version":"0.6","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"US","keywords":["flag"]},
+  {"emoji":"🇺🇾","skin_tone_support":false,"name":"flag Uruguay","slug":"flag_uruguay","subgroup":"country-flag","codepoints":["1F1FA","1F1FE"],"codepoints_string":"1f1fa-1f1fe","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"UY","keywords":["flag"]},
+  {"emoji":"🇺🇿","skin_tone_support":false,"name":"flag Uzbekistan","slug":"flag_uzbekistan","subgroup":"country-flag","codepoints":["1F1FA","1F1FF"],"codepoints_string":"1f1fa-1f1ff","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"UZ","keywords":["flag"]},
+  {"emoji":"🇻🇦","skin_tone_support":false,"name":"flag Vatican City","slug":"flag_vatican_city","subgroup":"country-flag","codepoints":["1F1FB","1F1E6"],"codepoints_string":"1f1fb-1f1e6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"VA","keywords":["flag"]},
+  {"emoji":"🇻🇨","skin_tone_support":false,"name":"flag St. Vincent & Grenadines","slug":"flag_st_vincent_grenadines","subgroup":"country-flag","codepoints":["1F1FB","1F1E8"],"codepoints_string":"1f1fb-1f1e8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"VC","keywords":["flag"]},
+  {"emoji":"🇻🇪","skin_tone_support":false,"name":"flag Venezuela","slug":"flag_venezuela","subgroup":"country-flag","codepoints":["1F1FB","1F1EA"],"codepoints_string":"1f1fb-1f1ea","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"VE","keywords":["flag"]},
+  {"emoji":"🇻🇬","skin_tone_support":false,"name":"flag British Virgin Islands","slug":"flag_british_virgin_islands","subgroup":"country-flag","codepoints":["1F1FB","1F1EC"],"codepoints_string":"1f1fb-1f1ec","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"VG","keywords":["flag"]},
+  {"emoji":"🇻🇮","skin_tone_support":false,"name":"flag U.S. Virgin Islands","slug":"flag_u_s_virgin_islands","subgroup":"country-flag","codepoints":["1F1FB","1F1EE"],"codepoints_string":"1f1fb-1f1ee","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"VI","keywords":["flag"]},
+  {"emoji":"🇻🇳","skin_tone_support":false,"name":"flag Vietnam","slug":"flag_vietnam","subgroup":"country-flag","codepoints":["1F1FB","1F1F3"],"codepoints_string":"1f1fb-1f1f3","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"VN","keywords":["flag"]},
+  {"emoji":"🇻🇺","skin_tone_support":false,"name":"flag Vanuatu","slug":"flag_vanuatu","subgroup":"country-flag","codepoints":["1F1FB","1F1FA"],"codepoints_string":"1f1fb-1f1fa","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"VU","keywords":["flag"]},
+  {"emoji":"🇼🇫","skin_tone_support":false,"name":"flag Wallis & Futuna","slug":"flag_wallis_futuna","subgroup":"country-flag","codepoints":["1F1FC","1F1EB"],"codepoints_string":"1f1fc-1f1eb","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"WF","keywords":["flag"]},
+  {"emoji":"🇼🇸","skin_tone_support":false,"name":"flag Samoa","slug":"flag_samoa","subgroup":"country-flag","codepoints":["1F1FC","1F1F8"],"codepoints_string":"1f1fc-1f1f8","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"WS","keywords":["flag"]},
+  {"emoji":"🇽🇰","skin_tone_support":false,"name":"flag Kosovo","slug":"flag_kosovo","subgroup":"country-flag","codepoints":["1F1FD","1F1F0"],"codepoints_string":"1f1fd-1f1f0","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"XK","keywords":["flag"]},
+  {"emoji":"🇾🇪","skin_tone_support":false,"name":"flag Yemen","slug":"flag_yemen","subgroup":"country-flag","codepoints":["1F1FE","1F1EA"],"codepoints_string":"1f1fe-1f1ea","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"YE","keywords":["flag"]},
+  {"emoji":"🇾🇹","skin_tone_support":false,"name":"flag Mayotte","slug":"flag_mayotte","subgroup":"country-flag","codepoints":["1F1FE","1F1F9"],"codepoints_string":"1f1fe-1f1f9","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"YT","keywords":["flag"]},
+  {"emoji":"🇿🇦","skin_tone_support":false,"name":"flag South Africa","slug":"flag_south_africa","subgroup":"country-flag","codepoints":["1F1FF","1F1E6"],"codepoints_string":"1f1ff-1f1e6","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"ZA","keywords":["flag"]},
+  {"emoji":"🇿🇲","skin_tone_support":false,"name":"flag Zambia","slug":"flag_zambia","subgroup":"country-flag","codepoints":["1F1FF","1F1F2"],"codepoints_string":"1f1ff-1f1f2","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"ZM","keywords":["flag"]},
+  {"emoji":"🇿🇼","skin_tone_support":false,"name":"flag Zimbabwe","slug":"flag_zimbabwe","subgroup":"country-flag","codepoints":["1F1FF","1F1FC"],"codepoints_string":"1f1ff-1f1fc","utf16_length":4,"unicode_version":"2.0","emoji_version":"2.0","type":"flag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":false,"region_code":"ZW","keywords":["flag"]},
+  {"emoji":"🏴󠁧󠁢󠁥󠁮󠁧󠁿","skin_tone_support":false,"name":"flag England","slug":"flag_england","subgroup":"subdivision-flag","codepoints":["1F3F4","E0067","E0062","E0065","E006E","E0067","E007F"],"codepoints_string":"1f3f4-e0067-e0062-e0065-e006e-e0067-e007f","utf16_length":14,"unicode_version":"5.0","emoji_version":"5.0","type":"tag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"subdivision_code":"gb-eng","keywords":["flag"]},
+  {"emoji":"🏴󠁧󠁢󠁳󠁣󠁴󠁿","skin_tone_support":false,"name":"flag Scotland","slug":"flag_scotland","subgroup":"subdivision-flag","codepoints":["1F3F4","E0067","E0062","E0073","E0063","E0074","E007F"],"codepoints_string":"1f3f4-e0067-e0062-e0073-e0063-e0074-e007f","utf16_length":14,"unicode_version":"5.0","emoji_version":"5.0","type":"tag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"subdivision_code":"gb-sct","keywords":["flag"]},
+  {"emoji":"🏴󠁧󠁢󠁷󠁬󠁳󠁿","skin_tone_support":false,"name":"flag Wales","slug":"flag_wales","subgroup":"subdivision-flag","codepoints":["1F3F4","E0067","E0062","E0077","E006C","E0073","E007F"],"codepoints_string":"1f3f4-e0067-e0062-e0077-e006c-e0073-e007f","utf16_length":14,"unicode_version":"5.0","emoji_version":"5.0","type":"tag_sequence","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"subdivision_code":"gb-wls","keywords":["flag"]}
+]
@@ -0,0 +1,7 @@
+// Generated by script/generate-types.js from schema/ and the built data files. Do not edit.
+
+import type {GroupEmoji} from '../index';
+
+export declare const name: string;
+export declare const slug: string;
+export declare const emojis: Array<GroupEmoji>;
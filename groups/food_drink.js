@@ -0,0 +1,137 @@
+// Generated by script/build.js from the Unicode emoji data. Do not edit.
+
+exports.name = "Food & Drink"
+exports.slug = "food_drink"
+exports.emojis = [
+  {"emoji":"🍇","skin_tone_support":false,"name":"grapes","slug":"grapes","subgroup":"food-fruit","codepoints":["1F347"],"codepoints_string":"1f347","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["Dionysus","fruit","grape","grapes"]},
+  {"emoji":"🍈","skin_tone_support":false,"name":"melon","slug":"melon","subgroup":"food-fruit","codepoints":["1F348"],"codepoints_string":"1f348","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cantaloupe","fruit","melon"]},
+  {"emoji":"🍉","skin_tone_support":false,"name":"watermelon","slug":"watermelon","subgroup":"food-fruit","codepoints":["1F349"],"codepoints_string":"1f349","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["fruit","watermelon"]},
+  {"emoji":"🍊","skin_tone_support":false,"name":"tangerine","slug":"tangerine","subgroup":"food-fruit","codepoints":["1F34A"],"codepoints_string":"1f34a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["c","citrus","fruit","nectarine","orange","tangerine","vitamin"]},
+  {"emoji":"🍋","skin_tone_support":false,"name":"lemon","slug":"lemon","subgroup":"food-fruit","codepoints":["1F34B"],"codepoints_string":"1f34b","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["citrus","fruit","lemon","sour"]},
+  {"emoji":"🍋‍🟩","skin_tone_support":false,"name":"lime","slug":"lime","subgroup":"food-fruit","codepoints":["1F34B","200D","1F7E9"],"codepoints_string":"1f34b-200d-1f7e9","utf16_length":5,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🍋","🟩"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["acidity","citrus","cocktail","fruit","garnish","key","lime","margarita","mojito","refreshing","salsa","sour","tangy","tequila","tropical","zest"]},
+  {"emoji":"🍌","skin_tone_support":false,"name":"banana","slug":"banana","subgroup":"food-fruit","codepoints":["1F34C"],"codepoints_string":"1f34c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["banana","fruit","potassium"]},
+  {"emoji":"🍍","skin_tone_support":false,"name":"pineapple","slug":"pineapple","subgroup":"food-fruit","codepoints":["1F34D"],"codepoints_string":"1f34d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["colada","fruit","pina","pineapple","tropical"]},
+  {"emoji":"🥭","skin_tone_support":false,"name":"mango","slug":"mango","subgroup":"food-fruit","codepoints":["1F96D"],"codepoints_string":"1f96d","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","fruit","mango","tropical"]},
+  {"emoji":"🍎","skin_tone_support":false,"name":"red apple","slug":"red_apple","subgroup":"food-fruit","codepoints":["1F34E"],"codepoints_string":"1f34e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["apple","diet","food","fruit","health","red","ripe"]},
+  {"emoji":"🍏","skin_tone_support":false,"name":"green apple","slug":"green_apple","subgroup":"food-fruit","codepoints":["1F34F"],"codepoints_string":"1f34f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["apple","fruit","green"]},
+  {"emoji":"🍐","skin_tone_support":false,"name":"pear","slug":"pear","subgroup":"food-fruit","codepoints":["1F350"],"codepoints_string":"1f350","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["fruit","pear"]},
+  {"emoji":"🍑","skin_tone_support":false,"name":"peach","slug":"peach","subgroup":"food-fruit","codepoints":["1F351"],"codepoints_string":"1f351","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["fruit","peach"]},
+  {"emoji":"🍒","skin_tone_support":false,"name":"cherries","slug":"cherries","subgroup":"food-fruit","codepoints":["1F352"],"codepoints_string":"1f352","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["berries","cherries","cherry","fruit","red"]},
+  {"emoji":"🍓","skin_tone_support":false,"name":"strawberry","slug":"strawberry","subgroup":"food-fruit","codepoints":["1F353"],"codepoints_string":"1f353","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["berry","fruit","strawberry"]},
+  {"emoji":"🫐","skin_tone_support":false,"name":"blueberries","slug":"blueberries","subgroup":"food-fruit","codepoints":["1FAD0"],"codepoints_string":"1fad0","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["berries","berry","bilberry","blue","blueberries","blueberry","food","fruit"]},
+  {"emoji":"🥝","skin_tone_support":false,"name":"kiwi fruit","slug":"kiwi_fruit","subgroup":"food-fruit","codepoints":["1F95D"],"codepoints_string":"1f95d","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","fruit","kiwi"]},
+  {"emoji":"🍅","skin_tone_support":false,"name":"tomato","slug":"tomato","subgroup":"food-fruit","codepoints":["1F345"],"codepoints_string":"1f345","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","fruit","tomato","vegetable"]},
+  {"emoji":"🫒","skin_tone_support":false,"name":"olive","slug":"olive","subgroup":"food-fruit","codepoints":["1FAD2"],"codepoints_string":"1fad2","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","olive"]},
+  {"emoji":"🥥","skin_tone_support":false,"name":"coconut","slug":"coconut","subgroup":"food-fruit","codepoints":["1F965"],"codepoints_string":"1f965","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["coconut","colada","palm","piña"]},
+  {"emoji":"🥑","skin_tone_support":false,"name":"avocado","slug":"avocado","subgroup":"food-vegetable","codepoints":["1F951"],"codepoints_string":"1f951","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["avocado","food","fruit"]},
+  {"emoji":"🍆","skin_tone_support":false,"name":"eggplant","slug":"eggplant","subgroup":"food-vegetable","codepoints":["1F346"],"codepoints_string":"1f346","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["aubergine","eggplant","vegetable"]},
+  {"emoji":"🥔","skin_tone_support":false,"name":"potato","slug":"potato","subgroup":"food-vegetable","codepoints":["1F954"],"codepoints_string":"1f954","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","potato","vegetable"]},
+  {"emoji":"🥕","skin_tone_support":false,"name":"carrot","slug":"carrot","subgroup":"food-vegetable","codepoints":["1F955"],"codepoints_string":"1f955","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["carrot","food","vegetable"]},
+  {"emoji":"🌽","skin_tone_support":false,"name":"ear of corn","slug":"ear_of_corn","subgroup":"food-vegetable","codepoints":["1F33D"],"codepoints_string":"1f33d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["corn","crops","ear","farm","maize","maze"]},
+  {"emoji":"🌶️","skin_tone_support":false,"name":"hot pepper","slug":"hot_pepper","subgroup":"food-vegetable","codepoints":["1F336","FE0F"],"codepoints_string":"1f336-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["hot","pepper"]},
+  {"emoji":"🫑","skin_tone_support":false,"name":"bell pepper","slug":"bell_pepper","subgroup":"food-vegetable","codepoints":["1FAD1"],"codepoints_string":"1fad1","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bell","capsicum","food","pepper","vegetable"]},
+  {"emoji":"🥒","skin_tone_support":false,"name":"cucumber","slug":"cucumber","subgroup":"food-vegetable","codepoints":["1F952"],"codepoints_string":"1f952","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cucumber","food","pickle","vegetable"]},
+  {"emoji":"🥬","skin_tone_support":false,"name":"leafy green","slug":"leafy_green","subgroup":"food-vegetable","codepoints":["1F96C"],"codepoints_string":"1f96c","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bok","burgers","cabbage","choy","green","kale","leafy","lettuce","salad"]},
+  {"emoji":"🥦","skin_tone_support":false,"name":"broccoli","slug":"broccoli","subgroup":"food-vegetable","codepoints":["1F966"],"codepoints_string":"1f966","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["broccoli","cabbage","wild"]},
+  {"emoji":"🧄","skin_tone_support":false,"name":"garlic","slug":"garlic","subgroup":"food-vegetable","codepoints":["1F9C4"],"codepoints_string":"1f9c4","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["flavoring","garlic"]},
+  {"emoji":"🧅","skin_tone_support":false,"name":"onion","slug":"onion","subgroup":"food-vegetable","codepoints":["1F9C5"],"codepoints_string":"1f9c5","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["flavoring","onion"]},
+  {"emoji":"🥜","skin_tone_support":false,"name":"peanuts","slug":"peanuts","subgroup":"food-vegetable","codepoints":["1F95C"],"codepoints_string":"1f95c","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","nut","peanut","peanuts","vegetable"]},
+  {"emoji":"🫘","skin_tone_support":false,"name":"beans","slug":"beans","subgroup":"food-vegetable","codepoints":["1FAD8"],"codepoints_string":"1fad8","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beans","food","kidney","legume","small"]},
+  {"emoji":"🌰","skin_tone_support":false,"name":"chestnut","slug":"chestnut","subgroup":"food-vegetable","codepoints":["1F330"],"codepoints_string":"1f330","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["almond","chestnut","plant"]},
+  {"emoji":"🫚","skin_tone_support":false,"name":"ginger root","slug":"ginger_root","subgroup":"food-vegetable","codepoints":["1FADA"],"codepoints_string":"1fada","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beer","ginger","health","herb","natural","root","spice"]},
+  {"emoji":"🫛","skin_tone_support":false,"name":"pea pod","slug":"pea_pod","subgroup":"food-vegetable","codepoints":["1FADB"],"codepoints_string":"1fadb","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beans","beanstalk","edamame","legume","pea","pod","soybean","vegetable","veggie"]},
+  {"emoji":"🍄‍🟫","skin_tone_support":false,"name":"brown mushroom","slug":"brown_mushroom","subgroup":"food-vegetable","codepoints":["1F344","200D","1F7EB"],"codepoints_string":"1f344-200d-1f7eb","utf16_length":5,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🍄","🟫"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","fungi","fungus","mushroom","nature","pizza","portobello","shiitake","shroom","spore","sprout","toppings","truffle","vegetable","vegetarian","veggie"]},
+  {"emoji":"🫜","skin_tone_support":false,"name":"root vegetable","slug":"root_vegetable","subgroup":"food-vegetable","codepoints":["1FADC"],"codepoints_string":"1fadc","utf16_length":2,"unicode_version":"16.0","emoji_version":"16.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beet","food","garden","radish","root","salad","turnip","vegetable","vegetarian"]},
+  {"emoji":"🍞","skin_tone_support":false,"name":"bread","slug":"bread","subgroup":"food-prepared","codepoints":["1F35E"],"codepoints_string":"1f35e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bread","carbs","food","grain","loaf","restaurant","toast","wheat"]},
+  {"emoji":"🥐","skin_tone_support":false,"name":"croissant","slug":"croissant","subgroup":"food-prepared","codepoints":["1F950"],"codepoints_string":"1f950","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bread","breakfast","crescent","croissant","food","french","roll"]},
+  {"emoji":"🥖","skin_tone_support":false,"name":"baguette bread","slug":"baguette_bread","subgroup":"food-prepared","codepoints":["1F956"],"codepoints_string":"1f956","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["baguette","bread","food","french"]},
+  {"emoji":"🫓","skin_tone_support":false,"name":"flatbread","slug":"flatbread","subgroup":"food-prepared","codepoints":["1FAD3"],"codepoints_string":"1fad3","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arepa","bread","flatbread","food","gordita","lavash","naan","pita"]},
+  {"emoji":"🥨","skin_tone_support":false,"name":"pretzel","slug":"pretzel","subgroup":"food-prepared","codepoints":["1F968"],"codepoints_string":"1f968","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["convoluted","pretzel","twisted"]},
+  {"emoji":"🥯","skin_tone_support":false,"name":"bagel","slug":"bagel","subgroup":"food-prepared","codepoints":["1F96F"],"codepoints_string":"1f96f","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bagel","bakery","bread","breakfast","schmear"]},
+  {"emoji":"🥞","skin_tone_support":false,"name":"pancakes","slug":"pancakes","subgroup":"food-prepared","codepoints":["1F95E"],"codepoints_string":"1f95e","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["breakfast","crêpe","food","hotcake","pancake","pancakes"]},
+  {"emoji":"🧇","skin_tone_support":false,"name":"waffle","slug":"waffle","subgroup":"food-prepared","codepoints":["1F9C7"],"codepoints_string":"1f9c7","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["breakfast","indecisive","iron","waffle"]},
+  {"emoji":"🧀","skin_tone_support":false,"name":"cheese wedge","slug":"cheese_wedge","subgroup":"food-prepared","codepoints":["1F9C0"],"codepoints_string":"1f9c0","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cheese","wedge"]},
+  {"emoji":"🍖","skin_tone_support":false,"name":"meat on bone","slug":"meat_on_bone","subgroup":"food-prepared","codepoints":["1F356"],"codepoints_string":"1f356","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bone","meat"]},
+  {"emoji":"🍗","skin_tone_support":false,"name":"poultry leg","slug":"poultry_leg","subgroup":"food-prepared","codepoints":["1F357"],"codepoints_string":"1f357","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bone","chicken","drumstick","hungry","leg","poultry","turkey"]},
+  {"emoji":"🥩","skin_tone_support":false,"name":"cut of meat","slug":"cut_of_meat","subgroup":"food-prepared","codepoints":["1F969"],"codepoints_string":"1f969","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["chop","cut","lambchop","meat","porkchop","red","steak"]},
+  {"emoji":"🥓","skin_tone_support":false,"name":"bacon","slug":"bacon","subgroup":"food-prepared","codepoints":["1F953"],"codepoints_string":"1f953","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bacon","breakfast","food","meat"]},
+  {"emoji":"🍔","skin_tone_support":false,"name":"hamburger","slug":"hamburger","subgroup":"food-prepared","codepoints":["1F354"],"codepoints_string":"1f354","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["burger","eat","fast","food","hamburger","hungry"]},
+  {"emoji":"🍟","skin_tone_support":false,"name":"french fries","slug":"french_fries","subgroup":"food-prepared","codepoints":["1F35F"],"codepoints_string":"1f35f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["fast","food","french","fries"]},
+  {"emoji":"🍕","skin_tone_support":false,"name":"pizza","slug":"pizza","subgroup":"food-prepared","codepoints":["1F355"],"codepoints_string":"1f355","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cheese","food","hungry","pepperoni","pizza","slice"]},
+  {"emoji":"🌭","skin_tone_support":false,"name":"hot dog","slug":"hot_dog","subgroup":"food-prepared","codepoints":["1F32D"],"codepoints_string":"1f32d","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dog","frankfurter","hot","hotdog","sausage"]},
+  {"emoji":"🥪","skin_tone_support":false,"name":"sandwich","slug":"sandwich","subgroup":"food-prepared","codepoints":["1F96A"],"codepoints_string":"1f96a","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bread","sandwich"]},
+  {"emoji":"🌮","skin_tone_support":false,"name":"taco","slug":"taco","subgroup":"food-prepared","codepoints":["1F32E"],"codepoints_string":"1f32e","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["mexican","taco"]},
+  {"emoji":"🌯","skin_tone_support":false,"name":"burrito","slug":"burrito","subgroup":"food-prepared","codepoints":["1F32F"],"codepoints_string":"1f32f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["burrito","mexican","wrap"]},
+  {"emoji":"🫔","skin_tone_support":false,"name":"tamale","slug":"tamale","subgroup":"food-prepared","codepoints":["1FAD4"],"codepoints_string":"1fad4","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","mexican","pamonha","tamale","wrapped"]},
+  {"emoji":"🥙","skin_tone_support":false,"name":"stuffed flatbread","slug":"stuffed_flatbread","subgroup":"food-prepared","codepoints":["1F959"],"codepoints_string":"1f959","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["falafel","flatbread","food","gyro","kebab","stuffed"]},
+  {"emoji":"🧆","skin_tone_support":false,"name":"falafel","slug":"falafel","subgroup":"food-prepared","codepoints":["1F9C6"],"codepoints_string":"1f9c6","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["chickpea","falafel","meatball"]},
+  {"emoji":"🥚","skin_tone_support":false,"name":"egg","slug":"egg","subgroup":"food-prepared","codepoints":["1F95A"],"codepoints_string":"1f95a","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["breakfast","egg","food"]},
+  {"emoji":"🍳","skin_tone_support":false,"name":"cooking","slug":"cooking","subgroup":"food-prepared","codepoints":["1F373"],"codepoints_string":"1f373","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["breakfast","cooking","easy","egg","fry","frying","over","pan","restaurant","side","sunny","up"]},
+  {"emoji":"🥘","skin_tone_support":false,"name":"shallow pan of food","slug":"shallow_pan_of_food","subgroup":"food-prepared","codepoints":["1F958"],"codepoints_string":"1f958","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["casserole","food","paella","pan","shallow"]},
+  {"emoji":"🍲","skin_tone_support":false,"name":"pot of food","slug":"pot_of_food","subgroup":"food-prepared","codepoints":["1F372"],"codepoints_string":"1f372","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","pot","soup","stew"]},
+  {"emoji":"🫕","skin_tone_support":false,"name":"fondue","slug":"fondue","subgroup":"food-prepared","codepoints":["1FAD5"],"codepoints_string":"1fad5","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cheese","chocolate","fondue","food","melted","pot","ski"]},
+  {"emoji":"🥣","skin_tone_support":false,"name":"bowl with spoon","slug":"bowl_with_spoon","subgroup":"food-prepared","codepoints":["1F963"],"codepoints_string":"1f963","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bowl","breakfast","cereal","congee","oatmeal","porridge","spoon"]},
+  {"emoji":"🥗","skin_tone_support":false,"name":"green salad","slug":"green_salad","subgroup":"food-prepared","codepoints":["1F957"],"codepoints_string":"1f957","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","green","salad"]},
+  {"emoji":"🍿","skin_tone_support":false,"name":"popcorn","slug":"popcorn","subgroup":"food-prepared","codepoints":["1F37F"],"codepoints_string":"1f37f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["corn","movie","pop","popcorn"]},
+  {"emoji":"🧈","skin_tone_support":false,"name":"butter","slug":"butter","subgroup":"food-prepared","codepoints":["1F9C8"],"codepoints_string":"1f9c8","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["butter","dairy"]},
+  {"emoji":"🧂","skin_tone_support":false,"name":"salt","slug":"salt","subgroup":"food-prepared","codepoints":["1F9C2"],"codepoints_string":"1f9c2","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["condiment","flavor","mad","salt","salty","shaker","taste","upset"]},
+  {"emoji":"🥫","skin_tone_support":false,"name":"canned food","slug":"canned_food","subgroup":"food-prepared","codepoints":["1F96B"],"codepoints_string":"1f96b","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["can","canned","food"]},
+  {"emoji":"🍱","skin_tone_support":false,"name":"bento box","slug":"bento_box","subgroup":"food-asian","codepoints":["1F371"],"codepoints_string":"1f371","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bento","box","food"]},
+  {"emoji":"🍘","skin_tone_support":false,"name":"rice cracker","slug":"rice_cracker","subgroup":"food-asian","codepoints":["1F358"],"codepoints_string":"1f358","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cracker","food","rice"]},
+  {"emoji":"🍙","skin_tone_support":false,"name":"rice ball","slug":"rice_ball","subgroup":"food-asian","codepoints":["1F359"],"codepoints_string":"1f359","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ball","food","Japanese","rice"]},
+  {"emoji":"🍚","skin_tone_support":false,"name":"cooked rice","slug":"cooked_rice","subgroup":"food-asian","codepoints":["1F35A"],"codepoints_string":"1f35a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cooked","food","rice"]},
+  {"emoji":"🍛","skin_tone_support":false,"name":"curry rice","slug":"curry_rice","subgroup":"food-asian","codepoints":["1F35B"],"codepoints_string":"1f35b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["curry","food","rice"]},
+  {"emoji":"🍜","skin_tone_support":false,"name":"steaming bowl","slug":"steaming_bowl","subgroup":"food-asian","codepoints":["1F35C"],"codepoints_string":"1f35c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bowl","chopsticks","food","noodle","pho","ramen","soup","steaming"]},
+  {"emoji":"🍝","skin_tone_support":false,"name":"spaghetti","slug":"spaghetti","subgroup":"food-asian","codepoints":["1F35D"],"codepoints_string":"1f35d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","meatballs","pasta","restaurant","spaghetti"]},
+  {"emoji":"🍠","skin_tone_support":false,"name":"roasted sweet potato","slug":"roasted_sweet_potato","subgroup":"food-asian","codepoints":["1F360"],"codepoints_string":"1f360","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","potato","roasted","sweet"]},
+  {"emoji":"🍢","skin_tone_support":false,"name":"oden","slug":"oden","subgroup":"food-asian","codepoints":["1F362"],"codepoints_string":"1f362","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","kebab","oden","restaurant","seafood","skewer","stick"]},
+  {"emoji":"🍣","skin_tone_support":false,"name":"sushi","slug":"sushi","subgroup":"food-asian","codepoints":["1F363"],"codepoints_string":"1f363","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["food","sushi"]},
+  {"emoji":"🍤","skin_tone_support":false,"name":"fried shrimp","slug":"fried_shrimp","subgroup":"food-asian","codepoints":["1F364"],"codepoints_string":"1f364","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["fried","prawn","shrimp","tempura"]},
+  {"emoji":"🍥","skin_tone_support":false,"name":"fish cake with swirl","slug":"fish_cake_with_swirl","subgroup":"food-asian","codepoints":["1F365"],"codepoints_string":"1f365","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cake","fish","food","pastry","restaurant","swirl"]},
+  {"emoji":"🥮","skin_tone_support":false,"name":"moon cake","slug":"moon_cake","subgroup":"food-asian","codepoints":["1F96E"],"codepoints_string":"1f96e","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["autumn","cake","festival","moon","yuèbǐng"]},
+  {"emoji":"🍡","skin_tone_support":false,"name":"dango","slug":"dango","subgroup":"food-asian","codepoints":["1F361"],"codepoints_string":"1f361","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dango","dessert","Japanese","skewer","stick","sweet"]},
+  {"emoji":"🥟","skin_tone_support":false,"name":"dumpling","slug":"dumpling","subgroup":"food-asian","codepoints":["1F95F"],"codepoints_string":"1f95f","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dumpling","empanada","gyōza","jiaozi","pierogi","potsticker"]},
+  {"emoji":"🥠","skin_tone_support":false,"name":"fortune cookie","slug":"fortune_cookie","subgroup":"food-asian","codepoints":["1F960"],"codepoints_string":"1f960","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cookie","fortune","prophecy"]},
+  {"emoji":"🥡","skin_tone_support":false,"name":"takeout box","slug":"takeout_box","subgroup":"food-asian","codepoints":["1F961"],"codepoints_string":"1f961","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["box","chopsticks","delivery","food","oyster","pail","takeout"]},
+  {"emoji":"🍦","skin_tone_support":false,"name":"soft ice cream","slug":"soft_ice_cream","subgroup":"food-sweet","codepoints":["1F366"],"codepoints_string":"1f366","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cream","dessert","food","ice","icecream","restaurant","serve","soft","sweet"]},
+  {"emoji":"🍧","skin_tone_support":false,"name":"shaved ice","slug":"shaved_ice","subgroup":"food-sweet","codepoints":["1F367"],"codepoints_string":"1f367","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dessert","ice","restaurant","shaved","sweet"]},
+  {"emoji":"🍨","skin_tone_support":false,"name":"ice cream","slug":"ice_cream","subgroup":"food-sweet","codepoints":["1F368"],"codepoints_string":"1f368","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cream","dessert","food","ice","restaurant","sweet"]},
+  {"emoji":"🍩","skin_tone_support":false,"name":"doughnut","slug":"doughnut","subgroup":"food-sweet","codepoints":["1F369"],"codepoints_string":"1f369","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["breakfast","dessert","donut","doughnut","food","sweet"]},
+  {"emoji":"🍪","skin_tone_support":false,"name":"cookie","slug":"cookie","subgroup":"food-sweet","codepoints":["1F36A"],"codepoints_string":"1f36a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["chip","chocolate","cookie","dessert","sweet"]},
+  {"emoji":"🎂","skin_tone_support":false,"name":"birthday cake","slug":"birthday_cake","subgroup":"food-sweet","codepoints":["1F382"],"codepoints_string":"1f382","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bday","birthday","cake","celebration","dessert","happy","pastry","sweet"]},
+  {"emoji":"🍰","skin_tone_support":false,"name":"shortcake","slug":"shortcake","subgroup":"food-sweet","codepoints":["1F370"],"codepoints_string":"1f370","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cake","dessert","pastry","shortcake","slice","sweet"]},
+  {"emoji":"🧁","skin_tone_support":false,"name":"cupcake","slug":"cupcake","subgroup":"food-sweet","codepoints":["1F9C1"],"codepoints_string":"1f9c1","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bakery","cupcake","dessert","sprinkles","sugar","sweet","treat"]},
+  {"emoji":"🥧","skin_tone_support":false,"name":"pie","slug":"pie","subgroup":"food-sweet","codepoints":["1F967"],"codepoints_string":"1f967","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["apple","filling","fruit","meat","pastry","pie","pumpkin","slice"]},
+  {"emoji":"🍫","skin_tone_support":false,"name":"chocolate bar","slug":"chocolate_bar","subgroup":"food-sweet","codepoints":["1F36B"],"codepoints_string":"1f36b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bar","candy","chocolate","dessert","halloween","sweet","tooth"]},
+  {"emoji":"🍬","skin_tone_support":false,"name":"candy","slug":"candy","subgroup":"food-sweet","codepoints":["1F36C"],"codepoints_string":"1f36c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["candy","cavities","dessert","halloween","restaurant","sweet","tooth","wrapper"]},
+  {"emoji":"🍭","skin_tone_support":false,"name":"lollipop","slug":"lollipop","subgroup":"food-sweet","codepoints":["1F36D"],"codepoints_string":"1f36d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["candy","dessert","food","lollipop","restaurant","sweet"]},
+  {"emoji":"🍮","skin_tone_support":false,"name":"custard","slug":"custard","subgroup":"food-sweet","codepoints":["1F36E"],"codepoints_string":"1f36e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["custard","dessert","pudding","sweet"]},
+  {"emoji":"🍯","skin_tone_support":false,"name":"honey pot","slug":"honey_pot","subgroup":"food-sweet","codepoints":["1F36F"],"codepoints_string":"1f36f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["barrel","bear","food","honey","honeypot","jar","pot","sweet"]},
+  {"emoji":"🍼","skin_tone_support":false,"name":"baby bottle","slug":"baby_bottle","subgroup":"drink","codepoints":["1F37C"],"codepoints_string":"1f37c","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["babies","baby","birth","born","bottle","drink","infant","milk","newborn"]},
+  {"emoji":"🥛","skin_tone_support":false,"name":"glass of milk","slug":"glass_of_milk","subgroup":"drink","codepoints":["1F95B"],"codepoints_string":"1f95b","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["drink","glass","milk"]},
+  {"emoji":"☕","skin_tone_support":false,"name":"hot beverage","slug":"hot_beverage","subgroup":"drink","codepoints":["2615"],"codepoints_string":"2615","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["beverage","cafe","caffeine","chai","coffee","drink","hot","morning","steaming","tea"]},
+  {"emoji":"🫖","skin_tone_support":false,"name":"teapot","slug":"teapot","subgroup":"drink","codepoints":["1FAD6"],"codepoints_string":"1fad6","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["brew","drink","food","pot","tea","teapot"]},
+  {"emoji":"🍵","skin_tone_support":false,"name":"teacup without handle","slug":"teacup_without_handle","subgroup":"drink","codepoints":["1F375"],"codepoints_string":"1f375","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beverage","cup","drink","handle","oolong","tea","teacup"]},
+  {"emoji":"🍶","skin_tone_support":false,"name":"sake","slug":"sake","subgroup":"drink","codepoints":["1F376"],"codepoints_string":"1f376","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bar","beverage","bottle","cup","drink","restaurant","sake"]},
+  {"emoji":"🍾","skin_tone_support":false,"name":"bottle with popping cork","slug":"bottle_with_popping_cork","subgroup":"drink","codepoints":["1F37E"],"codepoints_string":"1f37e","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bar","bottle","cork","drink","popping"]},
+  {"emoji":"🍷","skin_tone_support":false,"name":"wine glass","slug":"wine_glass","subgroup":"drink","codepoints":["1F377"],"codepoints_string":"1f377","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["alcohol","bar","beverage","booze","club","drink","drinking","drinks","glass","restaurant","wine"]},
+  {"emoji":"🍸","skin_tone_support":false,"name":"cocktail glass","slug":"cocktail_glass","subgroup":"drink","codepoints":["1F378"],"codepoints_string":"1f378","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["alcohol","bar","booze","club","cocktail","drink","drinking","drinks","glass","mad","martini","men"]},
+  {"emoji":"🍹","skin_tone_support":false,"name":"tropical drink","slug":"tropical_drink","subgroup":"drink","codepoints":["1F379"],"codepoints_string":"1f379","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["alcohol","bar","booze","club","cocktail","drink","drinking","drinks","drunk","mai","party","tai","tropical","tropics"]},
+  {"emoji":"🍺","skin_tone_support":false,"name":"beer mug","slug":"beer_mug","subgroup":"drink","codepoints":["1F37A"],"codepoints_string":"1f37a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["alcohol","ale","bar","beer","booze","drink","drinking","drinks","mug","octoberfest","oktoberfest","pint","stein","summer"]},
+  {"emoji":"🍻","skin_tone_support":false,"name":"clinking beer mugs","slug":"clinking_beer_mugs","subgroup":"drink","codepoints":["1F37B"],"codepoints_string":"1f37b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["alcohol","bar","beer","booze","bottoms","cheers","clink","clinking","drinking","drinks","mugs"]},
+  {"emoji":"🥂","skin_tone_support":false,"name":"clinking glasses","slug":"clinking_glasses","subgroup":"drink","codepoints":["1F942"],"codepoints_string":"1f942","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["celebrate","clink","clinking","drink","glass","glasses"]},
+  {"emoji":"🥃","skin_tone_support":false,"name":"tumbler glass","slug":"tumbler_glass","subgroup":"drink","codepoints":["1F943"],"codepoints_string":"1f943","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["glass","liquor","scotch","shot","tumbler","whiskey","whisky"]},
+  {"emoji":"🫗","skin_tone_support":false,"name":"pouring liquid","slug":"pouring_liquid","subgroup":"drink","codepoints":["1FAD7"],"codepoints_string":"1fad7","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["accident","drink","empty","glass","liquid","oops","pour","pouring","spill","water"]},
+  {"emoji":"🥤","skin_tone_support":false,"name":"cup with straw","slug":"cup_with_straw","subgroup":"drink","codepoints":["1F964"],"codepoints_string":"1f964","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cup","drink","juice","malt","soda","soft","straw","water"]},
+  {"emoji":"🧋","skin_tone_support":false,"name":"bubble tea","slug":"bubble_tea","subgroup":"drink","codepoints":["1F9CB"],"codepoints_string":"1f9cb","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["boba","bubble","food","milk","pearl","tea"]},
+  {"emoji":"🧃","skin_tone_support":false,"name":"beverage box","slug":"beverage_box","subgroup":"drink","codepoints":["1F9C3"],"codepoints_string":"1f9c3","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beverage","box","juice","straw","sweet"]},
+  {"emoji":"🧉","skin_tone_support":false,"name":"mate","slug":"mate","subgroup":"drink","codepoints":["1F9C9"],"codepoints_string":"1f9c9","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["drink","mate"]},
+  {"emoji":"🧊","skin_tone_support":false,"name":"ice","slug":"ice","subgroup":"drink","codepoints":["1F9CA"],"codepoints_string":"1f9ca","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cold","cube","ice","iceberg"]},
+  {"emoji":"🥢","skin_tone_support":false,"name":"chopsticks","slug":"chopsticks","subgroup":"dishware","codepoints":["1F962"],"codepoints_string":"1f962","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["chopsticks","hashi","jeotgarak","kuaizi"]},
+  {"emoji":"🍽️","skin_tone_support":false,"name":"fork and knife with plate","slug":"fork_and_knife_with_plate","subgroup":"dishware","codepoints":["1F37D","FE0F"],"codepoints_string":"1f37d-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cooking","dinner","eat","fork","knife","plate"]},
+  {"emoji":"🍴","skin_tone_support":false,"name":"fork and knife","slug":"fork_and_knife","subgroup":"dishware","codepoints":["1F374"],"codepoints_string":"1f374","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["breakfast","breaky","cooking","cutlery","delicious","dinner","eat","feed","food","fork","hungry","knife","lunch","restaurant","yum","yummy"]},
+  {"emoji":"🥄","skin_tone_support":false,"name":"spoon","slug":"spoon","subgroup":"dishware","codepoints":["1F944"],"codepoints_string":"1f944","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["eat","spoon","tableware"]},
+  {"emoji":"🔪","skin_tone_support":false,"name":"kitchen knife","slug":"kitchen_knife","subgroup":"dishware","codepoints":["1F52A"],"codepoints_string":"1f52a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["chef","cooking","hocho","kitchen","knife","tool","weapon"]},
+  {"emoji":"🫙","skin_tone_support":false,"name":"jar","slug":"jar","subgroup":"dishware","codepoints":["1FAD9"],"codepoints_string":"1fad9","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["condiment","container","empty","jar","nothing","sauce","store"]},
+  {"emoji":"🏺","skin_tone_support":false,"name":"amphora","slug":"amphora","subgroup":"dishware","codepoints":["1F3FA"],"codepoints_string":"1f3fa","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["amphora","Aquarius","cooking","drink","jug","tool","weapon","zodiac"]}
+]
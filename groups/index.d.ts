@@ -0,0 +1,11 @@
+// Generated by script/generate-types.js from schema/ and the built data files. Do not edit.
+
+export * as smileys_emotion from './smileys_emotion';
+export * as people_body from './people_body';
+export * as animals_nature from './animals_nature';
+export * as food_drink from './food_drink';
+export * as travel_places from './travel_places';
+export * as activities from './activities';
+export * as objects from './objects';
+export * as symbols from './symbols';
+export * as flags from './flags';
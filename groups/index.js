@@ -0,0 +1,11 @@
+// Generated by script/build.js from the Unicode emoji data. Do not edit.
+
+Object.defineProperty(exports, 'smileys_emotion', {enumerable: true, get: () => require('./smileys_emotion.js')})
+Object.defineProperty(exports, 'people_body', {enumerable: true, get: () => require('./people_body.js')})
+Object.defineProperty(exports, 'animals_nature', {enumerable: true, get: () => require('./animals_nature.js')})
+Object.defineProperty(exports, 'food_drink', {enumerable: true, get: () => require('./food_drink.js')})
+Object.defineProperty(exports, 'travel_places', {enumerable: true, get: () => require('./travel_places.js')})
+Object.defineProperty(exports, 'activities', {enumerable: true, get: () => require('./activities.js')})
+Object.defineProperty(exports, 'objects', {enumerable: true, get: () => require('./objects.js')})
+Object.defineProperty(exports, 'symbols', {enumerable: true, get: () => require('./symbols.js')})
+Object.defineProperty(exports, 'flags', {enumerable: true, get: () => require('./flags.js')})
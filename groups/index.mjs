@@ -0,0 +1,11 @@
+// Generated by script/build.js from the Unicode emoji data. Do not edit.
+
+export * as smileys_emotion from './smileys_emotion.mjs'
+export * as people_body from './people_body.mjs'
+export * as animals_nature from './animals_nature.mjs'
+export * as food_drink from './food_drink.mjs'
+export * as travel_places from './travel_places.mjs'
+export * as activities from './activities.mjs'
+export * as objects from './objects.mjs'
+export * as symbols from './symbols.mjs'
+export * as flags from './flags.mjs'
@@ -0,0 +1,270 @@
+// Generated by script/build.js from the Unicode emoji data. Do not edit.
+
+exports.name = "Objects"
+exports.slug = "objects"
+exports.emojis = [
+  {"emoji":"👓","skin_tone_support":false,"name":"glasses","slug":"glasses","subgroup":"clothing","codepoints":["1F453"],"codepoints_string":"1f453","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["clothing","eye","eyeglasses","eyewear","glasses"]},
+  {"emoji":"🕶️","skin_tone_support":false,"name":"sunglasses","slug":"sunglasses","subgroup":"clothing","codepoints":["1F576","FE0F"],"codepoints_string":"1f576-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["dark","eye","eyewear","glasses","sunglasses"]},
+  {"emoji":"🥽","skin_tone_support":false,"name":"goggles","slug":"goggles","subgroup":"clothing","codepoints":["1F97D"],"codepoints_string":"1f97d","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dive","eye","goggles","protection","scuba","swimming","welding"]},
+  {"emoji":"🥼","skin_tone_support":false,"name":"lab coat","slug":"lab_coat","subgroup":"clothing","codepoints":["1F97C"],"codepoints_string":"1f97c","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clothes","coat","doctor","dr","experiment","jacket","lab","scientist","white"]},
+  {"emoji":"🦺","skin_tone_support":false,"name":"safety vest","slug":"safety_vest","subgroup":"clothing","codepoints":["1F9BA"],"codepoints_string":"1f9ba","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["emergency","safety","vest"]},
+  {"emoji":"👔","skin_tone_support":false,"name":"necktie","slug":"necktie","subgroup":"clothing","codepoints":["1F454"],"codepoints_string":"1f454","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clothing","employed","necktie","serious","shirt","tie"]},
+  {"emoji":"👕","skin_tone_support":false,"name":"t-shirt","slug":"t_shirt","subgroup":"clothing","codepoints":["1F455"],"codepoints_string":"1f455","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blue","casual","clothes","clothing","collar","dressed","shirt","shopping","t-shirt","tshirt","weekend"]},
+  {"emoji":"👖","skin_tone_support":false,"name":"jeans","slug":"jeans","subgroup":"clothing","codepoints":["1F456"],"codepoints_string":"1f456","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blue","casual","clothes","clothing","denim","dressed","jeans","pants","shopping","trousers","weekend"]},
+  {"emoji":"🧣","skin_tone_support":false,"name":"scarf","slug":"scarf","subgroup":"clothing","codepoints":["1F9E3"],"codepoints_string":"1f9e3","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bundle","cold","neck","scarf","up"]},
+  {"emoji":"🧤","skin_tone_support":false,"name":"gloves","slug":"gloves","subgroup":"clothing","codepoints":["1F9E4"],"codepoints_string":"1f9e4","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["gloves","hand"]},
+  {"emoji":"🧥","skin_tone_support":false,"name":"coat","slug":"coat","subgroup":"clothing","codepoints":["1F9E5"],"codepoints_string":"1f9e5","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["brr","bundle","coat","cold","jacket","up"]},
+  {"emoji":"🧦","skin_tone_support":false,"name":"socks","slug":"socks","subgroup":"clothing","codepoints":["1F9E6"],"codepoints_string":"1f9e6","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["socks","stocking"]},
+  {"emoji":"👗","skin_tone_support":false,"name":"dress","slug":"dress","subgroup":"clothing","codepoints":["1F457"],"codepoints_string":"1f457","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clothes","clothing","dress","dressed","fancy","shopping"]},
+  {"emoji":"👘","skin_tone_support":false,"name":"kimono","slug":"kimono","subgroup":"clothing","codepoints":["1F458"],"codepoints_string":"1f458","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clothing","comfortable","kimono"]},
+  {"emoji":"🥻","skin_tone_support":false,"name":"sari","slug":"sari","subgroup":"clothing","codepoints":["1F97B"],"codepoints_string":"1f97b","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clothing","dress","sari"]},
+  {"emoji":"🩱","skin_tone_support":false,"name":"one-piece swimsuit","slug":"one_piece_swimsuit","subgroup":"clothing","codepoints":["1FA71"],"codepoints_string":"1fa71","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bathing","one-piece","suit","swimsuit"]},
+  {"emoji":"🩲","skin_tone_support":false,"name":"briefs","slug":"briefs","subgroup":"clothing","codepoints":["1FA72"],"codepoints_string":"1fa72","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bathing","briefs","one-piece","suit","swimsuit","underwear"]},
+  {"emoji":"🩳","skin_tone_support":false,"name":"shorts","slug":"shorts","subgroup":"clothing","codepoints":["1FA73"],"codepoints_string":"1fa73","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bathing","pants","shorts","suit","swimsuit","underwear"]},
+  {"emoji":"👙","skin_tone_support":false,"name":"bikini","slug":"bikini","subgroup":"clothing","codepoints":["1F459"],"codepoints_string":"1f459","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bathing","beach","bikini","clothing","pool","suit","swim"]},
+  {"emoji":"👚","skin_tone_support":false,"name":"woman’s clothes","slug":"woman_s_clothes","subgroup":"clothing","codepoints":["1F45A"],"codepoints_string":"1f45a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blouse","clothes","clothing","collar","dress","dressed","lady","shirt","shopping","woman","woman’s"]},
+  {"emoji":"🪭","skin_tone_support":false,"name":"folding hand fan","slug":"folding_hand_fan","subgroup":"clothing","codepoints":["1FAAD"],"codepoints_string":"1faad","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clack","clap","cool","cooling","dance","fan","flirt","flutter","folding","hand","hot","shy"]},
+  {"emoji":"👛","skin_tone_support":false,"name":"purse","slug":"purse","subgroup":"clothing","codepoints":["1F45B"],"codepoints_string":"1f45b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clothes","clothing","coin","dress","fancy","handbag","purse","shopping"]},
+  {"emoji":"👜","skin_tone_support":false,"name":"handbag","slug":"handbag","subgroup":"clothing","codepoints":["1F45C"],"codepoints_string":"1f45c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bag","clothes","clothing","dress","handbag","lady","purse","shopping"]},
+  {"emoji":"👝","skin_tone_support":false,"name":"clutch bag","slug":"clutch_bag","subgroup":"clothing","codepoints":["1F45D"],"codepoints_string":"1f45d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bag","clothes","clothing","clutch","dress","handbag","pouch","purse"]},
+  {"emoji":"🛍️","skin_tone_support":false,"name":"shopping bags","slug":"shopping_bags","subgroup":"clothing","codepoints":["1F6CD","FE0F"],"codepoints_string":"1f6cd-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bag","bags","hotel","shopping"]},
+  {"emoji":"🎒","skin_tone_support":false,"name":"backpack","slug":"backpack","subgroup":"clothing","codepoints":["1F392"],"codepoints_string":"1f392","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["backpack","backpacking","bag","bookbag","education","rucksack","satchel","school"]},
+  {"emoji":"🩴","skin_tone_support":false,"name":"thong sandal","slug":"thong_sandal","subgroup":"clothing","codepoints":["1FA74"],"codepoints_string":"1fa74","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beach","flip","flop","sandal","sandals","shoe","thong","thongs","zōri"]},
+  {"emoji":"👞","skin_tone_support":false,"name":"man’s shoe","slug":"man_s_shoe","subgroup":"clothing","codepoints":["1F45E"],"codepoints_string":"1f45e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["brown","clothes","clothing","feet","foot","kick","man","man’s","shoe","shoes","shopping"]},
+  {"emoji":"👟","skin_tone_support":false,"name":"running shoe","slug":"running_shoe","subgroup":"clothing","codepoints":["1F45F"],"codepoints_string":"1f45f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["athletic","clothes","clothing","fast","kick","running","shoe","shoes","shopping","sneaker","tennis"]},
+  {"emoji":"🥾","skin_tone_support":false,"name":"hiking boot","slug":"hiking_boot","subgroup":"clothing","codepoints":["1F97E"],"codepoints_string":"1f97e","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["backpacking","boot","brown","camping","hiking","outdoors","shoe"]},
+  {"emoji":"🥿","skin_tone_support":false,"name":"flat shoe","slug":"flat_shoe","subgroup":"clothing","codepoints":["1F97F"],"codepoints_string":"1f97f","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ballet","comfy","flat","flats","shoe","slip-on","slipper"]},
+  {"emoji":"👠","skin_tone_support":false,"name":"high-heeled shoe","slug":"high_heeled_shoe","subgroup":"clothing","codepoints":["1F460"],"codepoints_string":"1f460","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clothes","clothing","dress","fashion","heel","heels","high-heeled","shoe","shoes","shopping","stiletto","woman"]},
+  {"emoji":"👡","skin_tone_support":false,"name":"woman’s sandal","slug":"woman_s_sandal","subgroup":"clothing","codepoints":["1F461"],"codepoints_string":"1f461","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clothing","sandal","shoe","woman","woman’s"]},
+  {"emoji":"🩰","skin_tone_support":false,"name":"ballet shoes","slug":"ballet_shoes","subgroup":"clothing","codepoints":["1FA70"],"codepoints_string":"1fa70","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ballet","dance","shoes"]},
+  {"emoji":"👢","skin_tone_support":false,"name":"woman’s boot","slug":"woman_s_boot","subgroup":"clothing","codepoints":["1F462"],"codepoints_string":"1f462","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["boot","clothes","clothing","dress","shoe","shoes","shopping","woman","woman’s"]},
+  {"emoji":"🪮","skin_tone_support":false,"name":"hair pick","slug":"hair_pick","subgroup":"clothing","codepoints":["1FAAE"],"codepoints_string":"1faae","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["Afro","comb","groom","hair","pick"]},
+  {"emoji":"👑","skin_tone_support":false,"name":"crown","slug":"crown","subgroup":"clothing","codepoints":["1F451"],"codepoints_string":"1f451","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clothing","crown","family","king","medieval","queen","royal","royalty","win"]},
+  {"emoji":"👒","skin_tone_support":false,"name":"woman’s hat","slug":"woman_s_hat","subgroup":"clothing","codepoints":["1F452"],"codepoints_string":"1f452","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clothes","clothing","garden","hat","hats","party","woman","woman’s"]},
+  {"emoji":"🎩","skin_tone_support":false,"name":"top hat","slug":"top_hat","subgroup":"clothing","codepoints":["1F3A9"],"codepoints_string":"1f3a9","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clothes","clothing","fancy","formal","hat","magic","top","tophat"]},
+  {"emoji":"🎓","skin_tone_support":false,"name":"graduation cap","slug":"graduation_cap","subgroup":"clothing","codepoints":["1F393"],"codepoints_string":"1f393","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cap","celebration","clothing","education","graduation","hat","scholar"]},
+  {"emoji":"🧢","skin_tone_support":false,"name":"billed cap","slug":"billed_cap","subgroup":"clothing","codepoints":["1F9E2"],"codepoints_string":"1f9e2","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["baseball","bent","billed","cap","dad","hat"]},
+  {"emoji":"🪖","skin_tone_support":false,"name":"military helmet","slug":"military_helmet","subgroup":"clothing","codepoints":["1FA96"],"codepoints_string":"1fa96","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["army","helmet","military","soldier","war","warrior"]},
+  {"emoji":"⛑️","skin_tone_support":false,"name":"rescue worker’s helmet","slug":"rescue_worker_s_helmet","subgroup":"clothing","codepoints":["26D1","FE0F"],"codepoints_string":"26d1-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["aid","cross","face","hat","helmet","rescue","worker’s"]},
+  {"emoji":"📿","skin_tone_support":false,"name":"prayer beads","slug":"prayer_beads","subgroup":"clothing","codepoints":["1F4FF"],"codepoints_string":"1f4ff","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beads","clothing","necklace","prayer","religion"]},
+  {"emoji":"💄","skin_tone_support":false,"name":"lipstick","slug":"lipstick","subgroup":"clothing","codepoints":["1F484"],"codepoints_string":"1f484","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cosmetics","date","lipstick","makeup"]},
+  {"emoji":"💍","skin_tone_support":false,"name":"ring","slug":"ring","subgroup":"clothing","codepoints":["1F48D"],"codepoints_string":"1f48d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["diamond","engaged","engagement","married","ring","romance","shiny","sparkling","wedding"]},
+  {"emoji":"💎","skin_tone_support":false,"name":"gem stone","slug":"gem_stone","subgroup":"clothing","codepoints":["1F48E"],"codepoints_string":"1f48e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["diamond","engagement","gem","jewel","money","romance","stone","wedding"]},
+  {"emoji":"🔇","skin_tone_support":false,"name":"muted speaker","slug":"muted_speaker","subgroup":"sound","codepoints":["1F507"],"codepoints_string":"1f507","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["mute","muted","quiet","silent","sound","speaker"]},
+  {"emoji":"🔈","skin_tone_support":false,"name":"speaker low volume","slug":"speaker_low_volume","subgroup":"sound","codepoints":["1F508"],"codepoints_string":"1f508","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["low","soft","sound","speaker","volume"]},
+  {"emoji":"🔉","skin_tone_support":false,"name":"speaker medium volume","slug":"speaker_medium_volume","subgroup":"sound","codepoints":["1F509"],"codepoints_string":"1f509","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["medium","sound","speaker","volume"]},
+  {"emoji":"🔊","skin_tone_support":false,"name":"speaker high volume","slug":"speaker_high_volume","subgroup":"sound","codepoints":["1F50A"],"codepoints_string":"1f50a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["high","loud","music","sound","speaker","volume"]},
+  {"emoji":"📢","skin_tone_support":false,"name":"loudspeaker","slug":"loudspeaker","subgroup":"sound","codepoints":["1F4E2"],"codepoints_string":"1f4e2","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["address","communication","loud","loudspeaker","public","sound"]},
+  {"emoji":"📣","skin_tone_support":false,"name":"megaphone","slug":"megaphone","subgroup":"sound","codepoints":["1F4E3"],"codepoints_string":"1f4e3","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cheering","megaphone","sound"]},
+  {"emoji":"📯","skin_tone_support":false,"name":"postal horn","slug":"postal_horn","subgroup":"sound","codepoints":["1F4EF"],"codepoints_string":"1f4ef","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["horn","post","postal"]},
+  {"emoji":"🔔","skin_tone_support":false,"name":"bell","slug":"bell","subgroup":"sound","codepoints":["1F514"],"codepoints_string":"1f514","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bell","break","church","sound"]},
+  {"emoji":"🔕","skin_tone_support":false,"name":"bell with slash","slug":"bell_with_slash","subgroup":"sound","codepoints":["1F515"],"codepoints_string":"1f515","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bell","forbidden","mute","no","not","prohibited","quiet","silent","slash","sound"]},
+  {"emoji":"🎼","skin_tone_support":false,"name":"musical score","slug":"musical_score","subgroup":"music","codepoints":["1F3BC"],"codepoints_string":"1f3bc","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["music","musical","note","score"]},
+  {"emoji":"🎵","skin_tone_support":false,"name":"musical note","slug":"musical_note","subgroup":"music","codepoints":["1F3B5"],"codepoints_string":"1f3b5","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["music","musical","note","sound"]},
+  {"emoji":"🎶","skin_tone_support":false,"name":"musical notes","slug":"musical_notes","subgroup":"music","codepoints":["1F3B6"],"codepoints_string":"1f3b6","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["music","musical","note","notes","sound"]},
+  {"emoji":"🎙️","skin_tone_support":false,"name":"studio microphone","slug":"studio_microphone","subgroup":"music","codepoints":["1F399","FE0F"],"codepoints_string":"1f399-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["mic","microphone","music","studio"]},
+  {"emoji":"🎚️","skin_tone_support":false,"name":"level slider","slug":"level_slider","subgroup":"music","codepoints":["1F39A","FE0F"],"codepoints_string":"1f39a-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["level","music","slider"]},
+  {"emoji":"🎛️","skin_tone_support":false,"name":"control knobs","slug":"control_knobs","subgroup":"music","codepoints":["1F39B","FE0F"],"codepoints_string":"1f39b-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["control","knobs","music"]},
+  {"emoji":"🎤","skin_tone_support":false,"name":"microphone","slug":"microphone","subgroup":"music","codepoints":["1F3A4"],"codepoints_string":"1f3a4","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["karaoke","mic","microphone","music","sing","sound"]},
+  {"emoji":"🎧","skin_tone_support":false,"name":"headphone","slug":"headphone","subgroup":"music","codepoints":["1F3A7"],"codepoints_string":"1f3a7","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["earbud","headphone","sound"]},
+  {"emoji":"📻","skin_tone_support":false,"name":"radio","slug":"radio","subgroup":"music","codepoints":["1F4FB"],"codepoints_string":"1f4fb","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["entertainment","radio","tbt","video"]},
+  {"emoji":"🎷","skin_tone_support":false,"name":"saxophone","slug":"saxophone","subgroup":"musical-instrument","codepoints":["1F3B7"],"codepoints_string":"1f3b7","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["instrument","music","sax","saxophone"]},
+  {"emoji":"🪗","skin_tone_support":false,"name":"accordion","slug":"accordion","subgroup":"musical-instrument","codepoints":["1FA97"],"codepoints_string":"1fa97","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["accordion","box","concertina","instrument","music","squeeze","squeezebox"]},
+  {"emoji":"🎸","skin_tone_support":false,"name":"guitar","slug":"guitar","subgroup":"musical-instrument","codepoints":["1F3B8"],"codepoints_string":"1f3b8","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["guitar","instrument","music","strat"]},
+  {"emoji":"🎹","skin_tone_support":false,"name":"musical keyboard","slug":"musical_keyboard","subgroup":"musical-instrument","codepoints":["1F3B9"],"codepoints_string":"1f3b9","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["instrument","keyboard","music","musical","piano"]},
+  {"emoji":"🎺","skin_tone_support":false,"name":"trumpet","slug":"trumpet","subgroup":"musical-instrument","codepoints":["1F3BA"],"codepoints_string":"1f3ba","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["instrument","music","trumpet"]},
+  {"emoji":"🎻","skin_tone_support":false,"name":"violin","slug":"violin","subgroup":"musical-instrument","codepoints":["1F3BB"],"codepoints_string":"1f3bb","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["instrument","music","violin"]},
+  {"emoji":"🪕","skin_tone_support":false,"name":"banjo","slug":"banjo","subgroup":"musical-instrument","codepoints":["1FA95"],"codepoints_string":"1fa95","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["banjo","music","stringed"]},
+  {"emoji":"🥁","skin_tone_support":false,"name":"drum","slug":"drum","subgroup":"musical-instrument","codepoints":["1F941"],"codepoints_string":"1f941","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["drum","drumsticks","music"]},
+  {"emoji":"🪘","skin_tone_support":false,"name":"long drum","slug":"long_drum","subgroup":"musical-instrument","codepoints":["1FA98"],"codepoints_string":"1fa98","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beat","conga","drum","instrument","long","rhythm"]},
+  {"emoji":"🪇","skin_tone_support":false,"name":"maracas","slug":"maracas","subgroup":"musical-instrument","codepoints":["1FA87"],"codepoints_string":"1fa87","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cha","dance","instrument","maracas","music","party","percussion","rattle","shake","shaker"]},
+  {"emoji":"🪈","skin_tone_support":false,"name":"flute","slug":"flute","subgroup":"musical-instrument","codepoints":["1FA88"],"codepoints_string":"1fa88","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["band","fife","flautist","flute","instrument","marching","music","orchestra","piccolo","pipe","recorder","woodwind"]},
+  {"emoji":"🪉","skin_tone_support":false,"name":"harp","slug":"harp","subgroup":"musical-instrument","codepoints":["1FA89"],"codepoints_string":"1fa89","utf16_length":2,"unicode_version":"16.0","emoji_version":"16.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cupid","harp","instrument","love","music","orchestra"]},
+  {"emoji":"📱","skin_tone_support":false,"name":"mobile phone","slug":"mobile_phone","subgroup":"phone","codepoints":["1F4F1"],"codepoints_string":"1f4f1","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cell","communication","mobile","phone","telephone"]},
+  {"emoji":"📲","skin_tone_support":false,"name":"mobile phone with arrow","slug":"mobile_phone_with_arrow","subgroup":"phone","codepoints":["1F4F2"],"codepoints_string":"1f4f2","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","build","call","cell","communication","mobile","phone","receive","telephone"]},
+  {"emoji":"☎️","skin_tone_support":false,"name":"telephone","slug":"telephone","subgroup":"phone","codepoints":["260E","FE0F"],"codepoints_string":"260e-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["phone","telephone"]},
+  {"emoji":"📞","skin_tone_support":false,"name":"telephone receiver","slug":"telephone_receiver","subgroup":"phone","codepoints":["1F4DE"],"codepoints_string":"1f4de","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["communication","phone","receiver","telephone","voip"]},
+  {"emoji":"📟","skin_tone_support":false,"name":"pager","slug":"pager","subgroup":"phone","codepoints":["1F4DF"],"codepoints_string":"1f4df","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["communication","pager"]},
+  {"emoji":"📠","skin_tone_support":false,"name":"fax machine","slug":"fax_machine","subgroup":"phone","codepoints":["1F4E0"],"codepoints_string":"1f4e0","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["communication","fax","machine"]},
+  {"emoji":"🔋","skin_tone_support":false,"name":"battery","slug":"battery","subgroup":"computer","codepoints":["1F50B"],"codepoints_string":"1f50b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["battery"]},
+  {"emoji":"🪫","skin_tone_support":false,"name":"low battery","slug":"low_battery","subgroup":"computer","codepoints":["1FAAB"],"codepoints_string":"1faab","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["battery","drained","electronic","energy","low","power"]},
+  {"emoji":"🔌","skin_tone_support":false,"name":"electric plug","slug":"electric_plug","subgroup":"computer","codepoints":["1F50C"],"codepoints_string":"1f50c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["electric","electricity","plug"]},
+  {"emoji":"💻","skin_tone_support":false,"name":"laptop","slug":"laptop","subgroup":"computer","codepoints":["1F4BB"],"codepoints_string":"1f4bb","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["computer","laptop","office","pc","personal"]},
+  {"emoji":"🖥️","skin_tone_support":false,"name":"desktop computer","slug":"desktop_computer","subgroup":"computer","codepoints":["1F5A5","FE0F"],"codepoints_string":"1f5a5-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["computer","desktop","monitor"]},
+  {"emoji":"🖨️","skin_tone_support":false,"name":"printer","slug":"printer","subgroup":"computer","codepoints":["1F5A8","FE0F"],"codepoints_string":"1f5a8-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["computer","printer"]},
+  {"emoji":"⌨️","skin_tone_support":false,"name":"keyboard","slug":"keyboard","subgroup":"computer","codepoints":["2328","FE0F"],"codepoints_string":"2328-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["computer","keyboard"]},
+  {"emoji":"🖱️","skin_tone_support":false,"name":"computer mouse","slug":"computer_mouse","subgroup":"computer","codepoints":["1F5B1","FE0F"],"codepoints_string":"1f5b1-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["computer","mouse"]},
+  {"emoji":"🖲️","skin_tone_support":false,"name":"trackball","slug":"trackball","subgroup":"computer","codepoints":["1F5B2","FE0F"],"codepoints_string":"1f5b2-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["computer","trackball"]},
+  {"emoji":"💽","skin_tone_support":false,"name":"computer disk","slug":"computer_disk","subgroup":"computer","codepoints":["1F4BD"],"codepoints_string":"1f4bd","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["computer","disk","minidisk","optical"]},
+  {"emoji":"💾","skin_tone_support":false,"name":"floppy disk","slug":"floppy_disk","subgroup":"computer","codepoints":["1F4BE"],"codepoints_string":"1f4be","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["computer","disk","floppy"]},
+  {"emoji":"💿","skin_tone_support":false,"name":"optical disk","slug":"optical_disk","subgroup":"computer","codepoints":["1F4BF"],"codepoints_string":"1f4bf","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["blu-ray","CD","computer","disk","dvd","optical"]},
+  {"emoji":"📀","skin_tone_support":false,"name":"dvd","slug":"dvd","subgroup":"computer","codepoints":["1F4C0"],"codepoints_string":"1f4c0","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["Blu-ray","cd","computer","disk","DVD","optical"]},
+  {"emoji":"🧮","skin_tone_support":false,"name":"abacus","slug":"abacus","subgroup":"computer","codepoints":["1F9EE"],"codepoints_string":"1f9ee","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["abacus","calculation","calculator"]},
+  {"emoji":"🎥","skin_tone_support":false,"name":"movie camera","slug":"movie_camera","subgroup":"light & video","codepoints":["1F3A5"],"codepoints_string":"1f3a5","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bollywood","camera","cinema","film","hollywood","movie","record"]},
+  {"emoji":"🎞️","skin_tone_support":false,"name":"film frames","slug":"film_frames","subgroup":"light & video","codepoints":["1F39E","FE0F"],"codepoints_string":"1f39e-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cinema","film","frames","movie"]},
+  {"emoji":"📽️","skin_tone_support":false,"name":"film projector","slug":"film_projector","subgroup":"light & video","codepoints":["1F4FD","FE0F"],"codepoints_string":"1f4fd-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cinema","film","movie","projector","video"]},
+  {"emoji":"🎬","skin_tone_support":false,"name":"clapper board","slug":"clapper_board","subgroup":"light & video","codepoints":["1F3AC"],"codepoints_string":"1f3ac","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["action","board","clapper","movie"]},
+  {"emoji":"📺","skin_tone_support":false,"name":"television","slug":"television","subgroup":"light & video","codepoints":["1F4FA"],"codepoints_string":"1f4fa","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["television","tv","video"]},
+  {"emoji":"📷","skin_tone_support":false,"name":"camera","slug":"camera","subgroup":"light & video","codepoints":["1F4F7"],"codepoints_string":"1f4f7","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["camera","photo","selfie","snap","tbt","trip","video"]},
+  {"emoji":"📸","skin_tone_support":false,"name":"camera with flash","slug":"camera_with_flash","subgroup":"light & video","codepoints":["1F4F8"],"codepoints_string":"1f4f8","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["camera","flash","video"]},
+  {"emoji":"📹","skin_tone_support":false,"name":"video camera","slug":"video_camera","subgroup":"light & video","codepoints":["1F4F9"],"codepoints_string":"1f4f9","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["camcorder","camera","tbt","video"]},
+  {"emoji":"📼","skin_tone_support":false,"name":"videocassette","slug":"videocassette","subgroup":"light & video","codepoints":["1F4FC"],"codepoints_string":"1f4fc","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["old","school","tape","vcr","vhs","video","videocassette"]},
+  {"emoji":"🔍","skin_tone_support":false,"name":"magnifying glass tilted left","slug":"magnifying_glass_tilted_left","subgroup":"light & video","codepoints":["1F50D"],"codepoints_string":"1f50d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["glass","lab","left","left-pointing","magnifying","science","search","tilted","tool"]},
+  {"emoji":"🔎","skin_tone_support":false,"name":"magnifying glass tilted right","slug":"magnifying_glass_tilted_right","subgroup":"light & video","codepoints":["1F50E"],"codepoints_string":"1f50e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["contact","glass","lab","magnifying","right","right-pointing","science","search","tilted","tool"]},
+  {"emoji":"🕯️","skin_tone_support":false,"name":"candle","slug":"candle","subgroup":"light & video","codepoints":["1F56F","FE0F"],"codepoints_string":"1f56f-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["candle","light"]},
+  {"emoji":"💡","skin_tone_support":false,"name":"light bulb","slug":"light_bulb","subgroup":"light & video","codepoints":["1F4A1"],"codepoints_string":"1f4a1","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bulb","comic","electric","idea","light"]},
+  {"emoji":"🔦","skin_tone_support":false,"name":"flashlight","slug":"flashlight","subgroup":"light & video","codepoints":["1F526"],"codepoints_string":"1f526","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["electric","flashlight","light","tool","torch"]},
+  {"emoji":"🏮","skin_tone_support":false,"name":"red paper lantern","slug":"red_paper_lantern","subgroup":"light & video","codepoints":["1F3EE"],"codepoints_string":"1f3ee","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bar","lantern","light","paper","red","restaurant"]},
+  {"emoji":"🪔","skin_tone_support":false,"name":"diya lamp","slug":"diya_lamp","subgroup":"light & video","codepoints":["1FA94"],"codepoints_string":"1fa94","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["diya","lamp","light","oil"]},
+  {"emoji":"📔","skin_tone_support":false,"name":"notebook with decorative cover","slug":"notebook_with_decorative_cover","subgroup":"book-paper","codepoints":["1F4D4"],"codepoints_string":"1f4d4","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["book","cover","decorated","decorative","education","notebook","school","writing"]},
+  {"emoji":"📕","skin_tone_support":false,"name":"closed book","slug":"closed_book","subgroup":"book-paper","codepoints":["1F4D5"],"codepoints_string":"1f4d5","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["book","closed","education"]},
+  {"emoji":"📖","skin_tone_support":false,"name":"open book","slug":"open_book","subgroup":"book-paper","codepoints":["1F4D6"],"codepoints_string":"1f4d6","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["book","education","fantasy","knowledge","library","novels","open","reading"]},
+  {"emoji":"📗","skin_tone_support":false,"name":"green book","slug":"green_book","subgroup":"book-paper","codepoints":["1F4D7"],"codepoints_string":"1f4d7","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["book","education","fantasy","green","library","reading"]},
+  {"emoji":"📘","skin_tone_support":false,"name":"blue book","slug":"blue_book","subgroup":"book-paper","codepoints":["1F4D8"],"codepoints_string":"1f4d8","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blue","book","education","fantasy","library","reading"]},
+  {"emoji":"📙","skin_tone_support":false,"name":"orange book","slug":"orange_book","subgroup":"book-paper","codepoints":["1F4D9"],"codepoints_string":"1f4d9","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["book","education","fantasy","library","orange","reading"]},
+  {"emoji":"📚","skin_tone_support":false,"name":"books","slug":"books","subgroup":"book-paper","codepoints":["1F4DA"],"codepoints_string":"1f4da","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["book","books","education","fantasy","knowledge","library","novels","reading","school","study"]},
+  {"emoji":"📓","skin_tone_support":false,"name":"notebook","slug":"notebook","subgroup":"book-paper","codepoints":["1F4D3"],"codepoints_string":"1f4d3","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["notebook"]},
+  {"emoji":"📒","skin_tone_support":false,"name":"ledger","slug":"ledger","subgroup":"book-paper","codepoints":["1F4D2"],"codepoints_string":"1f4d2","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ledger","notebook"]},
+  {"emoji":"📃","skin_tone_support":false,"name":"page with curl","slug":"page_with_curl","subgroup":"book-paper","codepoints":["1F4C3"],"codepoints_string":"1f4c3","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["curl","document","page","paper"]},
+  {"emoji":"📜","skin_tone_support":false,"name":"scroll","slug":"scroll","subgroup":"book-paper","codepoints":["1F4DC"],"codepoints_string":"1f4dc","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["paper","scroll"]},
+  {"emoji":"📄","skin_tone_support":false,"name":"page facing up","slug":"page_facing_up","subgroup":"book-paper","codepoints":["1F4C4"],"codepoints_string":"1f4c4","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["document","facing","page","paper","up"]},
+  {"emoji":"📰","skin_tone_support":false,"name":"newspaper","slug":"newspaper","subgroup":"book-paper","codepoints":["1F4F0"],"codepoints_string":"1f4f0","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["communication","news","newspaper","paper"]},
+  {"emoji":"🗞️","skin_tone_support":false,"name":"rolled-up newspaper","slug":"rolled_up_newspaper","subgroup":"book-paper","codepoints":["1F5DE","FE0F"],"codepoints_string":"1f5de-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["news","newspaper","paper","rolled","rolled-up"]},
+  {"emoji":"📑","skin_tone_support":false,"name":"bookmark tabs","slug":"bookmark_tabs","subgroup":"book-paper","codepoints":["1F4D1"],"codepoints_string":"1f4d1","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bookmark","mark","marker","tabs"]},
+  {"emoji":"🔖","skin_tone_support":false,"name":"bookmark","slug":"bookmark","subgroup":"book-paper","codepoints":["1F516"],"codepoints_string":"1f516","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bookmark","mark"]},
+  {"emoji":"🏷️","skin_tone_support":false,"name":"label","slug":"label","subgroup":"book-paper","codepoints":["1F3F7","FE0F"],"codepoints_string":"1f3f7-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["label","tag"]},
+  {"emoji":"💰","skin_tone_support":false,"name":"money bag","slug":"money_bag","subgroup":"money","codepoints":["1F4B0"],"codepoints_string":"1f4b0","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bag","bank","bet","billion","cash","cost","dollar","gold","million","money","moneybag","paid","paying","pot","rich","win"]},
+  {"emoji":"🪙","skin_tone_support":false,"name":"coin","slug":"coin","subgroup":"money","codepoints":["1FA99"],"codepoints_string":"1fa99","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["coin","dollar","euro","gold","metal","money","rich","silver","treasure"]},
+  {"emoji":"💴","skin_tone_support":false,"name":"yen banknote","slug":"yen_banknote","subgroup":"money","codepoints":["1F4B4"],"codepoints_string":"1f4b4","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bank","banknote","bill","currency","money","note","yen"]},
+  {"emoji":"💵","skin_tone_support":false,"name":"dollar banknote","slug":"dollar_banknote","subgroup":"money","codepoints":["1F4B5"],"codepoints_string":"1f4b5","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bank","banknote","bill","currency","dollar","money","note"]},
+  {"emoji":"💶","skin_tone_support":false,"name":"euro banknote","slug":"euro_banknote","subgroup":"money","codepoints":["1F4B6"],"codepoints_string":"1f4b6","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["100","bank","banknote","bill","currency","euro","money","note","rich"]},
+  {"emoji":"💷","skin_tone_support":false,"name":"pound banknote","slug":"pound_banknote","subgroup":"money","codepoints":["1F4B7"],"codepoints_string":"1f4b7","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bank","banknote","bill","billion","cash","currency","money","note","pound","pounds"]},
+  {"emoji":"💸","skin_tone_support":false,"name":"money with wings","slug":"money_with_wings","subgroup":"money","codepoints":["1F4B8"],"codepoints_string":"1f4b8","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bank","banknote","bill","billion","cash","dollar","fly","million","money","note","pay","wings"]},
+  {"emoji":"💳","skin_tone_support":false,"name":"credit card","slug":"credit_card","subgroup":"money","codepoints":["1F4B3"],"codepoints_string":"1f4b3","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bank","card","cash","charge","credit","money","pay"]},
+  {"emoji":"🧾","skin_tone_support":false,"name":"receipt","slug":"receipt","subgroup":"money","codepoints":["1F9FE"],"codepoints_string":"1f9fe","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["accounting","bookkeeping","evidence","invoice","proof","receipt"]},
+  {"emoji":"💹","skin_tone_support":false,"name":"chart increasing with yen","slug":"chart_increasing_with_yen","subgroup":"money","codepoints":["1F4B9"],"codepoints_string":"1f4b9","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bank","chart","currency","graph","growth","increasing","market","money","rise","trend","upward","yen"]},
+  {"emoji":"✉️","skin_tone_support":false,"name":"envelope","slug":"envelope","subgroup":"mail","codepoints":["2709","FE0F"],"codepoints_string":"2709-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["e-mail","email","envelope","letter"]},
+  {"emoji":"📧","skin_tone_support":false,"name":"e-mail","slug":"e_mail","subgroup":"mail","codepoints":["1F4E7"],"codepoints_string":"1f4e7","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["e-mail","email","letter","mail"]},
+  {"emoji":"📨","skin_tone_support":false,"name":"incoming envelope","slug":"incoming_envelope","subgroup":"mail","codepoints":["1F4E8"],"codepoints_string":"1f4e8","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["delivering","e-mail","email","envelope","incoming","letter","mail","receive","sent"]},
+  {"emoji":"📩","skin_tone_support":false,"name":"envelope with arrow","slug":"envelope_with_arrow","subgroup":"mail","codepoints":["1F4E9"],"codepoints_string":"1f4e9","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","communication","down","e-mail","email","envelope","letter","mail","outgoing","send","sent"]},
+  {"emoji":"📤","skin_tone_support":false,"name":"outbox tray","slug":"outbox_tray","subgroup":"mail","codepoints":["1F4E4"],"codepoints_string":"1f4e4","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["box","email","letter","mail","outbox","sent","tray"]},
+  {"emoji":"📥","skin_tone_support":false,"name":"inbox tray","slug":"inbox_tray","subgroup":"mail","codepoints":["1F4E5"],"codepoints_string":"1f4e5","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["box","email","inbox","letter","mail","receive","tray","zero"]},
+  {"emoji":"📦","skin_tone_support":false,"name":"package","slug":"package","subgroup":"mail","codepoints":["1F4E6"],"codepoints_string":"1f4e6","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["box","communication","delivery","package","parcel","shipping"]},
+  {"emoji":"📫","skin_tone_support":false,"name":"closed mailbox with raised flag","slug":"closed_mailbox_with_raised_flag","subgroup":"mail","codepoints":["1F4EB"],"codepoints_string":"1f4eb","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["closed","communication","flag","mail","mailbox","postbox","raised"]},
+  {"emoji":"📪","skin_tone_support":false,"name":"closed mailbox with lowered flag","slug":"closed_mailbox_with_lowered_flag","subgroup":"mail","codepoints":["1F4EA"],"codepoints_string":"1f4ea","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["closed","flag","lowered","mail","mailbox","postbox"]},
+  {"emoji":"📬","skin_tone_support":false,"name":"open mailbox with raised flag","slug":"open_mailbox_with_raised_flag","subgroup":"mail","codepoints":["1F4EC"],"codepoints_string":"1f4ec","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["flag","mail","mailbox","open","postbox","raised"]},
+  {"emoji":"📭","skin_tone_support":false,"name":"open mailbox with lowered flag","slug":"open_mailbox_with_lowered_flag","subgroup":"mail","codepoints":["1F4ED"],"codepoints_string":"1f4ed","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["flag","lowered","mail","mailbox","open","postbox"]},
+  {"emoji":"📮","skin_tone_support":false,"name":"postbox","slug":"postbox","subgroup":"mail","codepoints":["1F4EE"],"codepoints_string":"1f4ee","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["mail","mailbox","postbox"]},
+  {"emoji":"🗳️","skin_tone_support":false,"name":"ballot box with ballot","slug":"ballot_box_with_ballot","subgroup":"mail","codepoints":["1F5F3","FE0F"],"codepoints_string":"1f5f3-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["ballot","box"]},
+  {"emoji":"✏️","skin_tone_support":false,"name":"pencil","slug":"pencil","subgroup":"writing","codepoints":["270F","FE0F"],"codepoints_string":"270f-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["pencil"]},
+  {"emoji":"✒️","skin_tone_support":false,"name":"black nib","slug":"black_nib","subgroup":"writing","codepoints":["2712","FE0F"],"codepoints_string":"2712-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["black","nib","pen"]},
+  {"emoji":"🖋️","skin_tone_support":false,"name":"fountain pen","slug":"fountain_pen","subgroup":"writing","codepoints":["1F58B","FE0F"],"codepoints_string":"1f58b-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["fountain","pen"]},
+  {"emoji":"🖊️","skin_tone_support":false,"name":"pen","slug":"pen","subgroup":"writing","codepoints":["1F58A","FE0F"],"codepoints_string":"1f58a-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["ballpoint","pen"]},
+  {"emoji":"🖌️","skin_tone_support":false,"name":"paintbrush","slug":"paintbrush","subgroup":"writing","codepoints":["1F58C","FE0F"],"codepoints_string":"1f58c-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["paintbrush","painting"]},
+  {"emoji":"🖍️","skin_tone_support":false,"name":"crayon","slug":"crayon","subgroup":"writing","codepoints":["1F58D","FE0F"],"codepoints_string":"1f58d-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["crayon"]},
+  {"emoji":"📝","skin_tone_support":false,"name":"memo","slug":"memo","subgroup":"writing","codepoints":["1F4DD"],"codepoints_string":"1f4dd","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["communication","media","memo","notes","pencil"]},
+  {"emoji":"💼","skin_tone_support":false,"name":"briefcase","slug":"briefcase","subgroup":"office","codepoints":["1F4BC"],"codepoints_string":"1f4bc","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["briefcase","office"]},
+  {"emoji":"📁","skin_tone_support":false,"name":"file folder","slug":"file_folder","subgroup":"office","codepoints":["1F4C1"],"codepoints_string":"1f4c1","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["file","folder"]},
+  {"emoji":"📂","skin_tone_support":false,"name":"open file folder","slug":"open_file_folder","subgroup":"office","codepoints":["1F4C2"],"codepoints_string":"1f4c2","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["file","folder","open"]},
+  {"emoji":"🗂️","skin_tone_support":false,"name":"card index dividers","slug":"card_index_dividers","subgroup":"office","codepoints":["1F5C2","FE0F"],"codepoints_string":"1f5c2-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["card","dividers","index"]},
+  {"emoji":"📅","skin_tone_support":false,"name":"calendar","slug":"calendar","subgroup":"office","codepoints":["1F4C5"],"codepoints_string":"1f4c5","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["calendar","date"]},
+  {"emoji":"📆","skin_tone_support":false,"name":"tear-off calendar","slug":"tear_off_calendar","subgroup":"office","codepoints":["1F4C6"],"codepoints_string":"1f4c6","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["calendar","tear-off"]},
+  {"emoji":"🗒️","skin_tone_support":false,"name":"spiral notepad","slug":"spiral_notepad","subgroup":"office","codepoints":["1F5D2","FE0F"],"codepoints_string":"1f5d2-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["note","notepad","pad","spiral"]},
+  {"emoji":"🗓️","skin_tone_support":false,"name":"spiral calendar","slug":"spiral_calendar","subgroup":"office","codepoints":["1F5D3","FE0F"],"codepoints_string":"1f5d3-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["calendar","pad","spiral"]},
+  {"emoji":"📇","skin_tone_support":false,"name":"card index","slug":"card_index","subgroup":"office","codepoints":["1F4C7"],"codepoints_string":"1f4c7","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["card","index","old","rolodex","school"]},
+  {"emoji":"📈","skin_tone_support":false,"name":"chart increasing","slug":"chart_increasing","subgroup":"office","codepoints":["1F4C8"],"codepoints_string":"1f4c8","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["chart","data","graph","growth","increasing","right","trend","up","upward"]},
+  {"emoji":"📉","skin_tone_support":false,"name":"chart decreasing","slug":"chart_decreasing","subgroup":"office","codepoints":["1F4C9"],"codepoints_string":"1f4c9","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["chart","data","decreasing","down","downward","graph","negative","trend"]},
+  {"emoji":"📊","skin_tone_support":false,"name":"bar chart","slug":"bar_chart","subgroup":"office","codepoints":["1F4CA"],"codepoints_string":"1f4ca","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bar","chart","data","graph"]},
+  {"emoji":"📋","skin_tone_support":false,"name":"clipboard","slug":"clipboard","subgroup":"office","codepoints":["1F4CB"],"codepoints_string":"1f4cb","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["clipboard","do","list","notes"]},
+  {"emoji":"📌","skin_tone_support":false,"name":"pushpin","slug":"pushpin","subgroup":"office","codepoints":["1F4CC"],"codepoints_string":"1f4cc","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["collage","pin","pushpin"]},
+  {"emoji":"📍","skin_tone_support":false,"name":"round pushpin","slug":"round_pushpin","subgroup":"office","codepoints":["1F4CD"],"codepoints_string":"1f4cd","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["location","map","pin","pushpin","round"]},
+  {"emoji":"📎","skin_tone_support":false,"name":"paperclip","slug":"paperclip","subgroup":"office","codepoints":["1F4CE"],"codepoints_string":"1f4ce","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["paperclip"]},
+  {"emoji":"🖇️","skin_tone_support":false,"name":"linked paperclips","slug":"linked_paperclips","subgroup":"office","codepoints":["1F587","FE0F"],"codepoints_string":"1f587-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["link","linked","paperclip","paperclips"]},
+  {"emoji":"📏","skin_tone_support":false,"name":"straight ruler","slug":"straight_ruler","subgroup":"office","codepoints":["1F4CF"],"codepoints_string":"1f4cf","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["angle","edge","math","ruler","straight","straightedge"]},
+  {"emoji":"📐","skin_tone_support":false,"name":"triangular ruler","slug":"triangular_ruler","subgroup":"office","codepoints":["1F4D0"],"codepoints_string":"1f4d0","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["angle","math","rule","ruler","set","slide","triangle","triangular"]},
+  {"emoji":"✂️","skin_tone_support":false,"name":"scissors","slug":"scissors","subgroup":"office","codepoints":["2702","FE0F"],"codepoints_string":"2702-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cut","cutting","paper","scissors","tool"]},
+  {"emoji":"🗃️","skin_tone_support":false,"name":"card file box","slug":"card_file_box","subgroup":"office","codepoints":["1F5C3","FE0F"],"codepoints_string":"1f5c3-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["box","card","file"]},
+  {"emoji":"🗄️","skin_tone_support":false,"name":"file cabinet","slug":"file_cabinet","subgroup":"office","codepoints":["1F5C4","FE0F"],"codepoints_string":"1f5c4-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cabinet","file","filing","paper"]},
+  {"emoji":"🗑️","skin_tone_support":false,"name":"wastebasket","slug":"wastebasket","subgroup":"office","codepoints":["1F5D1","FE0F"],"codepoints_string":"1f5d1-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["can","garbage","trash","waste","wastebasket"]},
+  {"emoji":"🔒","skin_tone_support":false,"name":"locked","slug":"locked","subgroup":"lock","codepoints":["1F512"],"codepoints_string":"1f512","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["closed","lock","locked","private"]},
+  {"emoji":"🔓","skin_tone_support":false,"name":"unlocked","slug":"unlocked","subgroup":"lock","codepoints":["1F513"],"codepoints_string":"1f513","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cracked","lock","open","unlock","unlocked"]},
+  {"emoji":"🔏","skin_tone_support":false,"name":"locked with pen","slug":"locked_with_pen","subgroup":"lock","codepoints":["1F50F"],"codepoints_string":"1f50f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ink","lock","locked","nib","pen","privacy"]},
+  {"emoji":"🔐","skin_tone_support":false,"name":"locked with key","slug":"locked_with_key","subgroup":"lock","codepoints":["1F510"],"codepoints_string":"1f510","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bike","closed","key","lock","locked","secure"]},
+  {"emoji":"🔑","skin_tone_support":false,"name":"key","slug":"key","subgroup":"lock","codepoints":["1F511"],"codepoints_string":"1f511","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["key","keys","lock","major","password","unlock"]},
+  {"emoji":"🗝️","skin_tone_support":false,"name":"old key","slug":"old_key","subgroup":"lock","codepoints":["1F5DD","FE0F"],"codepoints_string":"1f5dd-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["clue","key","lock","old"]},
+  {"emoji":"🔨","skin_tone_support":false,"name":"hammer","slug":"hammer","subgroup":"tool","codepoints":["1F528"],"codepoints_string":"1f528","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["hammer","home","improvement","repairs","tool"]},
+  {"emoji":"🪓","skin_tone_support":false,"name":"axe","slug":"axe","subgroup":"tool","codepoints":["1FA93"],"codepoints_string":"1fa93","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ax","axe","chop","hatchet","split","wood"]},
+  {"emoji":"⛏️","skin_tone_support":false,"name":"pick","slug":"pick","subgroup":"tool","codepoints":["26CF","FE0F"],"codepoints_string":"26cf-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["hammer","mining","pick","tool"]},
+  {"emoji":"⚒️","skin_tone_support":false,"name":"hammer and pick","slug":"hammer_and_pick","subgroup":"tool","codepoints":["2692","FE0F"],"codepoints_string":"2692-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["hammer","pick","tool"]},
+  {"emoji":"🛠️","skin_tone_support":false,"name":"hammer and wrench","slug":"hammer_and_wrench","subgroup":"tool","codepoints":["1F6E0","FE0F"],"codepoints_string":"1f6e0-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["hammer","spanner","tool","wrench"]},
+  {"emoji":"🗡️","skin_tone_support":false,"name":"dagger","slug":"dagger","subgroup":"tool","codepoints":["1F5E1","FE0F"],"codepoints_string":"1f5e1-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["dagger","knife","weapon"]},
+  {"emoji":"⚔️","skin_tone_support":false,"name":"crossed swords","slug":"crossed_swords","subgroup":"tool","codepoints":["2694","FE0F"],"codepoints_string":"2694-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["crossed","swords","weapon"]},
+  {"emoji":"💣","skin_tone_support":false,"name":"bomb","slug":"bomb","subgroup":"tool","codepoints":["1F4A3"],"codepoints_string":"1f4a3","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bomb","boom","comic","dangerous","explosion","hot"]},
+  {"emoji":"🪃","skin_tone_support":false,"name":"boomerang","slug":"boomerang","subgroup":"tool","codepoints":["1FA83"],"codepoints_string":"1fa83","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["boomerang","rebound","repercussion","weapon"]},
+  {"emoji":"🏹","skin_tone_support":false,"name":"bow and arrow","slug":"bow_and_arrow","subgroup":"tool","codepoints":["1F3F9"],"codepoints_string":"1f3f9","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["archer","archery","arrow","bow","Sagittarius","tool","weapon","zodiac"]},
+  {"emoji":"🛡️","skin_tone_support":false,"name":"shield","slug":"shield","subgroup":"tool","codepoints":["1F6E1","FE0F"],"codepoints_string":"1f6e1-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["shield","weapon"]},
+  {"emoji":"🪚","skin_tone_support":false,"name":"carpentry saw","slug":"carpentry_saw","subgroup":"tool","codepoints":["1FA9A"],"codepoints_string":"1fa9a","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["carpenter","carpentry","cut","lumber","saw","tool","trim"]},
+  {"emoji":"🔧","skin_tone_support":false,"name":"wrench","slug":"wrench","subgroup":"tool","codepoints":["1F527"],"codepoints_string":"1f527","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["home","improvement","spanner","tool","wrench"]},
+  {"emoji":"🪛","skin_tone_support":false,"name":"screwdriver","slug":"screwdriver","subgroup":"tool","codepoints":["1FA9B"],"codepoints_string":"1fa9b","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["flathead","handy","screw","screwdriver","tool"]},
+  {"emoji":"🔩","skin_tone_support":false,"name":"nut and bolt","slug":"nut_and_bolt","subgroup":"tool","codepoints":["1F529"],"codepoints_string":"1f529","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bolt","home","improvement","nut","tool"]},
+  {"emoji":"⚙️","skin_tone_support":false,"name":"gear","slug":"gear","subgroup":"tool","codepoints":["2699","FE0F"],"codepoints_string":"2699-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cog","cogwheel","gear","tool"]},
+  {"emoji":"🗜️","skin_tone_support":false,"name":"clamp","slug":"clamp","subgroup":"tool","codepoints":["1F5DC","FE0F"],"codepoints_string":"1f5dc-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["clamp","compress","tool","vice"]},
+  {"emoji":"⚖️","skin_tone_support":false,"name":"balance scale","slug":"balance_scale","subgroup":"tool","codepoints":["2696","FE0F"],"codepoints_string":"2696-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["balance","justice","Libra","scale","scales","tool","weight","zodiac"]},
+  {"emoji":"🦯","skin_tone_support":false,"name":"white cane","slug":"white_cane","subgroup":"tool","codepoints":["1F9AF"],"codepoints_string":"1f9af","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["accessibility","blind","cane","probing","white"]},
+  {"emoji":"🔗","skin_tone_support":false,"name":"link","slug":"link","subgroup":"tool","codepoints":["1F517"],"codepoints_string":"1f517","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["link","links"]},
+  {"emoji":"⛓️‍💥","skin_tone_support":false,"name":"broken chain","slug":"broken_chain","subgroup":"tool","codepoints":["26D3","FE0F","200D","1F4A5"],"codepoints_string":"26d3-fe0f-200d-1f4a5","utf16_length":5,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["⛓️","💥"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["break","breaking","broken","chain","cuffs","freedom"]},
+  {"emoji":"⛓️","skin_tone_support":false,"name":"chains","slug":"chains","subgroup":"tool","codepoints":["26D3","FE0F"],"codepoints_string":"26d3-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["chain","chains"]},
+  {"emoji":"🪝","skin_tone_support":false,"name":"hook","slug":"hook","subgroup":"tool","codepoints":["1FA9D"],"codepoints_string":"1fa9d","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["catch","crook","curve","ensnare","hook","point","selling"]},
+  {"emoji":"🧰","skin_tone_support":false,"name":"toolbox","slug":"toolbox","subgroup":"tool","codepoints":["1F9F0"],"codepoints_string":"1f9f0","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["box","chest","mechanic","red","tool","toolbox"]},
+  {"emoji":"🧲","skin_tone_support":false,"name":"magnet","slug":"magnet","subgroup":"tool","codepoints":["1F9F2"],"codepoints_string":"1f9f2","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["attraction","horseshoe","magnet","magnetic","negative","positive","shape","u"]},
+  {"emoji":"🪜","skin_tone_support":false,"name":"ladder","slug":"ladder","subgroup":"tool","codepoints":["1FA9C"],"codepoints_string":"1fa9c","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["climb","ladder","rung","step"]},
+  {"emoji":"🪏","skin_tone_support":false,"name":"shovel","slug":"shovel","subgroup":"tool","codepoints":["1FA8F"],"codepoints_string":"1fa8f","utf16_length":2,"unicode_version":"16.0","emoji_version":"16.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bury","dig","garden","hole","plant","scoop","shovel","snow","spade"]},
+  {"emoji":"⚗️","skin_tone_support":false,"name":"alembic","slug":"alembic","subgroup":"science","codepoints":["2697","FE0F"],"codepoints_string":"2697-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["alembic","chemistry","tool"]},
+  {"emoji":"🧪","skin_tone_support":false,"name":"test tube","slug":"test_tube","subgroup":"science","codepoints":["1F9EA"],"codepoints_string":"1f9ea","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["chemist","chemistry","experiment","lab","science","test","tube"]},
+  {"emoji":"🧫","skin_tone_support":false,"name":"petri dish","slug":"petri_dish","subgroup":"science","codepoints":["1F9EB"],"codepoints_string":"1f9eb","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bacteria","biologist","biology","culture","dish","lab","petri"]},
+  {"emoji":"🧬","skin_tone_support":false,"name":"dna","slug":"dna","subgroup":"science","codepoints":["1F9EC"],"codepoints_string":"1f9ec","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["biologist","dna","evolution","gene","genetics","life"]},
+  {"emoji":"🔬","skin_tone_support":false,"name":"microscope","slug":"microscope","subgroup":"science","codepoints":["1F52C"],"codepoints_string":"1f52c","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["experiment","lab","microscope","science","tool"]},
+  {"emoji":"🔭","skin_tone_support":false,"name":"telescope","slug":"telescope","subgroup":"science","codepoints":["1F52D"],"codepoints_string":"1f52d","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["contact","extraterrestrial","science","telescope","tool"]},
+  {"emoji":"📡","skin_tone_support":false,"name":"satellite antenna","slug":"satellite_antenna","subgroup":"science","codepoints":["1F4E1"],"codepoints_string":"1f4e1","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["aliens","antenna","contact","dish","satellite","science"]},
+  {"emoji":"💉","skin_tone_support":false,"name":"syringe","slug":"syringe","subgroup":"medical","codepoints":["1F489"],"codepoints_string":"1f489","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["doctor","flu","medicine","needle","shot","sick","syringe","tool","vaccination"]},
+  {"emoji":"🩸","skin_tone_support":false,"name":"drop of blood","slug":"drop_of_blood","subgroup":"medical","codepoints":["1FA78"],"codepoints_string":"1fa78","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bleed","blood","donation","drop","injury","medicine","menstruation"]},
+  {"emoji":"💊","skin_tone_support":false,"name":"pill","slug":"pill","subgroup":"medical","codepoints":["1F48A"],"codepoints_string":"1f48a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["doctor","drugs","medicated","medicine","pill","pills","sick","vitamin"]},
+  {"emoji":"🩹","skin_tone_support":false,"name":"adhesive bandage","slug":"adhesive_bandage","subgroup":"medical","codepoints":["1FA79"],"codepoints_string":"1fa79","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["adhesive","bandage"]},
+  {"emoji":"🩼","skin_tone_support":false,"name":"crutch","slug":"crutch","subgroup":"medical","codepoints":["1FA7C"],"codepoints_string":"1fa7c","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["aid","cane","crutch","disability","help","hurt","injured","mobility","stick"]},
+  {"emoji":"🩺","skin_tone_support":false,"name":"stethoscope","slug":"stethoscope","subgroup":"medical","codepoints":["1FA7A"],"codepoints_string":"1fa7a","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["doctor","heart","medicine","stethoscope"]},
+  {"emoji":"🩻","skin_tone_support":false,"name":"x-ray","slug":"x_ray","subgroup":"medical","codepoints":["1FA7B"],"codepoints_string":"1fa7b","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bones","doctor","medical","skeleton","skull","x-ray","xray"]},
+  {"emoji":"🚪","skin_tone_support":false,"name":"door","slug":"door","subgroup":"household","codepoints":["1F6AA"],"codepoints_string":"1f6aa","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["back","closet","door","front"]},
+  {"emoji":"🛗","skin_tone_support":false,"name":"elevator","slug":"elevator","subgroup":"household","codepoints":["1F6D7"],"codepoints_string":"1f6d7","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["accessibility","elevator","hoist","lift"]},
+  {"emoji":"🪞","skin_tone_support":false,"name":"mirror","slug":"mirror","subgroup":"household","codepoints":["1FA9E"],"codepoints_string":"1fa9e","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["makeup","mirror","reflection","reflector","speculum"]},
+  {"emoji":"🪟","skin_tone_support":false,"name":"window","slug":"window","subgroup":"household","codepoints":["1FA9F"],"codepoints_string":"1fa9f","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["air","frame","fresh","opening","transparent","view","window"]},
+  {"emoji":"🛏️","skin_tone_support":false,"name":"bed","slug":"bed","subgroup":"household","codepoints":["1F6CF","FE0F"],"codepoints_string":"1f6cf-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bed","hotel","sleep"]},
+  {"emoji":"🛋️","skin_tone_support":false,"name":"couch and lamp","slug":"couch_and_lamp","subgroup":"household","codepoints":["1F6CB","FE0F"],"codepoints_string":"1f6cb-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["couch","hotel","lamp"]},
+  {"emoji":"🪑","skin_tone_support":false,"name":"chair","slug":"chair","subgroup":"household","codepoints":["1FA91"],"codepoints_string":"1fa91","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["chair","seat","sit"]},
+  {"emoji":"🚽","skin_tone_support":false,"name":"toilet","slug":"toilet","subgroup":"household","codepoints":["1F6BD"],"codepoints_string":"1f6bd","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bathroom","toilet"]},
+  {"emoji":"🪠","skin_tone_support":false,"name":"plunger","slug":"plunger","subgroup":"household","codepoints":["1FAA0"],"codepoints_string":"1faa0","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cup","force","plumber","plunger","poop","suction","toilet"]},
+  {"emoji":"🚿","skin_tone_support":false,"name":"shower","slug":"shower","subgroup":"household","codepoints":["1F6BF"],"codepoints_string":"1f6bf","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["shower","water"]},
+  {"emoji":"🛁","skin_tone_support":false,"name":"bathtub","slug":"bathtub","subgroup":"household","codepoints":["1F6C1"],"codepoints_string":"1f6c1","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bath","bathtub"]},
+  {"emoji":"🪤","skin_tone_support":false,"name":"mouse trap","slug":"mouse_trap","subgroup":"household","codepoints":["1FAA4"],"codepoints_string":"1faa4","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bait","cheese","lure","mouse","mousetrap","snare","trap"]},
+  {"emoji":"🪒","skin_tone_support":false,"name":"razor","slug":"razor","subgroup":"household","codepoints":["1FA92"],"codepoints_string":"1fa92","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["razor","sharp","shave"]},
+  {"emoji":"🧴","skin_tone_support":false,"name":"lotion bottle","slug":"lotion_bottle","subgroup":"household","codepoints":["1F9F4"],"codepoints_string":"1f9f4","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bottle","lotion","moisturizer","shampoo","sunscreen"]},
+  {"emoji":"🧷","skin_tone_support":false,"name":"safety pin","slug":"safety_pin","subgroup":"household","codepoints":["1F9F7"],"codepoints_string":"1f9f7","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["diaper","pin","punk","rock","safety"]},
+  {"emoji":"🧹","skin_tone_support":false,"name":"broom","slug":"broom","subgroup":"household","codepoints":["1F9F9"],"codepoints_string":"1f9f9","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["broom","cleaning","sweeping","witch"]},
+  {"emoji":"🧺","skin_tone_support":false,"name":"basket","slug":"basket","subgroup":"household","codepoints":["1F9FA"],"codepoints_string":"1f9fa","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["basket","farming","laundry","picnic"]},
+  {"emoji":"🧻","skin_tone_support":false,"name":"roll of paper","slug":"roll_of_paper","subgroup":"household","codepoints":["1F9FB"],"codepoints_string":"1f9fb","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["paper","roll","toilet","towels"]},
+  {"emoji":"🪣","skin_tone_support":false,"name":"bucket","slug":"bucket","subgroup":"household","codepoints":["1FAA3"],"codepoints_string":"1faa3","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bucket","cask","pail","vat"]},
+  {"emoji":"🧼","skin_tone_support":false,"name":"soap","slug":"soap","subgroup":"household","codepoints":["1F9FC"],"codepoints_string":"1f9fc","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bar","bathing","clean","cleaning","lather","soap","soapdish"]},
+  {"emoji":"🫧","skin_tone_support":false,"name":"bubbles","slug":"bubbles","subgroup":"household","codepoints":["1FAE7"],"codepoints_string":"1fae7","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bubble","bubbles","burp","clean","floating","pearl","soap","underwater"]},
+  {"emoji":"🪥","skin_tone_support":false,"name":"toothbrush","slug":"toothbrush","subgroup":"household","codepoints":["1FAA5"],"codepoints_string":"1faa5","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bathroom","brush","clean","dental","hygiene","teeth","toiletry","toothbrush"]},
+  {"emoji":"🧽","skin_tone_support":false,"name":"sponge","slug":"sponge","subgroup":"household","codepoints":["1F9FD"],"codepoints_string":"1f9fd","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["absorbing","cleaning","porous","soak","sponge"]},
+  {"emoji":"🧯","skin_tone_support":false,"name":"fire extinguisher","slug":"fire_extinguisher","subgroup":"household","codepoints":["1F9EF"],"codepoints_string":"1f9ef","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["extinguish","extinguisher","fire","quench"]},
+  {"emoji":"🛒","skin_tone_support":false,"name":"shopping cart","slug":"shopping_cart","subgroup":"household","codepoints":["1F6D2"],"codepoints_string":"1f6d2","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cart","shopping","trolley"]},
+  {"emoji":"🚬","skin_tone_support":false,"name":"cigarette","slug":"cigarette","subgroup":"other-object","codepoints":["1F6AC"],"codepoints_string":"1f6ac","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cigarette","smoking"]},
+  {"emoji":"⚰️","skin_tone_support":false,"name":"coffin","slug":"coffin","subgroup":"other-object","codepoints":["26B0","FE0F"],"codepoints_string":"26b0-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["coffin","dead","death","vampire"]},
+  {"emoji":"🪦","skin_tone_support":false,"name":"headstone","slug":"headstone","subgroup":"other-object","codepoints":["1FAA6"],"codepoints_string":"1faa6","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cemetery","dead","grave","graveyard","headstone","memorial","rip","tomb","tombstone"]},
+  {"emoji":"⚱️","skin_tone_support":false,"name":"funeral urn","slug":"funeral_urn","subgroup":"other-object","codepoints":["26B1","FE0F"],"codepoints_string":"26b1-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["ashes","death","funeral","urn"]},
+  {"emoji":"🧿","skin_tone_support":false,"name":"nazar amulet","slug":"nazar_amulet","subgroup":"other-object","codepoints":["1F9FF"],"codepoints_string":"1f9ff","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["amulet","bead","blue","charm","evil-eye","nazar","talisman"]},
+  {"emoji":"🪬","skin_tone_support":false,"name":"hamsa","slug":"hamsa","subgroup":"other-object","codepoints":["1FAAC"],"codepoints_string":"1faac","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["amulet","Fatima","fortune","guide","hamsa","hand","Mary","Miriam","palm","protect","protection"]},
+  {"emoji":"🗿","skin_tone_support":false,"name":"moai","slug":"moai","subgroup":"other-object","codepoints":["1F5FF"],"codepoints_string":"1f5ff","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","moai","moyai","statue","stoneface","travel"]},
+  {"emoji":"🪧","skin_tone_support":false,"name":"placard","slug":"placard","subgroup":"other-object","codepoints":["1FAA7"],"codepoints_string":"1faa7","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["card","demonstration","notice","picket","placard","plaque","protest","sign"]},
+  {"emoji":"🪪","skin_tone_support":false,"name":"identification card","slug":"identification_card","subgroup":"other-object","codepoints":["1FAAA"],"codepoints_string":"1faaa","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["card","credentials","document","ID","identification","license","security"]}
+]
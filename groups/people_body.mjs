@@ -0,0 +1,392 @@
+// Generated by script/build.js from the Unicode emoji data. Do not edit.
+
+export const name = "People & Body"
+export const slug = "people_body"
+export const emojis = [
+  {"emoji":"👋","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"waving hand","slug":"waving_hand","subgroup":"hand-fingers-open","codepoints":["1F44B"],"codepoints_string":"1f44b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["bye","cya","g2g","greetings","gtg","hand","hello","hey","hi","later","outtie","ttfn","ttyl","wave","yo","you"]},
+  {"emoji":"🤚","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"raised back of hand","slug":"raised_back_of_hand","subgroup":"hand-fingers-open","codepoints":["1F91A"],"codepoints_string":"1f91a","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["back","backhand","hand","raised"]},
+  {"emoji":"🖐️","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"hand with fingers splayed","slug":"hand_with_fingers_splayed","subgroup":"hand-fingers-open","codepoints":["1F590","FE0F"],"codepoints_string":"1f590-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["finger","fingers","hand","raised","splayed","stop"]},
+  {"emoji":"✋","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"raised hand","slug":"raised_hand","subgroup":"hand-fingers-open","codepoints":["270B"],"codepoints_string":"270b","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["5","five","hand","high","raised","stop"]},
+  {"emoji":"🖖","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"vulcan salute","slug":"vulcan_salute","subgroup":"hand-fingers-open","codepoints":["1F596"],"codepoints_string":"1f596","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["finger","hand","hands","salute","Vulcan"]},
+  {"emoji":"🫱","skin_tone_support":true,"skin_tone_support_unicode_version":"14.0","name":"rightwards hand","slug":"rightwards_hand","subgroup":"hand-fingers-open","codepoints":["1FAF1"],"codepoints_string":"1faf1","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["hand","handshake","hold","reach","right","rightward","rightwards","shake"]},
+  {"emoji":"🫲","skin_tone_support":true,"skin_tone_support_unicode_version":"14.0","name":"leftwards hand","slug":"leftwards_hand","subgroup":"hand-fingers-open","codepoints":["1FAF2"],"codepoints_string":"1faf2","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["hand","handshake","hold","left","leftward","leftwards","reach","shake"]},
+  {"emoji":"🫳","skin_tone_support":true,"skin_tone_support_unicode_version":"14.0","name":"palm down hand","slug":"palm_down_hand","subgroup":"hand-fingers-open","codepoints":["1FAF3"],"codepoints_string":"1faf3","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["dismiss","down","drop","dropped","hand","palm","pick","shoo","up"]},
+  {"emoji":"🫴","skin_tone_support":true,"skin_tone_support_unicode_version":"14.0","name":"palm up hand","slug":"palm_up_hand","subgroup":"hand-fingers-open","codepoints":["1FAF4"],"codepoints_string":"1faf4","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["beckon","catch","come","hand","hold","know","lift","me","offer","palm","tell"]},
+  {"emoji":"🫷","skin_tone_support":true,"skin_tone_support_unicode_version":"15.0","name":"leftwards pushing hand","slug":"leftwards_pushing_hand","subgroup":"hand-fingers-open","codepoints":["1FAF7"],"codepoints_string":"1faf7","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["block","five","halt","hand","high","hold","leftward","leftwards","pause","push","pushing","refuse","slap","stop","wait"]},
+  {"emoji":"🫸","skin_tone_support":true,"skin_tone_support_unicode_version":"15.0","name":"rightwards pushing hand","slug":"rightwards_pushing_hand","subgroup":"hand-fingers-open","codepoints":["1FAF8"],"codepoints_string":"1faf8","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["block","five","halt","hand","high","hold","pause","push","pushing","refuse","rightward","rightwards","slap","stop","wait"]},
+  {"emoji":"👌","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"OK hand","slug":"ok_hand","subgroup":"hand-fingers-partial","codepoints":["1F44C"],"codepoints_string":"1f44c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["awesome","bet","dope","fleek","fosho","got","gotcha","hand","legit","OK","okay","pinch","rad","sure","sweet","three"]},
+  {"emoji":"🤌","skin_tone_support":true,"skin_tone_support_unicode_version":"13.0","name":"pinched fingers","slug":"pinched_fingers","subgroup":"hand-fingers-partial","codepoints":["1F90C"],"codepoints_string":"1f90c","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["fingers","gesture","hand","hold","huh","interrogation","patience","pinched","relax","sarcastic","ugh","what","zip"]},
+  {"emoji":"🤏","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"pinching hand","slug":"pinching_hand","subgroup":"hand-fingers-partial","codepoints":["1F90F"],"codepoints_string":"1f90f","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["amount","bit","fingers","hand","little","pinching","small","sort"]},
+  {"emoji":"✌️","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"victory hand","slug":"victory_hand","subgroup":"hand-fingers-partial","codepoints":["270C","FE0F"],"codepoints_string":"270c-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["hand","peace","v","victory"]},
+  {"emoji":"🤞","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"crossed fingers","slug":"crossed_fingers","subgroup":"hand-fingers-partial","codepoints":["1F91E"],"codepoints_string":"1f91e","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["cross","crossed","finger","fingers","hand","luck"]},
+  {"emoji":"🫰","skin_tone_support":true,"skin_tone_support_unicode_version":"14.0","name":"hand with index finger and thumb crossed","slug":"hand_with_index_finger_and_thumb_crossed","subgroup":"hand-fingers-partial","codepoints":["1FAF0"],"codepoints_string":"1faf0","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["<3","crossed","expensive","finger","hand","heart","index","love","money","snap","thumb"]},
+  {"emoji":"🤟","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"love-you gesture","slug":"love_you_gesture","subgroup":"hand-fingers-partial","codepoints":["1F91F"],"codepoints_string":"1f91f","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["fingers","gesture","hand","ILY","love","love-you","three","you"]},
+  {"emoji":"🤘","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"sign of the horns","slug":"sign_of_the_horns","subgroup":"hand-fingers-partial","codepoints":["1F918"],"codepoints_string":"1f918","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["finger","hand","horns","rock-on","sign"]},
+  {"emoji":"🤙","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"call me hand","slug":"call_me_hand","subgroup":"hand-fingers-partial","codepoints":["1F919"],"codepoints_string":"1f919","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["call","hand","hang","loose","me","Shaka"]},
+  {"emoji":"👈","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"backhand index pointing left","slug":"backhand_index_pointing_left","subgroup":"hand-single-finger","codepoints":["1F448"],"codepoints_string":"1f448","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["backhand","finger","hand","index","left","point","pointing"]},
+  {"emoji":"👉","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"backhand index pointing right","slug":"backhand_index_pointing_right","subgroup":"hand-single-finger","codepoints":["1F449"],"codepoints_string":"1f449","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["backhand","finger","hand","index","point","pointing","right"]},
+  {"emoji":"👆","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"backhand index pointing up","slug":"backhand_index_pointing_up","subgroup":"hand-single-finger","codepoints":["1F446"],"codepoints_string":"1f446","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["backhand","finger","hand","index","point","pointing","up"]},
+  {"emoji":"🖕","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"middle finger","slug":"middle_finger","subgroup":"hand-single-finger","codepoints":["1F595"],"codepoints_string":"1f595","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["finger","hand","middle"]},
+  {"emoji":"👇","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"backhand index pointing down","slug":"backhand_index_pointing_down","subgroup":"hand-single-finger","codepoints":["1F447"],"codepoints_string":"1f447","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["backhand","down","finger","hand","index","point","pointing"]},
+  {"emoji":"☝️","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"index pointing up","slug":"index_pointing_up","subgroup":"hand-single-finger","codepoints":["261D","FE0F"],"codepoints_string":"261d-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["finger","hand","index","point","pointing","this","up"]},
+  {"emoji":"🫵","skin_tone_support":true,"skin_tone_support_unicode_version":"14.0","name":"index pointing at the viewer","slug":"index_pointing_at_the_viewer","subgroup":"hand-single-finger","codepoints":["1FAF5"],"codepoints_string":"1faf5","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["at","finger","hand","index","pointing","poke","viewer","you"]},
+  {"emoji":"👍","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"thumbs up","slug":"thumbs_up","subgroup":"hand-fingers-closed","codepoints":["1F44D"],"codepoints_string":"1f44d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["+1","good","hand","like","thumb","up","yes"]},
+  {"emoji":"👎","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"thumbs down","slug":"thumbs_down","subgroup":"hand-fingers-closed","codepoints":["1F44E"],"codepoints_string":"1f44e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["-1","bad","dislike","down","good","hand","no","nope","thumb","thumbs"]},
+  {"emoji":"✊","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"raised fist","slug":"raised_fist","subgroup":"hand-fingers-closed","codepoints":["270A"],"codepoints_string":"270a","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["clenched","fist","hand","punch","raised","solidarity"]},
+  {"emoji":"👊","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"oncoming fist","slug":"oncoming_fist","subgroup":"hand-fingers-closed","codepoints":["1F44A"],"codepoints_string":"1f44a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["absolutely","agree","boom","bro","bruh","bump","clenched","correct","fist","hand","knuckle","oncoming","pound","punch","rock","ttyl"]},
+  {"emoji":"🤛","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"left-facing fist","slug":"left_facing_fist","subgroup":"hand-fingers-closed","codepoints":["1F91B"],"codepoints_string":"1f91b","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["fist","left-facing","leftwards"]},
+  {"emoji":"🤜","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"right-facing fist","slug":"right_facing_fist","subgroup":"hand-fingers-closed","codepoints":["1F91C"],"codepoints_string":"1f91c","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["fist","right-facing","rightwards"]},
+  {"emoji":"👏","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"clapping hands","slug":"clapping_hands","subgroup":"hands","codepoints":["1F44F"],"codepoints_string":"1f44f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["applause","approval","awesome","clap","congrats","congratulations","excited","good","great","hand","homie","job","nice","prayed","well","yay"]},
+  {"emoji":"🙌","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"raising hands","slug":"raising_hands","subgroup":"hands","codepoints":["1F64C"],"codepoints_string":"1f64c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["celebration","gesture","hand","hands","hooray","praise","raised","raising"]},
+  {"emoji":"🫶","skin_tone_support":true,"skin_tone_support_unicode_version":"14.0","name":"heart hands","slug":"heart_hands","subgroup":"hands","codepoints":["1FAF6"],"codepoints_string":"1faf6","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["<3","hands","heart","love","you"]},
+  {"emoji":"👐","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"open hands","slug":"open_hands","subgroup":"hands","codepoints":["1F450"],"codepoints_string":"1f450","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["hand","hands","hug","jazz","open","swerve"]},
+  {"emoji":"🤲","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"palms up together","slug":"palms_up_together","subgroup":"hands","codepoints":["1F932"],"codepoints_string":"1f932","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["cupped","dua","hands","palms","pray","prayer","together","up","wish"]},
+  {"emoji":"🤝","skin_tone_support":true,"skin_tone_support_unicode_version":"14.0","name":"handshake","slug":"handshake","subgroup":"hands","codepoints":["1F91D"],"codepoints_string":"1f91d","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["agreement","deal","hand","handshake","meeting","shake"]},
+  {"emoji":"🙏","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"folded hands","slug":"folded_hands","subgroup":"hands","codepoints":["1F64F"],"codepoints_string":"1f64f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["appreciate","ask","beg","blessed","bow","cmon","five","folded","gesture","hand","high","please","pray","thanks","thx"]},
+  {"emoji":"✍️","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"writing hand","slug":"writing_hand","subgroup":"hand-prop","codepoints":["270D","FE0F"],"codepoints_string":"270d-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["hand","write","writing"]},
+  {"emoji":"💅","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"nail polish","slug":"nail_polish","subgroup":"hand-prop","codepoints":["1F485"],"codepoints_string":"1f485","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["bored","care","cosmetics","done","makeup","manicure","nail","polish","whatever"]},
+  {"emoji":"🤳","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"selfie","slug":"selfie","subgroup":"hand-prop","codepoints":["1F933"],"codepoints_string":"1f933","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["camera","phone","selfie"]},
+  {"emoji":"💪","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"flexed biceps","slug":"flexed_biceps","subgroup":"body-parts","codepoints":["1F4AA"],"codepoints_string":"1f4aa","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["arm","beast","bench","biceps","bodybuilder","bro","curls","flex","gains","gym","jacked","muscle","press","ripped","strong","weightlift"]},
+  {"emoji":"🦾","skin_tone_support":false,"name":"mechanical arm","slug":"mechanical_arm","subgroup":"body-parts","codepoints":["1F9BE"],"codepoints_string":"1f9be","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["accessibility","arm","mechanical","prosthetic"]},
+  {"emoji":"🦿","skin_tone_support":false,"name":"mechanical leg","slug":"mechanical_leg","subgroup":"body-parts","codepoints":["1F9BF"],"codepoints_string":"1f9bf","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["accessibility","leg","mechanical","prosthetic"]},
+  {"emoji":"🦵","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"leg","slug":"leg","subgroup":"body-parts","codepoints":["1F9B5"],"codepoints_string":"1f9b5","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["bent","foot","kick","knee","leg","limb"]},
+  {"emoji":"🦶","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"foot","slug":"foot","subgroup":"body-parts","codepoints":["1F9B6"],"codepoints_string":"1f9b6","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["ankle","feet","foot","kick","stomp"]},
+  {"emoji":"👂","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"ear","slug":"ear","subgroup":"body-parts","codepoints":["1F442"],"codepoints_string":"1f442","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["body","ear","ears","hear","hearing","listen","listening","sound"]},
+  {"emoji":"🦻","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"ear with hearing aid","slug":"ear_with_hearing_aid","subgroup":"body-parts","codepoints":["1F9BB"],"codepoints_string":"1f9bb","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["accessibility","aid","ear","hard","hearing"]},
+  {"emoji":"👃","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"nose","slug":"nose","subgroup":"body-parts","codepoints":["1F443"],"codepoints_string":"1f443","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["body","nose","noses","nosey","odor","smell","smells"]},
+  {"emoji":"🧠","skin_tone_support":false,"name":"brain","slug":"brain","subgroup":"body-parts","codepoints":["1F9E0"],"codepoints_string":"1f9e0","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["brain","intelligent","smart"]},
+  {"emoji":"🫀","skin_tone_support":false,"name":"anatomical heart","slug":"anatomical_heart","subgroup":"body-parts","codepoints":["1FAC0"],"codepoints_string":"1fac0","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["anatomical","beat","cardiology","heart","heartbeat","organ","pulse","real","red"]},
+  {"emoji":"🫁","skin_tone_support":false,"name":"lungs","slug":"lungs","subgroup":"body-parts","codepoints":["1FAC1"],"codepoints_string":"1fac1","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["breath","breathe","exhalation","inhalation","lung","lungs","organ","respiration"]},
+  {"emoji":"🦷","skin_tone_support":false,"name":"tooth","slug":"tooth","subgroup":"body-parts","codepoints":["1F9B7"],"codepoints_string":"1f9b7","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dentist","pearly","teeth","tooth","white"]},
+  {"emoji":"🦴","skin_tone_support":false,"name":"bone","slug":"bone","subgroup":"body-parts","codepoints":["1F9B4"],"codepoints_string":"1f9b4","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bone","bones","dog","skeleton","wishbone"]},
+  {"emoji":"👀","skin_tone_support":false,"name":"eyes","slug":"eyes","subgroup":"body-parts","codepoints":["1F440"],"codepoints_string":"1f440","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["body","eye","eyes","face","googly","look","looking","omg","peep","see","seeing"]},
+  {"emoji":"👁️","skin_tone_support":false,"name":"eye","slug":"eye","subgroup":"body-parts","codepoints":["1F441","FE0F"],"codepoints_string":"1f441-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["1","body","eye","one"]},
+  {"emoji":"👅","skin_tone_support":false,"name":"tongue","slug":"tongue","subgroup":"body-parts","codepoints":["1F445"],"codepoints_string":"1f445","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["body","lick","slurp","tongue"]},
+  {"emoji":"👄","skin_tone_support":false,"name":"mouth","slug":"mouth","subgroup":"body-parts","codepoints":["1F444"],"codepoints_string":"1f444","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beauty","body","kiss","kissing","lips","lipstick","mouth"]},
+  {"emoji":"🫦","skin_tone_support":false,"name":"biting lip","slug":"biting_lip","subgroup":"body-parts","codepoints":["1FAE6"],"codepoints_string":"1fae6","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["anxious","bite","biting","fear","flirt","flirting","kiss","lip","lipstick","nervous","sexy","uncomfortable","worried","worry"]},
+  {"emoji":"👶","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"baby","slug":"baby","subgroup":"person","codepoints":["1F476"],"codepoints_string":"1f476","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["babies","baby","children","goo","infant","newborn","pregnant","young"]},
+  {"emoji":"🧒","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"child","slug":"child","subgroup":"person","codepoints":["1F9D2"],"codepoints_string":"1f9d2","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["bright-eyed","child","grandchild","kid","young","younger"]},
+  {"emoji":"👦","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"boy","slug":"boy","subgroup":"person","codepoints":["1F466"],"codepoints_string":"1f466","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","bright-eyed","child","grandson","kid","son","young","younger"]},
+  {"emoji":"👧","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"girl","slug":"girl","subgroup":"person","codepoints":["1F467"],"codepoints_string":"1f467","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["bright-eyed","child","daughter","girl","granddaughter","kid","Virgo","young","younger","zodiac"]},
+  {"emoji":"🧑","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"person","slug":"person","subgroup":"person","codepoints":["1F9D1"],"codepoints_string":"1f9d1","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"person"},"keywords":["adult","person"]},
+  {"emoji":"👱","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person blond hair","slug":"person_blond_hair","subgroup":"person","codepoints":["1F471"],"codepoints_string":"1f471","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👱","gender":"person"},"keywords":["blond","blond-haired","human","person"]},
+  {"emoji":"👨","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"man","slug":"man","subgroup":"person","codepoints":["1F468"],"codepoints_string":"1f468","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"man"},"keywords":["adult","bro","man"]},
+  {"emoji":"🧔","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"person beard","slug":"person_beard","subgroup":"person","codepoints":["1F9D4"],"codepoints_string":"1f9d4","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧔","gender":"person"},"keywords":["beard","bearded","person","whiskers"]},
+  {"emoji":"🧔‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"13.1","name":"man beard","slug":"man_beard","subgroup":"person","codepoints":["1F9D4","200D","2642","FE0F"],"codepoints_string":"1f9d4-200d-2642-fe0f","utf16_length":5,"unicode_version":"13.1","emoji_version":"13.1","type":"zwj_sequence","components":["🧔","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧔","gender":"man"},"keywords":["beard","bearded","man","whiskers"]},
+  {"emoji":"🧔‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"13.1","name":"woman beard","slug":"woman_beard","subgroup":"person","codepoints":["1F9D4","200D","2640","FE0F"],"codepoints_string":"1f9d4-200d-2640-fe0f","utf16_length":5,"unicode_version":"13.1","emoji_version":"13.1","type":"zwj_sequence","components":["🧔","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧔","gender":"woman"},"keywords":["beard","bearded","whiskers","woman"]},
+  {"emoji":"👨‍🦰","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"man red hair","slug":"man_red_hair","subgroup":"person","codepoints":["1F468","200D","1F9B0"],"codepoints_string":"1f468-200d-1f9b0","utf16_length":5,"unicode_version":"11.0","emoji_version":"11.0","type":"zwj_sequence","components":["👨","🦰"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"man","hair":"red_hair"},"keywords":["adult","bro","man","red hair"]},
+  {"emoji":"👨‍🦱","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"man curly hair","slug":"man_curly_hair","subgroup":"person","codepoints":["1F468","200D","1F9B1"],"codepoints_string":"1f468-200d-1f9b1","utf16_length":5,"unicode_version":"11.0","emoji_version":"11.0","type":"zwj_sequence","components":["👨","🦱"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"man","hair":"curly_hair"},"keywords":["adult","bro","curly hair","man"]},
+  {"emoji":"👨‍🦳","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"man white hair","slug":"man_white_hair","subgroup":"person","codepoints":["1F468","200D","1F9B3"],"codepoints_string":"1f468-200d-1f9b3","utf16_length":5,"unicode_version":"11.0","emoji_version":"11.0","type":"zwj_sequence","components":["👨","🦳"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"man","hair":"white_hair"},"keywords":["adult","bro","man","white hair"]},
+  {"emoji":"👨‍🦲","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"man bald","slug":"man_bald","subgroup":"person","codepoints":["1F468","200D","1F9B2"],"codepoints_string":"1f468-200d-1f9b2","utf16_length":5,"unicode_version":"11.0","emoji_version":"11.0","type":"zwj_sequence","components":["👨","🦲"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"man","hair":"bald"},"keywords":["adult","bald","bro","man"]},
+  {"emoji":"👩","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"woman","slug":"woman","subgroup":"person","codepoints":["1F469"],"codepoints_string":"1f469","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"woman"},"keywords":["adult","lady","woman"]},
+  {"emoji":"👩‍🦰","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"woman red hair","slug":"woman_red_hair","subgroup":"person","codepoints":["1F469","200D","1F9B0"],"codepoints_string":"1f469-200d-1f9b0","utf16_length":5,"unicode_version":"11.0","emoji_version":"11.0","type":"zwj_sequence","components":["👩","🦰"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"woman","hair":"red_hair"},"keywords":["adult","lady","red hair","woman"]},
+  {"emoji":"🧑‍🦰","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"person red hair","slug":"person_red_hair","subgroup":"person","codepoints":["1F9D1","200D","1F9B0"],"codepoints_string":"1f9d1-200d-1f9b0","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🦰"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"person","hair":"red_hair"},"keywords":["adult","person","red hair"]},
+  {"emoji":"👩‍🦱","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"woman curly hair","slug":"woman_curly_hair","subgroup":"person","codepoints":["1F469","200D","1F9B1"],"codepoints_string":"1f469-200d-1f9b1","utf16_length":5,"unicode_version":"11.0","emoji_version":"11.0","type":"zwj_sequence","components":["👩","🦱"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"woman","hair":"curly_hair"},"keywords":["adult","curly hair","lady","woman"]},
+  {"emoji":"🧑‍🦱","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"person curly hair","slug":"person_curly_hair","subgroup":"person","codepoints":["1F9D1","200D","1F9B1"],"codepoints_string":"1f9d1-200d-1f9b1","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🦱"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"person","hair":"curly_hair"},"keywords":["adult","curly hair","person"]},
+  {"emoji":"👩‍🦳","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"woman white hair","slug":"woman_white_hair","subgroup":"person","codepoints":["1F469","200D","1F9B3"],"codepoints_string":"1f469-200d-1f9b3","utf16_length":5,"unicode_version":"11.0","emoji_version":"11.0","type":"zwj_sequence","components":["👩","🦳"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"woman","hair":"white_hair"},"keywords":["adult","lady","white hair","woman"]},
+  {"emoji":"🧑‍🦳","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"person white hair","slug":"person_white_hair","subgroup":"person","codepoints":["1F9D1","200D","1F9B3"],"codepoints_string":"1f9d1-200d-1f9b3","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🦳"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"person","hair":"white_hair"},"keywords":["adult","person","white hair"]},
+  {"emoji":"👩‍🦲","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"woman bald","slug":"woman_bald","subgroup":"person","codepoints":["1F469","200D","1F9B2"],"codepoints_string":"1f469-200d-1f9b2","utf16_length":5,"unicode_version":"11.0","emoji_version":"11.0","type":"zwj_sequence","components":["👩","🦲"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"woman","hair":"bald"},"keywords":["adult","bald","lady","woman"]},
+  {"emoji":"🧑‍🦲","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"person bald","slug":"person_bald","subgroup":"person","codepoints":["1F9D1","200D","1F9B2"],"codepoints_string":"1f9d1-200d-1f9b2","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🦲"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑","gender":"person","hair":"bald"},"keywords":["adult","bald","person"]},
+  {"emoji":"👱‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman blond hair","slug":"woman_blond_hair","subgroup":"person","codepoints":["1F471","200D","2640","FE0F"],"codepoints_string":"1f471-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👱","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👱","gender":"woman"},"keywords":["blond","blond-haired","blonde","hair","woman"]},
+  {"emoji":"👱‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man blond hair","slug":"man_blond_hair","subgroup":"person","codepoints":["1F471","200D","2642","FE0F"],"codepoints_string":"1f471-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👱","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👱","gender":"man"},"keywords":["blond","blond-haired","hair","man"]},
+  {"emoji":"🧓","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"older person","slug":"older_person","subgroup":"person","codepoints":["1F9D3"],"codepoints_string":"1f9d3","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["adult","elderly","grandparent","old","person","wise"]},
+  {"emoji":"👴","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"old man","slug":"old_man","subgroup":"person","codepoints":["1F474"],"codepoints_string":"1f474","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["adult","bald","elderly","gramps","grandfather","grandpa","man","old","wise"]},
+  {"emoji":"👵","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"old woman","slug":"old_woman","subgroup":"person","codepoints":["1F475"],"codepoints_string":"1f475","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["adult","elderly","grandma","grandmother","granny","lady","old","wise","woman"]},
+  {"emoji":"🙍","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person frowning","slug":"person_frowning","subgroup":"person-gesture","codepoints":["1F64D"],"codepoints_string":"1f64d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙍","gender":"person"},"keywords":["annoyed","disappointed","disgruntled","disturbed","frown","frowning","frustrated","gesture","irritated","person","upset"]},
+  {"emoji":"🙍‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man frowning","slug":"man_frowning","subgroup":"person-gesture","codepoints":["1F64D","200D","2642","FE0F"],"codepoints_string":"1f64d-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🙍","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙍","gender":"man"},"keywords":["annoyed","disappointed","disgruntled","disturbed","frown","frowning","frustrated","gesture","irritated","man","upset"]},
+  {"emoji":"🙍‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman frowning","slug":"woman_frowning","subgroup":"person-gesture","codepoints":["1F64D","200D","2640","FE0F"],"codepoints_string":"1f64d-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🙍","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙍","gender":"woman"},"keywords":["annoyed","disappointed","disgruntled","disturbed","frown","frowning","frustrated","gesture","irritated","upset","woman"]},
+  {"emoji":"🙎","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person pouting","slug":"person_pouting","subgroup":"person-gesture","codepoints":["1F64E"],"codepoints_string":"1f64e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙎","gender":"person"},"keywords":["disappointed","downtrodden","frown","grimace","person","pouting","scowl","sulk","upset","whine"]},
+  {"emoji":"🙎‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man pouting","slug":"man_pouting","subgroup":"person-gesture","codepoints":["1F64E","200D","2642","FE0F"],"codepoints_string":"1f64e-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🙎","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙎","gender":"man"},"keywords":["disappointed","downtrodden","frown","grimace","man","pouting","scowl","sulk","upset","whine"]},
+  {"emoji":"🙎‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman pouting","slug":"woman_pouting","subgroup":"person-gesture","codepoints":["1F64E","200D","2640","FE0F"],"codepoints_string":"1f64e-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🙎","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙎","gender":"woman"},"keywords":["disappointed","downtrodden","frown","grimace","pouting","scowl","sulk","upset","whine","woman"]},
+  {"emoji":"🙅","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person gesturing NO","slug":"person_gesturing_no","subgroup":"person-gesture","codepoints":["1F645"],"codepoints_string":"1f645","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙅","gender":"person"},"keywords":["forbidden","gesture","hand","NO","not","person","prohibit"]},
+  {"emoji":"🙅‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man gesturing NO","slug":"man_gesturing_no","subgroup":"person-gesture","codepoints":["1F645","200D","2642","FE0F"],"codepoints_string":"1f645-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🙅","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙅","gender":"man"},"keywords":["forbidden","gesture","hand","man","NO","not","prohibit"]},
+  {"emoji":"🙅‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman gesturing NO","slug":"woman_gesturing_no","subgroup":"person-gesture","codepoints":["1F645","200D","2640","FE0F"],"codepoints_string":"1f645-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🙅","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙅","gender":"woman"},"keywords":["forbidden","gesture","hand","NO","not","prohibit","woman"]},
+  {"emoji":"🙆","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person gesturing OK","slug":"person_gesturing_ok","subgroup":"person-gesture","codepoints":["1F646"],"codepoints_string":"1f646","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙆","gender":"person"},"keywords":["exercise","gesture","gesturing","hand","OK","omg","person"]},
+  {"emoji":"🙆‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man gesturing OK","slug":"man_gesturing_ok","subgroup":"person-gesture","codepoints":["1F646","200D","2642","FE0F"],"codepoints_string":"1f646-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🙆","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙆","gender":"man"},"keywords":["exercise","gesture","gesturing","hand","man","OK","omg"]},
+  {"emoji":"🙆‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman gesturing OK","slug":"woman_gesturing_ok","subgroup":"person-gesture","codepoints":["1F646","200D","2640","FE0F"],"codepoints_string":"1f646-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🙆","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙆","gender":"woman"},"keywords":["exercise","gesture","gesturing","hand","OK","omg","woman"]},
+  {"emoji":"💁","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person tipping hand","slug":"person_tipping_hand","subgroup":"person-gesture","codepoints":["1F481"],"codepoints_string":"1f481","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"💁","gender":"person"},"keywords":["fetch","flick","flip","gossip","hand","person","sarcasm","sarcastic","sassy","seriously","tipping","whatever"]},
+  {"emoji":"💁‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man tipping hand","slug":"man_tipping_hand","subgroup":"person-gesture","codepoints":["1F481","200D","2642","FE0F"],"codepoints_string":"1f481-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["💁","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"💁","gender":"man"},"keywords":["fetch","flick","flip","gossip","hand","man","sarcasm","sarcastic","sassy","seriously","tipping","whatever"]},
+  {"emoji":"💁‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman tipping hand","slug":"woman_tipping_hand","subgroup":"person-gesture","codepoints":["1F481","200D","2640","FE0F"],"codepoints_string":"1f481-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["💁","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"💁","gender":"woman"},"keywords":["fetch","flick","flip","gossip","hand","sarcasm","sarcastic","sassy","seriously","tipping","whatever","woman"]},
+  {"emoji":"🙋","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person raising hand","slug":"person_raising_hand","subgroup":"person-gesture","codepoints":["1F64B"],"codepoints_string":"1f64b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙋","gender":"person"},"keywords":["gesture","hand","here","know","me","person","pick","question","raise","raising"]},
+  {"emoji":"🙋‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man raising hand","slug":"man_raising_hand","subgroup":"person-gesture","codepoints":["1F64B","200D","2642","FE0F"],"codepoints_string":"1f64b-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🙋","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙋","gender":"man"},"keywords":["gesture","hand","here","know","man","me","pick","question","raise","raising"]},
+  {"emoji":"🙋‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman raising hand","slug":"woman_raising_hand","subgroup":"person-gesture","codepoints":["1F64B","200D","2640","FE0F"],"codepoints_string":"1f64b-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🙋","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙋","gender":"woman"},"keywords":["gesture","hand","here","know","me","pick","question","raise","raising","woman"]},
+  {"emoji":"🧏","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"deaf person","slug":"deaf_person","subgroup":"person-gesture","codepoints":["1F9CF"],"codepoints_string":"1f9cf","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧏","gender":"person"},"keywords":["accessibility","deaf","ear","gesture","hear","person"]},
+  {"emoji":"🧏‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"deaf man","slug":"deaf_man","subgroup":"person-gesture","codepoints":["1F9CF","200D","2642","FE0F"],"codepoints_string":"1f9cf-200d-2642-fe0f","utf16_length":5,"unicode_version":"12.0","emoji_version":"12.0","type":"zwj_sequence","components":["🧏","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧏","gender":"man"},"keywords":["accessibility","deaf","ear","gesture","hear","man"]},
+  {"emoji":"🧏‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"deaf woman","slug":"deaf_woman","subgroup":"person-gesture","codepoints":["1F9CF","200D","2640","FE0F"],"codepoints_string":"1f9cf-200d-2640-fe0f","utf16_length":5,"unicode_version":"12.0","emoji_version":"12.0","type":"zwj_sequence","components":["🧏","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧏","gender":"woman"},"keywords":["accessibility","deaf","ear","gesture","hear","woman"]},
+  {"emoji":"🙇","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person bowing","slug":"person_bowing","subgroup":"person-gesture","codepoints":["1F647"],"codepoints_string":"1f647","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙇","gender":"person"},"keywords":["apology","ask","beg","bow","bowing","favor","forgive","gesture","meditate","meditation","person","pity","regret","sorry"]},
+  {"emoji":"🙇‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man bowing","slug":"man_bowing","subgroup":"person-gesture","codepoints":["1F647","200D","2642","FE0F"],"codepoints_string":"1f647-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🙇","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙇","gender":"man"},"keywords":["apology","ask","beg","bow","bowing","favor","forgive","gesture","man","meditate","meditation","pity","regret","sorry"]},
+  {"emoji":"🙇‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman bowing","slug":"woman_bowing","subgroup":"person-gesture","codepoints":["1F647","200D","2640","FE0F"],"codepoints_string":"1f647-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🙇","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🙇","gender":"woman"},"keywords":["apology","ask","beg","bow","bowing","favor","forgive","gesture","meditate","meditation","pity","regret","sorry","woman"]},
+  {"emoji":"🤦","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"person facepalming","slug":"person_facepalming","subgroup":"person-gesture","codepoints":["1F926"],"codepoints_string":"1f926","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤦","gender":"person"},"keywords":["again","bewilder","disbelief","exasperation","facepalm","no","not","oh","omg","person","shock","smh"]},
+  {"emoji":"🤦‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man facepalming","slug":"man_facepalming","subgroup":"person-gesture","codepoints":["1F926","200D","2642","FE0F"],"codepoints_string":"1f926-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🤦","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤦","gender":"man"},"keywords":["again","bewilder","disbelief","exasperation","facepalm","man","no","not","oh","omg","shock","smh"]},
+  {"emoji":"🤦‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman facepalming","slug":"woman_facepalming","subgroup":"person-gesture","codepoints":["1F926","200D","2640","FE0F"],"codepoints_string":"1f926-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🤦","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤦","gender":"woman"},"keywords":["again","bewilder","disbelief","exasperation","facepalm","no","not","oh","omg","shock","smh","woman"]},
+  {"emoji":"🤷","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"person shrugging","slug":"person_shrugging","subgroup":"person-gesture","codepoints":["1F937"],"codepoints_string":"1f937","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤷","gender":"person"},"keywords":["doubt","dunno","guess","idk","ignorance","indifference","knows","maybe","person","shrug","shrugging","whatever","who"]},
+  {"emoji":"🤷‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man shrugging","slug":"man_shrugging","subgroup":"person-gesture","codepoints":["1F937","200D","2642","FE0F"],"codepoints_string":"1f937-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🤷","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤷","gender":"man"},"keywords":["doubt","dunno","guess","idk","ignorance","indifference","knows","man","maybe","shrug","shrugging","whatever","who"]},
+  {"emoji":"🤷‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman shrugging","slug":"woman_shrugging","subgroup":"person-gesture","codepoints":["1F937","200D","2640","FE0F"],"codepoints_string":"1f937-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🤷","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤷","gender":"woman"},"keywords":["doubt","dunno","guess","idk","ignorance","indifference","knows","maybe","shrug","shrugging","whatever","who","woman"]},
+  {"emoji":"🧑‍⚕️","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"health worker","slug":"health_worker","subgroup":"person-role","codepoints":["1F9D1","200D","2695","FE0F"],"codepoints_string":"1f9d1-200d-2695-fe0f","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","⚕️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍⚕️","gender":"person"},"keywords":["doctor","health","healthcare","nurse","therapist","worker"]},
+  {"emoji":"👨‍⚕️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man health worker","slug":"man_health_worker","subgroup":"person-role","codepoints":["1F468","200D","2695","FE0F"],"codepoints_string":"1f468-200d-2695-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","⚕️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍⚕️","gender":"man"},"keywords":["doctor","health","healthcare","man","nurse","therapist","worker"]},
+  {"emoji":"👩‍⚕️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman health worker","slug":"woman_health_worker","subgroup":"person-role","codepoints":["1F469","200D","2695","FE0F"],"codepoints_string":"1f469-200d-2695-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","⚕️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍⚕️","gender":"woman"},"keywords":["doctor","health","healthcare","nurse","therapist","woman","worker"]},
+  {"emoji":"🧑‍🎓","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"student","slug":"student","subgroup":"person-role","codepoints":["1F9D1","200D","1F393"],"codepoints_string":"1f9d1-200d-1f393","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🎓"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🎓","gender":"person"},"keywords":["graduate","student"]},
+  {"emoji":"👨‍🎓","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man student","slug":"man_student","subgroup":"person-role","codepoints":["1F468","200D","1F393"],"codepoints_string":"1f468-200d-1f393","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","🎓"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🎓","gender":"man"},"keywords":["graduate","man","student"]},
+  {"emoji":"👩‍🎓","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman student","slug":"woman_student","subgroup":"person-role","codepoints":["1F469","200D","1F393"],"codepoints_string":"1f469-200d-1f393","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","🎓"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🎓","gender":"woman"},"keywords":["graduate","student","woman"]},
+  {"emoji":"🧑‍🏫","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"teacher","slug":"teacher","subgroup":"person-role","codepoints":["1F9D1","200D","1F3EB"],"codepoints_string":"1f9d1-200d-1f3eb","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🏫"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🏫","gender":"person"},"keywords":["instructor","lecturer","professor","teacher"]},
+  {"emoji":"👨‍🏫","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man teacher","slug":"man_teacher","subgroup":"person-role","codepoints":["1F468","200D","1F3EB"],"codepoints_string":"1f468-200d-1f3eb","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","🏫"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🏫","gender":"man"},"keywords":["instructor","lecturer","man","professor","teacher"]},
+  {"emoji":"👩‍🏫","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman teacher","slug":"woman_teacher","subgroup":"person-role","codepoints":["1F469","200D","1F3EB"],"codepoints_string":"1f469-200d-1f3eb","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","🏫"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🏫","gender":"woman"},"keywords":["instructor","lecturer","professor","teacher","woman"]},
+  {"emoji":"🧑‍⚖️","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"judge","slug":"judge","subgroup":"person-role","codepoints":["1F9D1","200D","2696","FE0F"],"codepoints_string":"1f9d1-200d-2696-fe0f","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","⚖️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍⚖️","gender":"person"},"keywords":["judge","justice","law","scales"]},
+  {"emoji":"👨‍⚖️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man judge","slug":"man_judge","subgroup":"person-role","codepoints":["1F468","200D","2696","FE0F"],"codepoints_string":"1f468-200d-2696-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","⚖️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍⚖️","gender":"man"},"keywords":["judge","justice","law","man","scales"]},
+  {"emoji":"👩‍⚖️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman judge","slug":"woman_judge","subgroup":"person-role","codepoints":["1F469","200D","2696","FE0F"],"codepoints_string":"1f469-200d-2696-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","⚖️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍⚖️","gender":"woman"},"keywords":["judge","justice","law","scales","woman"]},
+  {"emoji":"🧑‍🌾","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"farmer","slug":"farmer","subgroup":"person-role","codepoints":["1F9D1","200D","1F33E"],"codepoints_string":"1f9d1-200d-1f33e","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🌾"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🌾","gender":"person"},"keywords":["farmer","gardener","rancher"]},
+  {"emoji":"👨‍🌾","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man farmer","slug":"man_farmer","subgroup":"person-role","codepoints":["1F468","200D","1F33E"],"codepoints_string":"1f468-200d-1f33e","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","🌾"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🌾","gender":"man"},"keywords":["farmer","gardener","man","rancher"]},
+  {"emoji":"👩‍🌾","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman farmer","slug":"woman_farmer","subgroup":"person-role","codepoints":["1F469","200D","1F33E"],"codepoints_string":"1f469-200d-1f33e","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","🌾"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🌾","gender":"woman"},"keywords":["farmer","gardener","rancher","woman"]},
+  {"emoji":"🧑‍🍳","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"cook","slug":"cook","subgroup":"person-role","codepoints":["1F9D1","200D","1F373"],"codepoints_string":"1f9d1-200d-1f373","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🍳"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🍳","gender":"person"},"keywords":["chef","cook"]},
+  {"emoji":"👨‍🍳","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man cook","slug":"man_cook","subgroup":"person-role","codepoints":["1F468","200D","1F373"],"codepoints_string":"1f468-200d-1f373","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","🍳"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🍳","gender":"man"},"keywords":["chef","cook","man"]},
+  {"emoji":"👩‍🍳","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman cook","slug":"woman_cook","subgroup":"person-role","codepoints":["1F469","200D","1F373"],"codepoints_string":"1f469-200d-1f373","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","🍳"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🍳","gender":"woman"},"keywords":["chef","cook","woman"]},
+  {"emoji":"🧑‍🔧","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"mechanic","slug":"mechanic","subgroup":"person-role","codepoints":["1F9D1","200D","1F527"],"codepoints_string":"1f9d1-200d-1f527","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🔧"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🔧","gender":"person"},"keywords":["electrician","mechanic","plumber","tradesperson"]},
+  {"emoji":"👨‍🔧","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man mechanic","slug":"man_mechanic","subgroup":"person-role","codepoints":["1F468","200D","1F527"],"codepoints_string":"1f468-200d-1f527","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","🔧"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🔧","gender":"man"},"keywords":["electrician","man","mechanic","plumber","tradesperson"]},
+  {"emoji":"👩‍🔧","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman mechanic","slug":"woman_mechanic","subgroup":"person-role","codepoints":["1F469","200D","1F527"],"codepoints_string":"1f469-200d-1f527","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","🔧"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🔧","gender":"woman"},"keywords":["electrician","mechanic","plumber","tradesperson","woman"]},
+  {"emoji":"🧑‍🏭","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"factory worker","slug":"factory_worker","subgroup":"person-role","codepoints":["1F9D1","200D","1F3ED"],"codepoints_string":"1f9d1-200d-1f3ed","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🏭"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🏭","gender":"person"},"keywords":["assembly","factory","industrial","worker"]},
+  {"emoji":"👨‍🏭","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man factory worker","slug":"man_factory_worker","subgroup":"person-role","codepoints":["1F468","200D","1F3ED"],"codepoints_string":"1f468-200d-1f3ed","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","🏭"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🏭","gender":"man"},"keywords":["assembly","factory","industrial","man","worker"]},
+  {"emoji":"👩‍🏭","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman factory worker","slug":"woman_factory_worker","subgroup":"person-role","codepoints":["1F469","200D","1F3ED"],"codepoints_string":"1f469-200d-1f3ed","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","🏭"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🏭","gender":"woman"},"keywords":["assembly","factory","industrial","woman","worker"]},
+  {"emoji":"🧑‍💼","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"office worker","slug":"office_worker","subgroup":"person-role","codepoints":["1F9D1","200D","1F4BC"],"codepoints_string":"1f9d1-200d-1f4bc","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","💼"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍💼","gender":"person"},"keywords":["architect","business","manager","office","white-collar","worker"]},
+  {"emoji":"👨‍💼","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man office worker","slug":"man_office_worker","subgroup":"person-role","codepoints":["1F468","200D","1F4BC"],"codepoints_string":"1f468-200d-1f4bc","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","💼"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍💼","gender":"man"},"keywords":["architect","business","man","manager","office","white-collar","worker"]},
+  {"emoji":"👩‍💼","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman office worker","slug":"woman_office_worker","subgroup":"person-role","codepoints":["1F469","200D","1F4BC"],"codepoints_string":"1f469-200d-1f4bc","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","💼"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍💼","gender":"woman"},"keywords":["architect","business","manager","office","white-collar","woman","worker"]},
+  {"emoji":"🧑‍🔬","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"scientist","slug":"scientist","subgroup":"person-role","codepoints":["1F9D1","200D","1F52C"],"codepoints_string":"1f9d1-200d-1f52c","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🔬"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🔬","gender":"person"},"keywords":["biologist","chemist","engineer","mathematician","physicist","scientist"]},
+  {"emoji":"👨‍🔬","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man scientist","slug":"man_scientist","subgroup":"person-role","codepoints":["1F468","200D","1F52C"],"codepoints_string":"1f468-200d-1f52c","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","🔬"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🔬","gender":"man"},"keywords":["biologist","chemist","engineer","man","mathematician","physicist","scientist"]},
+  {"emoji":"👩‍🔬","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman scientist","slug":"woman_scientist","subgroup":"person-role","codepoints":["1F469","200D","1F52C"],"codepoints_string":"1f469-200d-1f52c","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","🔬"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🔬","gender":"woman"},"keywords":["biologist","chemist","engineer","mathematician","physicist","scientist","woman"]},
+  {"emoji":"🧑‍💻","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"technologist","slug":"technologist","subgroup":"person-role","codepoints":["1F9D1","200D","1F4BB"],"codepoints_string":"1f9d1-200d-1f4bb","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","💻"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍💻","gender":"person"},"keywords":["coder","computer","developer","inventor","software","technologist"]},
+  {"emoji":"👨‍💻","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man technologist","slug":"man_technologist","subgroup":"person-role","codepoints":["1F468","200D","1F4BB"],"codepoints_string":"1f468-200d-1f4bb","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","💻"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍💻","gender":"man"},"keywords":["coder","computer","developer","inventor","man","software","technologist"]},
+  {"emoji":"👩‍💻","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman technologist","slug":"woman_technologist","subgroup":"person-role","codepoints":["1F469","200D","1F4BB"],"codepoints_string":"1f469-200d-1f4bb","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","💻"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍💻","gender":"woman"},"keywords":["coder","computer","developer","inventor","software","technologist","woman"]},
+  {"emoji":"🧑‍🎤","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"singer","slug":"singer","subgroup":"person-role","codepoints":["1F9D1","200D","1F3A4"],"codepoints_string":"1f9d1-200d-1f3a4","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🎤"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🎤","gender":"person"},"keywords":["actor","entertainer","rock","rockstar","singer","star"]},
+  {"emoji":"👨‍🎤","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man singer","slug":"man_singer","subgroup":"person-role","codepoints":["1F468","200D","1F3A4"],"codepoints_string":"1f468-200d-1f3a4","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","🎤"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🎤","gender":"man"},"keywords":["actor","entertainer","man","rock","rockstar","singer","star"]},
+  {"emoji":"👩‍🎤","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman singer","slug":"woman_singer","subgroup":"person-role","codepoints":["1F469","200D","1F3A4"],"codepoints_string":"1f469-200d-1f3a4","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","🎤"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🎤","gender":"woman"},"keywords":["actor","entertainer","rock","rockstar","singer","star","woman"]},
+  {"emoji":"🧑‍🎨","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"artist","slug":"artist","subgroup":"person-role","codepoints":["1F9D1","200D","1F3A8"],"codepoints_string":"1f9d1-200d-1f3a8","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🎨"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🎨","gender":"person"},"keywords":["artist","palette"]},
+  {"emoji":"👨‍🎨","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man artist","slug":"man_artist","subgroup":"person-role","codepoints":["1F468","200D","1F3A8"],"codepoints_string":"1f468-200d-1f3a8","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","🎨"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🎨","gender":"man"},"keywords":["artist","man","palette"]},
+  {"emoji":"👩‍🎨","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman artist","slug":"woman_artist","subgroup":"person-role","codepoints":["1F469","200D","1F3A8"],"codepoints_string":"1f469-200d-1f3a8","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","🎨"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🎨","gender":"woman"},"keywords":["artist","palette","woman"]},
+  {"emoji":"🧑‍✈️","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"pilot","slug":"pilot","subgroup":"person-role","codepoints":["1F9D1","200D","2708","FE0F"],"codepoints_string":"1f9d1-200d-2708-fe0f","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","✈️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍✈️","gender":"person"},"keywords":["pilot","plane"]},
+  {"emoji":"👨‍✈️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man pilot","slug":"man_pilot","subgroup":"person-role","codepoints":["1F468","200D","2708","FE0F"],"codepoints_string":"1f468-200d-2708-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","✈️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍✈️","gender":"man"},"keywords":["man","pilot","plane"]},
+  {"emoji":"👩‍✈️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman pilot","slug":"woman_pilot","subgroup":"person-role","codepoints":["1F469","200D","2708","FE0F"],"codepoints_string":"1f469-200d-2708-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","✈️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍✈️","gender":"woman"},"keywords":["pilot","plane","woman"]},
+  {"emoji":"🧑‍🚀","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"astronaut","slug":"astronaut","subgroup":"person-role","codepoints":["1F9D1","200D","1F680"],"codepoints_string":"1f9d1-200d-1f680","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🚀"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🚀","gender":"person"},"keywords":["astronaut","rocket","space"]},
+  {"emoji":"👨‍🚀","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man astronaut","slug":"man_astronaut","subgroup":"person-role","codepoints":["1F468","200D","1F680"],"codepoints_string":"1f468-200d-1f680","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","🚀"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🚀","gender":"man"},"keywords":["astronaut","man","rocket","space"]},
+  {"emoji":"👩‍🚀","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman astronaut","slug":"woman_astronaut","subgroup":"person-role","codepoints":["1F469","200D","1F680"],"codepoints_string":"1f469-200d-1f680","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","🚀"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🚀","gender":"woman"},"keywords":["astronaut","rocket","space","woman"]},
+  {"emoji":"🧑‍🚒","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"firefighter","slug":"firefighter","subgroup":"person-role","codepoints":["1F9D1","200D","1F692"],"codepoints_string":"1f9d1-200d-1f692","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🚒"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🚒","gender":"person"},"keywords":["fire","firefighter","firetruck"]},
+  {"emoji":"👨‍🚒","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man firefighter","slug":"man_firefighter","subgroup":"person-role","codepoints":["1F468","200D","1F692"],"codepoints_string":"1f468-200d-1f692","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","🚒"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🚒","gender":"man"},"keywords":["fire","firefighter","firetruck","man"]},
+  {"emoji":"👩‍🚒","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman firefighter","slug":"woman_firefighter","subgroup":"person-role","codepoints":["1F469","200D","1F692"],"codepoints_string":"1f469-200d-1f692","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","🚒"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🚒","gender":"woman"},"keywords":["fire","firefighter","firetruck","woman"]},
+  {"emoji":"👮","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"police officer","slug":"police_officer","subgroup":"person-role","codepoints":["1F46E"],"codepoints_string":"1f46e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👮","gender":"person"},"keywords":["apprehend","arrest","citation","cop","law","officer","over","police","pulled","undercover"]},
+  {"emoji":"👮‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man police officer","slug":"man_police_officer","subgroup":"person-role","codepoints":["1F46E","200D","2642","FE0F"],"codepoints_string":"1f46e-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👮","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👮","gender":"man"},"keywords":["apprehend","arrest","citation","cop","law","man","officer","over","police","pulled","undercover"]},
+  {"emoji":"👮‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman police officer","slug":"woman_police_officer","subgroup":"person-role","codepoints":["1F46E","200D","2640","FE0F"],"codepoints_string":"1f46e-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👮","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👮","gender":"woman"},"keywords":["apprehend","arrest","citation","cop","law","officer","over","police","pulled","undercover","woman"]},
+  {"emoji":"🕵️","skin_tone_support":true,"skin_tone_support_unicode_version":"2.0","name":"detective","slug":"detective","subgroup":"person-role","codepoints":["1F575","FE0F"],"codepoints_string":"1f575-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🕵️","gender":"person"},"keywords":["detective","sleuth","spy"]},
+  {"emoji":"🕵️‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man detective","slug":"man_detective","subgroup":"person-role","codepoints":["1F575","FE0F","200D","2642","FE0F"],"codepoints_string":"1f575-fe0f-200d-2642-fe0f","utf16_length":6,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🕵️","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🕵️","gender":"man"},"keywords":["detective","man","sleuth","spy"]},
+  {"emoji":"🕵️‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman detective","slug":"woman_detective","subgroup":"person-role","codepoints":["1F575","FE0F","200D","2640","FE0F"],"codepoints_string":"1f575-fe0f-200d-2640-fe0f","utf16_length":6,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🕵️","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🕵️","gender":"woman"},"keywords":["detective","sleuth","spy","woman"]},
+  {"emoji":"💂","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"guard","slug":"guard","subgroup":"person-role","codepoints":["1F482"],"codepoints_string":"1f482","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"💂","gender":"person"},"keywords":["buckingham","guard","helmet","london","palace"]},
+  {"emoji":"💂‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man guard","slug":"man_guard","subgroup":"person-role","codepoints":["1F482","200D","2642","FE0F"],"codepoints_string":"1f482-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["💂","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"💂","gender":"man"},"keywords":["buckingham","guard","helmet","london","man","palace"]},
+  {"emoji":"💂‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman guard","slug":"woman_guard","subgroup":"person-role","codepoints":["1F482","200D","2640","FE0F"],"codepoints_string":"1f482-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["💂","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"💂","gender":"woman"},"keywords":["buckingham","guard","helmet","london","palace","woman"]},
+  {"emoji":"🥷","skin_tone_support":true,"skin_tone_support_unicode_version":"13.0","name":"ninja","slug":"ninja","subgroup":"person-role","codepoints":["1F977"],"codepoints_string":"1f977","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["assassin","fight","fighter","hidden","ninja","person","secret","skills","sly","soldier","stealth","war"]},
+  {"emoji":"👷","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"construction worker","slug":"construction_worker","subgroup":"person-role","codepoints":["1F477"],"codepoints_string":"1f477","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👷","gender":"person"},"keywords":["build","construction","fix","hardhat","hat","man","person","rebuild","remodel","repair","work","worker"]},
+  {"emoji":"👷‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man construction worker","slug":"man_construction_worker","subgroup":"person-role","codepoints":["1F477","200D","2642","FE0F"],"codepoints_string":"1f477-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👷","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👷","gender":"man"},"keywords":["build","construction","fix","hardhat","hat","man","rebuild","remodel","repair","work","worker"]},
+  {"emoji":"👷‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman construction worker","slug":"woman_construction_worker","subgroup":"person-role","codepoints":["1F477","200D","2640","FE0F"],"codepoints_string":"1f477-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👷","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👷","gender":"woman"},"keywords":["build","construction","fix","hardhat","hat","man","rebuild","remodel","repair","woman","work","worker"]},
+  {"emoji":"🫅","skin_tone_support":true,"skin_tone_support_unicode_version":"14.0","name":"person with crown","slug":"person_with_crown","subgroup":"person-role","codepoints":["1FAC5"],"codepoints_string":"1fac5","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["crown","monarch","noble","person","regal","royal","royalty"]},
+  {"emoji":"🤴","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"prince","slug":"prince","subgroup":"person-role","codepoints":["1F934"],"codepoints_string":"1f934","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["crown","fairy","fairytale","fantasy","king","prince","royal","royalty","tale"]},
+  {"emoji":"👸","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"princess","slug":"princess","subgroup":"person-role","codepoints":["1F478"],"codepoints_string":"1f478","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["crown","fairy","fairytale","fantasy","princess","queen","royal","royalty","tale"]},
+  {"emoji":"👳","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person wearing turban","slug":"person_wearing_turban","subgroup":"person-role","codepoints":["1F473"],"codepoints_string":"1f473","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👳","gender":"person"},"keywords":["person","turban","wearing"]},
+  {"emoji":"👳‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man wearing turban","slug":"man_wearing_turban","subgroup":"person-role","codepoints":["1F473","200D","2642","FE0F"],"codepoints_string":"1f473-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👳","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👳","gender":"man"},"keywords":["man","turban","wearing"]},
+  {"emoji":"👳‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman wearing turban","slug":"woman_wearing_turban","subgroup":"person-role","codepoints":["1F473","200D","2640","FE0F"],"codepoints_string":"1f473-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👳","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👳","gender":"woman"},"keywords":["turban","wearing","woman"]},
+  {"emoji":"👲","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person with skullcap","slug":"person_with_skullcap","subgroup":"person-role","codepoints":["1F472"],"codepoints_string":"1f472","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["cap","Chinese","gua","guapi","hat","mao","person","pi","skullcap"]},
+  {"emoji":"🧕","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"woman with headscarf","slug":"woman_with_headscarf","subgroup":"person-role","codepoints":["1F9D5"],"codepoints_string":"1f9d5","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["bandana","head","headscarf","hijab","kerchief","mantilla","tichel","woman"]},
+  {"emoji":"🤵","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"person in tuxedo","slug":"person_in_tuxedo","subgroup":"person-role","codepoints":["1F935"],"codepoints_string":"1f935","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤵","gender":"person"},"keywords":["formal","person","tuxedo","wedding"]},
+  {"emoji":"🤵‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"13.0","name":"man in tuxedo","slug":"man_in_tuxedo","subgroup":"person-role","codepoints":["1F935","200D","2642","FE0F"],"codepoints_string":"1f935-200d-2642-fe0f","utf16_length":5,"unicode_version":"13.0","emoji_version":"13.0","type":"zwj_sequence","components":["🤵","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤵","gender":"man"},"keywords":["formal","groom","man","tuxedo","wedding"]},
+  {"emoji":"🤵‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"13.0","name":"woman in tuxedo","slug":"woman_in_tuxedo","subgroup":"person-role","codepoints":["1F935","200D","2640","FE0F"],"codepoints_string":"1f935-200d-2640-fe0f","utf16_length":5,"unicode_version":"13.0","emoji_version":"13.0","type":"zwj_sequence","components":["🤵","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤵","gender":"woman"},"keywords":["formal","tuxedo","wedding","woman"]},
+  {"emoji":"👰","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person with veil","slug":"person_with_veil","subgroup":"person-role","codepoints":["1F470"],"codepoints_string":"1f470","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👰","gender":"person"},"keywords":["person","veil","wedding"]},
+  {"emoji":"👰‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"13.0","name":"man with veil","slug":"man_with_veil","subgroup":"person-role","codepoints":["1F470","200D","2642","FE0F"],"codepoints_string":"1f470-200d-2642-fe0f","utf16_length":5,"unicode_version":"13.0","emoji_version":"13.0","type":"zwj_sequence","components":["👰","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👰","gender":"man"},"keywords":["man","veil","wedding"]},
+  {"emoji":"👰‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"13.0","name":"woman with veil","slug":"woman_with_veil","subgroup":"person-role","codepoints":["1F470","200D","2640","FE0F"],"codepoints_string":"1f470-200d-2640-fe0f","utf16_length":5,"unicode_version":"13.0","emoji_version":"13.0","type":"zwj_sequence","components":["👰","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👰","gender":"woman"},"keywords":["bride","veil","wedding","woman"]},
+  {"emoji":"🤰","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"pregnant woman","slug":"pregnant_woman","subgroup":"person-role","codepoints":["1F930"],"codepoints_string":"1f930","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["pregnant","woman"]},
+  {"emoji":"🫃","skin_tone_support":true,"skin_tone_support_unicode_version":"14.0","name":"pregnant man","slug":"pregnant_man","subgroup":"person-role","codepoints":["1FAC3"],"codepoints_string":"1fac3","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["belly","bloated","full","man","overeat","pregnant"]},
+  {"emoji":"🫄","skin_tone_support":true,"skin_tone_support_unicode_version":"14.0","name":"pregnant person","slug":"pregnant_person","subgroup":"person-role","codepoints":["1FAC4"],"codepoints_string":"1fac4","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["belly","bloated","full","overeat","person","pregnant","stuffed"]},
+  {"emoji":"🤱","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"breast-feeding","slug":"breast_feeding","subgroup":"person-role","codepoints":["1F931"],"codepoints_string":"1f931","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["baby","breast","breast-feeding","feeding","mom","mother","nursing","woman"]},
+  {"emoji":"👩‍🍼","skin_tone_support":true,"skin_tone_support_unicode_version":"13.0","name":"woman feeding baby","slug":"woman_feeding_baby","subgroup":"person-role","codepoints":["1F469","200D","1F37C"],"codepoints_string":"1f469-200d-1f37c","utf16_length":5,"unicode_version":"13.0","emoji_version":"13.0","type":"zwj_sequence","components":["👩","🍼"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🍼","gender":"woman"},"keywords":["baby","feed","feeding","mom","mother","nanny","newborn","nursing","woman"]},
+  {"emoji":"👨‍🍼","skin_tone_support":true,"skin_tone_support_unicode_version":"13.0","name":"man feeding baby","slug":"man_feeding_baby","subgroup":"person-role","codepoints":["1F468","200D","1F37C"],"codepoints_string":"1f468-200d-1f37c","utf16_length":5,"unicode_version":"13.0","emoji_version":"13.0","type":"zwj_sequence","components":["👨","🍼"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🍼","gender":"man"},"keywords":["baby","dad","father","feed","feeding","man","nanny","newborn","nursing"]},
+  {"emoji":"🧑‍🍼","skin_tone_support":true,"skin_tone_support_unicode_version":"13.0","name":"person feeding baby","slug":"person_feeding_baby","subgroup":"person-role","codepoints":["1F9D1","200D","1F37C"],"codepoints_string":"1f9d1-200d-1f37c","utf16_length":5,"unicode_version":"13.0","emoji_version":"13.0","type":"zwj_sequence","components":["🧑","🍼"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🍼","gender":"person"},"keywords":["baby","feed","feeding","nanny","newborn","nursing","parent"]},
+  {"emoji":"👼","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"baby angel","slug":"baby_angel","subgroup":"person-fantasy","codepoints":["1F47C"],"codepoints_string":"1f47c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["angel","baby","church","face","fairy","fairytale","fantasy","tale"]},
+  {"emoji":"🎅","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"Santa Claus","slug":"santa_claus","subgroup":"person-fantasy","codepoints":["1F385"],"codepoints_string":"1f385","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["celebration","Christmas","claus","fairy","fantasy","father","holiday","merry","santa","tale","xmas"]},
+  {"emoji":"🤶","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"Mrs. Claus","slug":"mrs_claus","subgroup":"person-fantasy","codepoints":["1F936"],"codepoints_string":"1f936","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["celebration","Christmas","claus","fairy","fantasy","holiday","merry","mother","Mrs","santa","tale","xmas"]},
+  {"emoji":"🧑‍🎄","skin_tone_support":true,"skin_tone_support_unicode_version":"13.0","name":"Mx Claus","slug":"mx_claus","subgroup":"person-fantasy","codepoints":["1F9D1","200D","1F384"],"codepoints_string":"1f9d1-200d-1f384","utf16_length":5,"unicode_version":"13.0","emoji_version":"13.0","type":"zwj_sequence","components":["🧑","🎄"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["celebration","Christmas","claus","fairy","fantasy","holiday","merry","Mx","santa","tale","xmas"]},
+  {"emoji":"🦸","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"superhero","slug":"superhero","subgroup":"person-fantasy","codepoints":["1F9B8"],"codepoints_string":"1f9b8","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🦸","gender":"person"},"keywords":["good","hero","superhero","superpower"]},
+  {"emoji":"🦸‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"man superhero","slug":"man_superhero","subgroup":"person-fantasy","codepoints":["1F9B8","200D","2642","FE0F"],"codepoints_string":"1f9b8-200d-2642-fe0f","utf16_length":5,"unicode_version":"11.0","emoji_version":"11.0","type":"zwj_sequence","components":["🦸","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🦸","gender":"man"},"keywords":["good","hero","man","superhero","superpower"]},
+  {"emoji":"🦸‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"woman superhero","slug":"woman_superhero","subgroup":"person-fantasy","codepoints":["1F9B8","200D","2640","FE0F"],"codepoints_string":"1f9b8-200d-2640-fe0f","utf16_length":5,"unicode_version":"11.0","emoji_version":"11.0","type":"zwj_sequence","components":["🦸","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🦸","gender":"woman"},"keywords":["good","hero","heroine","superhero","superpower","woman"]},
+  {"emoji":"🦹","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"supervillain","slug":"supervillain","subgroup":"person-fantasy","codepoints":["1F9B9"],"codepoints_string":"1f9b9","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🦹","gender":"person"},"keywords":["bad","criminal","evil","superpower","supervillain","villain"]},
+  {"emoji":"🦹‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"man supervillain","slug":"man_supervillain","subgroup":"person-fantasy","codepoints":["1F9B9","200D","2642","FE0F"],"codepoints_string":"1f9b9-200d-2642-fe0f","utf16_length":5,"unicode_version":"11.0","emoji_version":"11.0","type":"zwj_sequence","components":["🦹","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🦹","gender":"man"},"keywords":["bad","criminal","evil","man","superpower","supervillain","villain"]},
+  {"emoji":"🦹‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"11.0","name":"woman supervillain","slug":"woman_supervillain","subgroup":"person-fantasy","codepoints":["1F9B9","200D","2640","FE0F"],"codepoints_string":"1f9b9-200d-2640-fe0f","utf16_length":5,"unicode_version":"11.0","emoji_version":"11.0","type":"zwj_sequence","components":["🦹","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🦹","gender":"woman"},"keywords":["bad","criminal","evil","superpower","supervillain","villain","woman"]},
+  {"emoji":"🧙","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"mage","slug":"mage","subgroup":"person-fantasy","codepoints":["1F9D9"],"codepoints_string":"1f9d9","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧙","gender":"person"},"keywords":["fantasy","mage","magic","play","sorcerer","sorceress","sorcery","spell","summon","witch","wizard"]},
+  {"emoji":"🧙‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"man mage","slug":"man_mage","subgroup":"person-fantasy","codepoints":["1F9D9","200D","2642","FE0F"],"codepoints_string":"1f9d9-200d-2642-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧙","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧙","gender":"man"},"keywords":["fantasy","mage","magic","man","play","sorcerer","sorceress","sorcery","spell","summon","witch","wizard"]},
+  {"emoji":"🧙‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"woman mage","slug":"woman_mage","subgroup":"person-fantasy","codepoints":["1F9D9","200D","2640","FE0F"],"codepoints_string":"1f9d9-200d-2640-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧙","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧙","gender":"woman"},"keywords":["fantasy","mage","magic","play","sorcerer","sorceress","sorcery","spell","summon","witch","wizard","woman"]},
+  {"emoji":"🧚","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"fairy","slug":"fairy","subgroup":"person-fantasy","codepoints":["1F9DA"],"codepoints_string":"1f9da","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧚","gender":"person"},"keywords":["fairy","fairytale","fantasy","myth","person","pixie","tale","wings"]},
+  {"emoji":"🧚‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"man fairy","slug":"man_fairy","subgroup":"person-fantasy","codepoints":["1F9DA","200D","2642","FE0F"],"codepoints_string":"1f9da-200d-2642-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧚","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧚","gender":"man"},"keywords":["fairy","fairytale","fantasy","man","myth","Oberon","person","pixie","Puck","tale","wings"]},
+  {"emoji":"🧚‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"woman fairy","slug":"woman_fairy","subgroup":"person-fantasy","codepoints":["1F9DA","200D","2640","FE0F"],"codepoints_string":"1f9da-200d-2640-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧚","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧚","gender":"woman"},"keywords":["fairy","fairytale","fantasy","myth","person","pixie","tale","Titania","wings","woman"]},
+  {"emoji":"🧛","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"vampire","slug":"vampire","subgroup":"person-fantasy","codepoints":["1F9DB"],"codepoints_string":"1f9db","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧛","gender":"person"},"keywords":["blood","Dracula","fangs","halloween","scary","supernatural","teeth","undead","vampire"]},
+  {"emoji":"🧛‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"man vampire","slug":"man_vampire","subgroup":"person-fantasy","codepoints":["1F9DB","200D","2642","FE0F"],"codepoints_string":"1f9db-200d-2642-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧛","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧛","gender":"man"},"keywords":["blood","fangs","halloween","man","scary","supernatural","teeth","undead","vampire"]},
+  {"emoji":"🧛‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"woman vampire","slug":"woman_vampire","subgroup":"person-fantasy","codepoints":["1F9DB","200D","2640","FE0F"],"codepoints_string":"1f9db-200d-2640-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧛","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧛","gender":"woman"},"keywords":["blood","fangs","halloween","scary","supernatural","teeth","undead","vampire","woman"]},
+  {"emoji":"🧜","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"merperson","slug":"merperson","subgroup":"person-fantasy","codepoints":["1F9DC"],"codepoints_string":"1f9dc","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧜","gender":"person"},"keywords":["creature","fairytale","folklore","merperson","ocean","sea","siren","trident"]},
+  {"emoji":"🧜‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"merman","slug":"merman","subgroup":"person-fantasy","codepoints":["1F9DC","200D","2642","FE0F"],"codepoints_string":"1f9dc-200d-2642-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧜","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧜","gender":"man"},"keywords":["creature","fairytale","folklore","merman","Neptune","ocean","Poseidon","sea","siren","trident","Triton"]},
+  {"emoji":"🧜‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"mermaid","slug":"mermaid","subgroup":"person-fantasy","codepoints":["1F9DC","200D","2640","FE0F"],"codepoints_string":"1f9dc-200d-2640-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧜","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧜","gender":"woman"},"keywords":["creature","fairytale","folklore","mermaid","merwoman","ocean","sea","siren","trident"]},
+  {"emoji":"🧝","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"elf","slug":"elf","subgroup":"person-fantasy","codepoints":["1F9DD"],"codepoints_string":"1f9dd","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧝","gender":"person"},"keywords":["elf","elves","enchantment","fantasy","folklore","magic","magical","myth"]},
+  {"emoji":"🧝‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"man elf","slug":"man_elf","subgroup":"person-fantasy","codepoints":["1F9DD","200D","2642","FE0F"],"codepoints_string":"1f9dd-200d-2642-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧝","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧝","gender":"man"},"keywords":["elf","elves","enchantment","fantasy","folklore","magic","magical","man","myth"]},
+  {"emoji":"🧝‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"woman elf","slug":"woman_elf","subgroup":"person-fantasy","codepoints":["1F9DD","200D","2640","FE0F"],"codepoints_string":"1f9dd-200d-2640-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧝","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧝","gender":"woman"},"keywords":["elf","elves","enchantment","fantasy","folklore","magic","magical","myth","woman"]},
+  {"emoji":"🧞","skin_tone_support":false,"name":"genie","slug":"genie","subgroup":"person-fantasy","codepoints":["1F9DE"],"codepoints_string":"1f9de","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"variant_of":{"family":"🧞","gender":"person"},"keywords":["djinn","fantasy","genie","jinn","lamp","myth","rub","wishes"]},
+  {"emoji":"🧞‍♂️","skin_tone_support":false,"name":"man genie","slug":"man_genie","subgroup":"person-fantasy","codepoints":["1F9DE","200D","2642","FE0F"],"codepoints_string":"1f9de-200d-2642-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧞","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"variant_of":{"family":"🧞","gender":"man"},"keywords":["djinn","fantasy","genie","jinn","lamp","man","myth","rub","wishes"]},
+  {"emoji":"🧞‍♀️","skin_tone_support":false,"name":"woman genie","slug":"woman_genie","subgroup":"person-fantasy","codepoints":["1F9DE","200D","2640","FE0F"],"codepoints_string":"1f9de-200d-2640-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧞","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"variant_of":{"family":"🧞","gender":"woman"},"keywords":["djinn","fantasy","genie","jinn","lamp","myth","rub","wishes","woman"]},
+  {"emoji":"🧟","skin_tone_support":false,"name":"zombie","slug":"zombie","subgroup":"person-fantasy","codepoints":["1F9DF"],"codepoints_string":"1f9df","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"variant_of":{"family":"🧟","gender":"person"},"keywords":["apocalypse","dead","halloween","horror","scary","undead","walking","zombie"]},
+  {"emoji":"🧟‍♂️","skin_tone_support":false,"name":"man zombie","slug":"man_zombie","subgroup":"person-fantasy","codepoints":["1F9DF","200D","2642","FE0F"],"codepoints_string":"1f9df-200d-2642-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧟","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"variant_of":{"family":"🧟","gender":"man"},"keywords":["apocalypse","dead","halloween","horror","man","scary","undead","walking","zombie"]},
+  {"emoji":"🧟‍♀️","skin_tone_support":false,"name":"woman zombie","slug":"woman_zombie","subgroup":"person-fantasy","codepoints":["1F9DF","200D","2640","FE0F"],"codepoints_string":"1f9df-200d-2640-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧟","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"variant_of":{"family":"🧟","gender":"woman"},"keywords":["apocalypse","dead","halloween","horror","scary","undead","walking","woman","zombie"]},
+  {"emoji":"🧌","skin_tone_support":false,"name":"troll","slug":"troll","subgroup":"person-fantasy","codepoints":["1F9CC"],"codepoints_string":"1f9cc","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["fairy","fantasy","monster","tale","troll","trolling"]},
+  {"emoji":"💆","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person getting massage","slug":"person_getting_massage","subgroup":"person-activity","codepoints":["1F486"],"codepoints_string":"1f486","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"💆","gender":"person"},"keywords":["face","getting","headache","massage","person","relax","relaxing","salon","soothe","spa","tension","therapy","treatment"]},
+  {"emoji":"💆‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man getting massage","slug":"man_getting_massage","subgroup":"person-activity","codepoints":["1F486","200D","2642","FE0F"],"codepoints_string":"1f486-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["💆","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"💆","gender":"man"},"keywords":["face","getting","headache","man","massage","relax","relaxing","salon","soothe","spa","tension","therapy","treatment"]},
+  {"emoji":"💆‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman getting massage","slug":"woman_getting_massage","subgroup":"person-activity","codepoints":["1F486","200D","2640","FE0F"],"codepoints_string":"1f486-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["💆","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"💆","gender":"woman"},"keywords":["face","getting","headache","massage","relax","relaxing","salon","soothe","spa","tension","therapy","treatment","woman"]},
+  {"emoji":"💇","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person getting haircut","slug":"person_getting_haircut","subgroup":"person-activity","codepoints":["1F487"],"codepoints_string":"1f487","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"💇","gender":"person"},"keywords":["barber","beauty","chop","cosmetology","cut","groom","hair","haircut","parlor","person","shears","style"]},
+  {"emoji":"💇‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man getting haircut","slug":"man_getting_haircut","subgroup":"person-activity","codepoints":["1F487","200D","2642","FE0F"],"codepoints_string":"1f487-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["💇","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"💇","gender":"man"},"keywords":["barber","beauty","chop","cosmetology","cut","groom","hair","haircut","man","parlor","person","shears","style"]},
+  {"emoji":"💇‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman getting haircut","slug":"woman_getting_haircut","subgroup":"person-activity","codepoints":["1F487","200D","2640","FE0F"],"codepoints_string":"1f487-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["💇","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"💇","gender":"woman"},"keywords":["barber","beauty","chop","cosmetology","cut","groom","hair","haircut","parlor","person","shears","style","woman"]},
+  {"emoji":"🚶","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person walking","slug":"person_walking","subgroup":"person-activity","codepoints":["1F6B6"],"codepoints_string":"1f6b6","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚶","gender":"person"},"keywords":["amble","gait","hike","man","pace","pedestrian","person","stride","stroll","walk","walking"]},
+  {"emoji":"🚶‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man walking","slug":"man_walking","subgroup":"person-activity","codepoints":["1F6B6","200D","2642","FE0F"],"codepoints_string":"1f6b6-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🚶","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚶","gender":"man"},"keywords":["amble","gait","hike","man","pace","pedestrian","stride","stroll","walk","walking"]},
+  {"emoji":"🚶‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman walking","slug":"woman_walking","subgroup":"person-activity","codepoints":["1F6B6","200D","2640","FE0F"],"codepoints_string":"1f6b6-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🚶","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚶","gender":"woman"},"keywords":["amble","gait","hike","man","pace","pedestrian","stride","stroll","walk","walking","woman"]},
+  {"emoji":"🚶‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"person walking facing right","slug":"person_walking_facing_right","subgroup":"person-activity","codepoints":["1F6B6","200D","27A1","FE0F"],"codepoints_string":"1f6b6-200d-27a1-fe0f","utf16_length":5,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🚶","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚶‍➡️","gender":"person"},"keywords":["amble","facing","gait","hike","man","pace","pedestrian","person","right","stride","stroll","walk","walking"]},
+  {"emoji":"🚶‍♀️‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"woman walking facing right","slug":"woman_walking_facing_right","subgroup":"person-activity","codepoints":["1F6B6","200D","2640","FE0F","200D","27A1","FE0F"],"codepoints_string":"1f6b6-200d-2640-fe0f-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🚶","♀️","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚶‍➡️","gender":"woman"},"keywords":["amble","facing","gait","hike","man","pace","pedestrian","right","stride","stroll","walk","walking","woman"]},
+  {"emoji":"🚶‍♂️‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"man walking facing right","slug":"man_walking_facing_right","subgroup":"person-activity","codepoints":["1F6B6","200D","2642","FE0F","200D","27A1","FE0F"],"codepoints_string":"1f6b6-200d-2642-fe0f-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🚶","♂️","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚶‍➡️","gender":"man"},"keywords":["amble","facing","gait","hike","man","pace","pedestrian","right","stride","stroll","walk","walking"]},
+  {"emoji":"🧍","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"person standing","slug":"person_standing","subgroup":"person-activity","codepoints":["1F9CD"],"codepoints_string":"1f9cd","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧍","gender":"person"},"keywords":["person","stand","standing"]},
+  {"emoji":"🧍‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"man standing","slug":"man_standing","subgroup":"person-activity","codepoints":["1F9CD","200D","2642","FE0F"],"codepoints_string":"1f9cd-200d-2642-fe0f","utf16_length":5,"unicode_version":"12.0","emoji_version":"12.0","type":"zwj_sequence","components":["🧍","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧍","gender":"man"},"keywords":["man","stand","standing"]},
+  {"emoji":"🧍‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"woman standing","slug":"woman_standing","subgroup":"person-activity","codepoints":["1F9CD","200D","2640","FE0F"],"codepoints_string":"1f9cd-200d-2640-fe0f","utf16_length":5,"unicode_version":"12.0","emoji_version":"12.0","type":"zwj_sequence","components":["🧍","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧍","gender":"woman"},"keywords":["stand","standing","woman"]},
+  {"emoji":"🧎","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"person kneeling","slug":"person_kneeling","subgroup":"person-activity","codepoints":["1F9CE"],"codepoints_string":"1f9ce","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧎","gender":"person"},"keywords":["kneel","kneeling","knees","person"]},
+  {"emoji":"🧎‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"man kneeling","slug":"man_kneeling","subgroup":"person-activity","codepoints":["1F9CE","200D","2642","FE0F"],"codepoints_string":"1f9ce-200d-2642-fe0f","utf16_length":5,"unicode_version":"12.0","emoji_version":"12.0","type":"zwj_sequence","components":["🧎","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧎","gender":"man"},"keywords":["kneel","kneeling","knees","man"]},
+  {"emoji":"🧎‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"woman kneeling","slug":"woman_kneeling","subgroup":"person-activity","codepoints":["1F9CE","200D","2640","FE0F"],"codepoints_string":"1f9ce-200d-2640-fe0f","utf16_length":5,"unicode_version":"12.0","emoji_version":"12.0","type":"zwj_sequence","components":["🧎","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧎","gender":"woman"},"keywords":["kneel","kneeling","knees","woman"]},
+  {"emoji":"🧎‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"person kneeling facing right","slug":"person_kneeling_facing_right","subgroup":"person-activity","codepoints":["1F9CE","200D","27A1","FE0F"],"codepoints_string":"1f9ce-200d-27a1-fe0f","utf16_length":5,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🧎","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧎‍➡️","gender":"person"},"keywords":["facing","kneel","kneeling","knees","person","right"]},
+  {"emoji":"🧎‍♀️‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"woman kneeling facing right","slug":"woman_kneeling_facing_right","subgroup":"person-activity","codepoints":["1F9CE","200D","2640","FE0F","200D","27A1","FE0F"],"codepoints_string":"1f9ce-200d-2640-fe0f-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🧎","♀️","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧎‍➡️","gender":"woman"},"keywords":["facing","kneel","kneeling","knees","right","woman"]},
+  {"emoji":"🧎‍♂️‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"man kneeling facing right","slug":"man_kneeling_facing_right","subgroup":"person-activity","codepoints":["1F9CE","200D","2642","FE0F","200D","27A1","FE0F"],"codepoints_string":"1f9ce-200d-2642-fe0f-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🧎","♂️","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧎‍➡️","gender":"man"},"keywords":["facing","kneel","kneeling","knees","man","right"]},
+  {"emoji":"🧑‍🦯","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"person with white cane","slug":"person_with_white_cane","subgroup":"person-activity","codepoints":["1F9D1","200D","1F9AF"],"codepoints_string":"1f9d1-200d-1f9af","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🦯"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦯","gender":"person"},"keywords":["accessibility","blind","cane","person","probing","white"]},
+  {"emoji":"🧑‍🦯‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"person with white cane facing right","slug":"person_with_white_cane_facing_right","subgroup":"person-activity","codepoints":["1F9D1","200D","1F9AF","200D","27A1","FE0F"],"codepoints_string":"1f9d1-200d-1f9af-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🧑","🦯","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦯‍➡️","gender":"person"},"keywords":["accessibility","blind","cane","facing","person","probing","right","white"]},
+  {"emoji":"👨‍🦯","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"man with white cane","slug":"man_with_white_cane","subgroup":"person-activity","codepoints":["1F468","200D","1F9AF"],"codepoints_string":"1f468-200d-1f9af","utf16_length":5,"unicode_version":"12.0","emoji_version":"12.0","type":"zwj_sequence","components":["👨","🦯"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦯","gender":"man"},"keywords":["accessibility","blind","cane","man","probing","white"]},
+  {"emoji":"👨‍🦯‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"man with white cane facing right","slug":"man_with_white_cane_facing_right","subgroup":"person-activity","codepoints":["1F468","200D","1F9AF","200D","27A1","FE0F"],"codepoints_string":"1f468-200d-1f9af-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["👨","🦯","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦯‍➡️","gender":"man"},"keywords":["accessibility","blind","cane","facing","man","probing","right","white"]},
+  {"emoji":"👩‍🦯","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"woman with white cane","slug":"woman_with_white_cane","subgroup":"person-activity","codepoints":["1F469","200D","1F9AF"],"codepoints_string":"1f469-200d-1f9af","utf16_length":5,"unicode_version":"12.0","emoji_version":"12.0","type":"zwj_sequence","components":["👩","🦯"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦯","gender":"woman"},"keywords":["accessibility","blind","cane","probing","white","woman"]},
+  {"emoji":"👩‍🦯‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"woman with white cane facing right","slug":"woman_with_white_cane_facing_right","subgroup":"person-activity","codepoints":["1F469","200D","1F9AF","200D","27A1","FE0F"],"codepoints_string":"1f469-200d-1f9af-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["👩","🦯","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦯‍➡️","gender":"woman"},"keywords":["accessibility","blind","cane","facing","probing","right","white","woman"]},
+  {"emoji":"🧑‍🦼","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"person in motorized wheelchair","slug":"person_in_motorized_wheelchair","subgroup":"person-activity","codepoints":["1F9D1","200D","1F9BC"],"codepoints_string":"1f9d1-200d-1f9bc","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🦼"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦼","gender":"person"},"keywords":["accessibility","motorized","person","wheelchair"]},
+  {"emoji":"🧑‍🦼‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"person in motorized wheelchair facing right","slug":"person_in_motorized_wheelchair_facing_right","subgroup":"person-activity","codepoints":["1F9D1","200D","1F9BC","200D","27A1","FE0F"],"codepoints_string":"1f9d1-200d-1f9bc-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🧑","🦼","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦼‍➡️","gender":"person"},"keywords":["accessibility","facing","motorized","person","right","wheelchair"]},
+  {"emoji":"👨‍🦼","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"man in motorized wheelchair","slug":"man_in_motorized_wheelchair","subgroup":"person-activity","codepoints":["1F468","200D","1F9BC"],"codepoints_string":"1f468-200d-1f9bc","utf16_length":5,"unicode_version":"12.0","emoji_version":"12.0","type":"zwj_sequence","components":["👨","🦼"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦼","gender":"man"},"keywords":["accessibility","man","motorized","wheelchair"]},
+  {"emoji":"👨‍🦼‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"man in motorized wheelchair facing right","slug":"man_in_motorized_wheelchair_facing_right","subgroup":"person-activity","codepoints":["1F468","200D","1F9BC","200D","27A1","FE0F"],"codepoints_string":"1f468-200d-1f9bc-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["👨","🦼","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦼‍➡️","gender":"man"},"keywords":["accessibility","facing","man","motorized","right","wheelchair"]},
+  {"emoji":"👩‍🦼","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"woman in motorized wheelchair","slug":"woman_in_motorized_wheelchair","subgroup":"person-activity","codepoints":["1F469","200D","1F9BC"],"codepoints_string":"1f469-200d-1f9bc","utf16_length":5,"unicode_version":"12.0","emoji_version":"12.0","type":"zwj_sequence","components":["👩","🦼"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦼","gender":"woman"},"keywords":["accessibility","motorized","wheelchair","woman"]},
+  {"emoji":"👩‍🦼‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"woman in motorized wheelchair facing right","slug":"woman_in_motorized_wheelchair_facing_right","subgroup":"person-activity","codepoints":["1F469","200D","1F9BC","200D","27A1","FE0F"],"codepoints_string":"1f469-200d-1f9bc-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["👩","🦼","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦼‍➡️","gender":"woman"},"keywords":["accessibility","facing","motorized","right","wheelchair","woman"]},
+  {"emoji":"🧑‍🦽","skin_tone_support":true,"skin_tone_support_unicode_version":"12.1","name":"person in manual wheelchair","slug":"person_in_manual_wheelchair","subgroup":"person-activity","codepoints":["1F9D1","200D","1F9BD"],"codepoints_string":"1f9d1-200d-1f9bd","utf16_length":5,"unicode_version":"12.1","emoji_version":"12.1","type":"zwj_sequence","components":["🧑","🦽"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦽","gender":"person"},"keywords":["accessibility","manual","person","wheelchair"]},
+  {"emoji":"🧑‍🦽‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"person in manual wheelchair facing right","slug":"person_in_manual_wheelchair_facing_right","subgroup":"person-activity","codepoints":["1F9D1","200D","1F9BD","200D","27A1","FE0F"],"codepoints_string":"1f9d1-200d-1f9bd-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🧑","🦽","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦽‍➡️","gender":"person"},"keywords":["accessibility","facing","manual","person","right","wheelchair"]},
+  {"emoji":"👨‍🦽","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"man in manual wheelchair","slug":"man_in_manual_wheelchair","subgroup":"person-activity","codepoints":["1F468","200D","1F9BD"],"codepoints_string":"1f468-200d-1f9bd","utf16_length":5,"unicode_version":"12.0","emoji_version":"12.0","type":"zwj_sequence","components":["👨","🦽"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦽","gender":"man"},"keywords":["accessibility","man","manual","wheelchair"]},
+  {"emoji":"👨‍🦽‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"man in manual wheelchair facing right","slug":"man_in_manual_wheelchair_facing_right","subgroup":"person-activity","codepoints":["1F468","200D","1F9BD","200D","27A1","FE0F"],"codepoints_string":"1f468-200d-1f9bd-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["👨","🦽","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦽‍➡️","gender":"man"},"keywords":["accessibility","facing","man","manual","right","wheelchair"]},
+  {"emoji":"👩‍🦽","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"woman in manual wheelchair","slug":"woman_in_manual_wheelchair","subgroup":"person-activity","codepoints":["1F469","200D","1F9BD"],"codepoints_string":"1f469-200d-1f9bd","utf16_length":5,"unicode_version":"12.0","emoji_version":"12.0","type":"zwj_sequence","components":["👩","🦽"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦽","gender":"woman"},"keywords":["accessibility","manual","wheelchair","woman"]},
+  {"emoji":"👩‍🦽‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"woman in manual wheelchair facing right","slug":"woman_in_manual_wheelchair_facing_right","subgroup":"person-activity","codepoints":["1F469","200D","1F9BD","200D","27A1","FE0F"],"codepoints_string":"1f469-200d-1f9bd-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["👩","🦽","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧑‍🦽‍➡️","gender":"woman"},"keywords":["accessibility","facing","manual","right","wheelchair","woman"]},
+  {"emoji":"🏃","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person running","slug":"person_running","subgroup":"person-activity","codepoints":["1F3C3"],"codepoints_string":"1f3c3","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏃","gender":"person"},"keywords":["fast","hurry","marathon","move","person","quick","race","racing","run","rush","speed"]},
+  {"emoji":"🏃‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man running","slug":"man_running","subgroup":"person-activity","codepoints":["1F3C3","200D","2642","FE0F"],"codepoints_string":"1f3c3-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🏃","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏃","gender":"man"},"keywords":["fast","hurry","man","marathon","move","quick","race","racing","run","rush","speed"]},
+  {"emoji":"🏃‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman running","slug":"woman_running","subgroup":"person-activity","codepoints":["1F3C3","200D","2640","FE0F"],"codepoints_string":"1f3c3-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🏃","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏃","gender":"woman"},"keywords":["fast","hurry","marathon","move","quick","race","racing","run","rush","speed","woman"]},
+  {"emoji":"🏃‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"person running facing right","slug":"person_running_facing_right","subgroup":"person-activity","codepoints":["1F3C3","200D","27A1","FE0F"],"codepoints_string":"1f3c3-200d-27a1-fe0f","utf16_length":5,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🏃","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏃‍➡️","gender":"person"},"keywords":["facing","fast","hurry","marathon","move","person","quick","race","racing","right","run","rush","speed"]},
+  {"emoji":"🏃‍♀️‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"woman running facing right","slug":"woman_running_facing_right","subgroup":"person-activity","codepoints":["1F3C3","200D","2640","FE0F","200D","27A1","FE0F"],"codepoints_string":"1f3c3-200d-2640-fe0f-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🏃","♀️","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏃‍➡️","gender":"woman"},"keywords":["facing","fast","hurry","marathon","move","quick","race","racing","right","run","rush","speed","woman"]},
+  {"emoji":"🏃‍♂️‍➡️","skin_tone_support":true,"skin_tone_support_unicode_version":"15.1","name":"man running facing right","slug":"man_running_facing_right","subgroup":"person-activity","codepoints":["1F3C3","200D","2642","FE0F","200D","27A1","FE0F"],"codepoints_string":"1f3c3-200d-2642-fe0f-200d-27a1-fe0f","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🏃","♂️","➡️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏃‍➡️","gender":"man"},"keywords":["facing","fast","hurry","man","marathon","move","quick","race","racing","right","run","rush","speed"]},
+  {"emoji":"💃","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"woman dancing","slug":"woman_dancing","subgroup":"person-activity","codepoints":["1F483"],"codepoints_string":"1f483","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["dance","dancer","dancing","elegant","festive","flair","flamenco","groove","let’s","salsa","tango","woman"]},
+  {"emoji":"🕺","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"man dancing","slug":"man_dancing","subgroup":"person-activity","codepoints":["1F57A"],"codepoints_string":"1f57a","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["dance","dancer","dancing","elegant","festive","flair","flamenco","groove","let’s","man","salsa","tango"]},
+  {"emoji":"🕴️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"person in suit levitating","slug":"person_in_suit_levitating","subgroup":"person-activity","codepoints":["1F574","FE0F"],"codepoints_string":"1f574-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["business","levitating","person","suit"]},
+  {"emoji":"👯","skin_tone_support":false,"name":"people with bunny ears","slug":"people_with_bunny_ears","subgroup":"person-activity","codepoints":["1F46F"],"codepoints_string":"1f46f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👯","gender":"person"},"keywords":["bestie","bff","bunny","counterpart","dancer","double","ear","identical","pair","party","partying","people","soulmate","twin","twinsies"]},
+  {"emoji":"👯‍♂️","skin_tone_support":false,"name":"men with bunny ears","slug":"men_with_bunny_ears","subgroup":"person-activity","codepoints":["1F46F","200D","2642","FE0F"],"codepoints_string":"1f46f-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👯","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👯","gender":"man"},"keywords":["bestie","bff","bunny","counterpart","dancer","double","ear","identical","men","pair","party","partying","people","soulmate","twin","twinsies"]},
+  {"emoji":"👯‍♀️","skin_tone_support":false,"name":"women with bunny ears","slug":"women_with_bunny_ears","subgroup":"person-activity","codepoints":["1F46F","200D","2640","FE0F"],"codepoints_string":"1f46f-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👯","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"👯","gender":"woman"},"keywords":["bestie","bff","bunny","counterpart","dancer","double","ear","identical","pair","party","partying","people","soulmate","twin","twinsies","women"]},
+  {"emoji":"🧖","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"person in steamy room","slug":"person_in_steamy_room","subgroup":"person-activity","codepoints":["1F9D6"],"codepoints_string":"1f9d6","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧖","gender":"person"},"keywords":["day","luxurious","pamper","person","relax","room","sauna","spa","steam","steambath","unwind"]},
+  {"emoji":"🧖‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"man in steamy room","slug":"man_in_steamy_room","subgroup":"person-activity","codepoints":["1F9D6","200D","2642","FE0F"],"codepoints_string":"1f9d6-200d-2642-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧖","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧖","gender":"man"},"keywords":["day","luxurious","man","pamper","relax","room","sauna","spa","steam","steambath","unwind"]},
+  {"emoji":"🧖‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"woman in steamy room","slug":"woman_in_steamy_room","subgroup":"person-activity","codepoints":["1F9D6","200D","2640","FE0F"],"codepoints_string":"1f9d6-200d-2640-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧖","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧖","gender":"woman"},"keywords":["day","luxurious","pamper","relax","room","sauna","spa","steam","steambath","unwind","woman"]},
+  {"emoji":"🧗","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"person climbing","slug":"person_climbing","subgroup":"person-activity","codepoints":["1F9D7"],"codepoints_string":"1f9d7","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧗","gender":"person"},"keywords":["climb","climber","climbing","mountain","person","rock","scale","up"]},
+  {"emoji":"🧗‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"man climbing","slug":"man_climbing","subgroup":"person-activity","codepoints":["1F9D7","200D","2642","FE0F"],"codepoints_string":"1f9d7-200d-2642-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧗","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧗","gender":"man"},"keywords":["climb","climber","climbing","man","mountain","rock","scale","up"]},
+  {"emoji":"🧗‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"woman climbing","slug":"woman_climbing","subgroup":"person-activity","codepoints":["1F9D7","200D","2640","FE0F"],"codepoints_string":"1f9d7-200d-2640-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧗","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧗","gender":"woman"},"keywords":["climb","climber","climbing","mountain","rock","scale","up","woman"]},
+  {"emoji":"🤺","skin_tone_support":false,"name":"person fencing","slug":"person_fencing","subgroup":"person-sport","codepoints":["1F93A"],"codepoints_string":"1f93a","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["fencer","fencing","person","sword"]},
+  {"emoji":"🏇","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"horse racing","slug":"horse_racing","subgroup":"person-sport","codepoints":["1F3C7"],"codepoints_string":"1f3c7","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["horse","jockey","racehorse","racing","riding","sport"]},
+  {"emoji":"⛷️","skin_tone_support":false,"name":"skier","slug":"skier","subgroup":"person-sport","codepoints":["26F7","FE0F"],"codepoints_string":"26f7-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["ski","skier","snow"]},
+  {"emoji":"🏂","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"snowboarder","slug":"snowboarder","subgroup":"person-sport","codepoints":["1F3C2"],"codepoints_string":"1f3c2","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["ski","snow","snowboard","snowboarder","sport"]},
+  {"emoji":"🏌️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"person golfing","slug":"person_golfing","subgroup":"person-sport","codepoints":["1F3CC","FE0F"],"codepoints_string":"1f3cc-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏌️","gender":"person"},"keywords":["ball","birdie","caddy","driving","golf","golfing","green","person","pga","putt","range","tee"]},
+  {"emoji":"🏌️‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man golfing","slug":"man_golfing","subgroup":"person-sport","codepoints":["1F3CC","FE0F","200D","2642","FE0F"],"codepoints_string":"1f3cc-fe0f-200d-2642-fe0f","utf16_length":6,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🏌️","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏌️","gender":"man"},"keywords":["ball","birdie","caddy","driving","golf","golfing","green","man","pga","putt","range","tee"]},
+  {"emoji":"🏌️‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman golfing","slug":"woman_golfing","subgroup":"person-sport","codepoints":["1F3CC","FE0F","200D","2640","FE0F"],"codepoints_string":"1f3cc-fe0f-200d-2640-fe0f","utf16_length":6,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🏌️","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏌️","gender":"woman"},"keywords":["ball","birdie","caddy","driving","golf","golfing","green","pga","putt","range","tee","woman"]},
+  {"emoji":"🏄","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person surfing","slug":"person_surfing","subgroup":"person-sport","codepoints":["1F3C4"],"codepoints_string":"1f3c4","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏄","gender":"person"},"keywords":["beach","ocean","person","sport","surf","surfer","surfing","swell","waves"]},
+  {"emoji":"🏄‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man surfing","slug":"man_surfing","subgroup":"person-sport","codepoints":["1F3C4","200D","2642","FE0F"],"codepoints_string":"1f3c4-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🏄","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏄","gender":"man"},"keywords":["beach","man","ocean","sport","surf","surfer","surfing","swell","waves"]},
+  {"emoji":"🏄‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman surfing","slug":"woman_surfing","subgroup":"person-sport","codepoints":["1F3C4","200D","2640","FE0F"],"codepoints_string":"1f3c4-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🏄","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏄","gender":"woman"},"keywords":["beach","ocean","person","sport","surf","surfer","surfing","swell","waves"]},
+  {"emoji":"🚣","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person rowing boat","slug":"person_rowing_boat","subgroup":"person-sport","codepoints":["1F6A3"],"codepoints_string":"1f6a3","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚣","gender":"person"},"keywords":["boat","canoe","cruise","fishing","lake","oar","paddle","person","raft","river","row","rowboat","rowing"]},
+  {"emoji":"🚣‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man rowing boat","slug":"man_rowing_boat","subgroup":"person-sport","codepoints":["1F6A3","200D","2642","FE0F"],"codepoints_string":"1f6a3-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🚣","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚣","gender":"man"},"keywords":["boat","canoe","cruise","fishing","lake","man","oar","paddle","raft","river","row","rowboat","rowing"]},
+  {"emoji":"🚣‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman rowing boat","slug":"woman_rowing_boat","subgroup":"person-sport","codepoints":["1F6A3","200D","2640","FE0F"],"codepoints_string":"1f6a3-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🚣","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚣","gender":"woman"},"keywords":["boat","canoe","cruise","fishing","lake","oar","paddle","raft","river","row","rowboat","rowing","woman"]},
+  {"emoji":"🏊","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person swimming","slug":"person_swimming","subgroup":"person-sport","codepoints":["1F3CA"],"codepoints_string":"1f3ca","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏊","gender":"person"},"keywords":["freestyle","person","sport","swim","swimmer","swimming","triathlon"]},
+  {"emoji":"🏊‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man swimming","slug":"man_swimming","subgroup":"person-sport","codepoints":["1F3CA","200D","2642","FE0F"],"codepoints_string":"1f3ca-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🏊","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏊","gender":"man"},"keywords":["freestyle","man","sport","swim","swimmer","swimming","triathlon"]},
+  {"emoji":"🏊‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman swimming","slug":"woman_swimming","subgroup":"person-sport","codepoints":["1F3CA","200D","2640","FE0F"],"codepoints_string":"1f3ca-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🏊","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏊","gender":"woman"},"keywords":["freestyle","man","sport","swim","swimmer","swimming","triathlon"]},
+  {"emoji":"⛹️","skin_tone_support":true,"skin_tone_support_unicode_version":"2.0","name":"person bouncing ball","slug":"person_bouncing_ball","subgroup":"person-sport","codepoints":["26F9","FE0F"],"codepoints_string":"26f9-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"⛹️","gender":"person"},"keywords":["athletic","ball","basketball","bouncing","championship","dribble","net","person","player","throw"]},
+  {"emoji":"⛹️‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man bouncing ball","slug":"man_bouncing_ball","subgroup":"person-sport","codepoints":["26F9","FE0F","200D","2642","FE0F"],"codepoints_string":"26f9-fe0f-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["⛹️","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"⛹️","gender":"man"},"keywords":["athletic","ball","basketball","bouncing","championship","dribble","man","net","player","throw"]},
+  {"emoji":"⛹️‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman bouncing ball","slug":"woman_bouncing_ball","subgroup":"person-sport","codepoints":["26F9","FE0F","200D","2640","FE0F"],"codepoints_string":"26f9-fe0f-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["⛹️","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"⛹️","gender":"woman"},"keywords":["athletic","ball","basketball","bouncing","championship","dribble","net","player","throw","woman"]},
+  {"emoji":"🏋️","skin_tone_support":true,"skin_tone_support_unicode_version":"2.0","name":"person lifting weights","slug":"person_lifting_weights","subgroup":"person-sport","codepoints":["1F3CB","FE0F"],"codepoints_string":"1f3cb-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏋️","gender":"person"},"keywords":["barbell","bodybuilder","deadlift","lifter","lifting","person","powerlifting","weight","weightlifter","weights","workout"]},
+  {"emoji":"🏋️‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man lifting weights","slug":"man_lifting_weights","subgroup":"person-sport","codepoints":["1F3CB","FE0F","200D","2642","FE0F"],"codepoints_string":"1f3cb-fe0f-200d-2642-fe0f","utf16_length":6,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🏋️","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏋️","gender":"man"},"keywords":["barbell","bodybuilder","deadlift","lifter","lifting","man","powerlifting","weight","weightlifter","weights","workout"]},
+  {"emoji":"🏋️‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman lifting weights","slug":"woman_lifting_weights","subgroup":"person-sport","codepoints":["1F3CB","FE0F","200D","2640","FE0F"],"codepoints_string":"1f3cb-fe0f-200d-2640-fe0f","utf16_length":6,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🏋️","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🏋️","gender":"woman"},"keywords":["barbell","bodybuilder","deadlift","lifter","lifting","powerlifting","weight","weightlifter","weights","woman","workout"]},
+  {"emoji":"🚴","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person biking","slug":"person_biking","subgroup":"person-sport","codepoints":["1F6B4"],"codepoints_string":"1f6b4","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚴","gender":"person"},"keywords":["bicycle","bicyclist","bike","biking","cycle","cyclist","person","riding","sport"]},
+  {"emoji":"🚴‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man biking","slug":"man_biking","subgroup":"person-sport","codepoints":["1F6B4","200D","2642","FE0F"],"codepoints_string":"1f6b4-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🚴","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚴","gender":"man"},"keywords":["bicycle","bicyclist","bike","biking","cycle","cyclist","man","riding","sport"]},
+  {"emoji":"🚴‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman biking","slug":"woman_biking","subgroup":"person-sport","codepoints":["1F6B4","200D","2640","FE0F"],"codepoints_string":"1f6b4-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🚴","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚴","gender":"woman"},"keywords":["bicycle","bicyclist","bike","biking","cycle","cyclist","riding","sport","woman"]},
+  {"emoji":"🚵","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person mountain biking","slug":"person_mountain_biking","subgroup":"person-sport","codepoints":["1F6B5"],"codepoints_string":"1f6b5","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚵","gender":"person"},"keywords":["bicycle","bicyclist","bike","biking","cycle","cyclist","mountain","person","riding","sport"]},
+  {"emoji":"🚵‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man mountain biking","slug":"man_mountain_biking","subgroup":"person-sport","codepoints":["1F6B5","200D","2642","FE0F"],"codepoints_string":"1f6b5-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🚵","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚵","gender":"man"},"keywords":["bicycle","bicyclist","bike","biking","cycle","cyclist","man","mountain","riding","sport"]},
+  {"emoji":"🚵‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman mountain biking","slug":"woman_mountain_biking","subgroup":"person-sport","codepoints":["1F6B5","200D","2640","FE0F"],"codepoints_string":"1f6b5-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🚵","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🚵","gender":"woman"},"keywords":["bicycle","bicyclist","bike","biking","cycle","cyclist","mountain","riding","sport","woman"]},
+  {"emoji":"🤸","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"person cartwheeling","slug":"person_cartwheeling","subgroup":"person-sport","codepoints":["1F938"],"codepoints_string":"1f938","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤸","gender":"person"},"keywords":["active","cartwheel","cartwheeling","excited","flip","gymnastics","happy","person","somersault"]},
+  {"emoji":"🤸‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man cartwheeling","slug":"man_cartwheeling","subgroup":"person-sport","codepoints":["1F938","200D","2642","FE0F"],"codepoints_string":"1f938-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🤸","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤸","gender":"man"},"keywords":["active","cartwheel","cartwheeling","excited","flip","gymnastics","happy","man","somersault"]},
+  {"emoji":"🤸‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman cartwheeling","slug":"woman_cartwheeling","subgroup":"person-sport","codepoints":["1F938","200D","2640","FE0F"],"codepoints_string":"1f938-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🤸","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤸","gender":"woman"},"keywords":["active","cartwheel","cartwheeling","excited","flip","gymnastics","happy","somersault","woman"]},
+  {"emoji":"🤼","skin_tone_support":false,"name":"people wrestling","slug":"people_wrestling","subgroup":"person-sport","codepoints":["1F93C"],"codepoints_string":"1f93c","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤼","gender":"person"},"keywords":["combat","duel","grapple","people","ring","tournament","wrestle","wrestling"]},
+  {"emoji":"🤼‍♂️","skin_tone_support":false,"name":"men wrestling","slug":"men_wrestling","subgroup":"person-sport","codepoints":["1F93C","200D","2642","FE0F"],"codepoints_string":"1f93c-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🤼","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤼","gender":"man"},"keywords":["combat","duel","grapple","men","ring","tournament","wrestle","wrestling"]},
+  {"emoji":"🤼‍♀️","skin_tone_support":false,"name":"women wrestling","slug":"women_wrestling","subgroup":"person-sport","codepoints":["1F93C","200D","2640","FE0F"],"codepoints_string":"1f93c-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🤼","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤼","gender":"woman"},"keywords":["combat","duel","grapple","ring","tournament","women","wrestle","wrestling"]},
+  {"emoji":"🤽","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"person playing water polo","slug":"person_playing_water_polo","subgroup":"person-sport","codepoints":["1F93D"],"codepoints_string":"1f93d","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤽","gender":"person"},"keywords":["person","playing","polo","sport","swimming","water","waterpolo"]},
+  {"emoji":"🤽‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man playing water polo","slug":"man_playing_water_polo","subgroup":"person-sport","codepoints":["1F93D","200D","2642","FE0F"],"codepoints_string":"1f93d-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🤽","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤽","gender":"man"},"keywords":["man","playing","polo","sport","swimming","water","waterpolo"]},
+  {"emoji":"🤽‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman playing water polo","slug":"woman_playing_water_polo","subgroup":"person-sport","codepoints":["1F93D","200D","2640","FE0F"],"codepoints_string":"1f93d-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🤽","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤽","gender":"woman"},"keywords":["playing","polo","sport","swimming","water","waterpolo","woman"]},
+  {"emoji":"🤾","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"person playing handball","slug":"person_playing_handball","subgroup":"person-sport","codepoints":["1F93E"],"codepoints_string":"1f93e","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤾","gender":"person"},"keywords":["athletics","ball","catch","chuck","handball","hurl","lob","person","pitch","playing","sport","throw","toss"]},
+  {"emoji":"🤾‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man playing handball","slug":"man_playing_handball","subgroup":"person-sport","codepoints":["1F93E","200D","2642","FE0F"],"codepoints_string":"1f93e-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🤾","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤾","gender":"man"},"keywords":["athletics","ball","catch","chuck","handball","hurl","lob","man","pitch","playing","sport","throw","toss"]},
+  {"emoji":"🤾‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman playing handball","slug":"woman_playing_handball","subgroup":"person-sport","codepoints":["1F93E","200D","2640","FE0F"],"codepoints_string":"1f93e-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🤾","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤾","gender":"woman"},"keywords":["athletics","ball","catch","chuck","handball","hurl","lob","pitch","playing","sport","throw","toss","woman"]},
+  {"emoji":"🤹","skin_tone_support":true,"skin_tone_support_unicode_version":"3.0","name":"person juggling","slug":"person_juggling","subgroup":"person-sport","codepoints":["1F939"],"codepoints_string":"1f939","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤹","gender":"person"},"keywords":["act","balance","balancing","handle","juggle","juggling","manage","multitask","person","skill"]},
+  {"emoji":"🤹‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"man juggling","slug":"man_juggling","subgroup":"person-sport","codepoints":["1F939","200D","2642","FE0F"],"codepoints_string":"1f939-200d-2642-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🤹","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤹","gender":"man"},"keywords":["act","balance","balancing","handle","juggle","juggling","man","manage","multitask","skill"]},
+  {"emoji":"🤹‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"woman juggling","slug":"woman_juggling","subgroup":"person-sport","codepoints":["1F939","200D","2640","FE0F"],"codepoints_string":"1f939-200d-2640-fe0f","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["🤹","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🤹","gender":"woman"},"keywords":["act","balance","balancing","handle","juggle","juggling","manage","multitask","skill","woman"]},
+  {"emoji":"🧘","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"person in lotus position","slug":"person_in_lotus_position","subgroup":"person-resting","codepoints":["1F9D8"],"codepoints_string":"1f9d8","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧘","gender":"person"},"keywords":["cross","legged","legs","lotus","meditation","peace","person","position","relax","serenity","yoga","yogi","zen"]},
+  {"emoji":"🧘‍♂️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"man in lotus position","slug":"man_in_lotus_position","subgroup":"person-resting","codepoints":["1F9D8","200D","2642","FE0F"],"codepoints_string":"1f9d8-200d-2642-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧘","♂️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧘","gender":"man"},"keywords":["cross","legged","legs","lotus","man","meditation","peace","position","relax","serenity","yoga","yogi","zen"]},
+  {"emoji":"🧘‍♀️","skin_tone_support":true,"skin_tone_support_unicode_version":"5.0","name":"woman in lotus position","slug":"woman_in_lotus_position","subgroup":"person-resting","codepoints":["1F9D8","200D","2640","FE0F"],"codepoints_string":"1f9d8-200d-2640-fe0f","utf16_length":5,"unicode_version":"5.0","emoji_version":"5.0","type":"zwj_sequence","components":["🧘","♀️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"variant_of":{"family":"🧘","gender":"woman"},"keywords":["cross","legged","legs","lotus","meditation","peace","position","relax","serenity","woman","yoga","yogi","zen"]},
+  {"emoji":"🛀","skin_tone_support":true,"skin_tone_support_unicode_version":"1.0","name":"person taking bath","slug":"person_taking_bath","subgroup":"person-resting","codepoints":["1F6C0"],"codepoints_string":"1f6c0","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["bath","bathtub","person","taking","tub"]},
+  {"emoji":"🛌","skin_tone_support":true,"skin_tone_support_unicode_version":"4.0","name":"person in bed","slug":"person_in_bed","subgroup":"person-resting","codepoints":["1F6CC"],"codepoints_string":"1f6cc","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["bed","bedtime","good","goodnight","hotel","nap","night","person","sleep","tired","zzz"]},
+  {"emoji":"🧑‍🤝‍🧑","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"people holding hands","slug":"people_holding_hands","subgroup":"family","codepoints":["1F9D1","200D","1F91D","200D","1F9D1"],"codepoints_string":"1f9d1-200d-1f91d-200d-1f9d1","utf16_length":8,"unicode_version":"12.0","emoji_version":"12.0","type":"zwj_sequence","components":["🧑","🤝","🧑"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["bae","bestie","bff","couple","dating","flirt","friends","hand","hold","people","twins"]},
+  {"emoji":"👭","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"women holding hands","slug":"women_holding_hands","subgroup":"family","codepoints":["1F46D"],"codepoints_string":"1f46d","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["bae","bestie","bff","couple","dating","flirt","friends","girls","hand","hold","sisters","twins","women"]},
+  {"emoji":"👫","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"woman and man holding hands","slug":"woman_and_man_holding_hands","subgroup":"family","codepoints":["1F46B"],"codepoints_string":"1f46b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["bae","bestie","bff","couple","dating","flirt","friends","hand","hold","man","twins","woman"]},
+  {"emoji":"👬","skin_tone_support":true,"skin_tone_support_unicode_version":"12.0","name":"men holding hands","slug":"men_holding_hands","subgroup":"family","codepoints":["1F46C"],"codepoints_string":"1f46c","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["bae","bestie","bff","boys","brothers","couple","dating","flirt","friends","hand","hold","men","twins"]},
+  {"emoji":"💏","skin_tone_support":true,"skin_tone_support_unicode_version":"13.1","name":"kiss","slug":"kiss","subgroup":"family","codepoints":["1F48F"],"codepoints_string":"1f48f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["anniversary","babe","bae","couple","date","dating","heart","kiss","love","mwah","person","romance","together","xoxo"]},
+  {"emoji":"👩‍❤️‍💋‍👨","skin_tone_support":true,"skin_tone_support_unicode_version":"13.1","name":"kiss woman, man","slug":"kiss_woman_man","subgroup":"family","codepoints":["1F469","200D","2764","FE0F","200D","1F48B","200D","1F468"],"codepoints_string":"1f469-200d-2764-fe0f-200d-1f48b-200d-1f468","utf16_length":11,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👩","❤️","💋","👨"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["anniversary","babe","bae","couple","date","dating","heart","kiss","love","man","mwah","person","romance","together","woman","xoxo"]},
+  {"emoji":"👨‍❤️‍💋‍👨","skin_tone_support":true,"skin_tone_support_unicode_version":"13.1","name":"kiss man, man","slug":"kiss_man_man","subgroup":"family","codepoints":["1F468","200D","2764","FE0F","200D","1F48B","200D","1F468"],"codepoints_string":"1f468-200d-2764-fe0f-200d-1f48b-200d-1f468","utf16_length":11,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👨","❤️","💋","👨"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["anniversary","babe","bae","couple","date","dating","heart","kiss","love","man","mwah","person","romance","together","xoxo"]},
+  {"emoji":"👩‍❤️‍💋‍👩","skin_tone_support":true,"skin_tone_support_unicode_version":"13.1","name":"kiss woman, woman","slug":"kiss_woman_woman","subgroup":"family","codepoints":["1F469","200D","2764","FE0F","200D","1F48B","200D","1F469"],"codepoints_string":"1f469-200d-2764-fe0f-200d-1f48b-200d-1f469","utf16_length":11,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👩","❤️","💋","👩"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["anniversary","babe","bae","couple","date","dating","heart","kiss","love","mwah","person","romance","together","woman","xoxo"]},
+  {"emoji":"💑","skin_tone_support":true,"skin_tone_support_unicode_version":"13.1","name":"couple with heart","slug":"couple_with_heart","subgroup":"family","codepoints":["1F491"],"codepoints_string":"1f491","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["anniversary","babe","bae","couple","dating","heart","kiss","love","person","relationship","romance","together","you"]},
+  {"emoji":"👩‍❤️‍👨","skin_tone_support":true,"skin_tone_support_unicode_version":"13.1","name":"couple with heart woman, man","slug":"couple_with_heart_woman_man","subgroup":"family","codepoints":["1F469","200D","2764","FE0F","200D","1F468"],"codepoints_string":"1f469-200d-2764-fe0f-200d-1f468","utf16_length":8,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👩","❤️","👨"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["anniversary","babe","bae","couple","dating","heart","kiss","love","man","person","relationship","romance","together","woman","you"]},
+  {"emoji":"👨‍❤️‍👨","skin_tone_support":true,"skin_tone_support_unicode_version":"13.1","name":"couple with heart man, man","slug":"couple_with_heart_man_man","subgroup":"family","codepoints":["1F468","200D","2764","FE0F","200D","1F468"],"codepoints_string":"1f468-200d-2764-fe0f-200d-1f468","utf16_length":8,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👨","❤️","👨"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["anniversary","babe","bae","couple","dating","heart","kiss","love","man","person","relationship","romance","together","you"]},
+  {"emoji":"👩‍❤️‍👩","skin_tone_support":true,"skin_tone_support_unicode_version":"13.1","name":"couple with heart woman, woman","slug":"couple_with_heart_woman_woman","subgroup":"family","codepoints":["1F469","200D","2764","FE0F","200D","1F469"],"codepoints_string":"1f469-200d-2764-fe0f-200d-1f469","utf16_length":8,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👩","❤️","👩"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["anniversary","babe","bae","couple","dating","heart","kiss","love","person","relationship","romance","together","woman","you"]},
+  {"emoji":"👨‍👩‍👦","skin_tone_support":false,"name":"family man, woman, boy","slug":"family_man_woman_boy","subgroup":"family","codepoints":["1F468","200D","1F469","200D","1F466"],"codepoints_string":"1f468-200d-1f469-200d-1f466","utf16_length":8,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👨","👩","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","man","woman"]},
+  {"emoji":"👨‍👩‍👧","skin_tone_support":false,"name":"family man, woman, girl","slug":"family_man_woman_girl","subgroup":"family","codepoints":["1F468","200D","1F469","200D","1F467"],"codepoints_string":"1f468-200d-1f469-200d-1f467","utf16_length":8,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👨","👩","👧"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["child","family","girl","man","woman"]},
+  {"emoji":"👨‍👩‍👧‍👦","skin_tone_support":false,"name":"family man, woman, girl, boy","slug":"family_man_woman_girl_boy","subgroup":"family","codepoints":["1F468","200D","1F469","200D","1F467","200D","1F466"],"codepoints_string":"1f468-200d-1f469-200d-1f467-200d-1f466","utf16_length":11,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👨","👩","👧","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","girl","man","woman"]},
+  {"emoji":"👨‍👩‍👦‍👦","skin_tone_support":false,"name":"family man, woman, boy, boy","slug":"family_man_woman_boy_boy","subgroup":"family","codepoints":["1F468","200D","1F469","200D","1F466","200D","1F466"],"codepoints_string":"1f468-200d-1f469-200d-1f466-200d-1f466","utf16_length":11,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👨","👩","👦","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","man","woman"]},
+  {"emoji":"👨‍👩‍👧‍👧","skin_tone_support":false,"name":"family man, woman, girl, girl","slug":"family_man_woman_girl_girl","subgroup":"family","codepoints":["1F468","200D","1F469","200D","1F467","200D","1F467"],"codepoints_string":"1f468-200d-1f469-200d-1f467-200d-1f467","utf16_length":11,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👨","👩","👧","👧"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["child","family","girl","man","woman"]},
+  {"emoji":"👨‍👨‍👦","skin_tone_support":false,"name":"family man, man, boy","slug":"family_man_man_boy","subgroup":"family","codepoints":["1F468","200D","1F468","200D","1F466"],"codepoints_string":"1f468-200d-1f468-200d-1f466","utf16_length":8,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👨","👨","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","man"]},
+  {"emoji":"👨‍👨‍👧","skin_tone_support":false,"name":"family man, man, girl","slug":"family_man_man_girl","subgroup":"family","codepoints":["1F468","200D","1F468","200D","1F467"],"codepoints_string":"1f468-200d-1f468-200d-1f467","utf16_length":8,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👨","👨","👧"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["child","family","girl","man"]},
+  {"emoji":"👨‍👨‍👧‍👦","skin_tone_support":false,"name":"family man, man, girl, boy","slug":"family_man_man_girl_boy","subgroup":"family","codepoints":["1F468","200D","1F468","200D","1F467","200D","1F466"],"codepoints_string":"1f468-200d-1f468-200d-1f467-200d-1f466","utf16_length":11,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👨","👨","👧","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","girl","man"]},
+  {"emoji":"👨‍👨‍👦‍👦","skin_tone_support":false,"name":"family man, man, boy, boy","slug":"family_man_man_boy_boy","subgroup":"family","codepoints":["1F468","200D","1F468","200D","1F466","200D","1F466"],"codepoints_string":"1f468-200d-1f468-200d-1f466-200d-1f466","utf16_length":11,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👨","👨","👦","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","man"]},
+  {"emoji":"👨‍👨‍👧‍👧","skin_tone_support":false,"name":"family man, man, girl, girl","slug":"family_man_man_girl_girl","subgroup":"family","codepoints":["1F468","200D","1F468","200D","1F467","200D","1F467"],"codepoints_string":"1f468-200d-1f468-200d-1f467-200d-1f467","utf16_length":11,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👨","👨","👧","👧"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["child","family","girl","man"]},
+  {"emoji":"👩‍👩‍👦","skin_tone_support":false,"name":"family woman, woman, boy","slug":"family_woman_woman_boy","subgroup":"family","codepoints":["1F469","200D","1F469","200D","1F466"],"codepoints_string":"1f469-200d-1f469-200d-1f466","utf16_length":8,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👩","👩","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","woman"]},
+  {"emoji":"👩‍👩‍👧","skin_tone_support":false,"name":"family woman, woman, girl","slug":"family_woman_woman_girl","subgroup":"family","codepoints":["1F469","200D","1F469","200D","1F467"],"codepoints_string":"1f469-200d-1f469-200d-1f467","utf16_length":8,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👩","👩","👧"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["child","family","girl","woman"]},
+  {"emoji":"👩‍👩‍👧‍👦","skin_tone_support":false,"name":"family woman, woman, girl, boy","slug":"family_woman_woman_girl_boy","subgroup":"family","codepoints":["1F469","200D","1F469","200D","1F467","200D","1F466"],"codepoints_string":"1f469-200d-1f469-200d-1f467-200d-1f466","utf16_length":11,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👩","👩","👧","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","girl","woman"]},
+  {"emoji":"👩‍👩‍👦‍👦","skin_tone_support":false,"name":"family woman, woman, boy, boy","slug":"family_woman_woman_boy_boy","subgroup":"family","codepoints":["1F469","200D","1F469","200D","1F466","200D","1F466"],"codepoints_string":"1f469-200d-1f469-200d-1f466-200d-1f466","utf16_length":11,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👩","👩","👦","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","woman"]},
+  {"emoji":"👩‍👩‍👧‍👧","skin_tone_support":false,"name":"family woman, woman, girl, girl","slug":"family_woman_woman_girl_girl","subgroup":"family","codepoints":["1F469","200D","1F469","200D","1F467","200D","1F467"],"codepoints_string":"1f469-200d-1f469-200d-1f467-200d-1f467","utf16_length":11,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👩","👩","👧","👧"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["child","family","girl","woman"]},
+  {"emoji":"👨‍👦","skin_tone_support":false,"name":"family man, boy","slug":"family_man_boy","subgroup":"family","codepoints":["1F468","200D","1F466"],"codepoints_string":"1f468-200d-1f466","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","man"]},
+  {"emoji":"👨‍👦‍👦","skin_tone_support":false,"name":"family man, boy, boy","slug":"family_man_boy_boy","subgroup":"family","codepoints":["1F468","200D","1F466","200D","1F466"],"codepoints_string":"1f468-200d-1f466-200d-1f466","utf16_length":8,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","👦","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","man"]},
+  {"emoji":"👨‍👧","skin_tone_support":false,"name":"family man, girl","slug":"family_man_girl","subgroup":"family","codepoints":["1F468","200D","1F467"],"codepoints_string":"1f468-200d-1f467","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","👧"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["child","family","girl","man"]},
+  {"emoji":"👨‍👧‍👦","skin_tone_support":false,"name":"family man, girl, boy","slug":"family_man_girl_boy","subgroup":"family","codepoints":["1F468","200D","1F467","200D","1F466"],"codepoints_string":"1f468-200d-1f467-200d-1f466","utf16_length":8,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","👧","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","girl","man"]},
+  {"emoji":"👨‍👧‍👧","skin_tone_support":false,"name":"family man, girl, girl","slug":"family_man_girl_girl","subgroup":"family","codepoints":["1F468","200D","1F467","200D","1F467"],"codepoints_string":"1f468-200d-1f467-200d-1f467","utf16_length":8,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👨","👧","👧"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["child","family","girl","man"]},
+  {"emoji":"👩‍👦","skin_tone_support":false,"name":"family woman, boy","slug":"family_woman_boy","subgroup":"family","codepoints":["1F469","200D","1F466"],"codepoints_string":"1f469-200d-1f466","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","woman"]},
+  {"emoji":"👩‍👦‍👦","skin_tone_support":false,"name":"family woman, boy, boy","slug":"family_woman_boy_boy","subgroup":"family","codepoints":["1F469","200D","1F466","200D","1F466"],"codepoints_string":"1f469-200d-1f466-200d-1f466","utf16_length":8,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","👦","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","woman"]},
+  {"emoji":"👩‍👧","skin_tone_support":false,"name":"family woman, girl","slug":"family_woman_girl","subgroup":"family","codepoints":["1F469","200D","1F467"],"codepoints_string":"1f469-200d-1f467","utf16_length":5,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","👧"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["child","family","girl","woman"]},
+  {"emoji":"👩‍👧‍👦","skin_tone_support":false,"name":"family woman, girl, boy","slug":"family_woman_girl_boy","subgroup":"family","codepoints":["1F469","200D","1F467","200D","1F466"],"codepoints_string":"1f469-200d-1f467-200d-1f466","utf16_length":8,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","👧","👦"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["boy","child","family","girl","woman"]},
+  {"emoji":"👩‍👧‍👧","skin_tone_support":false,"name":"family woman, girl, girl","slug":"family_woman_girl_girl","subgroup":"family","codepoints":["1F469","200D","1F467","200D","1F467"],"codepoints_string":"1f469-200d-1f467-200d-1f467","utf16_length":8,"unicode_version":"4.0","emoji_version":"4.0","type":"zwj_sequence","components":["👩","👧","👧"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["child","family","girl","woman"]},
+  {"emoji":"🗣️","skin_tone_support":false,"name":"speaking head","slug":"speaking_head","subgroup":"person-symbol","codepoints":["1F5E3","FE0F"],"codepoints_string":"1f5e3-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["face","head","silhouette","speak","speaking"]},
+  {"emoji":"👤","skin_tone_support":false,"name":"bust in silhouette","slug":"bust_in_silhouette","subgroup":"person-symbol","codepoints":["1F464"],"codepoints_string":"1f464","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bust","mysterious","shadow","silhouette"]},
+  {"emoji":"👥","skin_tone_support":false,"name":"busts in silhouette","slug":"busts_in_silhouette","subgroup":"person-symbol","codepoints":["1F465"],"codepoints_string":"1f465","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bff","bust","busts","everyone","friend","friends","people","silhouette"]},
+  {"emoji":"🫂","skin_tone_support":false,"name":"people hugging","slug":"people_hugging","subgroup":"person-symbol","codepoints":["1FAC2"],"codepoints_string":"1fac2","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["comfort","embrace","farewell","friendship","goodbye","hello","hug","hugging","love","people","thanks"]},
+  {"emoji":"👪","skin_tone_support":false,"name":"family","slug":"family","subgroup":"person-symbol","codepoints":["1F46A"],"codepoints_string":"1f46a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":true,"extended_pictographic":true,"keywords":["child","family"]},
+  {"emoji":"🧑‍🧑‍🧒","skin_tone_support":false,"name":"family adult, adult, child","slug":"family_adult_adult_child","subgroup":"person-symbol","codepoints":["1F9D1","200D","1F9D1","200D","1F9D2"],"codepoints_string":"1f9d1-200d-1f9d1-200d-1f9d2","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🧑","🧑","🧒"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["adult","child","family"]},
+  {"emoji":"🧑‍🧑‍🧒‍🧒","skin_tone_support":false,"name":"family adult, adult, child, child","slug":"family_adult_adult_child_child","subgroup":"person-symbol","codepoints":["1F9D1","200D","1F9D1","200D","1F9D2","200D","1F9D2"],"codepoints_string":"1f9d1-200d-1f9d1-200d-1f9d2-200d-1f9d2","utf16_length":11,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🧑","🧑","🧒","🧒"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["adult","child","family"]},
+  {"emoji":"🧑‍🧒","skin_tone_support":false,"name":"family adult, child","slug":"family_adult_child","subgroup":"person-symbol","codepoints":["1F9D1","200D","1F9D2"],"codepoints_string":"1f9d1-200d-1f9d2","utf16_length":5,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🧑","🧒"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["adult","child","family"]},
+  {"emoji":"🧑‍🧒‍🧒","skin_tone_support":false,"name":"family adult, child, child","slug":"family_adult_child_child","subgroup":"person-symbol","codepoints":["1F9D1","200D","1F9D2","200D","1F9D2"],"codepoints_string":"1f9d1-200d-1f9d2-200d-1f9d2","utf16_length":8,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🧑","🧒","🧒"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":true,"extended_pictographic":true,"keywords":["adult","child","family"]},
+  {"emoji":"👣","skin_tone_support":false,"name":"footprints","slug":"footprints","subgroup":"person-symbol","codepoints":["1F463"],"codepoints_string":"1f463","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["barefoot","clothing","footprint","footprints","omw","print","walk"]},
+  {"emoji":"🫆","skin_tone_support":false,"name":"fingerprint","slug":"fingerprint","subgroup":"person-symbol","codepoints":["1FAC6"],"codepoints_string":"1fac6","utf16_length":2,"unicode_version":"16.0","emoji_version":"16.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clue","crime","detective","fingerprint","forensics","identity","mystery","print","safety","trace"]}
+]
@@ -0,0 +1,175 @@
+// Generated by script/build.js from the Unicode emoji data. Do not edit.
+
+export const name = "Smileys & Emotion"
+export const slug = "smileys_emotion"
+export const emojis = [
+  {"emoji":"😀","skin_tone_support":false,"name":"grinning face","slug":"grinning_face","subgroup":"face-smiling","codepoints":["1F600"],"codepoints_string":"1f600","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cheerful","cheery","face","grin","grinning","happy","laugh","nice","smile","smiling","teeth"]},
+  {"emoji":"😃","skin_tone_support":false,"name":"grinning face with big eyes","slug":"grinning_face_with_big_eyes","subgroup":"face-smiling","codepoints":["1F603"],"codepoints_string":"1f603","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["awesome","big","eyes","face","grin","grinning","happy","mouth","open","smile","smiling","teeth","yay"]},
+  {"emoji":"😄","skin_tone_support":false,"name":"grinning face with smiling eyes","slug":"grinning_face_with_smiling_eyes","subgroup":"face-smiling","codepoints":["1F604"],"codepoints_string":"1f604","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["eye","eyes","face","grin","grinning","happy","laugh","lol","mouth","open","smile","smiling"]},
+  {"emoji":"😁","skin_tone_support":false,"name":"beaming face with smiling eyes","slug":"beaming_face_with_smiling_eyes","subgroup":"face-smiling","codepoints":["1F601"],"codepoints_string":"1f601","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beaming","eye","eyes","face","grin","grinning","happy","nice","smile","smiling","teeth"]},
+  {"emoji":"😆","skin_tone_support":false,"name":"grinning squinting face","slug":"grinning_squinting_face","subgroup":"face-smiling","codepoints":["1F606"],"codepoints_string":"1f606","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["closed","eyes","face","grinning","haha","hahaha","happy","laugh","lol","mouth","open","rofl","smile","smiling","squinting"]},
+  {"emoji":"😅","skin_tone_support":false,"name":"grinning face with sweat","slug":"grinning_face_with_sweat","subgroup":"face-smiling","codepoints":["1F605"],"codepoints_string":"1f605","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cold","dejected","excited","face","grinning","mouth","nervous","open","smile","smiling","stress","stressed","sweat"]},
+  {"emoji":"🤣","skin_tone_support":false,"name":"rolling on the floor laughing","slug":"rolling_on_the_floor_laughing","subgroup":"face-smiling","codepoints":["1F923"],"codepoints_string":"1f923","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["crying","face","floor","funny","haha","happy","hehe","hilarious","joy","laugh","lmao","lol","rofl","roflmao","rolling","tear"]},
+  {"emoji":"😂","skin_tone_support":false,"name":"face with tears of joy","slug":"face_with_tears_of_joy","subgroup":"face-smiling","codepoints":["1F602"],"codepoints_string":"1f602","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["crying","face","feels","funny","haha","happy","hehe","hilarious","joy","laugh","lmao","lol","rofl","roflmao","tear"]},
+  {"emoji":"🙂","skin_tone_support":false,"name":"slightly smiling face","slug":"slightly_smiling_face","subgroup":"face-smiling","codepoints":["1F642"],"codepoints_string":"1f642","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","happy","slightly","smile","smiling"]},
+  {"emoji":"🙃","skin_tone_support":false,"name":"upside-down face","slug":"upside_down_face","subgroup":"face-smiling","codepoints":["1F643"],"codepoints_string":"1f643","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","hehe","smile","upside-down"]},
+  {"emoji":"🫠","skin_tone_support":false,"name":"melting face","slug":"melting_face","subgroup":"face-smiling","codepoints":["1FAE0"],"codepoints_string":"1fae0","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["disappear","dissolve","embarrassed","face","haha","heat","hot","liquid","lol","melt","melting","sarcasm","sarcastic"]},
+  {"emoji":"😉","skin_tone_support":false,"name":"winking face","slug":"winking_face","subgroup":"face-smiling","codepoints":["1F609"],"codepoints_string":"1f609","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","flirt","heartbreaker","sexy","slide","tease","wink","winking","winks"]},
+  {"emoji":"😊","skin_tone_support":false,"name":"smiling face with smiling eyes","slug":"smiling_face_with_smiling_eyes","subgroup":"face-smiling","codepoints":["1F60A"],"codepoints_string":"1f60a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blush","eye","eyes","face","glad","satisfied","smile","smiling"]},
+  {"emoji":"😇","skin_tone_support":false,"name":"smiling face with halo","slug":"smiling_face_with_halo","subgroup":"face-smiling","codepoints":["1F607"],"codepoints_string":"1f607","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["angel","angelic","angels","blessed","face","fairy","fairytale","fantasy","halo","happy","innocent","peaceful","smile","smiling","spirit","tale"]},
+  {"emoji":"🥰","skin_tone_support":false,"name":"smiling face with hearts","slug":"smiling_face_with_hearts","subgroup":"face-affection","codepoints":["1F970"],"codepoints_string":"1f970","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["3","adore","crush","face","heart","hearts","ily","love","romance","smile","smiling","you"]},
+  {"emoji":"😍","skin_tone_support":false,"name":"smiling face with heart-eyes","slug":"smiling_face_with_heart_eyes","subgroup":"face-affection","codepoints":["1F60D"],"codepoints_string":"1f60d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","bae","eye","face","feels","heart-eyes","hearts","ily","kisses","love","romance","romantic","smile","xoxo"]},
+  {"emoji":"🤩","skin_tone_support":false,"name":"star-struck","slug":"star_struck","subgroup":"face-affection","codepoints":["1F929"],"codepoints_string":"1f929","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["excited","eyes","face","grinning","smile","star","star-struck","starry-eyed","wow"]},
+  {"emoji":"😘","skin_tone_support":false,"name":"face blowing a kiss","slug":"face_blowing_a_kiss","subgroup":"face-affection","codepoints":["1F618"],"codepoints_string":"1f618","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["adorbs","bae","blowing","face","flirt","heart","ily","kiss","love","lover","miss","muah","romantic","smooch","xoxo","you"]},
+  {"emoji":"😗","skin_tone_support":false,"name":"kissing face","slug":"kissing_face","subgroup":"face-affection","codepoints":["1F617"],"codepoints_string":"1f617","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","date","dating","face","flirt","ily","kiss","love","smooch","smooches","xoxo","you"]},
+  {"emoji":"☺️","skin_tone_support":false,"name":"smiling face","slug":"smiling_face","subgroup":"face-affection","codepoints":["263A","FE0F"],"codepoints_string":"263a-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["face","happy","outlined","relaxed","smile","smiling"]},
+  {"emoji":"😚","skin_tone_support":false,"name":"kissing face with closed eyes","slug":"kissing_face_with_closed_eyes","subgroup":"face-affection","codepoints":["1F61A"],"codepoints_string":"1f61a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","bae","blush","closed","date","dating","eye","eyes","face","flirt","ily","kisses","kissing","smooches","xoxo"]},
+  {"emoji":"😙","skin_tone_support":false,"name":"kissing face with smiling eyes","slug":"kissing_face_with_smiling_eyes","subgroup":"face-affection","codepoints":["1F619"],"codepoints_string":"1f619","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","closed","date","dating","eye","eyes","face","flirt","ily","kiss","kisses","kissing","love","night","smile","smiling"]},
+  {"emoji":"🥲","skin_tone_support":false,"name":"smiling face with tear","slug":"smiling_face_with_tear","subgroup":"face-affection","codepoints":["1F972"],"codepoints_string":"1f972","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","glad","grateful","happy","joy","pain","proud","relieved","smile","smiley","smiling","tear","touched"]},
+  {"emoji":"😋","skin_tone_support":false,"name":"face savoring food","slug":"face_savoring_food","subgroup":"face-tongue","codepoints":["1F60B"],"codepoints_string":"1f60b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["delicious","eat","face","food","full","hungry","savor","smile","smiling","tasty","um","yum","yummy"]},
+  {"emoji":"😛","skin_tone_support":false,"name":"face with tongue","slug":"face_with_tongue","subgroup":"face-tongue","codepoints":["1F61B"],"codepoints_string":"1f61b","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["awesome","cool","face","nice","party","stuck-out","sweet","tongue"]},
+  {"emoji":"😜","skin_tone_support":false,"name":"winking face with tongue","slug":"winking_face_with_tongue","subgroup":"face-tongue","codepoints":["1F61C"],"codepoints_string":"1f61c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["crazy","epic","eye","face","funny","joke","loopy","nutty","party","stuck-out","tongue","wacky","weirdo","wink","winking","yolo"]},
+  {"emoji":"🤪","skin_tone_support":false,"name":"zany face","slug":"zany_face","subgroup":"face-tongue","codepoints":["1F92A"],"codepoints_string":"1f92a","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["crazy","eye","eyes","face","goofy","large","small","zany"]},
+  {"emoji":"😝","skin_tone_support":false,"name":"squinting face with tongue","slug":"squinting_face_with_tongue","subgroup":"face-tongue","codepoints":["1F61D"],"codepoints_string":"1f61d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["closed","eye","eyes","face","gross","horrible","omg","squinting","stuck-out","taste","tongue","whatever","yolo"]},
+  {"emoji":"🤑","skin_tone_support":false,"name":"money-mouth face","slug":"money_mouth_face","subgroup":"face-tongue","codepoints":["1F911"],"codepoints_string":"1f911","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","money","money-mouth","mouth","paid"]},
+  {"emoji":"🤗","skin_tone_support":false,"name":"smiling face with open hands","slug":"smiling_face_with_open_hands","subgroup":"face-hand","codepoints":["1F917"],"codepoints_string":"1f917","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","hands","hug","hugging","open","smiling"]},
+  {"emoji":"🤭","skin_tone_support":false,"name":"face with hand over mouth","slug":"face_with_hand_over_mouth","subgroup":"face-hand","codepoints":["1F92D"],"codepoints_string":"1f92d","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","giggle","giggling","hand","mouth","oops","realization","secret","shock","sudden","surprise","whoops"]},
+  {"emoji":"🫢","skin_tone_support":false,"name":"face with open eyes and hand over mouth","slug":"face_with_open_eyes_and_hand_over_mouth","subgroup":"face-hand","codepoints":["1FAE2"],"codepoints_string":"1fae2","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["amazement","awe","disbelief","embarrass","eyes","face","gasp","hand","mouth","omg","open","over","quiet","scared","shock","surprise"]},
+  {"emoji":"🫣","skin_tone_support":false,"name":"face with peeking eye","slug":"face_with_peeking_eye","subgroup":"face-hand","codepoints":["1FAE3"],"codepoints_string":"1fae3","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["captivated","embarrass","eye","face","hide","hiding","peek","peeking","peep","scared","shy","stare"]},
+  {"emoji":"🤫","skin_tone_support":false,"name":"shushing face","slug":"shushing_face","subgroup":"face-hand","codepoints":["1F92B"],"codepoints_string":"1f92b","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","quiet","shh","shush","shushing"]},
+  {"emoji":"🤔","skin_tone_support":false,"name":"thinking face","slug":"thinking_face","subgroup":"face-hand","codepoints":["1F914"],"codepoints_string":"1f914","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["chin","consider","face","hmm","ponder","pondering","thinking","wondering"]},
+  {"emoji":"🫡","skin_tone_support":false,"name":"saluting face","slug":"saluting_face","subgroup":"face-hand","codepoints":["1FAE1"],"codepoints_string":"1fae1","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","good","luck","ma’am","OK","respect","salute","saluting","sir","troops","yes"]},
+  {"emoji":"🤐","skin_tone_support":false,"name":"zipper-mouth face","slug":"zipper_mouth_face","subgroup":"face-neutral-skeptical","codepoints":["1F910"],"codepoints_string":"1f910","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","keep","mouth","quiet","secret","shut","zip","zipper","zipper-mouth"]},
+  {"emoji":"🤨","skin_tone_support":false,"name":"face with raised eyebrow","slug":"face_with_raised_eyebrow","subgroup":"face-neutral-skeptical","codepoints":["1F928"],"codepoints_string":"1f928","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["disapproval","disbelief","distrust","emoji","eyebrow","face","hmm","mild","raised","skeptic","skeptical","skepticism","surprise","what"]},
+  {"emoji":"😐","skin_tone_support":false,"name":"neutral face","slug":"neutral_face","subgroup":"face-neutral-skeptical","codepoints":["1F610"],"codepoints_string":"1f610","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["awkward","blank","deadpan","expressionless","face","fine","jealous","meh","neutral","oh","shade","straight","unamused","unhappy","unimpressed","whatever"]},
+  {"emoji":"😑","skin_tone_support":false,"name":"expressionless face","slug":"expressionless_face","subgroup":"face-neutral-skeptical","codepoints":["1F611"],"codepoints_string":"1f611","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["awkward","dead","expressionless","face","fine","inexpressive","jealous","meh","not","oh","omg","straight","uh","unhappy","unimpressed","whatever"]},
+  {"emoji":"😶","skin_tone_support":false,"name":"face without mouth","slug":"face_without_mouth","subgroup":"face-neutral-skeptical","codepoints":["1F636"],"codepoints_string":"1f636","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["awkward","blank","expressionless","face","mouth","mouthless","mute","quiet","secret","silence","silent","speechless"]},
+  {"emoji":"🫥","skin_tone_support":false,"name":"dotted line face","slug":"dotted_line_face","subgroup":"face-neutral-skeptical","codepoints":["1FAE5"],"codepoints_string":"1fae5","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["depressed","disappear","dotted","face","hidden","hide","introvert","invisible","line","meh","whatever","wtv"]},
+  {"emoji":"😶‍🌫️","skin_tone_support":false,"name":"face in clouds","slug":"face_in_clouds","subgroup":"face-neutral-skeptical","codepoints":["1F636","200D","1F32B","FE0F"],"codepoints_string":"1f636-200d-1f32b-fe0f","utf16_length":6,"unicode_version":"13.1","emoji_version":"13.1","type":"zwj_sequence","components":["😶","🌫️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["absentminded","clouds","face","fog","head"]},
+  {"emoji":"😏","skin_tone_support":false,"name":"smirking face","slug":"smirking_face","subgroup":"face-neutral-skeptical","codepoints":["1F60F"],"codepoints_string":"1f60f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["boss","dapper","face","flirt","homie","kidding","leer","shade","slick","sly","smirk","smug","snicker","suave","suspicious","swag"]},
+  {"emoji":"😒","skin_tone_support":false,"name":"unamused face","slug":"unamused_face","subgroup":"face-neutral-skeptical","codepoints":["1F612"],"codepoints_string":"1f612","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["...","bored","face","fine","jealous","jel","jelly","pissed","smh","ugh","uhh","unamused","unhappy","weird","whatever"]},
+  {"emoji":"🙄","skin_tone_support":false,"name":"face with rolling eyes","slug":"face_with_rolling_eyes","subgroup":"face-neutral-skeptical","codepoints":["1F644"],"codepoints_string":"1f644","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["eyeroll","eyes","face","rolling","shade","ugh","whatever"]},
+  {"emoji":"😬","skin_tone_support":false,"name":"grimacing face","slug":"grimacing_face","subgroup":"face-neutral-skeptical","codepoints":["1F62C"],"codepoints_string":"1f62c","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["awk","awkward","dentist","face","grimace","grimacing","grinning","smile","smiling"]},
+  {"emoji":"😮‍💨","skin_tone_support":false,"name":"face exhaling","slug":"face_exhaling","subgroup":"face-neutral-skeptical","codepoints":["1F62E","200D","1F4A8"],"codepoints_string":"1f62e-200d-1f4a8","utf16_length":5,"unicode_version":"13.1","emoji_version":"13.1","type":"zwj_sequence","components":["😮","💨"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blow","blowing","exhale","exhaling","exhausted","face","gasp","groan","relief","sigh","smiley","smoke","whisper","whistle"]},
+  {"emoji":"🤥","skin_tone_support":false,"name":"lying face","slug":"lying_face","subgroup":"face-neutral-skeptical","codepoints":["1F925"],"codepoints_string":"1f925","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","liar","lie","lying","pinocchio"]},
+  {"emoji":"🫨","skin_tone_support":false,"name":"shaking face","slug":"shaking_face","subgroup":"face-neutral-skeptical","codepoints":["1FAE8"],"codepoints_string":"1fae8","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["crazy","daze","earthquake","face","omg","panic","shaking","shock","surprise","vibrate","whoa","wow"]},
+  {"emoji":"🙂‍↔️","skin_tone_support":false,"name":"head shaking horizontally","slug":"head_shaking_horizontally","subgroup":"face-neutral-skeptical","codepoints":["1F642","200D","2194","FE0F"],"codepoints_string":"1f642-200d-2194-fe0f","utf16_length":5,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🙂","↔️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["head","horizontally","no","shake","shaking"]},
+  {"emoji":"🙂‍↕️","skin_tone_support":false,"name":"head shaking vertically","slug":"head_shaking_vertically","subgroup":"face-neutral-skeptical","codepoints":["1F642","200D","2195","FE0F"],"codepoints_string":"1f642-200d-2195-fe0f","utf16_length":5,"unicode_version":"15.1","emoji_version":"15.1","type":"zwj_sequence","components":["🙂","↕️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["head","nod","shaking","vertically","yes"]},
+  {"emoji":"😌","skin_tone_support":false,"name":"relieved face","slug":"relieved_face","subgroup":"face-sleepy","codepoints":["1F60C"],"codepoints_string":"1f60c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["calm","face","peace","relief","relieved","zen"]},
+  {"emoji":"😔","skin_tone_support":false,"name":"pensive face","slug":"pensive_face","subgroup":"face-sleepy","codepoints":["1F614"],"codepoints_string":"1f614","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["awful","bored","dejected","died","disappointed","face","losing","lost","pensive","sad","sucks"]},
+  {"emoji":"😪","skin_tone_support":false,"name":"sleepy face","slug":"sleepy_face","subgroup":"face-sleepy","codepoints":["1F62A"],"codepoints_string":"1f62a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["crying","face","good","night","sad","sleep","sleeping","sleepy","tired"]},
+  {"emoji":"🤤","skin_tone_support":false,"name":"drooling face","slug":"drooling_face","subgroup":"face-sleepy","codepoints":["1F924"],"codepoints_string":"1f924","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["drooling","face"]},
+  {"emoji":"😴","skin_tone_support":false,"name":"sleeping face","slug":"sleeping_face","subgroup":"face-sleepy","codepoints":["1F634"],"codepoints_string":"1f634","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bed","bedtime","face","good","goodnight","nap","night","sleep","sleeping","tired","whatever","yawn","zzz"]},
+  {"emoji":"🫩","skin_tone_support":false,"name":"face with bags under eyes","slug":"face_with_bags_under_eyes","subgroup":"face-sleepy","codepoints":["1FAE9"],"codepoints_string":"1fae9","utf16_length":2,"unicode_version":"16.0","emoji_version":"16.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bags","bored","exhausted","eyes","face","fatigued","late","sleepy","tired","weary"]},
+  {"emoji":"😷","skin_tone_support":false,"name":"face with medical mask","slug":"face_with_medical_mask","subgroup":"face-unwell","codepoints":["1F637"],"codepoints_string":"1f637","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cold","dentist","dermatologist","doctor","dr","face","germs","mask","medical","medicine","sick"]},
+  {"emoji":"🤒","skin_tone_support":false,"name":"face with thermometer","slug":"face_with_thermometer","subgroup":"face-unwell","codepoints":["1F912"],"codepoints_string":"1f912","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","ill","sick","thermometer"]},
+  {"emoji":"🤕","skin_tone_support":false,"name":"face with head-bandage","slug":"face_with_head_bandage","subgroup":"face-unwell","codepoints":["1F915"],"codepoints_string":"1f915","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bandage","face","head-bandage","hurt","injury","ouch"]},
+  {"emoji":"🤢","skin_tone_support":false,"name":"nauseated face","slug":"nauseated_face","subgroup":"face-unwell","codepoints":["1F922"],"codepoints_string":"1f922","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","gross","nasty","nauseated","sick","vomit"]},
+  {"emoji":"🤮","skin_tone_support":false,"name":"face vomiting","slug":"face_vomiting","subgroup":"face-unwell","codepoints":["1F92E"],"codepoints_string":"1f92e","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["barf","ew","face","gross","puke","sick","spew","throw","up","vomit","vomiting"]},
+  {"emoji":"🤧","skin_tone_support":false,"name":"sneezing face","slug":"sneezing_face","subgroup":"face-unwell","codepoints":["1F927"],"codepoints_string":"1f927","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","fever","flu","gesundheit","sick","sneeze","sneezing"]},
+  {"emoji":"🥵","skin_tone_support":false,"name":"hot face","slug":"hot_face","subgroup":"face-unwell","codepoints":["1F975"],"codepoints_string":"1f975","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dying","face","feverish","heat","hot","panting","red-faced","stroke","sweating","tongue"]},
+  {"emoji":"🥶","skin_tone_support":false,"name":"cold face","slug":"cold_face","subgroup":"face-unwell","codepoints":["1F976"],"codepoints_string":"1f976","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blue","blue-faced","cold","face","freezing","frostbite","icicles","subzero","teeth"]},
+  {"emoji":"🥴","skin_tone_support":false,"name":"woozy face","slug":"woozy_face","subgroup":"face-unwell","codepoints":["1F974"],"codepoints_string":"1f974","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dizzy","drunk","eyes","face","intoxicated","mouth","tipsy","uneven","wavy","woozy"]},
+  {"emoji":"😵","skin_tone_support":false,"name":"face with crossed-out eyes","slug":"face_with_crossed_out_eyes","subgroup":"face-unwell","codepoints":["1F635"],"codepoints_string":"1f635","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["crossed-out","dead","dizzy","eyes","face","feels","knocked","out","sick","tired"]},
+  {"emoji":"😵‍💫","skin_tone_support":false,"name":"face with spiral eyes","slug":"face_with_spiral_eyes","subgroup":"face-unwell","codepoints":["1F635","200D","1F4AB"],"codepoints_string":"1f635-200d-1f4ab","utf16_length":5,"unicode_version":"13.1","emoji_version":"13.1","type":"zwj_sequence","components":["😵","💫"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["confused","dizzy","eyes","face","hypnotized","omg","smiley","spiral","trouble","whoa","woah","woozy"]},
+  {"emoji":"🤯","skin_tone_support":false,"name":"exploding head","slug":"exploding_head","subgroup":"face-unwell","codepoints":["1F92F"],"codepoints_string":"1f92f","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blown","explode","exploding","head","mind","mindblown","no","shocked","way"]},
+  {"emoji":"🤠","skin_tone_support":false,"name":"cowboy hat face","slug":"cowboy_hat_face","subgroup":"face-hat","codepoints":["1F920"],"codepoints_string":"1f920","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cowboy","cowgirl","face","hat"]},
+  {"emoji":"🥳","skin_tone_support":false,"name":"partying face","slug":"partying_face","subgroup":"face-hat","codepoints":["1F973"],"codepoints_string":"1f973","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bday","birthday","celebrate","celebration","excited","face","happy","hat","hooray","horn","party","partying"]},
+  {"emoji":"🥸","skin_tone_support":false,"name":"disguised face","slug":"disguised_face","subgroup":"face-hat","codepoints":["1F978"],"codepoints_string":"1f978","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["disguise","eyebrow","face","glasses","incognito","moustache","mustache","nose","person","spy","tache","tash"]},
+  {"emoji":"😎","skin_tone_support":false,"name":"smiling face with sunglasses","slug":"smiling_face_with_sunglasses","subgroup":"face-glasses","codepoints":["1F60E"],"codepoints_string":"1f60e","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["awesome","beach","bright","bro","chilling","cool","face","rad","relaxed","shades","slay","smile","style","sunglasses","swag","win"]},
+  {"emoji":"🤓","skin_tone_support":false,"name":"nerd face","slug":"nerd_face","subgroup":"face-glasses","codepoints":["1F913"],"codepoints_string":"1f913","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["brainy","clever","expert","face","geek","gifted","glasses","intelligent","nerd","smart"]},
+  {"emoji":"🧐","skin_tone_support":false,"name":"face with monocle","slug":"face_with_monocle","subgroup":"face-glasses","codepoints":["1F9D0"],"codepoints_string":"1f9d0","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["classy","face","fancy","monocle","rich","stuffy","wealthy"]},
+  {"emoji":"😕","skin_tone_support":false,"name":"confused face","slug":"confused_face","subgroup":"face-concerned","codepoints":["1F615"],"codepoints_string":"1f615","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["befuddled","confused","confusing","dunno","face","frown","hm","meh","not","sad","sorry","sure"]},
+  {"emoji":"🫤","skin_tone_support":false,"name":"face with diagonal mouth","slug":"face_with_diagonal_mouth","subgroup":"face-concerned","codepoints":["1FAE4"],"codepoints_string":"1fae4","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["confused","confusion","diagonal","disappointed","doubt","doubtful","face","frustrated","frustration","meh","mouth","skeptical","unsure","whatever","wtv"]},
+  {"emoji":"😟","skin_tone_support":false,"name":"worried face","slug":"worried_face","subgroup":"face-concerned","codepoints":["1F61F"],"codepoints_string":"1f61f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["anxious","butterflies","face","nerves","nervous","sad","stress","stressed","surprised","worried","worry"]},
+  {"emoji":"🙁","skin_tone_support":false,"name":"slightly frowning face","slug":"slightly_frowning_face","subgroup":"face-concerned","codepoints":["1F641"],"codepoints_string":"1f641","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","frown","frowning","sad","slightly"]},
+  {"emoji":"☹️","skin_tone_support":false,"name":"frowning face","slug":"frowning_face","subgroup":"face-concerned","codepoints":["2639","FE0F"],"codepoints_string":"2639-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["face","frown","frowning","sad"]},
+  {"emoji":"😮","skin_tone_support":false,"name":"face with open mouth","slug":"face_with_open_mouth","subgroup":"face-concerned","codepoints":["1F62E"],"codepoints_string":"1f62e","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["believe","face","forgot","mouth","omg","open","shocked","surprised","sympathy","unbelievable","unreal","whoa","wow","you"]},
+  {"emoji":"😯","skin_tone_support":false,"name":"hushed face","slug":"hushed_face","subgroup":"face-concerned","codepoints":["1F62F"],"codepoints_string":"1f62f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["epic","face","hushed","omg","stunned","surprised","whoa","woah"]},
+  {"emoji":"😲","skin_tone_support":false,"name":"astonished face","slug":"astonished_face","subgroup":"face-concerned","codepoints":["1F632"],"codepoints_string":"1f632","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["astonished","cost","face","no","omg","shocked","totally","way"]},
+  {"emoji":"😳","skin_tone_support":false,"name":"flushed face","slug":"flushed_face","subgroup":"face-concerned","codepoints":["1F633"],"codepoints_string":"1f633","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["amazed","awkward","crazy","dazed","dead","disbelief","embarrassed","face","flushed","geez","heat","hot","impressed","jeez","what","wow"]},
+  {"emoji":"🥺","skin_tone_support":false,"name":"pleading face","slug":"pleading_face","subgroup":"face-concerned","codepoints":["1F97A"],"codepoints_string":"1f97a","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["begging","big","eyes","face","mercy","not","pleading","please","pretty","puppy","sad","why"]},
+  {"emoji":"🥹","skin_tone_support":false,"name":"face holding back tears","slug":"face_holding_back_tears","subgroup":"face-concerned","codepoints":["1F979"],"codepoints_string":"1f979","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["admiration","aww","back","cry","embarrassed","face","feelings","grateful","gratitude","holding","joy","please","proud","resist","sad","tears"]},
+  {"emoji":"😦","skin_tone_support":false,"name":"frowning face with open mouth","slug":"frowning_face_with_open_mouth","subgroup":"face-concerned","codepoints":["1F626"],"codepoints_string":"1f626","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["caught","face","frown","frowning","guard","mouth","open","scared","scary","surprise","what","wow"]},
+  {"emoji":"😧","skin_tone_support":false,"name":"anguished face","slug":"anguished_face","subgroup":"face-concerned","codepoints":["1F627"],"codepoints_string":"1f627","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["anguished","face","forgot","scared","scary","stressed","surprise","unhappy","what","wow"]},
+  {"emoji":"😨","skin_tone_support":false,"name":"fearful face","slug":"fearful_face","subgroup":"face-concerned","codepoints":["1F628"],"codepoints_string":"1f628","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["afraid","anxious","blame","face","fear","fearful","scared","worried"]},
+  {"emoji":"😰","skin_tone_support":false,"name":"anxious face with sweat","slug":"anxious_face_with_sweat","subgroup":"face-concerned","codepoints":["1F630"],"codepoints_string":"1f630","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["anxious","blue","cold","eek","face","mouth","nervous","open","rushed","scared","sweat","yikes"]},
+  {"emoji":"😥","skin_tone_support":false,"name":"sad but relieved face","slug":"sad_but_relieved_face","subgroup":"face-concerned","codepoints":["1F625"],"codepoints_string":"1f625","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["anxious","call","close","complicated","disappointed","face","not","relieved","sad","sweat","time","whew"]},
+  {"emoji":"😢","skin_tone_support":false,"name":"crying face","slug":"crying_face","subgroup":"face-concerned","codepoints":["1F622"],"codepoints_string":"1f622","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["awful","cry","crying","face","feels","miss","sad","tear","triste","unhappy"]},
+  {"emoji":"😭","skin_tone_support":false,"name":"loudly crying face","slug":"loudly_crying_face","subgroup":"face-concerned","codepoints":["1F62D"],"codepoints_string":"1f62d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bawling","cry","crying","face","loudly","sad","sob","tear","tears","unhappy"]},
+  {"emoji":"😱","skin_tone_support":false,"name":"face screaming in fear","slug":"face_screaming_in_fear","subgroup":"face-concerned","codepoints":["1F631"],"codepoints_string":"1f631","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["epic","face","fear","fearful","munch","scared","scream","screamer","screaming","shocked","surprised","woah"]},
+  {"emoji":"😖","skin_tone_support":false,"name":"confounded face","slug":"confounded_face","subgroup":"face-concerned","codepoints":["1F616"],"codepoints_string":"1f616","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["annoyed","confounded","confused","cringe","distraught","face","feels","frustrated","mad","sad"]},
+  {"emoji":"😣","skin_tone_support":false,"name":"persevering face","slug":"persevering_face","subgroup":"face-concerned","codepoints":["1F623"],"codepoints_string":"1f623","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["concentrate","concentration","face","focus","headache","persevere","persevering"]},
+  {"emoji":"😞","skin_tone_support":false,"name":"disappointed face","slug":"disappointed_face","subgroup":"face-concerned","codepoints":["1F61E"],"codepoints_string":"1f61e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["awful","blame","dejected","disappointed","face","fail","losing","sad","unhappy"]},
+  {"emoji":"😓","skin_tone_support":false,"name":"downcast face with sweat","slug":"downcast_face_with_sweat","subgroup":"face-concerned","codepoints":["1F613"],"codepoints_string":"1f613","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["close","cold","downcast","face","feels","headache","nervous","sad","scared","sweat","yikes"]},
+  {"emoji":"😩","skin_tone_support":false,"name":"weary face","slug":"weary_face","subgroup":"face-concerned","codepoints":["1F629"],"codepoints_string":"1f629","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["crying","face","fail","feels","hungry","mad","nooo","sad","sleepy","tired","unhappy","weary"]},
+  {"emoji":"😫","skin_tone_support":false,"name":"tired face","slug":"tired_face","subgroup":"face-concerned","codepoints":["1F62B"],"codepoints_string":"1f62b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cost","face","feels","nap","sad","sneeze","tired"]},
+  {"emoji":"🥱","skin_tone_support":false,"name":"yawning face","slug":"yawning_face","subgroup":"face-concerned","codepoints":["1F971"],"codepoints_string":"1f971","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bedtime","bored","face","goodnight","nap","night","sleep","sleepy","tired","whatever","yawn","yawning","zzz"]},
+  {"emoji":"😤","skin_tone_support":false,"name":"face with steam from nose","slug":"face_with_steam_from_nose","subgroup":"face-negative","codepoints":["1F624"],"codepoints_string":"1f624","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["anger","angry","face","feels","fume","fuming","furious","fury","mad","nose","steam","triumph","unhappy","won"]},
+  {"emoji":"😡","skin_tone_support":false,"name":"enraged face","slug":"enraged_face","subgroup":"face-negative","codepoints":["1F621"],"codepoints_string":"1f621","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["anger","angry","enraged","face","feels","mad","maddening","pouting","rage","red","shade","unhappy","upset"]},
+  {"emoji":"😠","skin_tone_support":false,"name":"angry face","slug":"angry_face","subgroup":"face-negative","codepoints":["1F620"],"codepoints_string":"1f620","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["anger","angry","blame","face","feels","frustrated","mad","maddening","rage","shade","unhappy","upset"]},
+  {"emoji":"🤬","skin_tone_support":false,"name":"face with symbols on mouth","slug":"face_with_symbols_on_mouth","subgroup":"face-negative","codepoints":["1F92C"],"codepoints_string":"1f92c","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["censor","cursing","cussing","face","mad","mouth","pissed","swearing","symbols"]},
+  {"emoji":"😈","skin_tone_support":false,"name":"smiling face with horns","slug":"smiling_face_with_horns","subgroup":"face-negative","codepoints":["1F608"],"codepoints_string":"1f608","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["demon","devil","evil","face","fairy","fairytale","fantasy","horns","purple","shade","smile","smiling","tale"]},
+  {"emoji":"👿","skin_tone_support":false,"name":"angry face with horns","slug":"angry_face_with_horns","subgroup":"face-negative","codepoints":["1F47F"],"codepoints_string":"1f47f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["angry","demon","devil","evil","face","fairy","fairytale","fantasy","horns","imp","mischievous","purple","shade","tale"]},
+  {"emoji":"💀","skin_tone_support":false,"name":"skull","slug":"skull","subgroup":"face-negative","codepoints":["1F480"],"codepoints_string":"1f480","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["body","dead","death","face","fairy","fairytale","i’m","lmao","monster","skull","tale","yolo"]},
+  {"emoji":"☠️","skin_tone_support":false,"name":"skull and crossbones","slug":"skull_and_crossbones","subgroup":"face-negative","codepoints":["2620","FE0F"],"codepoints_string":"2620-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bone","crossbones","dead","death","face","monster","skull"]},
+  {"emoji":"💩","skin_tone_support":false,"name":"pile of poo","slug":"pile_of_poo","subgroup":"face-costume","codepoints":["1F4A9"],"codepoints_string":"1f4a9","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bs","comic","doo","dung","face","fml","monster","pile","poo","poop","smelly","smh","stink","stinks","stinky","turd"]},
+  {"emoji":"🤡","skin_tone_support":false,"name":"clown face","slug":"clown_face","subgroup":"face-costume","codepoints":["1F921"],"codepoints_string":"1f921","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["clown","face"]},
+  {"emoji":"👹","skin_tone_support":false,"name":"ogre","slug":"ogre","subgroup":"face-costume","codepoints":["1F479"],"codepoints_string":"1f479","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["creature","devil","face","fairy","fairytale","fantasy","mask","monster","ogre","scary","tale"]},
+  {"emoji":"👺","skin_tone_support":false,"name":"goblin","slug":"goblin","subgroup":"face-costume","codepoints":["1F47A"],"codepoints_string":"1f47a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["angry","creature","face","fairy","fairytale","fantasy","goblin","mask","mean","monster","tale"]},
+  {"emoji":"👻","skin_tone_support":false,"name":"ghost","slug":"ghost","subgroup":"face-costume","codepoints":["1F47B"],"codepoints_string":"1f47b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["boo","creature","excited","face","fairy","fairytale","fantasy","ghost","halloween","haunting","monster","scary","silly","tale"]},
+  {"emoji":"👽","skin_tone_support":false,"name":"alien","slug":"alien","subgroup":"face-costume","codepoints":["1F47D"],"codepoints_string":"1f47d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["alien","creature","extraterrestrial","face","fairy","fairytale","fantasy","monster","space","tale","ufo"]},
+  {"emoji":"👾","skin_tone_support":false,"name":"alien monster","slug":"alien_monster","subgroup":"face-costume","codepoints":["1F47E"],"codepoints_string":"1f47e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["alien","creature","extraterrestrial","face","fairy","fairytale","fantasy","game","gamer","games","monster","pixelated","space","tale","ufo"]},
+  {"emoji":"🤖","skin_tone_support":false,"name":"robot","slug":"robot","subgroup":"face-costume","codepoints":["1F916"],"codepoints_string":"1f916","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","monster","robot"]},
+  {"emoji":"😺","skin_tone_support":false,"name":"grinning cat","slug":"grinning_cat","subgroup":"cat-face","codepoints":["1F63A"],"codepoints_string":"1f63a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","cat","face","grinning","mouth","open","smile","smiling"]},
+  {"emoji":"😸","skin_tone_support":false,"name":"grinning cat with smiling eyes","slug":"grinning_cat_with_smiling_eyes","subgroup":"cat-face","codepoints":["1F638"],"codepoints_string":"1f638","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","cat","eye","eyes","face","grin","grinning","smile","smiling"]},
+  {"emoji":"😹","skin_tone_support":false,"name":"cat with tears of joy","slug":"cat_with_tears_of_joy","subgroup":"cat-face","codepoints":["1F639"],"codepoints_string":"1f639","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","cat","face","joy","laugh","laughing","lol","tear","tears"]},
+  {"emoji":"😻","skin_tone_support":false,"name":"smiling cat with heart-eyes","slug":"smiling_cat_with_heart_eyes","subgroup":"cat-face","codepoints":["1F63B"],"codepoints_string":"1f63b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","cat","eye","face","heart","heart-eyes","love","smile","smiling"]},
+  {"emoji":"😼","skin_tone_support":false,"name":"cat with wry smile","slug":"cat_with_wry_smile","subgroup":"cat-face","codepoints":["1F63C"],"codepoints_string":"1f63c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","cat","face","ironic","smile","wry"]},
+  {"emoji":"😽","skin_tone_support":false,"name":"kissing cat","slug":"kissing_cat","subgroup":"cat-face","codepoints":["1F63D"],"codepoints_string":"1f63d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","cat","closed","eye","eyes","face","kiss","kissing"]},
+  {"emoji":"🙀","skin_tone_support":false,"name":"weary cat","slug":"weary_cat","subgroup":"cat-face","codepoints":["1F640"],"codepoints_string":"1f640","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","cat","face","oh","surprised","weary"]},
+  {"emoji":"😿","skin_tone_support":false,"name":"crying cat","slug":"crying_cat","subgroup":"cat-face","codepoints":["1F63F"],"codepoints_string":"1f63f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","cat","cry","crying","face","sad","tear"]},
+  {"emoji":"😾","skin_tone_support":false,"name":"pouting cat","slug":"pouting_cat","subgroup":"cat-face","codepoints":["1F63E"],"codepoints_string":"1f63e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","cat","face","pouting"]},
+  {"emoji":"🙈","skin_tone_support":false,"name":"see-no-evil monkey","slug":"see_no_evil_monkey","subgroup":"monkey-face","codepoints":["1F648"],"codepoints_string":"1f648","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["embarrassed","evil","face","forbidden","forgot","gesture","hide","monkey","no","omg","prohibited","scared","secret","smh","watch"]},
+  {"emoji":"🙉","skin_tone_support":false,"name":"hear-no-evil monkey","slug":"hear_no_evil_monkey","subgroup":"monkey-face","codepoints":["1F649"],"codepoints_string":"1f649","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","ears","evil","face","forbidden","gesture","hear","listen","monkey","no","not","prohibited","secret","shh","tmi"]},
+  {"emoji":"🙊","skin_tone_support":false,"name":"speak-no-evil monkey","slug":"speak_no_evil_monkey","subgroup":"monkey-face","codepoints":["1F64A"],"codepoints_string":"1f64a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["animal","evil","face","forbidden","gesture","monkey","no","not","oops","prohibited","quiet","secret","speak","stealth"]},
+  {"emoji":"💌","skin_tone_support":false,"name":"love letter","slug":"love_letter","subgroup":"heart","codepoints":["1F48C"],"codepoints_string":"1f48c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["heart","letter","love","mail","romance","valentine"]},
+  {"emoji":"💘","skin_tone_support":false,"name":"heart with arrow","slug":"heart_with_arrow","subgroup":"heart","codepoints":["1F498"],"codepoints_string":"1f498","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","adorbs","arrow","cupid","date","emotion","heart","ily","love","romance","valentine"]},
+  {"emoji":"💝","skin_tone_support":false,"name":"heart with ribbon","slug":"heart_with_ribbon","subgroup":"heart","codepoints":["1F49D"],"codepoints_string":"1f49d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","anniversary","emotion","heart","ily","kisses","ribbon","valentine","xoxo"]},
+  {"emoji":"💖","skin_tone_support":false,"name":"sparkling heart","slug":"sparkling_heart","subgroup":"heart","codepoints":["1F496"],"codepoints_string":"1f496","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","emotion","excited","good","heart","ily","kisses","morning","night","sparkle","sparkling","xoxo"]},
+  {"emoji":"💗","skin_tone_support":false,"name":"growing heart","slug":"growing_heart","subgroup":"heart","codepoints":["1F497"],"codepoints_string":"1f497","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","emotion","excited","growing","heart","heartpulse","ily","kisses","muah","nervous","pulse","xoxo"]},
+  {"emoji":"💓","skin_tone_support":false,"name":"beating heart","slug":"beating_heart","subgroup":"heart","codepoints":["1F493"],"codepoints_string":"1f493","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","beating","cardio","emotion","heart","heartbeat","ily","love","pulsating","pulse"]},
+  {"emoji":"💞","skin_tone_support":false,"name":"revolving hearts","slug":"revolving_hearts","subgroup":"heart","codepoints":["1F49E"],"codepoints_string":"1f49e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","adorbs","anniversary","emotion","heart","hearts","revolving"]},
+  {"emoji":"💕","skin_tone_support":false,"name":"two hearts","slug":"two_hearts","subgroup":"heart","codepoints":["1F495"],"codepoints_string":"1f495","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","anniversary","date","dating","emotion","heart","hearts","ily","kisses","love","loving","two","xoxo"]},
+  {"emoji":"💟","skin_tone_support":false,"name":"heart decoration","slug":"heart_decoration","subgroup":"heart","codepoints":["1F49F"],"codepoints_string":"1f49f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","decoration","emotion","heart","hearth","purple","white"]},
+  {"emoji":"❣️","skin_tone_support":false,"name":"heart exclamation","slug":"heart_exclamation","subgroup":"heart","codepoints":["2763","FE0F"],"codepoints_string":"2763-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["exclamation","heart","heavy","mark","punctuation"]},
+  {"emoji":"💔","skin_tone_support":false,"name":"broken heart","slug":"broken_heart","subgroup":"heart","codepoints":["1F494"],"codepoints_string":"1f494","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["break","broken","crushed","emotion","heart","heartbroken","lonely","sad"]},
+  {"emoji":"❤️‍🔥","skin_tone_support":false,"name":"heart on fire","slug":"heart_on_fire","subgroup":"heart","codepoints":["2764","FE0F","200D","1F525"],"codepoints_string":"2764-fe0f-200d-1f525","utf16_length":5,"unicode_version":"13.1","emoji_version":"13.1","type":"zwj_sequence","components":["❤️","🔥"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["burn","fire","heart","love","lust","sacred"]},
+  {"emoji":"❤️‍🩹","skin_tone_support":false,"name":"mending heart","slug":"mending_heart","subgroup":"heart","codepoints":["2764","FE0F","200D","1FA79"],"codepoints_string":"2764-fe0f-200d-1fa79","utf16_length":5,"unicode_version":"13.1","emoji_version":"13.1","type":"zwj_sequence","components":["❤️","🩹"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["healthier","heart","improving","mending","recovering","recuperating","well"]},
+  {"emoji":"❤️","skin_tone_support":false,"name":"red heart","slug":"red_heart","subgroup":"heart","codepoints":["2764","FE0F"],"codepoints_string":"2764-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["emotion","heart","love","red"]},
+  {"emoji":"🩷","skin_tone_support":false,"name":"pink heart","slug":"pink_heart","subgroup":"heart","codepoints":["1FA77"],"codepoints_string":"1fa77","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","adorable","cute","emotion","heart","ily","like","love","pink","special","sweet"]},
+  {"emoji":"🧡","skin_tone_support":false,"name":"orange heart","slug":"orange_heart","subgroup":"heart","codepoints":["1F9E1"],"codepoints_string":"1f9e1","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","heart","orange"]},
+  {"emoji":"💛","skin_tone_support":false,"name":"yellow heart","slug":"yellow_heart","subgroup":"heart","codepoints":["1F49B"],"codepoints_string":"1f49b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","cardiac","emotion","heart","ily","love","yellow"]},
+  {"emoji":"💚","skin_tone_support":false,"name":"green heart","slug":"green_heart","subgroup":"heart","codepoints":["1F49A"],"codepoints_string":"1f49a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","emotion","green","heart","ily","love","romantic"]},
+  {"emoji":"💙","skin_tone_support":false,"name":"blue heart","slug":"blue_heart","subgroup":"heart","codepoints":["1F499"],"codepoints_string":"1f499","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","blue","emotion","heart","ily","love","romance"]},
+  {"emoji":"🩵","skin_tone_support":false,"name":"light blue heart","slug":"light_blue_heart","subgroup":"heart","codepoints":["1FA75"],"codepoints_string":"1fa75","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","blue","cute","cyan","emotion","heart","ily","light","like","love","sky","special","teal"]},
+  {"emoji":"💜","skin_tone_support":false,"name":"purple heart","slug":"purple_heart","subgroup":"heart","codepoints":["1F49C"],"codepoints_string":"1f49c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","bestest","emotion","heart","ily","love","purple"]},
+  {"emoji":"🤎","skin_tone_support":false,"name":"brown heart","slug":"brown_heart","subgroup":"heart","codepoints":["1F90E"],"codepoints_string":"1f90e","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","brown","heart"]},
+  {"emoji":"🖤","skin_tone_support":false,"name":"black heart","slug":"black_heart","subgroup":"heart","codepoints":["1F5A4"],"codepoints_string":"1f5a4","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["black","evil","heart","wicked"]},
+  {"emoji":"🩶","skin_tone_support":false,"name":"grey heart","slug":"grey_heart","subgroup":"heart","codepoints":["1FA76"],"codepoints_string":"1fa76","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","emotion","gray","grey","heart","ily","love","silver","slate","special"]},
+  {"emoji":"🤍","skin_tone_support":false,"name":"white heart","slug":"white_heart","subgroup":"heart","codepoints":["1F90D"],"codepoints_string":"1f90d","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["143","heart","white"]},
+  {"emoji":"💋","skin_tone_support":false,"name":"kiss mark","slug":"kiss_mark","subgroup":"emotion","codepoints":["1F48B"],"codepoints_string":"1f48b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dating","emotion","heart","kiss","kissing","lips","mark","romance","sexy"]},
+  {"emoji":"💯","skin_tone_support":false,"name":"hundred points","slug":"hundred_points","subgroup":"emotion","codepoints":["1F4AF"],"codepoints_string":"1f4af","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["100","a+","agree","clearly","definitely","faithful","fleek","full","hundred","keep","perfect","point","score","TRUE","truth","yup"]},
+  {"emoji":"💢","skin_tone_support":false,"name":"anger symbol","slug":"anger_symbol","subgroup":"emotion","codepoints":["1F4A2"],"codepoints_string":"1f4a2","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["anger","angry","comic","mad","symbol","upset"]},
+  {"emoji":"💥","skin_tone_support":false,"name":"collision","slug":"collision","subgroup":"emotion","codepoints":["1F4A5"],"codepoints_string":"1f4a5","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bomb","boom","collide","collision","comic","explode"]},
+  {"emoji":"💫","skin_tone_support":false,"name":"dizzy","slug":"dizzy","subgroup":"emotion","codepoints":["1F4AB"],"codepoints_string":"1f4ab","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["comic","dizzy","shining","shooting","star","stars"]},
+  {"emoji":"💦","skin_tone_support":false,"name":"sweat droplets","slug":"sweat_droplets","subgroup":"emotion","codepoints":["1F4A6"],"codepoints_string":"1f4a6","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["comic","drip","droplet","droplets","drops","splashing","squirt","sweat","water","wet","work","workout"]},
+  {"emoji":"💨","skin_tone_support":false,"name":"dashing away","slug":"dashing_away","subgroup":"emotion","codepoints":["1F4A8"],"codepoints_string":"1f4a8","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["away","cloud","comic","dash","dashing","fart","fast","go","gone","gotta","running","smoke"]},
+  {"emoji":"🕳️","skin_tone_support":false,"name":"hole","slug":"hole","subgroup":"emotion","codepoints":["1F573","FE0F"],"codepoints_string":"1f573-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["hole"]},
+  {"emoji":"💬","skin_tone_support":false,"name":"speech balloon","slug":"speech_balloon","subgroup":"emotion","codepoints":["1F4AC"],"codepoints_string":"1f4ac","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["balloon","bubble","comic","dialog","message","sms","speech","talk","text","typing"]},
+  {"emoji":"👁️‍🗨️","skin_tone_support":false,"name":"eye in speech bubble","slug":"eye_in_speech_bubble","subgroup":"emotion","codepoints":["1F441","FE0F","200D","1F5E8","FE0F"],"codepoints_string":"1f441-fe0f-200d-1f5e8-fe0f","utf16_length":7,"unicode_version":"2.0","emoji_version":"2.0","type":"zwj_sequence","components":["👁️","🗨️"],"default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["balloon","bubble","eye","speech","witness"]},
+  {"emoji":"🗨️","skin_tone_support":false,"name":"left speech bubble","slug":"left_speech_bubble","subgroup":"emotion","codepoints":["1F5E8","FE0F"],"codepoints_string":"1f5e8-fe0f","utf16_length":3,"unicode_version":"2.0","emoji_version":"2.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["balloon","bubble","dialog","left","speech"]},
+  {"emoji":"🗯️","skin_tone_support":false,"name":"right anger bubble","slug":"right_anger_bubble","subgroup":"emotion","codepoints":["1F5EF","FE0F"],"codepoints_string":"1f5ef-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["anger","angry","balloon","bubble","mad","right"]},
+  {"emoji":"💭","skin_tone_support":false,"name":"thought balloon","slug":"thought_balloon","subgroup":"emotion","codepoints":["1F4AD"],"codepoints_string":"1f4ad","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["balloon","bubble","cartoon","cloud","comic","daydream","decisions","dream","idea","invent","invention","realize","think","thoughts","wonder"]},
+  {"emoji":"💤","skin_tone_support":false,"name":"ZZZ","slug":"zzz","subgroup":"emotion","codepoints":["1F4A4"],"codepoints_string":"1f4a4","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["comic","good","goodnight","night","sleep","sleeping","sleepy","tired","zzz"]}
+]
@@ -0,0 +1,230 @@
+// Generated by script/build.js from the Unicode emoji data. Do not edit.
+
+exports.name = "Symbols"
+exports.slug = "symbols"
+exports.emojis = [
+  {"emoji":"🏧","skin_tone_support":false,"name":"ATM sign","slug":"atm_sign","subgroup":"transport-sign","codepoints":["1F3E7"],"codepoints_string":"1f3e7","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ATM","automated","bank","cash","money","sign","teller"]},
+  {"emoji":"🚮","skin_tone_support":false,"name":"litter in bin sign","slug":"litter_in_bin_sign","subgroup":"transport-sign","codepoints":["1F6AE"],"codepoints_string":"1f6ae","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bin","litter","litterbin","sign"]},
+  {"emoji":"🚰","skin_tone_support":false,"name":"potable water","slug":"potable_water","subgroup":"transport-sign","codepoints":["1F6B0"],"codepoints_string":"1f6b0","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["drinking","potable","water"]},
+  {"emoji":"♿","skin_tone_support":false,"name":"wheelchair symbol","slug":"wheelchair_symbol","subgroup":"transport-sign","codepoints":["267F"],"codepoints_string":"267f","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["access","handicap","symbol","wheelchair"]},
+  {"emoji":"🚹","skin_tone_support":false,"name":"men’s room","slug":"men_s_room","subgroup":"transport-sign","codepoints":["1F6B9"],"codepoints_string":"1f6b9","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bathroom","lavatory","man","men’s","restroom","room","toilet","WC"]},
+  {"emoji":"🚺","skin_tone_support":false,"name":"women’s room","slug":"women_s_room","subgroup":"transport-sign","codepoints":["1F6BA"],"codepoints_string":"1f6ba","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bathroom","lavatory","restroom","room","toilet","WC","woman","women’s"]},
+  {"emoji":"🚻","skin_tone_support":false,"name":"restroom","slug":"restroom","subgroup":"transport-sign","codepoints":["1F6BB"],"codepoints_string":"1f6bb","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bathroom","lavatory","restroom","toilet","WC"]},
+  {"emoji":"🚼","skin_tone_support":false,"name":"baby symbol","slug":"baby_symbol","subgroup":"transport-sign","codepoints":["1F6BC"],"codepoints_string":"1f6bc","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["baby","changing","symbol"]},
+  {"emoji":"🚾","skin_tone_support":false,"name":"water closet","slug":"water_closet","subgroup":"transport-sign","codepoints":["1F6BE"],"codepoints_string":"1f6be","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bathroom","closet","lavatory","restroom","toilet","water","WC"]},
+  {"emoji":"🛂","skin_tone_support":false,"name":"passport control","slug":"passport_control","subgroup":"transport-sign","codepoints":["1F6C2"],"codepoints_string":"1f6c2","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["control","passport"]},
+  {"emoji":"🛃","skin_tone_support":false,"name":"customs","slug":"customs","subgroup":"transport-sign","codepoints":["1F6C3"],"codepoints_string":"1f6c3","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["customs","packing"]},
+  {"emoji":"🛄","skin_tone_support":false,"name":"baggage claim","slug":"baggage_claim","subgroup":"transport-sign","codepoints":["1F6C4"],"codepoints_string":"1f6c4","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrived","baggage","bags","case","checked","claim","journey","packing","plane","ready","travel","trip"]},
+  {"emoji":"🛅","skin_tone_support":false,"name":"left luggage","slug":"left_luggage","subgroup":"transport-sign","codepoints":["1F6C5"],"codepoints_string":"1f6c5","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["baggage","case","left","locker","luggage"]},
+  {"emoji":"⚠️","skin_tone_support":false,"name":"warning","slug":"warning","subgroup":"warning","codepoints":["26A0","FE0F"],"codepoints_string":"26a0-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["caution","warning"]},
+  {"emoji":"🚸","skin_tone_support":false,"name":"children crossing","slug":"children_crossing","subgroup":"warning","codepoints":["1F6B8"],"codepoints_string":"1f6b8","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["child","children","crossing","pedestrian","traffic"]},
+  {"emoji":"⛔","skin_tone_support":false,"name":"no entry","slug":"no_entry","subgroup":"warning","codepoints":["26D4"],"codepoints_string":"26d4","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["do","entry","fail","forbidden","no","not","pass","prohibited","traffic"]},
+  {"emoji":"🚫","skin_tone_support":false,"name":"prohibited","slug":"prohibited","subgroup":"warning","codepoints":["1F6AB"],"codepoints_string":"1f6ab","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["entry","forbidden","no","not","prohibited","smoke"]},
+  {"emoji":"🚳","skin_tone_support":false,"name":"no bicycles","slug":"no_bicycles","subgroup":"warning","codepoints":["1F6B3"],"codepoints_string":"1f6b3","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bicycle","bicycles","bike","forbidden","no","not","prohibited"]},
+  {"emoji":"🚭","skin_tone_support":false,"name":"no smoking","slug":"no_smoking","subgroup":"warning","codepoints":["1F6AD"],"codepoints_string":"1f6ad","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["forbidden","no","not","prohibited","smoke","smoking"]},
+  {"emoji":"🚯","skin_tone_support":false,"name":"no littering","slug":"no_littering","subgroup":"warning","codepoints":["1F6AF"],"codepoints_string":"1f6af","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["forbidden","litter","littering","no","not","prohibited"]},
+  {"emoji":"🚱","skin_tone_support":false,"name":"non-potable water","slug":"non_potable_water","subgroup":"warning","codepoints":["1F6B1"],"codepoints_string":"1f6b1","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dry","non-drinking","non-potable","prohibited","water"]},
+  {"emoji":"🚷","skin_tone_support":false,"name":"no pedestrians","slug":"no_pedestrians","subgroup":"warning","codepoints":["1F6B7"],"codepoints_string":"1f6b7","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["forbidden","no","not","pedestrian","pedestrians","prohibited"]},
+  {"emoji":"📵","skin_tone_support":false,"name":"no mobile phones","slug":"no_mobile_phones","subgroup":"warning","codepoints":["1F4F5"],"codepoints_string":"1f4f5","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cell","forbidden","mobile","no","not","phone","phones","prohibited","telephone"]},
+  {"emoji":"🔞","skin_tone_support":false,"name":"no one under eighteen","slug":"no_one_under_eighteen","subgroup":"warning","codepoints":["1F51E"],"codepoints_string":"1f51e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["18","age","eighteen","forbidden","no","not","one","prohibited","restriction","underage"]},
+  {"emoji":"☢️","skin_tone_support":false,"name":"radioactive","slug":"radioactive","subgroup":"warning","codepoints":["2622","FE0F"],"codepoints_string":"2622-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["radioactive","sign"]},
+  {"emoji":"☣️","skin_tone_support":false,"name":"biohazard","slug":"biohazard","subgroup":"warning","codepoints":["2623","FE0F"],"codepoints_string":"2623-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["biohazard","sign"]},
+  {"emoji":"⬆️","skin_tone_support":false,"name":"up arrow","slug":"up_arrow","subgroup":"arrow","codepoints":["2B06","FE0F"],"codepoints_string":"2b06-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","cardinal","direction","north","up"]},
+  {"emoji":"↗️","skin_tone_support":false,"name":"up-right arrow","slug":"up_right_arrow","subgroup":"arrow","codepoints":["2197","FE0F"],"codepoints_string":"2197-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","direction","intercardinal","northeast","up-right"]},
+  {"emoji":"➡️","skin_tone_support":false,"name":"right arrow","slug":"right_arrow","subgroup":"arrow","codepoints":["27A1","FE0F"],"codepoints_string":"27a1-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","cardinal","direction","east","right"]},
+  {"emoji":"↘️","skin_tone_support":false,"name":"down-right arrow","slug":"down_right_arrow","subgroup":"arrow","codepoints":["2198","FE0F"],"codepoints_string":"2198-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","direction","down-right","intercardinal","southeast"]},
+  {"emoji":"⬇️","skin_tone_support":false,"name":"down arrow","slug":"down_arrow","subgroup":"arrow","codepoints":["2B07","FE0F"],"codepoints_string":"2b07-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","cardinal","direction","down","south"]},
+  {"emoji":"↙️","skin_tone_support":false,"name":"down-left arrow","slug":"down_left_arrow","subgroup":"arrow","codepoints":["2199","FE0F"],"codepoints_string":"2199-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","direction","down-left","intercardinal","southwest"]},
+  {"emoji":"⬅️","skin_tone_support":false,"name":"left arrow","slug":"left_arrow","subgroup":"arrow","codepoints":["2B05","FE0F"],"codepoints_string":"2b05-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","cardinal","direction","left","west"]},
+  {"emoji":"↖️","skin_tone_support":false,"name":"up-left arrow","slug":"up_left_arrow","subgroup":"arrow","codepoints":["2196","FE0F"],"codepoints_string":"2196-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","direction","intercardinal","northwest","up-left"]},
+  {"emoji":"↕️","skin_tone_support":false,"name":"up-down arrow","slug":"up_down_arrow","subgroup":"arrow","codepoints":["2195","FE0F"],"codepoints_string":"2195-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","up-down"]},
+  {"emoji":"↔️","skin_tone_support":false,"name":"left-right arrow","slug":"left_right_arrow","subgroup":"arrow","codepoints":["2194","FE0F"],"codepoints_string":"2194-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","left-right"]},
+  {"emoji":"↩️","skin_tone_support":false,"name":"right arrow curving left","slug":"right_arrow_curving_left","subgroup":"arrow","codepoints":["21A9","FE0F"],"codepoints_string":"21a9-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","curving","left","right"]},
+  {"emoji":"↪️","skin_tone_support":false,"name":"left arrow curving right","slug":"left_arrow_curving_right","subgroup":"arrow","codepoints":["21AA","FE0F"],"codepoints_string":"21aa-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","curving","left","right"]},
+  {"emoji":"⤴️","skin_tone_support":false,"name":"right arrow curving up","slug":"right_arrow_curving_up","subgroup":"arrow","codepoints":["2934","FE0F"],"codepoints_string":"2934-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","curving","right","up"]},
+  {"emoji":"⤵️","skin_tone_support":false,"name":"right arrow curving down","slug":"right_arrow_curving_down","subgroup":"arrow","codepoints":["2935","FE0F"],"codepoints_string":"2935-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","curving","down","right"]},
+  {"emoji":"🔃","skin_tone_support":false,"name":"clockwise vertical arrows","slug":"clockwise_vertical_arrows","subgroup":"arrow","codepoints":["1F503"],"codepoints_string":"1f503","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","arrows","clockwise","refresh","reload","vertical"]},
+  {"emoji":"🔄","skin_tone_support":false,"name":"counterclockwise arrows button","slug":"counterclockwise_arrows_button","subgroup":"arrow","codepoints":["1F504"],"codepoints_string":"1f504","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["again","anticlockwise","arrow","arrows","button","counterclockwise","deja","refresh","rewindershins","vu"]},
+  {"emoji":"🔙","skin_tone_support":false,"name":"BACK arrow","slug":"back_arrow","subgroup":"arrow","codepoints":["1F519"],"codepoints_string":"1f519","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","BACK"]},
+  {"emoji":"🔚","skin_tone_support":false,"name":"END arrow","slug":"end_arrow","subgroup":"arrow","codepoints":["1F51A"],"codepoints_string":"1f51a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","END"]},
+  {"emoji":"🔛","skin_tone_support":false,"name":"ON! arrow","slug":"on_arrow","subgroup":"arrow","codepoints":["1F51B"],"codepoints_string":"1f51b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","mark","ON!"]},
+  {"emoji":"🔜","skin_tone_support":false,"name":"SOON arrow","slug":"soon_arrow","subgroup":"arrow","codepoints":["1F51C"],"codepoints_string":"1f51c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","brb","omw","SOON"]},
+  {"emoji":"🔝","skin_tone_support":false,"name":"TOP arrow","slug":"top_arrow","subgroup":"arrow","codepoints":["1F51D"],"codepoints_string":"1f51d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","homie","TOP","up"]},
+  {"emoji":"🛐","skin_tone_support":false,"name":"place of worship","slug":"place_of_worship","subgroup":"religion","codepoints":["1F6D0"],"codepoints_string":"1f6d0","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["place","pray","religion","worship"]},
+  {"emoji":"⚛️","skin_tone_support":false,"name":"atom symbol","slug":"atom_symbol","subgroup":"religion","codepoints":["269B","FE0F"],"codepoints_string":"269b-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["atheist","atom","symbol"]},
+  {"emoji":"🕉️","skin_tone_support":false,"name":"om","slug":"om","subgroup":"religion","codepoints":["1F549","FE0F"],"codepoints_string":"1f549-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["Hindu","om","religion"]},
+  {"emoji":"✡️","skin_tone_support":false,"name":"star of David","slug":"star_of_david","subgroup":"religion","codepoints":["2721","FE0F"],"codepoints_string":"2721-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["David","Jew","Jewish","judaism","religion","star"]},
+  {"emoji":"☸️","skin_tone_support":false,"name":"wheel of dharma","slug":"wheel_of_dharma","subgroup":"religion","codepoints":["2638","FE0F"],"codepoints_string":"2638-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["Buddhist","dharma","religion","wheel"]},
+  {"emoji":"☯️","skin_tone_support":false,"name":"yin yang","slug":"yin_yang","subgroup":"religion","codepoints":["262F","FE0F"],"codepoints_string":"262f-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["difficult","lives","religion","tao","taoist","total","yang","yin","yinyang"]},
+  {"emoji":"✝️","skin_tone_support":false,"name":"latin cross","slug":"latin_cross","subgroup":"religion","codepoints":["271D","FE0F"],"codepoints_string":"271d-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["christ","Christian","cross","latin","religion"]},
+  {"emoji":"☦️","skin_tone_support":false,"name":"orthodox cross","slug":"orthodox_cross","subgroup":"religion","codepoints":["2626","FE0F"],"codepoints_string":"2626-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["Christian","cross","orthodox","religion"]},
+  {"emoji":"☪️","skin_tone_support":false,"name":"star and crescent","slug":"star_and_crescent","subgroup":"religion","codepoints":["262A","FE0F"],"codepoints_string":"262a-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["crescent","islam","Muslim","ramadan","religion","star"]},
+  {"emoji":"☮️","skin_tone_support":false,"name":"peace symbol","slug":"peace_symbol","subgroup":"religion","codepoints":["262E","FE0F"],"codepoints_string":"262e-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["healing","peace","peaceful","symbol"]},
+  {"emoji":"🕎","skin_tone_support":false,"name":"menorah","slug":"menorah","subgroup":"religion","codepoints":["1F54E"],"codepoints_string":"1f54e","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["candelabrum","candlestick","hanukkah","jewish","judaism","menorah","religion"]},
+  {"emoji":"🔯","skin_tone_support":false,"name":"dotted six-pointed star","slug":"dotted_six_pointed_star","subgroup":"religion","codepoints":["1F52F"],"codepoints_string":"1f52f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dotted","fortune","jewish","judaism","six-pointed","star"]},
+  {"emoji":"🪯","skin_tone_support":false,"name":"khanda","slug":"khanda","subgroup":"religion","codepoints":["1FAAF"],"codepoints_string":"1faaf","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["Deg","Fateh","Khalsa","Khanda","religion","Sikh","Sikhism","Tegh"]},
+  {"emoji":"♈","skin_tone_support":false,"name":"Aries","slug":"aries","subgroup":"zodiac","codepoints":["2648"],"codepoints_string":"2648","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["Aries","horoscope","ram","zodiac"]},
+  {"emoji":"♉","skin_tone_support":false,"name":"Taurus","slug":"taurus","subgroup":"zodiac","codepoints":["2649"],"codepoints_string":"2649","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bull","horoscope","ox","Taurus","zodiac"]},
+  {"emoji":"♊","skin_tone_support":false,"name":"Gemini","slug":"gemini","subgroup":"zodiac","codepoints":["264A"],"codepoints_string":"264a","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["Gemini","horoscope","twins","zodiac"]},
+  {"emoji":"♋","skin_tone_support":false,"name":"Cancer","slug":"cancer","subgroup":"zodiac","codepoints":["264B"],"codepoints_string":"264b","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["Cancer","crab","horoscope","zodiac"]},
+  {"emoji":"♌","skin_tone_support":false,"name":"Leo","slug":"leo","subgroup":"zodiac","codepoints":["264C"],"codepoints_string":"264c","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["horoscope","Leo","lion","zodiac"]},
+  {"emoji":"♍","skin_tone_support":false,"name":"Virgo","slug":"virgo","subgroup":"zodiac","codepoints":["264D"],"codepoints_string":"264d","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["horoscope","Virgo","zodiac"]},
+  {"emoji":"♎","skin_tone_support":false,"name":"Libra","slug":"libra","subgroup":"zodiac","codepoints":["264E"],"codepoints_string":"264e","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["balance","horoscope","justice","Libra","scales","zodiac"]},
+  {"emoji":"♏","skin_tone_support":false,"name":"Scorpio","slug":"scorpio","subgroup":"zodiac","codepoints":["264F"],"codepoints_string":"264f","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["horoscope","Scorpio","scorpion","Scorpius","zodiac"]},
+  {"emoji":"♐","skin_tone_support":false,"name":"Sagittarius","slug":"sagittarius","subgroup":"zodiac","codepoints":["2650"],"codepoints_string":"2650","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["archer","horoscope","Sagittarius","zodiac"]},
+  {"emoji":"♑","skin_tone_support":false,"name":"Capricorn","slug":"capricorn","subgroup":"zodiac","codepoints":["2651"],"codepoints_string":"2651","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["Capricorn","goat","horoscope","zodiac"]},
+  {"emoji":"♒","skin_tone_support":false,"name":"Aquarius","slug":"aquarius","subgroup":"zodiac","codepoints":["2652"],"codepoints_string":"2652","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["Aquarius","bearer","horoscope","water","zodiac"]},
+  {"emoji":"♓","skin_tone_support":false,"name":"Pisces","slug":"pisces","subgroup":"zodiac","codepoints":["2653"],"codepoints_string":"2653","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["fish","horoscope","Pisces","zodiac"]},
+  {"emoji":"⛎","skin_tone_support":false,"name":"Ophiuchus","slug":"ophiuchus","subgroup":"zodiac","codepoints":["26CE"],"codepoints_string":"26ce","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bearer","Ophiuchus","serpent","snake","zodiac"]},
+  {"emoji":"🔀","skin_tone_support":false,"name":"shuffle tracks button","slug":"shuffle_tracks_button","subgroup":"av-symbol","codepoints":["1F500"],"codepoints_string":"1f500","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","button","crossed","shuffle","tracks"]},
+  {"emoji":"🔁","skin_tone_support":false,"name":"repeat button","slug":"repeat_button","subgroup":"av-symbol","codepoints":["1F501"],"codepoints_string":"1f501","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","button","clockwise","repeat"]},
+  {"emoji":"🔂","skin_tone_support":false,"name":"repeat single button","slug":"repeat_single_button","subgroup":"av-symbol","codepoints":["1F502"],"codepoints_string":"1f502","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","button","clockwise","once","repeat","single"]},
+  {"emoji":"▶️","skin_tone_support":false,"name":"play button","slug":"play_button","subgroup":"av-symbol","codepoints":["25B6","FE0F"],"codepoints_string":"25b6-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","button","play","right","triangle"]},
+  {"emoji":"⏩","skin_tone_support":false,"name":"fast-forward button","slug":"fast_forward_button","subgroup":"av-symbol","codepoints":["23E9"],"codepoints_string":"23e9","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","button","double","fast","fast-forward","forward"]},
+  {"emoji":"⏭️","skin_tone_support":false,"name":"next track button","slug":"next_track_button","subgroup":"av-symbol","codepoints":["23ED","FE0F"],"codepoints_string":"23ed-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","button","next","scene","track","triangle"]},
+  {"emoji":"⏯️","skin_tone_support":false,"name":"play or pause button","slug":"play_or_pause_button","subgroup":"av-symbol","codepoints":["23EF","FE0F"],"codepoints_string":"23ef-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","button","pause","play","right","triangle"]},
+  {"emoji":"◀️","skin_tone_support":false,"name":"reverse button","slug":"reverse_button","subgroup":"av-symbol","codepoints":["25C0","FE0F"],"codepoints_string":"25c0-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","button","left","reverse","triangle"]},
+  {"emoji":"⏪","skin_tone_support":false,"name":"fast reverse button","slug":"fast_reverse_button","subgroup":"av-symbol","codepoints":["23EA"],"codepoints_string":"23ea","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","button","double","fast","reverse","rewind"]},
+  {"emoji":"⏮️","skin_tone_support":false,"name":"last track button","slug":"last_track_button","subgroup":"av-symbol","codepoints":["23EE","FE0F"],"codepoints_string":"23ee-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","button","last","previous","scene","track","triangle"]},
+  {"emoji":"🔼","skin_tone_support":false,"name":"upwards button","slug":"upwards_button","subgroup":"av-symbol","codepoints":["1F53C"],"codepoints_string":"1f53c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","button","red","up","upwards"]},
+  {"emoji":"⏫","skin_tone_support":false,"name":"fast up button","slug":"fast_up_button","subgroup":"av-symbol","codepoints":["23EB"],"codepoints_string":"23eb","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","button","double","fast","up"]},
+  {"emoji":"🔽","skin_tone_support":false,"name":"downwards button","slug":"downwards_button","subgroup":"av-symbol","codepoints":["1F53D"],"codepoints_string":"1f53d","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","button","down","downwards","red"]},
+  {"emoji":"⏬","skin_tone_support":false,"name":"fast down button","slug":"fast_down_button","subgroup":"av-symbol","codepoints":["23EC"],"codepoints_string":"23ec","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["arrow","button","double","down","fast"]},
+  {"emoji":"⏸️","skin_tone_support":false,"name":"pause button","slug":"pause_button","subgroup":"av-symbol","codepoints":["23F8","FE0F"],"codepoints_string":"23f8-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bar","button","double","pause","vertical"]},
+  {"emoji":"⏹️","skin_tone_support":false,"name":"stop button","slug":"stop_button","subgroup":"av-symbol","codepoints":["23F9","FE0F"],"codepoints_string":"23f9-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["button","square","stop"]},
+  {"emoji":"⏺️","skin_tone_support":false,"name":"record button","slug":"record_button","subgroup":"av-symbol","codepoints":["23FA","FE0F"],"codepoints_string":"23fa-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["button","circle","record"]},
+  {"emoji":"⏏️","skin_tone_support":false,"name":"eject button","slug":"eject_button","subgroup":"av-symbol","codepoints":["23CF","FE0F"],"codepoints_string":"23cf-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["button","eject"]},
+  {"emoji":"🎦","skin_tone_support":false,"name":"cinema","slug":"cinema","subgroup":"av-symbol","codepoints":["1F3A6"],"codepoints_string":"1f3a6","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["camera","cinema","film","movie"]},
+  {"emoji":"🔅","skin_tone_support":false,"name":"dim button","slug":"dim_button","subgroup":"av-symbol","codepoints":["1F505"],"codepoints_string":"1f505","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["brightness","button","dim","low"]},
+  {"emoji":"🔆","skin_tone_support":false,"name":"bright button","slug":"bright_button","subgroup":"av-symbol","codepoints":["1F506"],"codepoints_string":"1f506","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bright","brightness","button","light"]},
+  {"emoji":"📶","skin_tone_support":false,"name":"antenna bars","slug":"antenna_bars","subgroup":"av-symbol","codepoints":["1F4F6"],"codepoints_string":"1f4f6","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["antenna","bar","bars","cell","communication","mobile","phone","signal","telephone"]},
+  {"emoji":"🛜","skin_tone_support":false,"name":"wireless","slug":"wireless","subgroup":"av-symbol","codepoints":["1F6DC"],"codepoints_string":"1f6dc","utf16_length":2,"unicode_version":"15.0","emoji_version":"15.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["broadband","computer","connectivity","hotspot","internet","network","router","smartphone","wi-fi","wifi","wireless","wlan"]},
+  {"emoji":"📳","skin_tone_support":false,"name":"vibration mode","slug":"vibration_mode","subgroup":"av-symbol","codepoints":["1F4F3"],"codepoints_string":"1f4f3","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cell","communication","mobile","mode","phone","telephone","vibration"]},
+  {"emoji":"📴","skin_tone_support":false,"name":"mobile phone off","slug":"mobile_phone_off","subgroup":"av-symbol","codepoints":["1F4F4"],"codepoints_string":"1f4f4","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cell","mobile","off","phone","telephone"]},
+  {"emoji":"♀️","skin_tone_support":false,"name":"female sign","slug":"female_sign","subgroup":"gender","codepoints":["2640","FE0F"],"codepoints_string":"2640-fe0f","utf16_length":2,"unicode_version":"4.0","emoji_version":"4.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["female","sign","woman"]},
+  {"emoji":"♂️","skin_tone_support":false,"name":"male sign","slug":"male_sign","subgroup":"gender","codepoints":["2642","FE0F"],"codepoints_string":"2642-fe0f","utf16_length":2,"unicode_version":"4.0","emoji_version":"4.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["male","man","sign"]},
+  {"emoji":"⚧️","skin_tone_support":false,"name":"transgender symbol","slug":"transgender_symbol","subgroup":"gender","codepoints":["26A7","FE0F"],"codepoints_string":"26a7-fe0f","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["symbol","transgender"]},
+  {"emoji":"✖️","skin_tone_support":false,"name":"multiply","slug":"multiply","subgroup":"math","codepoints":["2716","FE0F"],"codepoints_string":"2716-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["×","cancel","multiplication","multiply","sign","x"]},
+  {"emoji":"➕","skin_tone_support":false,"name":"plus","slug":"plus","subgroup":"math","codepoints":["2795"],"codepoints_string":"2795","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["+","plus"]},
+  {"emoji":"➖","skin_tone_support":false,"name":"minus","slug":"minus","subgroup":"math","codepoints":["2796"],"codepoints_string":"2796","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["-","−","heavy","math","minus","sign"]},
+  {"emoji":"➗","skin_tone_support":false,"name":"divide","slug":"divide","subgroup":"math","codepoints":["2797"],"codepoints_string":"2797","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["÷","divide","division","heavy","math","sign"]},
+  {"emoji":"🟰","skin_tone_support":false,"name":"heavy equals sign","slug":"heavy_equals_sign","subgroup":"math","codepoints":["1F7F0"],"codepoints_string":"1f7f0","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["answer","equal","equality","equals","heavy","math","sign"]},
+  {"emoji":"♾️","skin_tone_support":false,"name":"infinity","slug":"infinity","subgroup":"math","codepoints":["267E","FE0F"],"codepoints_string":"267e-fe0f","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["forever","infinity","unbounded","universal"]},
+  {"emoji":"‼️","skin_tone_support":false,"name":"double exclamation mark","slug":"double_exclamation_mark","subgroup":"punctuation","codepoints":["203C","FE0F"],"codepoints_string":"203c-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["!","!!","bangbang","double","exclamation","mark","punctuation"]},
+  {"emoji":"⁉️","skin_tone_support":false,"name":"exclamation question mark","slug":"exclamation_question_mark","subgroup":"punctuation","codepoints":["2049","FE0F"],"codepoints_string":"2049-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["!","!?","?","exclamation","interrobang","mark","punctuation","question"]},
+  {"emoji":"❓","skin_tone_support":false,"name":"red question mark","slug":"red_question_mark","subgroup":"punctuation","codepoints":["2753"],"codepoints_string":"2753","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["?","mark","punctuation","question","red"]},
+  {"emoji":"❔","skin_tone_support":false,"name":"white question mark","slug":"white_question_mark","subgroup":"punctuation","codepoints":["2754"],"codepoints_string":"2754","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["?","mark","outlined","punctuation","question","white"]},
+  {"emoji":"❕","skin_tone_support":false,"name":"white exclamation mark","slug":"white_exclamation_mark","subgroup":"punctuation","codepoints":["2755"],"codepoints_string":"2755","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["!","exclamation","mark","outlined","punctuation","white"]},
+  {"emoji":"❗","skin_tone_support":false,"name":"red exclamation mark","slug":"red_exclamation_mark","subgroup":"punctuation","codepoints":["2757"],"codepoints_string":"2757","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["!","exclamation","mark","punctuation","red"]},
+  {"emoji":"〰️","skin_tone_support":false,"name":"wavy dash","slug":"wavy_dash","subgroup":"punctuation","codepoints":["3030","FE0F"],"codepoints_string":"3030-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["dash","punctuation","wavy"]},
+  {"emoji":"💱","skin_tone_support":false,"name":"currency exchange","slug":"currency_exchange","subgroup":"currency","codepoints":["1F4B1"],"codepoints_string":"1f4b1","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bank","currency","exchange","money"]},
+  {"emoji":"💲","skin_tone_support":false,"name":"heavy dollar sign","slug":"heavy_dollar_sign","subgroup":"currency","codepoints":["1F4B2"],"codepoints_string":"1f4b2","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["billion","cash","charge","currency","dollar","heavy","million","money","pay","sign"]},
+  {"emoji":"⚕️","skin_tone_support":false,"name":"medical symbol","slug":"medical_symbol","subgroup":"other-symbol","codepoints":["2695","FE0F"],"codepoints_string":"2695-fe0f","utf16_length":2,"unicode_version":"4.0","emoji_version":"4.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["aesculapius","medical","medicine","staff","symbol"]},
+  {"emoji":"♻️","skin_tone_support":false,"name":"recycling symbol","slug":"recycling_symbol","subgroup":"other-symbol","codepoints":["267B","FE0F"],"codepoints_string":"267b-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["recycle","recycling","symbol"]},
+  {"emoji":"⚜️","skin_tone_support":false,"name":"fleur-de-lis","slug":"fleur_de_lis","subgroup":"other-symbol","codepoints":["269C","FE0F"],"codepoints_string":"269c-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["fleur-de-lis","knights"]},
+  {"emoji":"🔱","skin_tone_support":false,"name":"trident emblem","slug":"trident_emblem","subgroup":"other-symbol","codepoints":["1F531"],"codepoints_string":"1f531","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["anchor","emblem","poseidon","ship","tool","trident"]},
+  {"emoji":"📛","skin_tone_support":false,"name":"name badge","slug":"name_badge","subgroup":"other-symbol","codepoints":["1F4DB"],"codepoints_string":"1f4db","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["badge","name"]},
+  {"emoji":"🔰","skin_tone_support":false,"name":"Japanese symbol for beginner","slug":"japanese_symbol_for_beginner","subgroup":"other-symbol","codepoints":["1F530"],"codepoints_string":"1f530","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beginner","chevron","green","Japanese","leaf","symbol","tool","yellow"]},
+  {"emoji":"⭕","skin_tone_support":false,"name":"hollow red circle","slug":"hollow_red_circle","subgroup":"other-symbol","codepoints":["2B55"],"codepoints_string":"2b55","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["circle","heavy","hollow","large","o","red"]},
+  {"emoji":"✅","skin_tone_support":false,"name":"check mark button","slug":"check_mark_button","subgroup":"other-symbol","codepoints":["2705"],"codepoints_string":"2705","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["✓","button","check","checked","checkmark","complete","completed","done","fixed","mark","tick"]},
+  {"emoji":"☑️","skin_tone_support":false,"name":"check box with check","slug":"check_box_with_check","subgroup":"other-symbol","codepoints":["2611","FE0F"],"codepoints_string":"2611-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["✓","ballot","box","check","checked","done","off","tick"]},
+  {"emoji":"✔️","skin_tone_support":false,"name":"check mark","slug":"check_mark","subgroup":"other-symbol","codepoints":["2714","FE0F"],"codepoints_string":"2714-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["✓","check","checked","checkmark","done","heavy","mark","tick"]},
+  {"emoji":"❌","skin_tone_support":false,"name":"cross mark","slug":"cross_mark","subgroup":"other-symbol","codepoints":["274C"],"codepoints_string":"274c","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["×","cancel","cross","mark","multiplication","multiply","x"]},
+  {"emoji":"❎","skin_tone_support":false,"name":"cross mark button","slug":"cross_mark_button","subgroup":"other-symbol","codepoints":["274E"],"codepoints_string":"274e","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["×","button","cross","mark","multiplication","multiply","square","x"]},
+  {"emoji":"➰","skin_tone_support":false,"name":"curly loop","slug":"curly_loop","subgroup":"other-symbol","codepoints":["27B0"],"codepoints_string":"27b0","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["curl","curly","loop"]},
+  {"emoji":"➿","skin_tone_support":false,"name":"double curly loop","slug":"double_curly_loop","subgroup":"other-symbol","codepoints":["27BF"],"codepoints_string":"27bf","utf16_length":1,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["curl","curly","double","loop"]},
+  {"emoji":"〽️","skin_tone_support":false,"name":"part alternation mark","slug":"part_alternation_mark","subgroup":"other-symbol","codepoints":["303D","FE0F"],"codepoints_string":"303d-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["alternation","mark","part"]},
+  {"emoji":"✳️","skin_tone_support":false,"name":"eight-spoked asterisk","slug":"eight_spoked_asterisk","subgroup":"other-symbol","codepoints":["2733","FE0F"],"codepoints_string":"2733-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["*","asterisk","eight-spoked"]},
+  {"emoji":"✴️","skin_tone_support":false,"name":"eight-pointed star","slug":"eight_pointed_star","subgroup":"other-symbol","codepoints":["2734","FE0F"],"codepoints_string":"2734-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["*","eight-pointed","star"]},
+  {"emoji":"❇️","skin_tone_support":false,"name":"sparkle","slug":"sparkle","subgroup":"other-symbol","codepoints":["2747","FE0F"],"codepoints_string":"2747-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["*","sparkle"]},
+  {"emoji":"©️","skin_tone_support":false,"name":"copyright","slug":"copyright","subgroup":"other-symbol","codepoints":["00A9","FE0F"],"codepoints_string":"00a9-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["C","copyright"]},
+  {"emoji":"®️","skin_tone_support":false,"name":"registered","slug":"registered","subgroup":"other-symbol","codepoints":["00AE","FE0F"],"codepoints_string":"00ae-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["R","registered"]},
+  {"emoji":"™️","skin_tone_support":false,"name":"trade mark","slug":"trade_mark","subgroup":"other-symbol","codepoints":["2122","FE0F"],"codepoints_string":"2122-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["mark","TM","trade","trademark"]},
+  {"emoji":"🫟","skin_tone_support":false,"name":"splatter","slug":"splatter","subgroup":"other-symbol","codepoints":["1FADF"],"codepoints_string":"1fadf","utf16_length":2,"unicode_version":"16.0","emoji_version":"16.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["drip","holi","ink","liquid","mess","paint","spill","splatter","stain"]},
+  {"emoji":"#️⃣","skin_tone_support":false,"name":"keycap #","slug":"keycap_number_sign","subgroup":"keycap","codepoints":["0023","FE0F","20E3"],"codepoints_string":"0023-fe0f-20e3","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"keycap_sequence","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":false,"keywords":["keycap"]},
+  {"emoji":"*️⃣","skin_tone_support":false,"name":"keycap *","slug":"keycap_asterisk","subgroup":"keycap","codepoints":["002A","FE0F","20E3"],"codepoints_string":"002a-fe0f-20e3","utf16_length":3,"unicode_version":"2.0","emoji_version":"2.0","type":"keycap_sequence","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":false,"keywords":["keycap"]},
+  {"emoji":"0️⃣","skin_tone_support":false,"name":"keycap 0","slug":"keycap_0","subgroup":"keycap","codepoints":["0030","FE0F","20E3"],"codepoints_string":"0030-fe0f-20e3","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"keycap_sequence","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":false,"keywords":["0","keycap","zero"]},
+  {"emoji":"1️⃣","skin_tone_support":false,"name":"keycap 1","slug":"keycap_1","subgroup":"keycap","codepoints":["0031","FE0F","20E3"],"codepoints_string":"0031-fe0f-20e3","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"keycap_sequence","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":false,"keywords":["1","keycap","one"]},
+  {"emoji":"2️⃣","skin_tone_support":false,"name":"keycap 2","slug":"keycap_2","subgroup":"keycap","codepoints":["0032","FE0F","20E3"],"codepoints_string":"0032-fe0f-20e3","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"keycap_sequence","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":false,"keywords":["2","keycap","two"]},
+  {"emoji":"3️⃣","skin_tone_support":false,"name":"keycap 3","slug":"keycap_3","subgroup":"keycap","codepoints":["0033","FE0F","20E3"],"codepoints_string":"0033-fe0f-20e3","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"keycap_sequence","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":false,"keywords":["3","keycap","three"]},
+  {"emoji":"4️⃣","skin_tone_support":false,"name":"keycap 4","slug":"keycap_4","subgroup":"keycap","codepoints":["0034","FE0F","20E3"],"codepoints_string":"0034-fe0f-20e3","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"keycap_sequence","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":false,"keywords":["4","four","keycap"]},
+  {"emoji":"5️⃣","skin_tone_support":false,"name":"keycap 5","slug":"keycap_5","subgroup":"keycap","codepoints":["0035","FE0F","20E3"],"codepoints_string":"0035-fe0f-20e3","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"keycap_sequence","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":false,"keywords":["5","five","keycap"]},
+  {"emoji":"6️⃣","skin_tone_support":false,"name":"keycap 6","slug":"keycap_6","subgroup":"keycap","codepoints":["0036","FE0F","20E3"],"codepoints_string":"0036-fe0f-20e3","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"keycap_sequence","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":false,"keywords":["6","keycap","six"]},
+  {"emoji":"7️⃣","skin_tone_support":false,"name":"keycap 7","slug":"keycap_7","subgroup":"keycap","codepoints":["0037","FE0F","20E3"],"codepoints_string":"0037-fe0f-20e3","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"keycap_sequence","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":false,"keywords":["7","keycap","seven"]},
+  {"emoji":"8️⃣","skin_tone_support":false,"name":"keycap 8","slug":"keycap_8","subgroup":"keycap","codepoints":["0038","FE0F","20E3"],"codepoints_string":"0038-fe0f-20e3","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"keycap_sequence","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":false,"keywords":["8","eight","keycap"]},
+  {"emoji":"9️⃣","skin_tone_support":false,"name":"keycap 9","slug":"keycap_9","subgroup":"keycap","codepoints":["0039","FE0F","20E3"],"codepoints_string":"0039-fe0f-20e3","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"keycap_sequence","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":false,"keywords":["9","keycap","nine"]},
+  {"emoji":"🔟","skin_tone_support":false,"name":"keycap 10","slug":"keycap_10","subgroup":"keycap","codepoints":["1F51F"],"codepoints_string":"1f51f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["keycap"]},
+  {"emoji":"🔠","skin_tone_support":false,"name":"input latin uppercase","slug":"input_latin_uppercase","subgroup":"alphanum","codepoints":["1F520"],"codepoints_string":"1f520","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["ABCD","input","latin","letters","uppercase"]},
+  {"emoji":"🔡","skin_tone_support":false,"name":"input latin lowercase","slug":"input_latin_lowercase","subgroup":"alphanum","codepoints":["1F521"],"codepoints_string":"1f521","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["abcd","input","latin","letters","lowercase"]},
+  {"emoji":"🔢","skin_tone_support":false,"name":"input numbers","slug":"input_numbers","subgroup":"alphanum","codepoints":["1F522"],"codepoints_string":"1f522","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["1234","input","numbers"]},
+  {"emoji":"🔣","skin_tone_support":false,"name":"input symbols","slug":"input_symbols","subgroup":"alphanum","codepoints":["1F523"],"codepoints_string":"1f523","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["&","%","♪","〒","input","symbols"]},
+  {"emoji":"🔤","skin_tone_support":false,"name":"input latin letters","slug":"input_latin_letters","subgroup":"alphanum","codepoints":["1F524"],"codepoints_string":"1f524","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["abc","alphabet","input","latin","letters"]},
+  {"emoji":"🅰️","skin_tone_support":false,"name":"A button (blood type)","slug":"a_button","subgroup":"alphanum","codepoints":["1F170","FE0F"],"codepoints_string":"1f170-fe0f","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["blood","button","type"]},
+  {"emoji":"🆎","skin_tone_support":false,"name":"AB button (blood type)","slug":"ab_button","subgroup":"alphanum","codepoints":["1F18E"],"codepoints_string":"1f18e","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["AB","blood","button","type"]},
+  {"emoji":"🅱️","skin_tone_support":false,"name":"B button (blood type)","slug":"b_button","subgroup":"alphanum","codepoints":["1F171","FE0F"],"codepoints_string":"1f171-fe0f","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["B","blood","button","type"]},
+  {"emoji":"🆑","skin_tone_support":false,"name":"CL button","slug":"cl_button","subgroup":"alphanum","codepoints":["1F191"],"codepoints_string":"1f191","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","CL"]},
+  {"emoji":"🆒","skin_tone_support":false,"name":"COOL button","slug":"cool_button","subgroup":"alphanum","codepoints":["1F192"],"codepoints_string":"1f192","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","COOL"]},
+  {"emoji":"🆓","skin_tone_support":false,"name":"FREE button","slug":"free_button","subgroup":"alphanum","codepoints":["1F193"],"codepoints_string":"1f193","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","FREE"]},
+  {"emoji":"ℹ️","skin_tone_support":false,"name":"information","slug":"information","subgroup":"alphanum","codepoints":["2139","FE0F"],"codepoints_string":"2139-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["I","information"]},
+  {"emoji":"🆔","skin_tone_support":false,"name":"ID button","slug":"id_button","subgroup":"alphanum","codepoints":["1F194"],"codepoints_string":"1f194","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","ID","identity"]},
+  {"emoji":"Ⓜ️","skin_tone_support":false,"name":"circled M","slug":"circled_m","subgroup":"alphanum","codepoints":["24C2","FE0F"],"codepoints_string":"24c2-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["circle","circled","M"]},
+  {"emoji":"🆕","skin_tone_support":false,"name":"NEW button","slug":"new_button","subgroup":"alphanum","codepoints":["1F195"],"codepoints_string":"1f195","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","NEW"]},
+  {"emoji":"🆖","skin_tone_support":false,"name":"NG button","slug":"ng_button","subgroup":"alphanum","codepoints":["1F196"],"codepoints_string":"1f196","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","NG"]},
+  {"emoji":"🅾️","skin_tone_support":false,"name":"O button (blood type)","slug":"o_button","subgroup":"alphanum","codepoints":["1F17E","FE0F"],"codepoints_string":"1f17e-fe0f","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["blood","button","O","type"]},
+  {"emoji":"🆗","skin_tone_support":false,"name":"OK button","slug":"ok_button","subgroup":"alphanum","codepoints":["1F197"],"codepoints_string":"1f197","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","OK","okay"]},
+  {"emoji":"🅿️","skin_tone_support":false,"name":"P button","slug":"p_button","subgroup":"alphanum","codepoints":["1F17F","FE0F"],"codepoints_string":"1f17f-fe0f","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["button","P","parking"]},
+  {"emoji":"🆘","skin_tone_support":false,"name":"SOS button","slug":"sos_button","subgroup":"alphanum","codepoints":["1F198"],"codepoints_string":"1f198","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","help","SOS"]},
+  {"emoji":"🆙","skin_tone_support":false,"name":"UP! button","slug":"up_button","subgroup":"alphanum","codepoints":["1F199"],"codepoints_string":"1f199","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","mark","UP","UP!"]},
+  {"emoji":"🆚","skin_tone_support":false,"name":"VS button","slug":"vs_button","subgroup":"alphanum","codepoints":["1F19A"],"codepoints_string":"1f19a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","versus","VS"]},
+  {"emoji":"🈁","skin_tone_support":false,"name":"Japanese “here” button","slug":"japanese_here_button","subgroup":"alphanum","codepoints":["1F201"],"codepoints_string":"1f201","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","here","Japanese","katakana"]},
+  {"emoji":"🈂️","skin_tone_support":false,"name":"Japanese “service charge” button","slug":"japanese_service_charge_button","subgroup":"alphanum","codepoints":["1F202","FE0F"],"codepoints_string":"1f202-fe0f","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["button","charge","Japanese","katakana","service"]},
+  {"emoji":"🈷️","skin_tone_support":false,"name":"Japanese “monthly amount” button","slug":"japanese_monthly_amount_button","subgroup":"alphanum","codepoints":["1F237","FE0F"],"codepoints_string":"1f237-fe0f","utf16_length":3,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["amount","button","ideograph","Japanese","monthly"]},
+  {"emoji":"🈶","skin_tone_support":false,"name":"Japanese “not free of charge” button","slug":"japanese_not_free_of_charge_button","subgroup":"alphanum","codepoints":["1F236"],"codepoints_string":"1f236","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","charge","free","ideograph","Japanese","not"]},
+  {"emoji":"🈯","skin_tone_support":false,"name":"Japanese “reserved” button","slug":"japanese_reserved_button","subgroup":"alphanum","codepoints":["1F22F"],"codepoints_string":"1f22f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["button","ideograph","Japanese","reserved"]},
+  {"emoji":"🉐","skin_tone_support":false,"name":"Japanese “bargain” button","slug":"japanese_bargain_button","subgroup":"alphanum","codepoints":["1F250"],"codepoints_string":"1f250","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bargain","button","ideograph","Japanese"]},
+  {"emoji":"🈹","skin_tone_support":false,"name":"Japanese “discount” button","slug":"japanese_discount_button","subgroup":"alphanum","codepoints":["1F239"],"codepoints_string":"1f239","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","discount","ideograph","Japanese"]},
+  {"emoji":"🈚","skin_tone_support":false,"name":"Japanese “free of charge” button","slug":"japanese_free_of_charge_button","subgroup":"alphanum","codepoints":["1F21A"],"codepoints_string":"1f21a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["button","charge","free","ideograph","Japanese"]},
+  {"emoji":"🈲","skin_tone_support":false,"name":"Japanese “prohibited” button","slug":"japanese_prohibited_button","subgroup":"alphanum","codepoints":["1F232"],"codepoints_string":"1f232","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","ideograph","Japanese","prohibited"]},
+  {"emoji":"🉑","skin_tone_support":false,"name":"Japanese “acceptable” button","slug":"japanese_acceptable_button","subgroup":"alphanum","codepoints":["1F251"],"codepoints_string":"1f251","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["acceptable","button","ideograph","Japanese"]},
+  {"emoji":"🈸","skin_tone_support":false,"name":"Japanese “application” button","slug":"japanese_application_button","subgroup":"alphanum","codepoints":["1F238"],"codepoints_string":"1f238","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["application","button","ideograph","Japanese"]},
+  {"emoji":"🈴","skin_tone_support":false,"name":"Japanese “passing grade” button","slug":"japanese_passing_grade_button","subgroup":"alphanum","codepoints":["1F234"],"codepoints_string":"1f234","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","grade","ideograph","Japanese","passing"]},
+  {"emoji":"🈳","skin_tone_support":false,"name":"Japanese “vacancy” button","slug":"japanese_vacancy_button","subgroup":"alphanum","codepoints":["1F233"],"codepoints_string":"1f233","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","ideograph","Japanese","vacancy"]},
+  {"emoji":"㊗️","skin_tone_support":false,"name":"Japanese “congratulations” button","slug":"japanese_congratulations_button","subgroup":"alphanum","codepoints":["3297","FE0F"],"codepoints_string":"3297-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["button","congratulations","ideograph","Japanese"]},
+  {"emoji":"㊙️","skin_tone_support":false,"name":"Japanese “secret” button","slug":"japanese_secret_button","subgroup":"alphanum","codepoints":["3299","FE0F"],"codepoints_string":"3299-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["button","ideograph","Japanese","secret"]},
+  {"emoji":"🈺","skin_tone_support":false,"name":"Japanese “open for business” button","slug":"japanese_open_for_business_button","subgroup":"alphanum","codepoints":["1F23A"],"codepoints_string":"1f23a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["business","button","ideograph","Japanese","open"]},
+  {"emoji":"🈵","skin_tone_support":false,"name":"Japanese “no vacancy” button","slug":"japanese_no_vacancy_button","subgroup":"alphanum","codepoints":["1F235"],"codepoints_string":"1f235","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","ideograph","Japanese","no","vacancy"]},
+  {"emoji":"🔴","skin_tone_support":false,"name":"red circle","slug":"red_circle","subgroup":"geometric","codepoints":["1F534"],"codepoints_string":"1f534","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["circle","geometric","red"]},
+  {"emoji":"🟠","skin_tone_support":false,"name":"orange circle","slug":"orange_circle","subgroup":"geometric","codepoints":["1F7E0"],"codepoints_string":"1f7e0","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["circle","orange"]},
+  {"emoji":"🟡","skin_tone_support":false,"name":"yellow circle","slug":"yellow_circle","subgroup":"geometric","codepoints":["1F7E1"],"codepoints_string":"1f7e1","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["circle","yellow"]},
+  {"emoji":"🟢","skin_tone_support":false,"name":"green circle","slug":"green_circle","subgroup":"geometric","codepoints":["1F7E2"],"codepoints_string":"1f7e2","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["circle","green"]},
+  {"emoji":"🔵","skin_tone_support":false,"name":"blue circle","slug":"blue_circle","subgroup":"geometric","codepoints":["1F535"],"codepoints_string":"1f535","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blue","circle","geometric"]},
+  {"emoji":"🟣","skin_tone_support":false,"name":"purple circle","slug":"purple_circle","subgroup":"geometric","codepoints":["1F7E3"],"codepoints_string":"1f7e3","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["circle","purple"]},
+  {"emoji":"🟤","skin_tone_support":false,"name":"brown circle","slug":"brown_circle","subgroup":"geometric","codepoints":["1F7E4"],"codepoints_string":"1f7e4","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["brown","circle"]},
+  {"emoji":"⚫","skin_tone_support":false,"name":"black circle","slug":"black_circle","subgroup":"geometric","codepoints":["26AB"],"codepoints_string":"26ab","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["black","circle","geometric"]},
+  {"emoji":"⚪","skin_tone_support":false,"name":"white circle","slug":"white_circle","subgroup":"geometric","codepoints":["26AA"],"codepoints_string":"26aa","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["circle","geometric","white"]},
+  {"emoji":"🟥","skin_tone_support":false,"name":"red square","slug":"red_square","subgroup":"geometric","codepoints":["1F7E5"],"codepoints_string":"1f7e5","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["card","penalty","red","square"]},
+  {"emoji":"🟧","skin_tone_support":false,"name":"orange square","slug":"orange_square","subgroup":"geometric","codepoints":["1F7E7"],"codepoints_string":"1f7e7","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["orange","square"]},
+  {"emoji":"🟨","skin_tone_support":false,"name":"yellow square","slug":"yellow_square","subgroup":"geometric","codepoints":["1F7E8"],"codepoints_string":"1f7e8","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["card","penalty","square","yellow"]},
+  {"emoji":"🟩","skin_tone_support":false,"name":"green square","slug":"green_square","subgroup":"geometric","codepoints":["1F7E9"],"codepoints_string":"1f7e9","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["green","square"]},
+  {"emoji":"🟦","skin_tone_support":false,"name":"blue square","slug":"blue_square","subgroup":"geometric","codepoints":["1F7E6"],"codepoints_string":"1f7e6","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blue","square"]},
+  {"emoji":"🟪","skin_tone_support":false,"name":"purple square","slug":"purple_square","subgroup":"geometric","codepoints":["1F7EA"],"codepoints_string":"1f7ea","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["purple","square"]},
+  {"emoji":"🟫","skin_tone_support":false,"name":"brown square","slug":"brown_square","subgroup":"geometric","codepoints":["1F7EB"],"codepoints_string":"1f7eb","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["brown","square"]},
+  {"emoji":"⬛","skin_tone_support":false,"name":"black large square","slug":"black_large_square","subgroup":"geometric","codepoints":["2B1B"],"codepoints_string":"2b1b","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["black","geometric","large","square"]},
+  {"emoji":"⬜","skin_tone_support":false,"name":"white large square","slug":"white_large_square","subgroup":"geometric","codepoints":["2B1C"],"codepoints_string":"2b1c","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["geometric","large","square","white"]},
+  {"emoji":"◼️","skin_tone_support":false,"name":"black medium square","slug":"black_medium_square","subgroup":"geometric","codepoints":["25FC","FE0F"],"codepoints_string":"25fc-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["black","geometric","medium","square"]},
+  {"emoji":"◻️","skin_tone_support":false,"name":"white medium square","slug":"white_medium_square","subgroup":"geometric","codepoints":["25FB","FE0F"],"codepoints_string":"25fb-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["geometric","medium","square","white"]},
+  {"emoji":"◾","skin_tone_support":false,"name":"black medium-small square","slug":"black_medium_small_square","subgroup":"geometric","codepoints":["25FE"],"codepoints_string":"25fe","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["black","geometric","medium-small","square"]},
+  {"emoji":"◽","skin_tone_support":false,"name":"white medium-small square","slug":"white_medium_small_square","subgroup":"geometric","codepoints":["25FD"],"codepoints_string":"25fd","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["geometric","medium-small","square","white"]},
+  {"emoji":"▪️","skin_tone_support":false,"name":"black small square","slug":"black_small_square","subgroup":"geometric","codepoints":["25AA","FE0F"],"codepoints_string":"25aa-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["black","geometric","small","square"]},
+  {"emoji":"▫️","skin_tone_support":false,"name":"white small square","slug":"white_small_square","subgroup":"geometric","codepoints":["25AB","FE0F"],"codepoints_string":"25ab-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["geometric","small","square","white"]},
+  {"emoji":"🔶","skin_tone_support":false,"name":"large orange diamond","slug":"large_orange_diamond","subgroup":"geometric","codepoints":["1F536"],"codepoints_string":"1f536","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["diamond","geometric","large","orange"]},
+  {"emoji":"🔷","skin_tone_support":false,"name":"large blue diamond","slug":"large_blue_diamond","subgroup":"geometric","codepoints":["1F537"],"codepoints_string":"1f537","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blue","diamond","geometric","large"]},
+  {"emoji":"🔸","skin_tone_support":false,"name":"small orange diamond","slug":"small_orange_diamond","subgroup":"geometric","codepoints":["1F538"],"codepoints_string":"1f538","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["diamond","geometric","orange","small"]},
+  {"emoji":"🔹","skin_tone_support":false,"name":"small blue diamond","slug":"small_blue_diamond","subgroup":"geometric","codepoints":["1F539"],"codepoints_string":"1f539","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blue","diamond","geometric","small"]},
+  {"emoji":"🔺","skin_tone_support":false,"name":"red triangle pointed up","slug":"red_triangle_pointed_up","subgroup":"geometric","codepoints":["1F53A"],"codepoints_string":"1f53a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["geometric","pointed","red","triangle","up"]},
+  {"emoji":"🔻","skin_tone_support":false,"name":"red triangle pointed down","slug":"red_triangle_pointed_down","subgroup":"geometric","codepoints":["1F53B"],"codepoints_string":"1f53b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["down","geometric","pointed","red","triangle"]},
+  {"emoji":"💠","skin_tone_support":false,"name":"diamond with a dot","slug":"diamond_with_a_dot","subgroup":"geometric","codepoints":["1F4A0"],"codepoints_string":"1f4a0","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["comic","diamond","dot","geometric"]},
+  {"emoji":"🔘","skin_tone_support":false,"name":"radio button","slug":"radio_button","subgroup":"geometric","codepoints":["1F518"],"codepoints_string":"1f518","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","geometric","radio"]},
+  {"emoji":"🔳","skin_tone_support":false,"name":"white square button","slug":"white_square_button","subgroup":"geometric","codepoints":["1F533"],"codepoints_string":"1f533","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["button","geometric","outlined","square","white"]},
+  {"emoji":"🔲","skin_tone_support":false,"name":"black square button","slug":"black_square_button","subgroup":"geometric","codepoints":["1F532"],"codepoints_string":"1f532","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["black","button","geometric","square"]}
+]
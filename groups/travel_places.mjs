@@ -0,0 +1,224 @@
+// Generated by script/build.js from the Unicode emoji data. Do not edit.
+
+export const name = "Travel & Places"
+export const slug = "travel_places"
+export const emojis = [
+  {"emoji":"🌍","skin_tone_support":false,"name":"globe showing Europe-Africa","slug":"globe_showing_europe_africa","subgroup":"place-map","codepoints":["1F30D"],"codepoints_string":"1f30d","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["Africa","earth","Europe","Europe-Africa","globe","showing","world"]},
+  {"emoji":"🌎","skin_tone_support":false,"name":"globe showing Americas","slug":"globe_showing_americas","subgroup":"place-map","codepoints":["1F30E"],"codepoints_string":"1f30e","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["Americas","earth","globe","showing","world"]},
+  {"emoji":"🌏","skin_tone_support":false,"name":"globe showing Asia-Australia","slug":"globe_showing_asia_australia","subgroup":"place-map","codepoints":["1F30F"],"codepoints_string":"1f30f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["Asia","Asia-Australia","Australia","earth","globe","showing","world"]},
+  {"emoji":"🌐","skin_tone_support":false,"name":"globe with meridians","slug":"globe_with_meridians","subgroup":"place-map","codepoints":["1F310"],"codepoints_string":"1f310","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["earth","globe","internet","meridians","web","world","worldwide"]},
+  {"emoji":"🗺️","skin_tone_support":false,"name":"world map","slug":"world_map","subgroup":"place-map","codepoints":["1F5FA","FE0F"],"codepoints_string":"1f5fa-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["map","world"]},
+  {"emoji":"🗾","skin_tone_support":false,"name":"map of Japan","slug":"map_of_japan","subgroup":"place-map","codepoints":["1F5FE"],"codepoints_string":"1f5fe","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["Japan","map"]},
+  {"emoji":"🧭","skin_tone_support":false,"name":"compass","slug":"compass","subgroup":"place-map","codepoints":["1F9ED"],"codepoints_string":"1f9ed","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["compass","direction","magnetic","navigation","orienteering"]},
+  {"emoji":"🏔️","skin_tone_support":false,"name":"snow-capped mountain","slug":"snow_capped_mountain","subgroup":"place-geographic","codepoints":["1F3D4","FE0F"],"codepoints_string":"1f3d4-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cold","mountain","snow","snow-capped"]},
+  {"emoji":"⛰️","skin_tone_support":false,"name":"mountain","slug":"mountain","subgroup":"place-geographic","codepoints":["26F0","FE0F"],"codepoints_string":"26f0-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["mountain"]},
+  {"emoji":"🌋","skin_tone_support":false,"name":"volcano","slug":"volcano","subgroup":"place-geographic","codepoints":["1F30B"],"codepoints_string":"1f30b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["eruption","mountain","nature","volcano"]},
+  {"emoji":"🗻","skin_tone_support":false,"name":"mount fuji","slug":"mount_fuji","subgroup":"place-geographic","codepoints":["1F5FB"],"codepoints_string":"1f5fb","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["fuji","mount","mountain","nature"]},
+  {"emoji":"🏕️","skin_tone_support":false,"name":"camping","slug":"camping","subgroup":"place-geographic","codepoints":["1F3D5","FE0F"],"codepoints_string":"1f3d5-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["camping"]},
+  {"emoji":"🏖️","skin_tone_support":false,"name":"beach with umbrella","slug":"beach_with_umbrella","subgroup":"place-geographic","codepoints":["1F3D6","FE0F"],"codepoints_string":"1f3d6-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["beach","umbrella"]},
+  {"emoji":"🏜️","skin_tone_support":false,"name":"desert","slug":"desert","subgroup":"place-geographic","codepoints":["1F3DC","FE0F"],"codepoints_string":"1f3dc-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["desert"]},
+  {"emoji":"🏝️","skin_tone_support":false,"name":"desert island","slug":"desert_island","subgroup":"place-geographic","codepoints":["1F3DD","FE0F"],"codepoints_string":"1f3dd-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["desert","island"]},
+  {"emoji":"🏞️","skin_tone_support":false,"name":"national park","slug":"national_park","subgroup":"place-geographic","codepoints":["1F3DE","FE0F"],"codepoints_string":"1f3de-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["national","park"]},
+  {"emoji":"🏟️","skin_tone_support":false,"name":"stadium","slug":"stadium","subgroup":"place-building","codepoints":["1F3DF","FE0F"],"codepoints_string":"1f3df-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["stadium"]},
+  {"emoji":"🏛️","skin_tone_support":false,"name":"classical building","slug":"classical_building","subgroup":"place-building","codepoints":["1F3DB","FE0F"],"codepoints_string":"1f3db-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["building","classical"]},
+  {"emoji":"🏗️","skin_tone_support":false,"name":"building construction","slug":"building_construction","subgroup":"place-building","codepoints":["1F3D7","FE0F"],"codepoints_string":"1f3d7-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["building","construction","crane"]},
+  {"emoji":"🧱","skin_tone_support":false,"name":"brick","slug":"brick","subgroup":"place-building","codepoints":["1F9F1"],"codepoints_string":"1f9f1","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["brick","bricks","clay","mortar","wall"]},
+  {"emoji":"🪨","skin_tone_support":false,"name":"rock","slug":"rock","subgroup":"place-building","codepoints":["1FAA8"],"codepoints_string":"1faa8","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["boulder","heavy","rock","solid","stone","tough"]},
+  {"emoji":"🪵","skin_tone_support":false,"name":"wood","slug":"wood","subgroup":"place-building","codepoints":["1FAB5"],"codepoints_string":"1fab5","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["log","lumber","timber","wood"]},
+  {"emoji":"🛖","skin_tone_support":false,"name":"hut","slug":"hut","subgroup":"place-building","codepoints":["1F6D6"],"codepoints_string":"1f6d6","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["home","house","hut","roundhouse","shelter","yurt"]},
+  {"emoji":"🏘️","skin_tone_support":false,"name":"houses","slug":"houses","subgroup":"place-building","codepoints":["1F3D8","FE0F"],"codepoints_string":"1f3d8-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["house","houses"]},
+  {"emoji":"🏚️","skin_tone_support":false,"name":"derelict house","slug":"derelict_house","subgroup":"place-building","codepoints":["1F3DA","FE0F"],"codepoints_string":"1f3da-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["derelict","home","house"]},
+  {"emoji":"🏠","skin_tone_support":false,"name":"house","slug":"house","subgroup":"place-building","codepoints":["1F3E0"],"codepoints_string":"1f3e0","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["building","country","heart","home","house","ranch","settle","simple","suburban","suburbia","where"]},
+  {"emoji":"🏡","skin_tone_support":false,"name":"house with garden","slug":"house_with_garden","subgroup":"place-building","codepoints":["1F3E1"],"codepoints_string":"1f3e1","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["building","country","garden","heart","home","house","ranch","settle","simple","suburban","suburbia","where"]},
+  {"emoji":"🏢","skin_tone_support":false,"name":"office building","slug":"office_building","subgroup":"place-building","codepoints":["1F3E2"],"codepoints_string":"1f3e2","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["building","city","cubical","job","office"]},
+  {"emoji":"🏣","skin_tone_support":false,"name":"Japanese post office","slug":"japanese_post_office","subgroup":"place-building","codepoints":["1F3E3"],"codepoints_string":"1f3e3","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["building","Japanese","office","post"]},
+  {"emoji":"🏤","skin_tone_support":false,"name":"post office","slug":"post_office","subgroup":"place-building","codepoints":["1F3E4"],"codepoints_string":"1f3e4","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["building","European","office","post"]},
+  {"emoji":"🏥","skin_tone_support":false,"name":"hospital","slug":"hospital","subgroup":"place-building","codepoints":["1F3E5"],"codepoints_string":"1f3e5","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["building","doctor","hospital","medicine"]},
+  {"emoji":"🏦","skin_tone_support":false,"name":"bank","slug":"bank","subgroup":"place-building","codepoints":["1F3E6"],"codepoints_string":"1f3e6","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bank","building"]},
+  {"emoji":"🏨","skin_tone_support":false,"name":"hotel","slug":"hotel","subgroup":"place-building","codepoints":["1F3E8"],"codepoints_string":"1f3e8","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["building","hotel"]},
+  {"emoji":"🏩","skin_tone_support":false,"name":"love hotel","slug":"love_hotel","subgroup":"place-building","codepoints":["1F3E9"],"codepoints_string":"1f3e9","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["building","hotel","love"]},
+  {"emoji":"🏪","skin_tone_support":false,"name":"convenience store","slug":"convenience_store","subgroup":"place-building","codepoints":["1F3EA"],"codepoints_string":"1f3ea","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["24","building","convenience","hours","store"]},
+  {"emoji":"🏫","skin_tone_support":false,"name":"school","slug":"school","subgroup":"place-building","codepoints":["1F3EB"],"codepoints_string":"1f3eb","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["building","school"]},
+  {"emoji":"🏬","skin_tone_support":false,"name":"department store","slug":"department_store","subgroup":"place-building","codepoints":["1F3EC"],"codepoints_string":"1f3ec","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["building","department","store"]},
+  {"emoji":"🏭","skin_tone_support":false,"name":"factory","slug":"factory","subgroup":"place-building","codepoints":["1F3ED"],"codepoints_string":"1f3ed","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["building","factory"]},
+  {"emoji":"🏯","skin_tone_support":false,"name":"Japanese castle","slug":"japanese_castle","subgroup":"place-building","codepoints":["1F3EF"],"codepoints_string":"1f3ef","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["building","castle","Japanese"]},
+  {"emoji":"🏰","skin_tone_support":false,"name":"castle","slug":"castle","subgroup":"place-building","codepoints":["1F3F0"],"codepoints_string":"1f3f0","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["building","castle","European"]},
+  {"emoji":"💒","skin_tone_support":false,"name":"wedding","slug":"wedding","subgroup":"place-building","codepoints":["1F492"],"codepoints_string":"1f492","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["chapel","hitched","nuptials","romance","wedding"]},
+  {"emoji":"🗼","skin_tone_support":false,"name":"Tokyo tower","slug":"tokyo_tower","subgroup":"place-building","codepoints":["1F5FC"],"codepoints_string":"1f5fc","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["Tokyo","tower"]},
+  {"emoji":"🗽","skin_tone_support":false,"name":"Statue of Liberty","slug":"statue_of_liberty","subgroup":"place-building","codepoints":["1F5FD"],"codepoints_string":"1f5fd","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["liberty","Liberty","new","ny","nyc","statue","Statue","york"]},
+  {"emoji":"⛪","skin_tone_support":false,"name":"church","slug":"church","subgroup":"place-religious","codepoints":["26EA"],"codepoints_string":"26ea","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bless","chapel","Christian","church","cross","religion"]},
+  {"emoji":"🕌","skin_tone_support":false,"name":"mosque","slug":"mosque","subgroup":"place-religious","codepoints":["1F54C"],"codepoints_string":"1f54c","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["islam","masjid","mosque","Muslim","religion"]},
+  {"emoji":"🛕","skin_tone_support":false,"name":"hindu temple","slug":"hindu_temple","subgroup":"place-religious","codepoints":["1F6D5"],"codepoints_string":"1f6d5","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["hindu","temple"]},
+  {"emoji":"🕍","skin_tone_support":false,"name":"synagogue","slug":"synagogue","subgroup":"place-religious","codepoints":["1F54D"],"codepoints_string":"1f54d","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["Jew","Jewish","judaism","religion","synagogue","temple"]},
+  {"emoji":"⛩️","skin_tone_support":false,"name":"shinto shrine","slug":"shinto_shrine","subgroup":"place-religious","codepoints":["26E9","FE0F"],"codepoints_string":"26e9-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["religion","shinto","shrine"]},
+  {"emoji":"🕋","skin_tone_support":false,"name":"kaaba","slug":"kaaba","subgroup":"place-religious","codepoints":["1F54B"],"codepoints_string":"1f54b","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["hajj","islam","kaaba","Muslim","religion","umrah"]},
+  {"emoji":"⛲","skin_tone_support":false,"name":"fountain","slug":"fountain","subgroup":"place-other","codepoints":["26F2"],"codepoints_string":"26f2","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["fountain"]},
+  {"emoji":"⛺","skin_tone_support":false,"name":"tent","slug":"tent","subgroup":"place-other","codepoints":["26FA"],"codepoints_string":"26fa","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["camping","tent"]},
+  {"emoji":"🌁","skin_tone_support":false,"name":"foggy","slug":"foggy","subgroup":"place-other","codepoints":["1F301"],"codepoints_string":"1f301","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["fog","foggy"]},
+  {"emoji":"🌃","skin_tone_support":false,"name":"night with stars","slug":"night_with_stars","subgroup":"place-other","codepoints":["1F303"],"codepoints_string":"1f303","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["night","star","stars"]},
+  {"emoji":"🏙️","skin_tone_support":false,"name":"cityscape","slug":"cityscape","subgroup":"place-other","codepoints":["1F3D9","FE0F"],"codepoints_string":"1f3d9-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["city","cityscape"]},
+  {"emoji":"🌄","skin_tone_support":false,"name":"sunrise over mountains","slug":"sunrise_over_mountains","subgroup":"place-other","codepoints":["1F304"],"codepoints_string":"1f304","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["morning","mountains","over","sun","sunrise"]},
+  {"emoji":"🌅","skin_tone_support":false,"name":"sunrise","slug":"sunrise","subgroup":"place-other","codepoints":["1F305"],"codepoints_string":"1f305","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["morning","nature","sun","sunrise"]},
+  {"emoji":"🌆","skin_tone_support":false,"name":"cityscape at dusk","slug":"cityscape_at_dusk","subgroup":"place-other","codepoints":["1F306"],"codepoints_string":"1f306","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["at","building","city","cityscape","dusk","evening","landscape","sun","sunset"]},
+  {"emoji":"🌇","skin_tone_support":false,"name":"sunset","slug":"sunset","subgroup":"place-other","codepoints":["1F307"],"codepoints_string":"1f307","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["building","dusk","sun","sunset"]},
+  {"emoji":"🌉","skin_tone_support":false,"name":"bridge at night","slug":"bridge_at_night","subgroup":"place-other","codepoints":["1F309"],"codepoints_string":"1f309","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["at","bridge","night"]},
+  {"emoji":"♨️","skin_tone_support":false,"name":"hot springs","slug":"hot_springs","subgroup":"place-other","codepoints":["2668","FE0F"],"codepoints_string":"2668-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["hot","hotsprings","springs","steaming"]},
+  {"emoji":"🎠","skin_tone_support":false,"name":"carousel horse","slug":"carousel_horse","subgroup":"place-other","codepoints":["1F3A0"],"codepoints_string":"1f3a0","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["carousel","entertainment","horse"]},
+  {"emoji":"🛝","skin_tone_support":false,"name":"playground slide","slug":"playground_slide","subgroup":"place-other","codepoints":["1F6DD"],"codepoints_string":"1f6dd","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["amusement","park","play","playground","playing","slide","sliding","theme"]},
+  {"emoji":"🎡","skin_tone_support":false,"name":"ferris wheel","slug":"ferris_wheel","subgroup":"place-other","codepoints":["1F3A1"],"codepoints_string":"1f3a1","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["amusement","ferris","park","theme","wheel"]},
+  {"emoji":"🎢","skin_tone_support":false,"name":"roller coaster","slug":"roller_coaster","subgroup":"place-other","codepoints":["1F3A2"],"codepoints_string":"1f3a2","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["amusement","coaster","park","roller","theme"]},
+  {"emoji":"💈","skin_tone_support":false,"name":"barber pole","slug":"barber_pole","subgroup":"place-other","codepoints":["1F488"],"codepoints_string":"1f488","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["barber","cut","fresh","haircut","pole","shave"]},
+  {"emoji":"🎪","skin_tone_support":false,"name":"circus tent","slug":"circus_tent","subgroup":"place-other","codepoints":["1F3AA"],"codepoints_string":"1f3aa","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["circus","tent"]},
+  {"emoji":"🚂","skin_tone_support":false,"name":"locomotive","slug":"locomotive","subgroup":"transport-ground","codepoints":["1F682"],"codepoints_string":"1f682","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["caboose","engine","locomotive","railway","steam","train","trains","travel"]},
+  {"emoji":"🚃","skin_tone_support":false,"name":"railway car","slug":"railway_car","subgroup":"transport-ground","codepoints":["1F683"],"codepoints_string":"1f683","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["car","electric","railway","train","tram","travel","trolleybus"]},
+  {"emoji":"🚄","skin_tone_support":false,"name":"high-speed train","slug":"high_speed_train","subgroup":"transport-ground","codepoints":["1F684"],"codepoints_string":"1f684","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["high-speed","railway","shinkansen","speed","train"]},
+  {"emoji":"🚅","skin_tone_support":false,"name":"bullet train","slug":"bullet_train","subgroup":"transport-ground","codepoints":["1F685"],"codepoints_string":"1f685","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bullet","high-speed","nose","railway","shinkansen","speed","train","travel"]},
+  {"emoji":"🚆","skin_tone_support":false,"name":"train","slug":"train","subgroup":"transport-ground","codepoints":["1F686"],"codepoints_string":"1f686","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrived","choo","railway","train"]},
+  {"emoji":"🚇","skin_tone_support":false,"name":"metro","slug":"metro","subgroup":"transport-ground","codepoints":["1F687"],"codepoints_string":"1f687","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["metro","subway","travel"]},
+  {"emoji":"🚈","skin_tone_support":false,"name":"light rail","slug":"light_rail","subgroup":"transport-ground","codepoints":["1F688"],"codepoints_string":"1f688","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["arrived","light","monorail","rail","railway"]},
+  {"emoji":"🚉","skin_tone_support":false,"name":"station","slug":"station","subgroup":"transport-ground","codepoints":["1F689"],"codepoints_string":"1f689","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["railway","station","train"]},
+  {"emoji":"🚊","skin_tone_support":false,"name":"tram","slug":"tram","subgroup":"transport-ground","codepoints":["1F68A"],"codepoints_string":"1f68a","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["tram","trolleybus"]},
+  {"emoji":"🚝","skin_tone_support":false,"name":"monorail","slug":"monorail","subgroup":"transport-ground","codepoints":["1F69D"],"codepoints_string":"1f69d","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["monorail","vehicle"]},
+  {"emoji":"🚞","skin_tone_support":false,"name":"mountain railway","slug":"mountain_railway","subgroup":"transport-ground","codepoints":["1F69E"],"codepoints_string":"1f69e","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["car","mountain","railway","trip"]},
+  {"emoji":"🚋","skin_tone_support":false,"name":"tram car","slug":"tram_car","subgroup":"transport-ground","codepoints":["1F68B"],"codepoints_string":"1f68b","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bus","car","tram","trolley","trolleybus"]},
+  {"emoji":"🚌","skin_tone_support":false,"name":"bus","slug":"bus","subgroup":"transport-ground","codepoints":["1F68C"],"codepoints_string":"1f68c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bus","school","vehicle"]},
+  {"emoji":"🚍","skin_tone_support":false,"name":"oncoming bus","slug":"oncoming_bus","subgroup":"transport-ground","codepoints":["1F68D"],"codepoints_string":"1f68d","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bus","cars","oncoming"]},
+  {"emoji":"🚎","skin_tone_support":false,"name":"trolleybus","slug":"trolleybus","subgroup":"transport-ground","codepoints":["1F68E"],"codepoints_string":"1f68e","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bus","tram","trolley","trolleybus"]},
+  {"emoji":"🚐","skin_tone_support":false,"name":"minibus","slug":"minibus","subgroup":"transport-ground","codepoints":["1F690"],"codepoints_string":"1f690","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bus","drive","minibus","van","vehicle"]},
+  {"emoji":"🚑","skin_tone_support":false,"name":"ambulance","slug":"ambulance","subgroup":"transport-ground","codepoints":["1F691"],"codepoints_string":"1f691","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["ambulance","emergency","vehicle"]},
+  {"emoji":"🚒","skin_tone_support":false,"name":"fire engine","slug":"fire_engine","subgroup":"transport-ground","codepoints":["1F692"],"codepoints_string":"1f692","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["engine","fire","truck"]},
+  {"emoji":"🚓","skin_tone_support":false,"name":"police car","slug":"police_car","subgroup":"transport-ground","codepoints":["1F693"],"codepoints_string":"1f693","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["5–0","car","cops","patrol","police"]},
+  {"emoji":"🚔","skin_tone_support":false,"name":"oncoming police car","slug":"oncoming_police_car","subgroup":"transport-ground","codepoints":["1F694"],"codepoints_string":"1f694","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["car","oncoming","police"]},
+  {"emoji":"🚕","skin_tone_support":false,"name":"taxi","slug":"taxi","subgroup":"transport-ground","codepoints":["1F695"],"codepoints_string":"1f695","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cab","cabbie","car","drive","taxi","vehicle","yellow"]},
+  {"emoji":"🚖","skin_tone_support":false,"name":"oncoming taxi","slug":"oncoming_taxi","subgroup":"transport-ground","codepoints":["1F696"],"codepoints_string":"1f696","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cab","cabbie","cars","drove","hail","oncoming","taxi","yellow"]},
+  {"emoji":"🚗","skin_tone_support":false,"name":"automobile","slug":"automobile","subgroup":"transport-ground","codepoints":["1F697"],"codepoints_string":"1f697","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["automobile","car","driving","vehicle"]},
+  {"emoji":"🚘","skin_tone_support":false,"name":"oncoming automobile","slug":"oncoming_automobile","subgroup":"transport-ground","codepoints":["1F698"],"codepoints_string":"1f698","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["automobile","car","cars","drove","oncoming","vehicle"]},
+  {"emoji":"🚙","skin_tone_support":false,"name":"sport utility vehicle","slug":"sport_utility_vehicle","subgroup":"transport-ground","codepoints":["1F699"],"codepoints_string":"1f699","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["car","drive","recreational","sport","sportutility","utility","vehicle"]},
+  {"emoji":"🛻","skin_tone_support":false,"name":"pickup truck","slug":"pickup_truck","subgroup":"transport-ground","codepoints":["1F6FB"],"codepoints_string":"1f6fb","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["automobile","car","flatbed","pick-up","pickup","transportation","truck"]},
+  {"emoji":"🚚","skin_tone_support":false,"name":"delivery truck","slug":"delivery_truck","subgroup":"transport-ground","codepoints":["1F69A"],"codepoints_string":"1f69a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["car","delivery","drive","truck","vehicle"]},
+  {"emoji":"🚛","skin_tone_support":false,"name":"articulated lorry","slug":"articulated_lorry","subgroup":"transport-ground","codepoints":["1F69B"],"codepoints_string":"1f69b","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["articulated","car","drive","lorry","move","semi","truck","vehicle"]},
+  {"emoji":"🚜","skin_tone_support":false,"name":"tractor","slug":"tractor","subgroup":"transport-ground","codepoints":["1F69C"],"codepoints_string":"1f69c","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["tractor","vehicle"]},
+  {"emoji":"🏎️","skin_tone_support":false,"name":"racing car","slug":"racing_car","subgroup":"transport-ground","codepoints":["1F3CE","FE0F"],"codepoints_string":"1f3ce-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["car","racing","zoom"]},
+  {"emoji":"🏍️","skin_tone_support":false,"name":"motorcycle","slug":"motorcycle","subgroup":"transport-ground","codepoints":["1F3CD","FE0F"],"codepoints_string":"1f3cd-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["motorcycle","racing"]},
+  {"emoji":"🛵","skin_tone_support":false,"name":"motor scooter","slug":"motor_scooter","subgroup":"transport-ground","codepoints":["1F6F5"],"codepoints_string":"1f6f5","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["motor","scooter"]},
+  {"emoji":"🦽","skin_tone_support":false,"name":"manual wheelchair","slug":"manual_wheelchair","subgroup":"transport-ground","codepoints":["1F9BD"],"codepoints_string":"1f9bd","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["accessibility","manual","wheelchair"]},
+  {"emoji":"🦼","skin_tone_support":false,"name":"motorized wheelchair","slug":"motorized_wheelchair","subgroup":"transport-ground","codepoints":["1F9BC"],"codepoints_string":"1f9bc","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["accessibility","motorized","wheelchair"]},
+  {"emoji":"🛺","skin_tone_support":false,"name":"auto rickshaw","slug":"auto_rickshaw","subgroup":"transport-ground","codepoints":["1F6FA"],"codepoints_string":"1f6fa","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["auto","rickshaw","tuk"]},
+  {"emoji":"🚲","skin_tone_support":false,"name":"bicycle","slug":"bicycle","subgroup":"transport-ground","codepoints":["1F6B2"],"codepoints_string":"1f6b2","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bicycle","bike","class","cycle","cycling","cyclist","gang","ride","spin","spinning"]},
+  {"emoji":"🛴","skin_tone_support":false,"name":"kick scooter","slug":"kick_scooter","subgroup":"transport-ground","codepoints":["1F6F4"],"codepoints_string":"1f6f4","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["kick","scooter"]},
+  {"emoji":"🛹","skin_tone_support":false,"name":"skateboard","slug":"skateboard","subgroup":"transport-ground","codepoints":["1F6F9"],"codepoints_string":"1f6f9","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["board","skate","skateboard","skater","wheels"]},
+  {"emoji":"🛼","skin_tone_support":false,"name":"roller skate","slug":"roller_skate","subgroup":"transport-ground","codepoints":["1F6FC"],"codepoints_string":"1f6fc","utf16_length":2,"unicode_version":"13.0","emoji_version":"13.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["blades","roller","skate","skates","sport"]},
+  {"emoji":"🚏","skin_tone_support":false,"name":"bus stop","slug":"bus_stop","subgroup":"transport-ground","codepoints":["1F68F"],"codepoints_string":"1f68f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bus","busstop","stop"]},
+  {"emoji":"🛣️","skin_tone_support":false,"name":"motorway","slug":"motorway","subgroup":"transport-ground","codepoints":["1F6E3","FE0F"],"codepoints_string":"1f6e3-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["highway","motorway","road"]},
+  {"emoji":"🛤️","skin_tone_support":false,"name":"railway track","slug":"railway_track","subgroup":"transport-ground","codepoints":["1F6E4","FE0F"],"codepoints_string":"1f6e4-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["railway","track","train"]},
+  {"emoji":"🛢️","skin_tone_support":false,"name":"oil drum","slug":"oil_drum","subgroup":"transport-ground","codepoints":["1F6E2","FE0F"],"codepoints_string":"1f6e2-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["drum","oil"]},
+  {"emoji":"⛽","skin_tone_support":false,"name":"fuel pump","slug":"fuel_pump","subgroup":"transport-ground","codepoints":["26FD"],"codepoints_string":"26fd","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["diesel","fuel","fuelpump","gas","gasoline","pump","station"]},
+  {"emoji":"🛞","skin_tone_support":false,"name":"wheel","slug":"wheel","subgroup":"transport-ground","codepoints":["1F6DE"],"codepoints_string":"1f6de","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["car","circle","tire","turn","vehicle","wheel"]},
+  {"emoji":"🚨","skin_tone_support":false,"name":"police car light","slug":"police_car_light","subgroup":"transport-ground","codepoints":["1F6A8"],"codepoints_string":"1f6a8","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["alarm","alert","beacon","car","emergency","light","police","revolving","siren"]},
+  {"emoji":"🚥","skin_tone_support":false,"name":"horizontal traffic light","slug":"horizontal_traffic_light","subgroup":"transport-ground","codepoints":["1F6A5"],"codepoints_string":"1f6a5","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["horizontal","intersection","light","signal","stop","stoplight","traffic"]},
+  {"emoji":"🚦","skin_tone_support":false,"name":"vertical traffic light","slug":"vertical_traffic_light","subgroup":"transport-ground","codepoints":["1F6A6"],"codepoints_string":"1f6a6","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["drove","intersection","light","signal","stop","stoplight","traffic","vertical"]},
+  {"emoji":"🛑","skin_tone_support":false,"name":"stop sign","slug":"stop_sign","subgroup":"transport-ground","codepoints":["1F6D1"],"codepoints_string":"1f6d1","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["octagonal","sign","stop"]},
+  {"emoji":"🚧","skin_tone_support":false,"name":"construction","slug":"construction","subgroup":"transport-ground","codepoints":["1F6A7"],"codepoints_string":"1f6a7","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["barrier","construction"]},
+  {"emoji":"⚓","skin_tone_support":false,"name":"anchor","slug":"anchor","subgroup":"transport-water","codepoints":["2693"],"codepoints_string":"2693","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["anchor","ship","tool"]},
+  {"emoji":"🛟","skin_tone_support":false,"name":"ring buoy","slug":"ring_buoy","subgroup":"transport-water","codepoints":["1F6DF"],"codepoints_string":"1f6df","utf16_length":2,"unicode_version":"14.0","emoji_version":"14.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["buoy","float","life","lifesaver","preserver","rescue","ring","safety","save","saver","swim"]},
+  {"emoji":"⛵","skin_tone_support":false,"name":"sailboat","slug":"sailboat","subgroup":"transport-water","codepoints":["26F5"],"codepoints_string":"26f5","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["boat","resort","sailboat","sailing","sea","yacht"]},
+  {"emoji":"🛶","skin_tone_support":false,"name":"canoe","slug":"canoe","subgroup":"transport-water","codepoints":["1F6F6"],"codepoints_string":"1f6f6","utf16_length":2,"unicode_version":"3.0","emoji_version":"3.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["boat","canoe"]},
+  {"emoji":"🚤","skin_tone_support":false,"name":"speedboat","slug":"speedboat","subgroup":"transport-water","codepoints":["1F6A4"],"codepoints_string":"1f6a4","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["billionaire","boat","lake","luxury","millionaire","speedboat","summer","travel"]},
+  {"emoji":"🛳️","skin_tone_support":false,"name":"passenger ship","slug":"passenger_ship","subgroup":"transport-water","codepoints":["1F6F3","FE0F"],"codepoints_string":"1f6f3-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["passenger","ship"]},
+  {"emoji":"⛴️","skin_tone_support":false,"name":"ferry","slug":"ferry","subgroup":"transport-water","codepoints":["26F4","FE0F"],"codepoints_string":"26f4-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["boat","ferry","passenger"]},
+  {"emoji":"🛥️","skin_tone_support":false,"name":"motor boat","slug":"motor_boat","subgroup":"transport-water","codepoints":["1F6E5","FE0F"],"codepoints_string":"1f6e5-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["boat","motor","motorboat"]},
+  {"emoji":"🚢","skin_tone_support":false,"name":"ship","slug":"ship","subgroup":"transport-water","codepoints":["1F6A2"],"codepoints_string":"1f6a2","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["boat","passenger","ship","travel"]},
+  {"emoji":"✈️","skin_tone_support":false,"name":"airplane","slug":"airplane","subgroup":"transport-air","codepoints":["2708","FE0F"],"codepoints_string":"2708-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["aeroplane","airplane","fly","flying","jet","plane","travel"]},
+  {"emoji":"🛩️","skin_tone_support":false,"name":"small airplane","slug":"small_airplane","subgroup":"transport-air","codepoints":["1F6E9","FE0F"],"codepoints_string":"1f6e9-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["aeroplane","airplane","plane","small"]},
+  {"emoji":"🛫","skin_tone_support":false,"name":"airplane departure","slug":"airplane_departure","subgroup":"transport-air","codepoints":["1F6EB"],"codepoints_string":"1f6eb","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["aeroplane","airplane","check-in","departure","departures","plane"]},
+  {"emoji":"🛬","skin_tone_support":false,"name":"airplane arrival","slug":"airplane_arrival","subgroup":"transport-air","codepoints":["1F6EC"],"codepoints_string":"1f6ec","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["aeroplane","airplane","arrival","arrivals","arriving","landing","plane"]},
+  {"emoji":"🪂","skin_tone_support":false,"name":"parachute","slug":"parachute","subgroup":"transport-air","codepoints":["1FA82"],"codepoints_string":"1fa82","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["hang-glide","parachute","parasail","skydive"]},
+  {"emoji":"💺","skin_tone_support":false,"name":"seat","slug":"seat","subgroup":"transport-air","codepoints":["1F4BA"],"codepoints_string":"1f4ba","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["chair","seat"]},
+  {"emoji":"🚁","skin_tone_support":false,"name":"helicopter","slug":"helicopter","subgroup":"transport-air","codepoints":["1F681"],"codepoints_string":"1f681","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["copter","helicopter","roflcopter","travel","vehicle"]},
+  {"emoji":"🚟","skin_tone_support":false,"name":"suspension railway","slug":"suspension_railway","subgroup":"transport-air","codepoints":["1F69F"],"codepoints_string":"1f69f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["railway","suspension"]},
+  {"emoji":"🚠","skin_tone_support":false,"name":"mountain cableway","slug":"mountain_cableway","subgroup":"transport-air","codepoints":["1F6A0"],"codepoints_string":"1f6a0","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cable","cableway","gondola","lift","mountain","ski"]},
+  {"emoji":"🚡","skin_tone_support":false,"name":"aerial tramway","slug":"aerial_tramway","subgroup":"transport-air","codepoints":["1F6A1"],"codepoints_string":"1f6a1","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["aerial","cable","car","gondola","ropeway","tramway"]},
+  {"emoji":"🛰️","skin_tone_support":false,"name":"satellite","slug":"satellite","subgroup":"transport-air","codepoints":["1F6F0","FE0F"],"codepoints_string":"1f6f0-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["satellite","space"]},
+  {"emoji":"🚀","skin_tone_support":false,"name":"rocket","slug":"rocket","subgroup":"transport-air","codepoints":["1F680"],"codepoints_string":"1f680","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["launch","rocket","rockets","space","travel"]},
+  {"emoji":"🛸","skin_tone_support":false,"name":"flying saucer","slug":"flying_saucer","subgroup":"transport-air","codepoints":["1F6F8"],"codepoints_string":"1f6f8","utf16_length":2,"unicode_version":"5.0","emoji_version":"5.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["aliens","extra","flying","saucer","terrestrial","UFO"]},
+  {"emoji":"🛎️","skin_tone_support":false,"name":"bellhop bell","slug":"bellhop_bell","subgroup":"hotel","codepoints":["1F6CE","FE0F"],"codepoints_string":"1f6ce-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bell","bellhop","hotel"]},
+  {"emoji":"🧳","skin_tone_support":false,"name":"luggage","slug":"luggage","subgroup":"hotel","codepoints":["1F9F3"],"codepoints_string":"1f9f3","utf16_length":2,"unicode_version":"11.0","emoji_version":"11.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bag","luggage","packing","roller","suitcase","travel"]},
+  {"emoji":"⌛","skin_tone_support":false,"name":"hourglass done","slug":"hourglass_done","subgroup":"time","codepoints":["231B"],"codepoints_string":"231b","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["done","hourglass","sand","time","timer"]},
+  {"emoji":"⏳","skin_tone_support":false,"name":"hourglass not done","slug":"hourglass_not_done","subgroup":"time","codepoints":["23F3"],"codepoints_string":"23f3","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["done","flowing","hourglass","hours","not","sand","timer","waiting","yolo"]},
+  {"emoji":"⌚","skin_tone_support":false,"name":"watch","slug":"watch","subgroup":"time","codepoints":["231A"],"codepoints_string":"231a","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["clock","time","watch"]},
+  {"emoji":"⏰","skin_tone_support":false,"name":"alarm clock","slug":"alarm_clock","subgroup":"time","codepoints":["23F0"],"codepoints_string":"23f0","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["alarm","clock","hours","hrs","late","time","waiting"]},
+  {"emoji":"⏱️","skin_tone_support":false,"name":"stopwatch","slug":"stopwatch","subgroup":"time","codepoints":["23F1","FE0F"],"codepoints_string":"23f1-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["clock","stopwatch","time"]},
+  {"emoji":"⏲️","skin_tone_support":false,"name":"timer clock","slug":"timer_clock","subgroup":"time","codepoints":["23F2","FE0F"],"codepoints_string":"23f2-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["clock","timer"]},
+  {"emoji":"🕰️","skin_tone_support":false,"name":"mantelpiece clock","slug":"mantelpiece_clock","subgroup":"time","codepoints":["1F570","FE0F"],"codepoints_string":"1f570-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["clock","mantelpiece","time"]},
+  {"emoji":"🕛","skin_tone_support":false,"name":"twelve o’clock","slug":"twelve_o_clock","subgroup":"time","codepoints":["1F55B"],"codepoints_string":"1f55b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["12","12:00","clock","o’clock","time","twelve"]},
+  {"emoji":"🕧","skin_tone_support":false,"name":"twelve-thirty","slug":"twelve_thirty","subgroup":"time","codepoints":["1F567"],"codepoints_string":"1f567","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["12","12:30","30","clock","thirty","time","twelve","twelve-thirty"]},
+  {"emoji":"🕐","skin_tone_support":false,"name":"one o’clock","slug":"one_o_clock","subgroup":"time","codepoints":["1F550"],"codepoints_string":"1f550","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["1","1:00","clock","o’clock","one","time"]},
+  {"emoji":"🕜","skin_tone_support":false,"name":"one-thirty","slug":"one_thirty","subgroup":"time","codepoints":["1F55C"],"codepoints_string":"1f55c","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["1","1:30","30","clock","one","one-thirty","thirty","time"]},
+  {"emoji":"🕑","skin_tone_support":false,"name":"two o’clock","slug":"two_o_clock","subgroup":"time","codepoints":["1F551"],"codepoints_string":"1f551","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["2","2:00","clock","o’clock","time","two"]},
+  {"emoji":"🕝","skin_tone_support":false,"name":"two-thirty","slug":"two_thirty","subgroup":"time","codepoints":["1F55D"],"codepoints_string":"1f55d","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["2","2:30","30","clock","thirty","time","two","two-thirty"]},
+  {"emoji":"🕒","skin_tone_support":false,"name":"three o’clock","slug":"three_o_clock","subgroup":"time","codepoints":["1F552"],"codepoints_string":"1f552","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["3","3:00","clock","o’clock","three","time"]},
+  {"emoji":"🕞","skin_tone_support":false,"name":"three-thirty","slug":"three_thirty","subgroup":"time","codepoints":["1F55E"],"codepoints_string":"1f55e","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["3","3:30","30","clock","thirty","three","three-thirty","time"]},
+  {"emoji":"🕓","skin_tone_support":false,"name":"four o’clock","slug":"four_o_clock","subgroup":"time","codepoints":["1F553"],"codepoints_string":"1f553","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["4","4:00","clock","four","o’clock","time"]},
+  {"emoji":"🕟","skin_tone_support":false,"name":"four-thirty","slug":"four_thirty","subgroup":"time","codepoints":["1F55F"],"codepoints_string":"1f55f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["30","4","4:30","clock","four","four-thirty","thirty","time"]},
+  {"emoji":"🕔","skin_tone_support":false,"name":"five o’clock","slug":"five_o_clock","subgroup":"time","codepoints":["1F554"],"codepoints_string":"1f554","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["5","5:00","clock","five","o’clock","time"]},
+  {"emoji":"🕠","skin_tone_support":false,"name":"five-thirty","slug":"five_thirty","subgroup":"time","codepoints":["1F560"],"codepoints_string":"1f560","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["30","5","5:30","clock","five","five-thirty","thirty","time"]},
+  {"emoji":"🕕","skin_tone_support":false,"name":"six o’clock","slug":"six_o_clock","subgroup":"time","codepoints":["1F555"],"codepoints_string":"1f555","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["6","6:00","clock","o’clock","six","time"]},
+  {"emoji":"🕡","skin_tone_support":false,"name":"six-thirty","slug":"six_thirty","subgroup":"time","codepoints":["1F561"],"codepoints_string":"1f561","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["30","6","6:30","clock","six","six-thirty","thirty"]},
+  {"emoji":"🕖","skin_tone_support":false,"name":"seven o’clock","slug":"seven_o_clock","subgroup":"time","codepoints":["1F556"],"codepoints_string":"1f556","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["0","7","7:00","clock","o’clock","seven"]},
+  {"emoji":"🕢","skin_tone_support":false,"name":"seven-thirty","slug":"seven_thirty","subgroup":"time","codepoints":["1F562"],"codepoints_string":"1f562","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["30","7","7:30","clock","seven","seven-thirty","thirty"]},
+  {"emoji":"🕗","skin_tone_support":false,"name":"eight o’clock","slug":"eight_o_clock","subgroup":"time","codepoints":["1F557"],"codepoints_string":"1f557","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["8","8:00","clock","eight","o’clock","time"]},
+  {"emoji":"🕣","skin_tone_support":false,"name":"eight-thirty","slug":"eight_thirty","subgroup":"time","codepoints":["1F563"],"codepoints_string":"1f563","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["30","8","8:30","clock","eight","eight-thirty","thirty","time"]},
+  {"emoji":"🕘","skin_tone_support":false,"name":"nine o’clock","slug":"nine_o_clock","subgroup":"time","codepoints":["1F558"],"codepoints_string":"1f558","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["9","9:00","clock","nine","o’clock","time"]},
+  {"emoji":"🕤","skin_tone_support":false,"name":"nine-thirty","slug":"nine_thirty","subgroup":"time","codepoints":["1F564"],"codepoints_string":"1f564","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["30","9","9:30","clock","nine","nine-thirty","thirty","time"]},
+  {"emoji":"🕙","skin_tone_support":false,"name":"ten o’clock","slug":"ten_o_clock","subgroup":"time","codepoints":["1F559"],"codepoints_string":"1f559","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["0","10","10:00","clock","o’clock","ten"]},
+  {"emoji":"🕥","skin_tone_support":false,"name":"ten-thirty","slug":"ten_thirty","subgroup":"time","codepoints":["1F565"],"codepoints_string":"1f565","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["10","10:30","30","clock","ten","ten-thirty","thirty","time"]},
+  {"emoji":"🕚","skin_tone_support":false,"name":"eleven o’clock","slug":"eleven_o_clock","subgroup":"time","codepoints":["1F55A"],"codepoints_string":"1f55a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["11","11:00","clock","eleven","o’clock","time"]},
+  {"emoji":"🕦","skin_tone_support":false,"name":"eleven-thirty","slug":"eleven_thirty","subgroup":"time","codepoints":["1F566"],"codepoints_string":"1f566","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["11","11:30","30","clock","eleven","eleven-thirty","thirty","time"]},
+  {"emoji":"🌑","skin_tone_support":false,"name":"new moon","slug":"new_moon","subgroup":"sky & weather","codepoints":["1F311"],"codepoints_string":"1f311","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["dark","moon","new","space"]},
+  {"emoji":"🌒","skin_tone_support":false,"name":"waxing crescent moon","slug":"waxing_crescent_moon","subgroup":"sky & weather","codepoints":["1F312"],"codepoints_string":"1f312","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["crescent","dreams","moon","space","waxing"]},
+  {"emoji":"🌓","skin_tone_support":false,"name":"first quarter moon","slug":"first_quarter_moon","subgroup":"sky & weather","codepoints":["1F313"],"codepoints_string":"1f313","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["first","moon","quarter","space"]},
+  {"emoji":"🌔","skin_tone_support":false,"name":"waxing gibbous moon","slug":"waxing_gibbous_moon","subgroup":"sky & weather","codepoints":["1F314"],"codepoints_string":"1f314","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["gibbous","moon","space","waxing"]},
+  {"emoji":"🌕","skin_tone_support":false,"name":"full moon","slug":"full_moon","subgroup":"sky & weather","codepoints":["1F315"],"codepoints_string":"1f315","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["full","moon","space"]},
+  {"emoji":"🌖","skin_tone_support":false,"name":"waning gibbous moon","slug":"waning_gibbous_moon","subgroup":"sky & weather","codepoints":["1F316"],"codepoints_string":"1f316","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["gibbous","moon","space","waning"]},
+  {"emoji":"🌗","skin_tone_support":false,"name":"last quarter moon","slug":"last_quarter_moon","subgroup":"sky & weather","codepoints":["1F317"],"codepoints_string":"1f317","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["last","moon","quarter","space"]},
+  {"emoji":"🌘","skin_tone_support":false,"name":"waning crescent moon","slug":"waning_crescent_moon","subgroup":"sky & weather","codepoints":["1F318"],"codepoints_string":"1f318","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["crescent","moon","space","waning"]},
+  {"emoji":"🌙","skin_tone_support":false,"name":"crescent moon","slug":"crescent_moon","subgroup":"sky & weather","codepoints":["1F319"],"codepoints_string":"1f319","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["crescent","moon","ramadan","space"]},
+  {"emoji":"🌚","skin_tone_support":false,"name":"new moon face","slug":"new_moon_face","subgroup":"sky & weather","codepoints":["1F31A"],"codepoints_string":"1f31a","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","moon","new","space"]},
+  {"emoji":"🌛","skin_tone_support":false,"name":"first quarter moon face","slug":"first_quarter_moon_face","subgroup":"sky & weather","codepoints":["1F31B"],"codepoints_string":"1f31b","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["face","first","moon","quarter","space"]},
+  {"emoji":"🌜","skin_tone_support":false,"name":"last quarter moon face","slug":"last_quarter_moon_face","subgroup":"sky & weather","codepoints":["1F31C"],"codepoints_string":"1f31c","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["dreams","face","last","moon","quarter"]},
+  {"emoji":"🌡️","skin_tone_support":false,"name":"thermometer","slug":"thermometer","subgroup":"sky & weather","codepoints":["1F321","FE0F"],"codepoints_string":"1f321-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["thermometer","weather"]},
+  {"emoji":"☀️","skin_tone_support":false,"name":"sun","slug":"sun","subgroup":"sky & weather","codepoints":["2600","FE0F"],"codepoints_string":"2600-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["bright","rays","space","sun","sunny","weather"]},
+  {"emoji":"🌝","skin_tone_support":false,"name":"full moon face","slug":"full_moon_face","subgroup":"sky & weather","codepoints":["1F31D"],"codepoints_string":"1f31d","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["bright","face","full","moon"]},
+  {"emoji":"🌞","skin_tone_support":false,"name":"sun with face","slug":"sun_with_face","subgroup":"sky & weather","codepoints":["1F31E"],"codepoints_string":"1f31e","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["beach","bright","day","face","heat","shine","sun","sunny","sunshine","weather"]},
+  {"emoji":"🪐","skin_tone_support":false,"name":"ringed planet","slug":"ringed_planet","subgroup":"sky & weather","codepoints":["1FA90"],"codepoints_string":"1fa90","utf16_length":2,"unicode_version":"12.0","emoji_version":"12.0","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["planet","ringed","saturn","saturnine"]},
+  {"emoji":"⭐","skin_tone_support":false,"name":"star","slug":"star","subgroup":"sky & weather","codepoints":["2B50"],"codepoints_string":"2b50","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["astronomy","medium","star","stars","white"]},
+  {"emoji":"🌟","skin_tone_support":false,"name":"glowing star","slug":"glowing_star","subgroup":"sky & weather","codepoints":["1F31F"],"codepoints_string":"1f31f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["glittery","glow","glowing","night","shining","sparkle","star","win"]},
+  {"emoji":"🌠","skin_tone_support":false,"name":"shooting star","slug":"shooting_star","subgroup":"sky & weather","codepoints":["1F320"],"codepoints_string":"1f320","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["falling","night","shooting","space","star"]},
+  {"emoji":"🌌","skin_tone_support":false,"name":"milky way","slug":"milky_way","subgroup":"sky & weather","codepoints":["1F30C"],"codepoints_string":"1f30c","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["milky","space","way"]},
+  {"emoji":"☁️","skin_tone_support":false,"name":"cloud","slug":"cloud","subgroup":"sky & weather","codepoints":["2601","FE0F"],"codepoints_string":"2601-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cloud","weather"]},
+  {"emoji":"⛅","skin_tone_support":false,"name":"sun behind cloud","slug":"sun_behind_cloud","subgroup":"sky & weather","codepoints":["26C5"],"codepoints_string":"26c5","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["behind","cloud","cloudy","sun","weather"]},
+  {"emoji":"⛈️","skin_tone_support":false,"name":"cloud with lightning and rain","slug":"cloud_with_lightning_and_rain","subgroup":"sky & weather","codepoints":["26C8","FE0F"],"codepoints_string":"26c8-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cloud","lightning","rain","thunder","thunderstorm"]},
+  {"emoji":"🌤️","skin_tone_support":false,"name":"sun behind small cloud","slug":"sun_behind_small_cloud","subgroup":"sky & weather","codepoints":["1F324","FE0F"],"codepoints_string":"1f324-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["behind","cloud","sun","weather"]},
+  {"emoji":"🌥️","skin_tone_support":false,"name":"sun behind large cloud","slug":"sun_behind_large_cloud","subgroup":"sky & weather","codepoints":["1F325","FE0F"],"codepoints_string":"1f325-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["behind","cloud","sun","weather"]},
+  {"emoji":"🌦️","skin_tone_support":false,"name":"sun behind rain cloud","slug":"sun_behind_rain_cloud","subgroup":"sky & weather","codepoints":["1F326","FE0F"],"codepoints_string":"1f326-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["behind","cloud","rain","sun","weather"]},
+  {"emoji":"🌧️","skin_tone_support":false,"name":"cloud with rain","slug":"cloud_with_rain","subgroup":"sky & weather","codepoints":["1F327","FE0F"],"codepoints_string":"1f327-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cloud","rain","weather"]},
+  {"emoji":"🌨️","skin_tone_support":false,"name":"cloud with snow","slug":"cloud_with_snow","subgroup":"sky & weather","codepoints":["1F328","FE0F"],"codepoints_string":"1f328-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cloud","cold","snow","weather"]},
+  {"emoji":"🌩️","skin_tone_support":false,"name":"cloud with lightning","slug":"cloud_with_lightning","subgroup":"sky & weather","codepoints":["1F329","FE0F"],"codepoints_string":"1f329-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cloud","lightning","weather"]},
+  {"emoji":"🌪️","skin_tone_support":false,"name":"tornado","slug":"tornado","subgroup":"sky & weather","codepoints":["1F32A","FE0F"],"codepoints_string":"1f32a-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cloud","tornado","weather","whirlwind"]},
+  {"emoji":"🌫️","skin_tone_support":false,"name":"fog","slug":"fog","subgroup":"sky & weather","codepoints":["1F32B","FE0F"],"codepoints_string":"1f32b-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cloud","fog","weather"]},
+  {"emoji":"🌬️","skin_tone_support":false,"name":"wind face","slug":"wind_face","subgroup":"sky & weather","codepoints":["1F32C","FE0F"],"codepoints_string":"1f32c-fe0f","utf16_length":3,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["blow","cloud","face","wind"]},
+  {"emoji":"🌀","skin_tone_support":false,"name":"cyclone","slug":"cyclone","subgroup":"sky & weather","codepoints":["1F300"],"codepoints_string":"1f300","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cyclone","dizzy","hurricane","twister","typhoon","weather"]},
+  {"emoji":"🌈","skin_tone_support":false,"name":"rainbow","slug":"rainbow","subgroup":"sky & weather","codepoints":["1F308"],"codepoints_string":"1f308","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["gay","genderqueer","glbt","glbtq","lesbian","lgbt","lgbtq","lgbtqia","nature","pride","queer","rain","rainbow","trans","transgender","weather"]},
+  {"emoji":"🌂","skin_tone_support":false,"name":"closed umbrella","slug":"closed_umbrella","subgroup":"sky & weather","codepoints":["1F302"],"codepoints_string":"1f302","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["closed","clothing","rain","umbrella"]},
+  {"emoji":"☂️","skin_tone_support":false,"name":"umbrella","slug":"umbrella","subgroup":"sky & weather","codepoints":["2602","FE0F"],"codepoints_string":"2602-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["clothing","rain","umbrella"]},
+  {"emoji":"☔","skin_tone_support":false,"name":"umbrella with rain drops","slug":"umbrella_with_rain_drops","subgroup":"sky & weather","codepoints":["2614"],"codepoints_string":"2614","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["clothing","drop","drops","rain","umbrella","weather"]},
+  {"emoji":"⛱️","skin_tone_support":false,"name":"umbrella on ground","slug":"umbrella_on_ground","subgroup":"sky & weather","codepoints":["26F1","FE0F"],"codepoints_string":"26f1-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["ground","rain","sun","umbrella"]},
+  {"emoji":"⚡","skin_tone_support":false,"name":"high voltage","slug":"high_voltage","subgroup":"sky & weather","codepoints":["26A1"],"codepoints_string":"26a1","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["danger","electric","electricity","high","lightning","nature","thunder","thunderbolt","voltage","zap"]},
+  {"emoji":"❄️","skin_tone_support":false,"name":"snowflake","slug":"snowflake","subgroup":"sky & weather","codepoints":["2744","FE0F"],"codepoints_string":"2744-fe0f","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cold","snow","snowflake","weather"]},
+  {"emoji":"☃️","skin_tone_support":false,"name":"snowman","slug":"snowman","subgroup":"sky & weather","codepoints":["2603","FE0F"],"codepoints_string":"2603-fe0f","utf16_length":2,"unicode_version":"0.7","emoji_version":"0.7","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cold","man","snow","snowman"]},
+  {"emoji":"⛄","skin_tone_support":false,"name":"snowman without snow","slug":"snowman_without_snow","subgroup":"sky & weather","codepoints":["26C4"],"codepoints_string":"26c4","utf16_length":1,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["cold","man","snow","snowman"]},
+  {"emoji":"☄️","skin_tone_support":false,"name":"comet","slug":"comet","subgroup":"sky & weather","codepoints":["2604","FE0F"],"codepoints_string":"2604-fe0f","utf16_length":2,"unicode_version":"1.0","emoji_version":"1.0","type":"basic_emoji","default_presentation":"text","has_text_variant":true,"modifier_base":false,"extended_pictographic":true,"keywords":["comet","space"]},
+  {"emoji":"🔥","skin_tone_support":false,"name":"fire","slug":"fire","subgroup":"sky & weather","codepoints":["1F525"],"codepoints_string":"1f525","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["af","burn","fire","flame","hot","lit","litaf","tool"]},
+  {"emoji":"💧","skin_tone_support":false,"name":"droplet","slug":"droplet","subgroup":"sky & weather","codepoints":["1F4A7"],"codepoints_string":"1f4a7","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["cold","comic","drop","droplet","nature","sad","sweat","tear","water","weather"]},
+  {"emoji":"🌊","skin_tone_support":false,"name":"water wave","slug":"water_wave","subgroup":"sky & weather","codepoints":["1F30A"],"codepoints_string":"1f30a","utf16_length":2,"unicode_version":"0.6","emoji_version":"0.6","type":"basic_emoji","default_presentation":"emoji","has_text_variant":false,"modifier_base":false,"extended_pictographic":true,"keywords":["nature","ocean","surf","surfer","surfing","water","wave"]}
+]
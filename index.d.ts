@@ -1,22 +1,169 @@
-interface Emoji {
-    name: string;
-    slug: string;
-    emoji_version: string;
-    unicode_version: string;
-    skin_tone_support: boolean;
+// Generated by script/generate-types.js from schema/ and the built data files. Do not edit.
+
+export interface Variant {
+  /** The person form of the family, a data-by-emoji.json key */
+  family: string;
+  gender: 'person' | 'man' | 'woman';
+  /** Hair style from data-emoji-components.json */
+  hair?: 'red_hair' | 'curly_hair' | 'white_hair' | 'bald';
+}
+
+export interface Emoji {
+  /** Unicode CLDR short name, e.g. "grinning face" */
+  name: string;
+  /** The name in snake_case, e.g. "grinning_face" */
+  slug: string;
+  /** Unicode group, e.g. "Smileys & Emotion" */
+  group: string;
+  /** Unicode subgroup, e.g. "face-smiling" */
+  subgroup: string;
+  /** Code points as in the Unicode data, e.g. ["1F646", "200D", "2640", "FE0F"] */
+  codepoints: Array<string>;
+  /** Lowercase, dash-separated code points, e.g. "1f646-200d-2640-fe0f" */
+  codepoints_string: string;
+  /** Length of the emoji in UTF-16 code units */
+  utf16_length: number;
+  /** Emoji version the emoji was added in */
+  emoji_version: string;
+  /** Unicode version the emoji was added in */
+  unicode_version: string;
+  /** The emoji has skin tone variations in data-skin-tone-variants.json */
+  skin_tone_support: boolean;
+  /** Unicode version the skin tone variations were added in */
+  skin_tone_support_unicode_version?: string;
+  /** Kind of sequence, from emoji-sequences.txt and emoji-zwj-sequences.txt */
+  type: 'basic_emoji' | 'keycap_sequence' | 'flag_sequence' | 'tag_sequence' | 'modifier_sequence' | 'zwj_sequence';
+  /** The data-by-emoji.json keys or hair styles a ZWJ sequence is made of */
+  components?: Array<string>;
+  /** How the emoji shows without VARIATION_16 */
+  default_presentation: 'text' | 'emoji';
+  /** The emoji has a text style form with VARIATION_15 */
+  has_text_variant: boolean;
+  /** The emoji has an Emoji_Modifier_Base character */
+  modifier_base: boolean;
+  /** The first character is Extended_Pictographic */
+  extended_pictographic: boolean;
+  /** ISO 3166-1 region code of a country flag, e.g. "JP" */
+  region_code?: string;
+  /** ISO 3166-2 subdivision code of a subdivision flag, e.g. "gb-sct" */
+  subdivision_code?: string;
+  /** The person, man and woman family the emoji belongs to */
+  variant_of?: Variant;
+  /** CLDR keywords, only in builds with --cldr */
+  keywords?: Array<string>;
+}
+
+export interface EmojiEntry extends Emoji {
+  emoji: string;
 }
 
-declare const dataByEmoji: Record<
-  string,
-  Emoji & { group: string }
->;
+export interface Category {
+  /** Unicode group, e.g. "Smileys & Emotion" */
+  name: string;
+  /** The name in snake_case, e.g. "smileys_emotion" */
+  slug: string;
+  emojis: Array<GroupEmoji>;
+}
+
+/** A data-by-emoji.json entry with its emoji instead of its group */
+export interface GroupEmoji {
+  /** The data-by-emoji.json key */
+  emoji: string;
+  /** Unicode CLDR short name, e.g. "grinning face" */
+  name: string;
+  /** The name in snake_case, e.g. "grinning_face" */
+  slug: string;
+  /** Unicode subgroup, e.g. "face-smiling" */
+  subgroup: string;
+  /** Code points as in the Unicode data, e.g. ["1F646", "200D", "2640", "FE0F"] */
+  codepoints: Array<string>;
+  /** Lowercase, dash-separated code points, e.g. "1f646-200d-2640-fe0f" */
+  codepoints_string: string;
+  /** Length of the emoji in UTF-16 code units */
+  utf16_length: number;
+  /** Emoji version the emoji was added in */
+  emoji_version: string;
+  /** Unicode version the emoji was added in */
+  unicode_version: string;
+  /** The emoji has skin tone variations in data-skin-tone-variants.json */
+  skin_tone_support: boolean;
+  /** Unicode version the skin tone variations were added in */
+  skin_tone_support_unicode_version?: string;
+  /** Kind of sequence, from emoji-sequences.txt and emoji-zwj-sequences.txt */
+  type: 'basic_emoji' | 'keycap_sequence' | 'flag_sequence' | 'tag_sequence' | 'modifier_sequence' | 'zwj_sequence';
+  /** The data-by-emoji.json keys or hair styles a ZWJ sequence is made of */
+  components?: Array<string>;
+  /** How the emoji shows without VARIATION_16 */
+  default_presentation: 'text' | 'emoji';
+  /** The emoji has a text style form with VARIATION_15 */
+  has_text_variant: boolean;
+  /** The emoji has an Emoji_Modifier_Base character */
+  modifier_base: boolean;
+  /** The first character is Extended_Pictographic */
+  extended_pictographic: boolean;
+  /** ISO 3166-1 region code of a country flag, e.g. "JP" */
+  region_code?: string;
+  /** ISO 3166-2 subdivision code of a subdivision flag, e.g. "gb-sct" */
+  subdivision_code?: string;
+  /** The person, man and woman family the emoji belongs to */
+  variant_of?: Variant;
+  /** CLDR keywords, only in builds with --cldr */
+  keywords?: Array<string>;
+}
 
-interface Category {
+export interface GroupSummary {
   name: string;
   slug: string;
-  emojis: Array<Emoji & { emoji: string }>
-};
+}
+
+export interface SkinToneVariant {
+  emoji: string;
+  name: string;
+  tones: Array<string>;
+  emoji_version: string;
+  unicode_version: string;
+}
+
+export interface SearchOptions {
+  limit?: number;
+  group?: string;
+  maxVersion?: string;
+}
+
+export interface EmojiToken {
+  emoji: string;
+  index: number;
+  length: number;
+  entry: EmojiEntry;
+}
+
+export interface StrippedEmoji {
+  base: string;
+  tones: Array<string>;
+}
+
+export interface VersionedData {
+  dataByEmoji: Record<string, Emoji>;
+  dataByGroup: Array<Category>;
+  orderedEmoji: Array<string>;
+  skinToneVariants: Record<string, Array<SkinToneVariant>>;
+}
 
-declare const dataByGroup: Array<Category>;
+export declare const dataByEmoji: Record<string, Emoji>;
+export declare const dataByGroup: Array<Category>;
 
-export { dataByEmoji, dataByGroup };
+export declare function getByEmoji(emoji: string): EmojiEntry | null;
+export declare function getBySlug(slug: string): EmojiEntry | null;
+export declare function getGroup(slug: string): Category | null;
+export declare function listGroups(): Array<GroupSummary>;
+export declare function normalize(str: string): string | null;
+export declare function ordered(): Array<string>;
+export declare function components(): Record<string, string>;
+export declare function filterByVersion(maxVersion: string): VersionedData;
+export declare function compareVersions(a: string, b: string): number;
+export declare function search(query: string, options?: SearchOptions): Array<EmojiEntry>;
+export declare function parse(text: string): Array<EmojiToken>;
+export declare function flagForRegion(code: string): string | null;
+export declare function regionForFlag(emoji: string): string | null;
+export declare function applySkinTone(emoji: string, tones: string | Array<string>): string;
+export declare function stripSkinTone(sequence: string): StrippedEmoji | null;
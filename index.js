@@ -0,0 +1,365 @@
+const dataByEmoji = require('./data-by-emoji.json')
+const dataByGroup = require('./data-by-group.json')
+const orderedEmoji = require('./data-ordered-emoji.json')
+const emojiComponents = require('./data-emoji-components.json')
+const qualificationAliases = require('./data-qualification-aliases.json')
+const slugAliases = require('./data-slug-aliases.json')
+const skinToneVariants = require('./data-skin-tone-variants.json')
+const searchIndex = require('./data-search-index.json')
+const emojiRegex = require('./emoji-regex.js')
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key)
+
+// Deep copy of JSON data, so that callers can change what a lookup returns
+// without changing the data every later lookup reads
+function copy(value) {
+  if (Array.isArray(value)) return value.map(copy)
+  if (value === null || typeof value !== 'object') return value
+  const copied = {}
+  for (const key in value) copied[key] = copy(value[key])
+  return copied
+}
+
+// {
+//   "grinning_face": "😀",
+//   ...
+// }
+const emojiBySlug = Object.create(null)
+for (const emoji in dataByEmoji) {
+  emojiBySlug[dataByEmoji[emoji].slug] = emoji
+}
+
+// getByEmoji('👋') -> { emoji: '👋', name: 'waving hand', slug: 'waving_hand', group: 'People & Body', ... }
+// getByEmoji('👋🏻') -> null
+//
+// Returns the data-by-emoji.json entry with its emoji key, or null
+function getByEmoji(emoji) {
+  if (!hasOwn(dataByEmoji, emoji)) return null
+  return copy(Object.assign({emoji}, dataByEmoji[emoji]))
+}
+
+// getBySlug('waving_hand') -> { emoji: '👋', name: 'waving hand', ... }
+// getBySlug('flag_turkey') -> { emoji: '🇹🇷', name: 'flag Türkiye', slug: 'flag_turkiye', ... }
+//
+// Slugs from before a Unicode rename resolve through data-slug-aliases.json
+function getBySlug(slug) {
+  const emoji = emojiBySlug[slug] || (hasOwn(slugAliases, slug) ? slugAliases[slug] : null)
+  return emoji ? getByEmoji(emoji) : null
+}
+
+// getGroup('smileys_emotion') -> { name: 'Smileys & Emotion', slug: 'smileys_emotion', emojis: [...] }
+//
+// Returns a copy of the data-by-group.json group, or null
+function getGroup(slug) {
+  const group = dataByGroup.find(group => group.slug === slug)
+  if (!group) return null
+  return copy(group)
+}
+
+// listGroups() -> [{ name: 'Smileys & Emotion', slug: 'smileys_emotion' }, ...]
+function listGroups() {
+  return dataByGroup.map(({name, slug}) => ({name, slug}))
+}
+
+// normalize('☺') -> '☺️'
+// normalize('❤️') -> '❤️'
+// normalize('hello') -> null
+//
+// Resolves minimally-qualified and unqualified input to its data-by-emoji.json key
+function normalize(str) {
+  if (hasOwn(dataByEmoji, str)) return str
+  if (hasOwn(qualificationAliases, str)) return qualificationAliases[str]
+  return null
+}
+
+// ordered() -> ['😀', '😃', ...]
+function ordered() {
+  return orderedEmoji.slice()
+}
+
+// components() -> { light_skin_tone: '🏻', ..., bald: '🦲' }
+function components() {
+  return Object.assign({}, emojiComponents)
+}
+
+// compareVersions('12.1', '13.0') -> -1
+function compareVersions(a, b) {
+  const [aMajor, aMinor] = a.split('.').map(Number)
+  const [bMajor, bMinor] = b.split('.').map(Number)
+  return Math.sign(aMajor - bMajor || aMinor - bMinor)
+}
+
+// Copy of an entry as it is on a platform that supports up to maxVersion.
+// Skin tones added in a later version than the emoji itself (🤝 is Emoji 3.0,
+// 🤝🏻 is Emoji 14.0) are not supported there yet.
+function capEntry(entry, maxVersion) {
+  const capped = copy(entry)
+  if (capped.skin_tone_support && compareVersions(capped.skin_tone_support_unicode_version, maxVersion) > 0) {
+    capped.skin_tone_support = false
+    delete capped.skin_tone_support_unicode_version
+  }
+  return capped
+}
+
+// filterByVersion('12.1') ->
+// {
+//   dataByEmoji: { '😀': {...}, ... },
+//   dataByGroup: [{ name: 'Smileys & Emotion', slug: 'smileys_emotion', emojis: [...] }, ...],
+//   orderedEmoji: ['😀', ...],
+//   skinToneVariants: { '👋': [{ emoji: '👋🏻', ... }], ... }
+// }
+//
+// The data files without any emoji or skin tone variation newer than maxVersion
+function filterByVersion(maxVersion) {
+  if (!/^\d+\.\d$/.test(maxVersion)) throw new TypeError(`Expected an emoji version like '13.0', got ${maxVersion}`)
+  const isSupported = emoji => compareVersions(dataByEmoji[emoji].emoji_version, maxVersion) <= 0
+
+  const filtered = {dataByEmoji: {}, dataByGroup: [], orderedEmoji: orderedEmoji.filter(isSupported), skinToneVariants: {}}
+  for (const emoji of filtered.orderedEmoji) {
+    filtered.dataByEmoji[emoji] = capEntry(dataByEmoji[emoji], maxVersion)
+  }
+  for (const group of dataByGroup) {
+    const emojis = group.emojis.filter(entry => isSupported(entry.emoji)).map(entry => capEntry(entry, maxVersion))
+    if (emojis.length > 0) filtered.dataByGroup.push(Object.assign({}, group, {emojis}))
+  }
+  for (const emoji in skinToneVariants) {
+    if (!filtered.dataByEmoji[emoji] || !filtered.dataByEmoji[emoji].skin_tone_support) continue
+    filtered.skinToneVariants[emoji] = copy(skinToneVariants[emoji].filter(variant => compareVersions(variant.emoji_version, maxVersion) <= 0))
+  }
+  return filtered
+}
+
+// 'Piñata' -> ['pinata']
+//
+// Splits queries into words the same way the search index was built
+function searchWords(str) {
+  return str.normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+}
+
+// Positions of the emoji with a name word starting with prefix
+function positionsForPrefix(prefix) {
+  const {terms, postings} = searchIndex
+  let low = 0
+  let high = terms.length
+  while (low < high) {
+    const middle = (low + high) >>> 1
+    if (terms[middle] < prefix) low = middle + 1
+    else high = middle
+  }
+
+  const positions = new Set()
+  for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+    for (const position of postings[i]) positions.add(position)
+  }
+  return positions
+}
+
+// {
+//   "Smileys & Emotion": "smileys_emotion",
+//   ...
+// }
+const groupSlugs = {}
+for (const {name, slug} of dataByGroup) {
+  groupSlugs[name] = slug
+}
+
+// Lowercased name, slug and keywords of each emoji for substring matches
+let searchText = null
+
+// search('grin') -> [{ emoji: '😀', name: 'grinning face', ... }, { emoji: '😁', ... }, ...]
+// search('heart', { limit: 5, group: 'smileys_emotion', maxVersion: '12.1' })
+//
+// Exact slug matches come first, then emoji with a name word starting with
+// each word of the query, then emoji with the query anywhere in their name,
+// slug or keywords. Ties keep data-ordered-emoji.json order.
+function search(query, {limit = Infinity, group, maxVersion} = {}) {
+  const text = String(query).trim().toLowerCase()
+  const words = searchWords(text)
+  if (words.length === 0) return []
+
+  const ranks = new Map()
+  const rank = (position, value) => {
+    if (!ranks.has(position) || ranks.get(position) > value) ranks.set(position, value)
+  }
+
+  const slugMatch = emojiBySlug[words.join('_')]
+  if (slugMatch) rank(orderedEmoji.indexOf(slugMatch), 0)
+
+  let prefixMatches = positionsForPrefix(words[0])
+  for (const word of words.slice(1)) {
+    const matches = positionsForPrefix(word)
+    prefixMatches = new Set(Array.from(prefixMatches).filter(position => matches.has(position)))
+  }
+  for (const position of prefixMatches) rank(position, 1)
+
+  if (!searchText) {
+    searchText = orderedEmoji.map(emoji => {
+      const {name, slug, keywords = []} = dataByEmoji[emoji]
+      return [name, slug].concat(keywords).join('\n').toLowerCase()
+    })
+  }
+  searchText.forEach((haystack, position) => {
+    if (haystack.includes(text)) rank(position, 2)
+  })
+
+  const results = []
+  const sorted = Array.from(ranks).sort(([a, aRank], [b, bRank]) => aRank - bRank || a - b)
+  for (const [position] of sorted) {
+    if (results.length >= limit) break
+    const emoji = orderedEmoji[position]
+    const entry = dataByEmoji[emoji]
+    if (group && groupSlugs[entry.group] !== group) continue
+    if (maxVersion && compareVersions(entry.emoji_version, maxVersion) > 0) continue
+    results.push(Object.assign({emoji}, maxVersion ? capEntry(entry, maxVersion) : copy(entry)))
+  }
+  return results
+}
+
+// {
+//   "JP": "🇯🇵",
+//   "GB-SCT": "🏴󠁧󠁢󠁳󠁣󠁴󠁿",
+//   ...
+// }
+const flagsByCode = Object.create(null)
+for (const emoji in dataByEmoji) {
+  const code = dataByEmoji[emoji].region_code || dataByEmoji[emoji].subdivision_code
+  if (code) flagsByCode[code.toUpperCase()] = emoji
+}
+
+// flagForRegion('JP') -> '🇯🇵'
+// flagForRegion('gb-sct') -> '🏴󠁧󠁢󠁳󠁣󠁴󠁿'
+// flagForRegion('XX') -> null
+//
+// Takes an ISO 3166-1 region code or ISO 3166-2 subdivision code, in any case
+function flagForRegion(code) {
+  const flag = flagsByCode[String(code).toUpperCase()]
+  return flag || null
+}
+
+// regionForFlag('🇯🇵') -> 'JP'
+// regionForFlag('🏴󠁧󠁢󠁳󠁣󠁴󠁿') -> 'gb-sct'
+// regionForFlag('🏁') -> null
+function regionForFlag(emoji) {
+  if (!hasOwn(dataByEmoji, emoji)) return null
+  return dataByEmoji[emoji].region_code || dataByEmoji[emoji].subdivision_code || null
+}
+
+const VARIATION_16 = String.fromCodePoint(0xfe0f)
+const withoutVariation16 = emoji => emoji.split(VARIATION_16).join('')
+
+// Every sequence emoji-regex.js matches is an entry or one of its skin tone
+// variations, with or without VARIATION_16
+//
+// {
+//   "🙆‍♀": "🙆‍♀️",
+//   "👋🏻": "👋",
+//   ...
+// }
+let baseEmoji = null
+
+// parse('Hi 👋🏽!') -> [{ emoji: '👋🏽', index: 3, length: 4, entry: { emoji: '👋', name: 'waving hand', ... } }]
+//
+// Finds every emoji in text. index and length are in UTF-16 code units, like
+// String.prototype.slice, and entry is the data-by-emoji.json entry the emoji
+// is a form of.
+function parse(text) {
+  if (!baseEmoji) {
+    baseEmoji = Object.create(null)
+    for (const emoji in dataByEmoji) {
+      baseEmoji[withoutVariation16(emoji)] = emoji
+      for (const variant of skinToneVariants[emoji] || []) baseEmoji[withoutVariation16(variant.emoji)] = emoji
+    }
+  }
+
+  return Array.from(String(text).matchAll(emojiRegex()), match => ({
+    emoji: match[0],
+    index: match.index,
+    length: match[0].length,
+    entry: getByEmoji(baseEmoji[withoutVariation16(match[0])])
+  }))
+}
+
+// {
+//   "👋🏻": { base: "👋", tones: ["light_skin_tone"] },
+//   "🧑🏻‍🤝‍🧑🏿": { base: "🧑‍🤝‍🧑", tones: ["light_skin_tone", "dark_skin_tone"] },
+//   ...
+// }
+let tonedEmoji = null
+
+// stripSkinTone('👋🏽') -> { base: '👋', tones: ['medium_skin_tone'] }
+// stripSkinTone('🧑🏻‍🤝‍🧑🏿') -> { base: '🧑‍🤝‍🧑', tones: ['light_skin_tone', 'dark_skin_tone'] }
+// stripSkinTone('☺') -> { base: '☺️', tones: [] }
+// stripSkinTone('hello') -> null
+//
+// Splits a skin tone variation into its data-by-emoji.json key and the names
+// of its skin tones, in the order they appear in the sequence
+function stripSkinTone(sequence) {
+  if (!tonedEmoji) {
+    tonedEmoji = Object.create(null)
+    for (const emoji in skinToneVariants) {
+      for (const variant of skinToneVariants[emoji]) {
+        tonedEmoji[withoutVariation16(variant.emoji)] = {base: emoji, tones: variant.tones}
+      }
+    }
+  }
+
+  const toned = tonedEmoji[withoutVariation16(String(sequence))]
+  if (toned) return {base: toned.base, tones: toned.tones.slice()}
+  const base = normalize(sequence)
+  return base ? {base, tones: []} : null
+}
+
+// applySkinTone('👋', 'medium_skin_tone') -> '👋🏽'
+// applySkinTone('🧑‍🤝‍🧑', ['light_skin_tone', 'dark_skin_tone']) -> '🧑🏻‍🤝‍🧑🏿'
+// applySkinTone('💏', 'dark_skin_tone') -> '💏🏿'
+// applySkinTone('😀', 'dark_skin_tone') -> TypeError
+//
+// Returns the RGI skin tone variation with the modifiers in the right places.
+// Emoji with a skin tone already get the new one instead. One tone on emoji
+// with two people, like 🧑‍🤝‍🧑, applies to both of them.
+function applySkinTone(emoji, tones) {
+  const stripped = stripSkinTone(emoji)
+  if (!stripped) throw new TypeError(`${emoji} is not an emoji`)
+  const {base} = stripped
+  const names = [].concat(tones)
+  for (const name of names) {
+    if (!/_skin_tone$/.test(name) || !hasOwn(emojiComponents, name)) throw new TypeError(`Unknown skin tone ${name}`)
+  }
+  if (names.length === 0) return base
+  if (!dataByEmoji[base].skin_tone_support) throw new TypeError(`${base} does not support skin tones`)
+
+  const candidates = [names.join()]
+  if (names.length === 1) candidates.push([names[0], names[0]].join())
+  if (names.length === 2 && names[0] === names[1]) candidates.push(names[0])
+  for (const candidate of candidates) {
+    const variant = skinToneVariants[base].find(variant => variant.tones.join() === candidate)
+    if (variant) return variant.emoji
+  }
+  throw new TypeError(`${base} has no skin tone variation for ${names.join(', ')}`)
+}
+
+// dataByEmoji and dataByGroup are the data every lookup reads, not copies.
+// Treat them as read-only: the functions return copies that can be changed.
+module.exports = {
+  dataByEmoji,
+  dataByGroup,
+  getByEmoji,
+  getBySlug,
+  getGroup,
+  listGroups,
+  normalize,
+  ordered,
+  components,
+  filterByVersion,
+  compareVersions,
+  search,
+  parse,
+  flagForRegion,
+  regionForFlag,
+  applySkinTone,
+  stripSkinTone
+}
@@ -0,0 +1,29 @@
+// ES module entry point, with the same exports as index.js
+//
+// import {getByEmoji, search} from 'unicode-emoji-json'
+//
+// For a single group of emoji without the rest of the data, import
+// 'unicode-emoji-json/groups/<slug>' instead.
+import emoji from './index.js'
+
+export const {
+  dataByEmoji,
+  dataByGroup,
+  getByEmoji,
+  getBySlug,
+  getGroup,
+  listGroups,
+  normalize,
+  ordered,
+  components,
+  filterByVersion,
+  compareVersions,
+  search,
+  parse,
+  flagForRegion,
+  regionForFlag,
+  applySkinTone,
+  stripSkinTone
+} = emoji
+
+export default emoji
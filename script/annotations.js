@@ -0,0 +1,140 @@
+const fs = require('fs')
+const path = require('path')
+
+// Reads CLDR emoji annotations, laid out like the common/ directory of a CLDR
+// release:
+//
+// cldr/
+//   annotations/de.xml
+//   annotationsDerived/de.xml
+//   ...
+
+const VARIATION_16 = String.fromCodePoint(0xfe0f)
+const withoutVariation16 = emoji => emoji.split(VARIATION_16).join('')
+
+// <annotation cp="😀">face | grin | grinning face</annotation>
+// <annotation cp="😀" type="tts">grinning face</annotation>
+//             |1-------------|  |2----------|
+//
+const ANNOTATION_REGEX = /<annotation\s(?<attributes>[^>]*)>(?<text>[^<]*)<\/annotation>/g
+const ATTRIBUTE_REGEX = /(?<key>\w+)="(?<value>[^"]*)"/g
+
+const ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: "'"}
+const unescape = text => text.replace(/&(amp|lt|gt|quot|apos);/g, (_, entity) => ENTITIES[entity])
+
+// {
+//   "😀": { "name": "grinning face", "keywords": ["cheerful", "cheery", "face", ...] },
+//   ...
+// }
+function parseAnnotations(xml) {
+  const annotations = {}
+  for (const {groups} of xml.matchAll(ANNOTATION_REGEX)) {
+    const attributes = {}
+    for (const attribute of groups.attributes.matchAll(ATTRIBUTE_REGEX)) {
+      attributes[attribute.groups.key] = unescape(attribute.groups.value)
+    }
+    const text = unescape(groups.text).trim()
+    // ↑↑↑ means the value is inherited from the parent locale
+    if (!attributes.cp || text === '↑↑↑') continue
+
+    const annotation = annotations[attributes.cp] || (annotations[attributes.cp] = {})
+    if (attributes.type === 'tts') {
+      annotation.name = text
+    } else {
+      annotation.keywords = text.split('|').map(keyword => keyword.trim()).filter(Boolean)
+    }
+  }
+  return annotations
+}
+
+// listLocales('cldr') -> ['af', 'am', ..., 'de', 'de_CH', ...]
+function listLocales(dir) {
+  return fs.readdirSync(path.join(dir, 'annotations'))
+    .filter(file => file.endsWith('.xml'))
+    .map(file => file.slice(0, -'.xml'.length))
+    .sort()
+}
+
+// Parents that are not the locale with its last subtag dropped, from the
+// parentLocales of CLDR's supplementalData.xml. 'root' ends the chain, for
+// locales in another script than their language usually is: Traditional
+// Chinese must not inherit Simplified Chinese names from zh.
+const PARENT_LOCALES = {
+  az_Arab: 'root',
+  az_Cyrl: 'root',
+  bs_Cyrl: 'root',
+  ff_Adlm: 'root',
+  ff_Arab: 'root',
+  ha_Arab: 'root',
+  kk_Arab: 'root',
+  ks_Deva: 'root',
+  pa_Arab: 'root',
+  sd_Deva: 'root',
+  shi_Latn: 'root',
+  sr_Latn: 'root',
+  uz_Arab: 'root',
+  uz_Cyrl: 'root',
+  vai_Latn: 'root',
+  yue_Hans: 'root',
+  zh_Hant: 'root',
+  zh_Hant_MO: 'zh_Hant_HK',
+  hi_Latn: 'en_IN',
+  en_AU: 'en_001',
+  en_CA: 'en_001',
+  en_GB: 'en_001',
+  en_IN: 'en_001',
+  es_MX: 'es_419',
+  es_US: 'es_419'
+}
+
+// localeChain('de_CH') -> ['de', 'de_CH']
+// localeChain('zh_Hant_HK') -> ['zh_Hant', 'zh_Hant_HK']
+// localeChain('en_GB') -> ['en', 'en_001', 'en_GB']
+//
+// A locale and its parents, most general first
+function localeChain(locale) {
+  const chain = []
+  for (let name = locale; name && name !== 'root';) {
+    chain.unshift(name)
+    name = PARENT_LOCALES[name] || name.split('_').slice(0, -1).join('_')
+  }
+  return chain
+}
+
+// Annotations for a locale, on top of those of its parent locales
+// (de_CH -> de) and with annotationsDerived for sequences like 👋🏻 and 🇯🇵
+function readAnnotations(dir, locale) {
+  const annotations = {}
+  for (const name of localeChain(locale)) {
+    for (const subdir of ['annotations', 'annotationsDerived']) {
+      const file = path.join(dir, subdir, `${name}.xml`)
+      if (!fs.existsSync(file)) continue
+      const parsed = parseAnnotations(fs.readFileSync(file, 'utf-8'))
+      for (const cp in parsed) {
+        annotations[cp] = Object.assign(annotations[cp] || {}, parsed[cp])
+      }
+    }
+  }
+  if (Object.keys(annotations).length === 0) throw `No CLDR annotations found for ${locale} in ${dir}`
+  return annotations
+}
+
+// CLDR removes VARIATION_16 from annotations, so '☺️' is found as '☺'
+//
+// annotate({ '☺️': {...} }, annotations) -> { '☺️': { name: 'smiling face', keywords: [...] } }
+function annotate(dataByEmoji, annotations) {
+  const byUnqualified = {}
+  for (const cp in annotations) {
+    const key = withoutVariation16(cp)
+    if (!byUnqualified[key]) byUnqualified[key] = annotations[cp]
+  }
+
+  const annotated = {}
+  for (const emoji in dataByEmoji) {
+    const annotation = annotations[emoji] || byUnqualified[withoutVariation16(emoji)]
+    if (annotation) annotated[emoji] = {name: annotation.name, keywords: annotation.keywords || []}
+  }
+  return annotated
+}
+
+module.exports = {annotate, listLocales, localeChain, parseAnnotations, readAnnotations}
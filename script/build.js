@@ -1,14 +1,17 @@
 const fs = require('fs')
-const orderedEmojiData = fs.readFileSync('./emoji-order.txt', 'utf-8')
-const groupedEmojiData = fs.readFileSync('./emoji-group.txt', 'utf-8')
+const path = require('path')
+const {parseArgs} = require('util')
+const {annotate, readAnnotations} = require('./annotations')
+const {addSequenceTypes} = require('./sequences')
+const {addProperties} = require('./properties')
+const {addFlagCodes} = require('./flags')
+const {addVariants} = require('./variants')
+const {encode} = require('./compact')
+const {buildTables} = require('./tables')
+const {ucdVersion} = require('./download-unicode-data')
 const VARIATION_16 = String.fromCodePoint(0xfe0f)
 const SKIN_TONE_VARIATION_DESC = /\sskin\stone(?:,|$)/
-
-// Final data holder
-const orderedEmoji = []
-const dataByEmoji = {}
-const dataByGroup = []
-const emojiComponents = {}
+const SKIN_TONE_MODIFIER = /[\u{1F3FB}-\u{1F3FF}]/gu
 
 // The group data tells if the emoji is one of the following:
 //   component
@@ -16,45 +19,202 @@ const emojiComponents = {}
 //   minimally-qualified
 //   unqualified
 //
-// We only want fully-qualified emoji in the output data
+// We only want fully-qualified emoji in the output data. Minimally-qualified
+// and unqualified forms are kept as aliases pointing to the fully-qualified
+// emoji they follow, matched by dropping VARIATION_16.
 
 // # group: Smileys & Emotion
 //          |1--------------|
 //
 const GROUP_REGEX = /^#\sgroup:\s(?<name>.+)/
 
+// # subgroup: face-smiling
+//             |1----------|
+//
+const SUBGROUP_REGEX = /^#\ssubgroup:\s(?<name>.+)/
+
 // 1F646 200D 2640 FE0F                       ; fully-qualified     # 🙆‍♀️ E4.0 woman gesturing OK
-//                                              |1------------|      |2--||3-| |4---------------|
+// |1-----------------|                         |2------------|      |3--||4-| |5---------------|
 // 1F469 200D 1F469 200D 1F467 200D 1F467     ; fully-qualified     # 👩‍👩‍👧‍👧 E2.0 family: woman, woman, girl, girl
-//                                              |1------------|      |2-| |3| |4-----------------------------|
+// |1------------------------------------|      |2------------|      |3-| |4| |5-----------------------------|
 //
-const EMOJI_REGEX = /^[^#]+;\s(?<type>[\w-]+)\s+#\s(?<emoji>\S+)\sE(?<emojiversion>\d+\.\d)\s(?<desc>.+)/
-let currentGroup = null
-
-groupedEmojiData.split('\n').forEach(line => {
-  const groupMatch = line.match(GROUP_REGEX)
-  if (groupMatch) {
-    currentGroup = groupMatch.groups.name
-  } else {
-    const emojiMatch = line.match(EMOJI_REGEX)
-    if (emojiMatch) {
-      const {groups: {type, emoji, desc, emojiversion}} = emojiMatch
-      if (type === 'fully-qualified') {
-        if (line.match(SKIN_TONE_VARIATION_DESC)) return
-        dataByEmoji[emoji] = {
-          name: null,
-          slug: null,
-          group: currentGroup,
-          emoji_version: emojiversion,
-          unicode_version: null,
-          skin_tone_support: null
+const EMOJI_REGEX = /^(?<codepoints>[0-9A-F]+(?:\s[0-9A-F]+)*)\s*;\s(?<type>[\w-]+)\s+#\s(?<emoji>\S+)\sE(?<emojiversion>\d+\.\d)\s(?<desc>.+)/
+
+// U+1F44B ; 6.0 # 👋 waving hand
+//          |1--| |2-|3----------|
+//
+// U+1F442 U+1F3FB ; 8.0 # 👂🏻 ear: light skin tone
+//                  |1--| |2-|3--||4--------------|
+//
+// U+1F469 U+200D U+1F467 U+200D U+1F467 ; 6.0 # 👩‍👧‍👧 family: woman, girl, girl
+//                                        |1--| |2-|3-----||4----------------|
+//
+const ORDERED_EMOJI_REGEX = /.+\s;\s(?<version>[0-9.]+)\s#\s(?<emoji>\S+)\s(?<name>[^:]+)(?::\s)?(?<desc>.+)?/
+
+// Parses emoji-test.txt (emoji-group.txt) and emoji-ordering.txt (emoji-order.txt)
+// into every output data structure
+function parse(groupedEmojiData, orderedEmojiData) {
+  // Final data holder
+  const orderedEmoji = []
+  const dataByEmoji = {}
+  const dataByGroup = []
+  const dataBySubgroup = []
+  const emojiComponents = {}
+  const qualificationAliases = {}
+  const skinToneVariants = {}
+
+  let currentGroup = null
+  let currentSubgroup = null
+
+  // {
+  //   "☺": "☺️",
+  //   ...
+  // }
+  const fullyQualifiedEmoji = {}
+  let currentBaseEmoji = null
+  const withoutVariation16 = emoji => emoji.split(VARIATION_16).join('')
+
+  groupedEmojiData.split('\n').forEach(line => {
+    const groupMatch = line.match(GROUP_REGEX)
+    if (groupMatch) {
+      currentGroup = groupMatch.groups.name
+      currentSubgroup = null
+    } else if (line.match(SUBGROUP_REGEX)) {
+      currentSubgroup = line.match(SUBGROUP_REGEX).groups.name
+    } else {
+      const emojiMatch = line.match(EMOJI_REGEX)
+      if (emojiMatch) {
+        const {groups: {codepoints, type, emoji, desc, emojiversion}} = emojiMatch
+        if (type === 'fully-qualified') {
+          // Skin tone variations follow the emoji they are based on
+          if (line.match(SKIN_TONE_VARIATION_DESC)) {
+            skinToneVariants[currentBaseEmoji] = skinToneVariants[currentBaseEmoji] || []
+            skinToneVariants[currentBaseEmoji].push({
+              emoji,
+              name: desc.replace(': ', ' '),
+              tones: null,
+              emoji_version: emojiversion,
+              unicode_version: null
+            })
+            return
+          }
+          const sequence = codepoints.split(' ')
+          if (String.fromCodePoint(...sequence.map(hex => parseInt(hex, 16))) !== emoji) {
+            throw `${emoji} does not match its code points ${codepoints} in emoji-group.txt`
+          }
+          dataByEmoji[emoji] = {
+            name: null,
+            slug: null,
+            group: currentGroup,
+            subgroup: currentSubgroup,
+            codepoints: sequence,
+            codepoints_string: sequence.join('-').toLowerCase(),
+            utf16_length: emoji.length,
+            emoji_version: emojiversion,
+            unicode_version: null,
+            skin_tone_support: null
+          }
+          fullyQualifiedEmoji[withoutVariation16(emoji)] = emoji
+          currentBaseEmoji = emoji
+        } else if (type === 'minimally-qualified' || type === 'unqualified') {
+          if (line.match(SKIN_TONE_VARIATION_DESC)) return
+          const qualified = fullyQualifiedEmoji[withoutVariation16(emoji)]
+          if (!qualified) throw `${emoji} ${type} entry has no fully-qualified form in emoji-group.txt`
+          qualificationAliases[emoji] = qualified
+        } else if (type === 'component') {
+          emojiComponents[slugify(desc)] = emoji
         }
-      } else if (type === 'component') {
-        emojiComponents[slugify(desc)] = emoji
       }
     }
+  })
+
+  // Components are listed after the emoji that use them, so tones are named last
+  //
+  // '🧑🏻‍🤝‍🧑🏿' -> ['light_skin_tone', 'dark_skin_tone']
+  const componentSlugs = {}
+  for (const slug in emojiComponents) componentSlugs[emojiComponents[slug]] = slug
+  for (const emoji in skinToneVariants) {
+    for (const variant of skinToneVariants[emoji]) {
+      variant.tones = variant.emoji.match(SKIN_TONE_MODIFIER).map(tone => componentSlugs[tone])
+    }
   }
-})
+
+  let currentEmoji = null
+
+  orderedEmojiData.split('\n').forEach(line => {
+    if (line.length === 0) return
+    const match = line.match(ORDERED_EMOJI_REGEX)
+    if (!match) return
+
+    const {groups: {version, emoji, name, desc}} = match
+    const isSkinToneVariation = desc && !!desc.match(SKIN_TONE_VARIATION_DESC)
+    const fullName = desc && !isSkinToneVariation ? [name, desc].join(' ') : name
+    if (isSkinToneVariation) {
+      const variant = (skinToneVariants[currentEmoji] || []).find(variant => withoutVariation16(variant.emoji) === withoutVariation16(emoji))
+      if (!variant) throw `${emoji} skin tone variation from emoji-order.txt not found for ${currentEmoji} in emoji-group.txt`
+      variant.unicode_version = version
+      dataByEmoji[currentEmoji].skin_tone_support = true
+      dataByEmoji[currentEmoji].skin_tone_support_unicode_version = version
+    } else {
+      // Ordered data lists some emoji without VARIATION_16 (smiling_face)
+      const qualifiedEmoji = dataByEmoji[emoji] ? emoji : qualificationAliases[emoji]
+      if (!qualifiedEmoji) {
+        if (Object.values(emojiComponents).includes(emoji)) return
+        throw `${emoji} entry from emoji-order.txt match not found in emoji-group.txt`
+      }
+      currentEmoji = qualifiedEmoji
+      orderedEmoji.push(currentEmoji)
+      dataByEmoji[currentEmoji].name = fullName
+      dataByEmoji[currentEmoji].slug = slugify(fullName)
+      dataByEmoji[currentEmoji].unicode_version = version
+      dataByEmoji[currentEmoji].skin_tone_support = false
+    }
+  })
+
+  for (const emoji of orderedEmoji) {
+    const {group, subgroup, codepoints, codepoints_string, utf16_length, skin_tone_support, skin_tone_support_unicode_version, name, slug, emoji_version, unicode_version} = dataByEmoji[emoji]
+    let groupIndex = dataByGroup.findIndex((element) => element.name === group)
+    if (groupIndex === - 1) {
+      dataByGroup.push({ name: group, slug: slugify(group), emojis: [] })
+      groupIndex = dataByGroup.findIndex((element) => element.name === group)
+    }
+    dataByGroup[groupIndex].emojis.push({
+      emoji,
+      skin_tone_support,
+      skin_tone_support_unicode_version,
+      name,
+      slug,
+      subgroup,
+      codepoints,
+      codepoints_string,
+      utf16_length,
+      unicode_version,
+      emoji_version
+    })
+
+    let groupEntry = dataBySubgroup.find((element) => element.name === group)
+    if (!groupEntry) {
+      groupEntry = { name: group, slug: slugify(group), subgroups: [] }
+      dataBySubgroup.push(groupEntry)
+    }
+    let subgroupEntry = groupEntry.subgroups.find((element) => element.name === subgroup)
+    if (!subgroupEntry) {
+      subgroupEntry = { name: subgroup, slug: slugify(subgroup), emojis: [] }
+      groupEntry.subgroups.push(subgroupEntry)
+    }
+    subgroupEntry.emojis.push(emoji)
+  }
+
+  return {
+    orderedEmoji,
+    dataByEmoji,
+    dataByGroup,
+    dataBySubgroup,
+    emojiComponents,
+    qualificationAliases,
+    skinToneVariants
+  }
+}
 
 
 // 'flag: St. Kitts & Nevis' -> 'flag_st_kitts_nevis'
@@ -81,101 +241,483 @@ function slugify(str) {
     .replace(/[\W|_]+/g, '_').toLowerCase()
 }
 
-// U+1F44B ; 6.0 # 👋 waving hand
-//          |1--| |2-|3----------|
-//
-// U+1F442 U+1F3FB ; 8.0 # 👂🏻 ear: light skin tone
-//                  |1--| |2-|3--||4--------------|
+// Throws when two emoji get the same slug, e.g. when slugify() drops the
+// parentheses that tell their names apart
+function checkSlugs(dataByEmoji) {
+  const emojiBySlug = {}
+  for (const emoji in dataByEmoji) {
+    const {slug} = dataByEmoji[emoji]
+    if (emojiBySlug[slug]) throw `Slug ${slug} is used by both ${emojiBySlug[slug]} ${dataByEmoji[emojiBySlug[slug]].name} and ${emoji} ${dataByEmoji[emoji].name}, update slugify()`
+    emojiBySlug[slug] = emoji
+  }
+}
+
+// updateSlugAliases(data, {'😀': {slug: 'grinning', ...}}, {}) -> {grinning: '😀'}
 //
-// U+1F469 U+200D U+1F467 U+200D U+1F467 ; 6.0 # 👩‍👧‍👧 family: woman, girl, girl
-//                                        |1--| |2-|3-----||4----------------|
+// Keeps every slug an emoji had in a previous build working after Unicode
+// renames it: the slugs in the previous data-by-emoji.json and its
+// data-slug-aliases.json that are not current slugs are mapped to their emoji.
+// Emoji that are not in this build are left out, and so are slugs an emoji
+// has been renamed back to, and slugs the previous build gave to several
+// emoji (like 'keycap_' for both #️⃣ and *️⃣), which cannot be resolved.
+// Throws when a retired slug now belongs to another emoji, since stored slugs
+// would silently change meaning.
+function updateSlugAliases({dataByEmoji, qualificationAliases}, previousDataByEmoji = {}, previousAliases = {}) {
+  const emojiBySlug = {}
+  for (const emoji in dataByEmoji) emojiBySlug[dataByEmoji[emoji].slug] = emoji
+
+  const previousSlugCounts = {}
+  for (const emoji in previousDataByEmoji) {
+    const {slug} = previousDataByEmoji[emoji]
+    previousSlugCounts[slug] = (previousSlugCounts[slug] || 0) + 1
+  }
+
+  const aliases = {}
+  const add = (slug, previousEmoji) => {
+    const emoji = dataByEmoji[previousEmoji] ? previousEmoji : qualificationAliases[previousEmoji]
+    if (!emoji || emojiBySlug[slug] === emoji) return
+    if (emojiBySlug[slug]) throw `Retired slug ${slug} of ${emoji} is now the slug of ${emojiBySlug[slug]}, remove it from data-slug-aliases.json if that is intended`
+    if (aliases[slug] && aliases[slug] !== emoji) throw `Retired slug ${slug} belonged to both ${aliases[slug]} and ${emoji}`
+    aliases[slug] = emoji
+  }
+  for (const slug in previousAliases) add(slug, previousAliases[slug])
+  for (const emoji in previousDataByEmoji) {
+    const {slug} = previousDataByEmoji[emoji]
+    if (slug && previousSlugCounts[slug] === 1) add(slug, emoji)
+  }
+
+  const sorted = {}
+  for (const slug of Object.keys(aliases).sort()) sorted[slug] = aliases[slug]
+  return sorted
+}
+
+// Reads the data-by-emoji.json and data-slug-aliases.json of a previous build
+// in dir, if there is one
+function readPreviousSlugs(dir) {
+  const readJSON = file => fs.existsSync(path.join(dir, file)) ? JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')) : {}
+  return {previousDataByEmoji: readJSON('data-by-emoji.json'), previousAliases: readJSON('data-slug-aliases.json')}
+}
+
+// 'flag: St. Kitts & Nevis' -> ['flag', 'st', 'kitts', 'nevis']
+// 'piñata' -> ['pinata']
 //
-const ORDERED_EMOJI_REGEX = /.+\s;\s(?<version>[0-9.]+)\s#\s(?<emoji>\S+)\s(?<name>[^:]+)(?::\s)?(?<desc>.+)?/
+// Splits names into search words the same way search() in index.js splits queries
+function searchWords(str) {
+  return str.normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+}
 
-let currentEmoji = null
-
-orderedEmojiData.split('\n').forEach(line => {
-  if (line.length === 0) return
-  const match = line.match(ORDERED_EMOJI_REGEX)
-  if (!match) return
-
-  const {groups: {version, emoji, name, desc}} = match
-  const isSkinToneVariation = desc && !!desc.match(SKIN_TONE_VARIATION_DESC)
-  const fullName = desc && !isSkinToneVariation ? [name, desc].join(' ') : name
-  if (isSkinToneVariation) {
-    dataByEmoji[currentEmoji].skin_tone_support = true
-    dataByEmoji[currentEmoji].skin_tone_support_unicode_version = version
-  } else {
-    // Workaround for ordered data missing VARIATION_16 (smiling_face)
-    emojiWithOptionalVariation16 = dataByEmoji[emoji] ? emoji : emoji + VARIATION_16
-    const emojiEntry = dataByEmoji[emojiWithOptionalVariation16]
-    if (!emojiEntry) {
-      if (Object.values(emojiComponents).includes(emoji)) return
-      throw `${emoji} entry from emoji-order.txt match not found in emoji-group.txt`
+// Every word in every name, sorted so that search() can find the words
+// starting with a prefix by binary search, with the positions in
+// data-ordered-emoji.json of the emoji whose name has that word
+function buildSearchIndex(orderedEmoji, dataByEmoji) {
+  const postingsByTerm = new Map()
+  orderedEmoji.forEach((emoji, position) => {
+    for (const word of new Set(searchWords(dataByEmoji[emoji].name))) {
+      if (!postingsByTerm.has(word)) postingsByTerm.set(word, [])
+      postingsByTerm.get(word).push(position)
     }
-    currentEmoji = emojiWithOptionalVariation16
-    orderedEmoji.push(currentEmoji)
-    dataByEmoji[currentEmoji].name = fullName
-    dataByEmoji[currentEmoji].slug = slugify(fullName)
-    dataByEmoji[currentEmoji].unicode_version = version
-    dataByEmoji[currentEmoji].skin_tone_support = false
-  }
-})
-
-for (const emoji of orderedEmoji) {
-  const {group, skin_tone_support, skin_tone_support_unicode_version, name, slug, emoji_version, unicode_version} = dataByEmoji[emoji]
-  let groupIndex = dataByGroup.findIndex((element) => element.name === group)
-  if (groupIndex === - 1) {
-    dataByGroup.push({ name: group, slug: slugify(group), emojis: [] })
-    groupIndex = dataByGroup.findIndex((element) => element.name === group)
-  }
-  dataByGroup[groupIndex].emojis.push({
-    emoji,
-    skin_tone_support,
-    skin_tone_support_unicode_version,
-    name,
-    slug,
-    unicode_version,
-    emoji_version
   })
+
+  const terms = Array.from(postingsByTerm.keys()).sort()
+  return {terms, postings: terms.map(term => postingsByTerm.get(term))}
 }
 
-// {
-//   "😀": {
-//     "group": "Smileys & Emotion",
-//     "name": "grinning face",
-//     "slug": "grinning_face",
-//     "version": "6.1",
-//     "skin_tone_support": false
-//   },
-//   ...
-// }
-fs.writeFileSync('data-by-emoji.json', JSON.stringify(dataByEmoji, null, 2))
+// Every sequence parse() in index.js should find: fully-qualified emoji and
+// skin tone variations, with VARIATION_16 left out anywhere, which covers the
+// minimally-qualified and unqualified forms
+//
+// '🙆‍♀️' -> ['🙆‍♀️', '🙆‍♀']
+function matchableEmoji({dataByEmoji, skinToneVariants}) {
+  const sequences = new Set()
+  const addWithoutVariation16 = (prefix, rest) => {
+    if (rest.length === 0) return sequences.add(prefix)
+    const [head, ...tail] = rest
+    addWithoutVariation16(prefix + head, tail)
+    if (head === VARIATION_16) addWithoutVariation16(prefix, tail)
+  }
 
-// {
-//   "Smileys & Emotion": [
-//     {
-//       "emoji": "😀",
-//       "skin_tone_support": false,
-//       "name": "grinning face",
-//       "slug": "grinning_face",
-//       "version": "6.1"
-//     },
-//   ],
-//   ...
-// }
-fs.writeFileSync('data-by-group.json', JSON.stringify(dataByGroup, null, 2))
+  for (const emoji in dataByEmoji) {
+    addWithoutVariation16('', Array.from(emoji))
+    for (const variant of skinToneVariants[emoji] || []) addWithoutVariation16('', Array.from(variant.emoji))
+  }
+  return Array.from(sequences)
+}
 
-// [
-//   "😀",
-//   "😃",
-//   ...
-// ]
-fs.writeFileSync('data-ordered-emoji.json', JSON.stringify(orderedEmoji, null, 2))
+// '\u{1F44B}', '[\u{1F3FB}-\u{1F3FF}]'
+const escapeCodePoint = codePoint => `\\u{${codePoint.toString(16).toUpperCase()}}`
+function characterClass(codePoints) {
+  const ranges = []
+  for (const codePoint of codePoints) {
+    const last = ranges[ranges.length - 1]
+    if (last && last[1] === codePoint - 1) last[1] = codePoint
+    else ranges.push([codePoint, codePoint])
+  }
+  const body = ranges.map(([from, to]) => {
+    if (from === to) return escapeCodePoint(from)
+    return `${escapeCodePoint(from)}${to === from + 1 ? '' : '-'}${escapeCodePoint(to)}`
+  }).join('')
+  return codePoints.length === 1 ? body : `[${body}]`
+}
+
+// Source of a regex matching any of the sequences, built from a trie of their
+// code points so that each position in the text only tries the branches that
+// can match, and the longest sequence wins:
+//
+// ['👋', '👋🏻', '👋🏼', '😀'] -> '(?=[\u{1F44B}\u{1F600}])(?:\u{1F44B}(?:[\u{1F3FB}\u{1F3FC}])?|\u{1F600})'
+function buildEmojiRegex(sequences) {
+  const trie = {children: new Map(), end: false}
+  for (const sequence of sequences) {
+    let node = trie
+    for (const character of sequence) {
+      const codePoint = character.codePointAt(0)
+      if (!node.children.has(codePoint)) node.children.set(codePoint, {children: new Map(), end: false})
+      node = node.children.get(codePoint)
+    }
+    node.end = true
+  }
+
+  const source = node => {
+    const codePoints = Array.from(node.children.keys()).sort((a, b) => a - b)
+    const leaves = codePoints.filter(codePoint => node.children.get(codePoint).children.size === 0)
+    const branches = codePoints.filter(codePoint => node.children.get(codePoint).children.size > 0).map(codePoint => {
+      const child = node.children.get(codePoint)
+      const rest = source(child)
+      return escapeCodePoint(codePoint) + (child.end ? `(?:${rest})?` : child.children.size > 1 || rest.includes('|') ? `(?:${rest})` : rest)
+    })
+    return branches.concat(leaves.length ? [characterClass(leaves)] : []).join('|')
+  }
+  // Checking the first code point up front saves trying every branch at each
+  // position of text without emoji
+  const firstCodePoints = Array.from(trie.children.keys()).sort((a, b) => a - b)
+  return `(?=${characterClass(firstCodePoints)})(?:${source(trie)})`
+}
+
+// Locales that get a data-by-emoji.<locale>.json file by default when
+// building with CLDR annotations
+const DEFAULT_LOCALES = ['de', 'es', 'fr', 'it', 'ja', 'ko', 'pt', 'ru', 'zh']
+
+// Adds English CLDR keywords to every entry, and the localized names and
+// keywords for each locale
+function addAnnotations(data, cldrDir, locales = DEFAULT_LOCALES) {
+  const english = annotate(data.dataByEmoji, readAnnotations(cldrDir, 'en'))
+  for (const emoji in data.dataByEmoji) {
+    data.dataByEmoji[emoji].keywords = english[emoji] ? english[emoji].keywords : []
+  }
+  for (const group of data.dataByGroup) {
+    for (const entry of group.emojis) {
+      entry.keywords = data.dataByEmoji[entry.emoji].keywords
+    }
+  }
 
+  data.localizedData = {}
+  for (const locale of locales) {
+    data.localizedData[locale] = annotate(data.dataByEmoji, readAnnotations(cldrDir, locale))
+  }
+  return data
+}
+
+// The modules for each group, CommonJS and ES module, so that bundlers only
+// include the groups that are imported, and the modules that re-export them
+//
+// groupModules([{ name: 'Smileys & Emotion', slug: 'smileys_emotion', emojis: [...] }, ...]) ->
 // {
-//   "light_skin_tone": "🏻",
-//   "medium_light_skin_tone": "🏼",
+//   "smileys_emotion.js": "...\nexports.name = \"Smileys & Emotion\"\n...",
+//   "smileys_emotion.mjs": "...\nexport const name = \"Smileys & Emotion\"\n...",
 //   ...
+//   "index.js": "...",
+//   "index.mjs": "..."
 // }
-fs.writeFileSync('data-emoji-components.json', JSON.stringify(emojiComponents, null, 2))
+function groupModules(dataByGroup) {
+  const header = '// Generated by script/build.js from the Unicode emoji data. Do not edit.\n'
+  const modules = {}
+  for (const {name, slug, emojis} of dataByGroup) {
+    const list = `[\n${emojis.map(entry => `  ${JSON.stringify(entry)}`).join(',\n')}\n]`
+    modules[`${slug}.js`] = `${header}\nexports.name = ${JSON.stringify(name)}\nexports.slug = ${JSON.stringify(slug)}\nexports.emojis = ${list}\n`
+    modules[`${slug}.mjs`] = `${header}\nexport const name = ${JSON.stringify(name)}\nexport const slug = ${JSON.stringify(slug)}\nexport const emojis = ${list}\n`
+  }
+
+  // Getters keep require('unicode-emoji-json/groups') from loading every group
+  const getters = dataByGroup.map(({slug}) => `Object.defineProperty(exports, '${slug}', {enumerable: true, get: () => require('./${slug}.js')})`)
+  modules['index.js'] = `${header}\n${getters.join('\n')}\n`
+  const reexports = dataByGroup.map(({slug}) => `export * as ${slug} from './${slug}.mjs'`)
+  modules['index.mjs'] = `${header}\n${reexports.join('\n')}\n`
+  return modules
+}
+
+// Writes every output file into outputDir
+function write(data, outputDir) {
+  const {orderedEmoji, dataByEmoji, dataByGroup, dataBySubgroup, emojiComponents, qualificationAliases, skinToneVariants, variantFamilies, slugAliases = {}, localizedData = {}} = data
+  const writeJSON = (file, json) => fs.writeFileSync(path.join(outputDir, file), JSON.stringify(json, null, 2))
+
+  // {
+  //   "😀": {
+  //     "group": "Smileys & Emotion",
+  //     "subgroup": "face-smiling",
+  //     "codepoints": ["1F600"],
+  //     "codepoints_string": "1f600",
+  //     "utf16_length": 2,
+  //     "name": "grinning face",
+  //     "slug": "grinning_face",
+  //     "version": "6.1",
+  //     "skin_tone_support": false,
+  //     "keywords": ["cheerful", "cheery", "face", "grin", "grinning", ...]
+  //   },
+  //   ...
+  // }
+  writeJSON('data-by-emoji.json', dataByEmoji)
+
+  // data-by-emoji.json as columns, without whitespace, decoded by compact.js
+  //
+  // {"format":1,"emoji":["😀",...],"strings":["face",...],"fields":[["name","value"],...],"columns":[["grinning face",...],...]}
+  fs.writeFileSync(path.join(outputDir, 'data-compact.json'), JSON.stringify(encode(dataByEmoji)))
+
+  // data-by-emoji.de.json, data-by-emoji.zh-Hant.json, ...
+  //
+  // {
+  //   "😀": {
+  //     "name": "grinsendes Gesicht",
+  //     "keywords": ["froh", "fröhlich", "Gesicht", "grinsen", "haha", ...]
+  //   },
+  //   ...
+  // }
+  //
+  // Locale files from an earlier build that this one has no annotations for
+  // are removed, so that they never go out of date with data-by-emoji.json.
+  const localeFiles = Object.keys(localizedData).map(locale => `data-by-emoji.${locale.replace(/_/g, '-')}.json`)
+  for (const file of fs.readdirSync(outputDir)) {
+    if (/^data-by-emoji\.[\w-]+\.json$/.test(file) && !localeFiles.includes(file)) fs.rmSync(path.join(outputDir, file))
+  }
+  for (const locale in localizedData) {
+    writeJSON(`data-by-emoji.${locale.replace(/_/g, '-')}.json`, localizedData[locale])
+  }
+
+  // {
+  //   "Smileys & Emotion": [
+  //     {
+  //       "emoji": "😀",
+  //       "skin_tone_support": false,
+  //       "name": "grinning face",
+  //       "slug": "grinning_face",
+  //       "subgroup": "face-smiling",
+  //       "codepoints": ["1F600"],
+  //       "codepoints_string": "1f600",
+  //       "utf16_length": 2,
+  //       "version": "6.1"
+  //     },
+  //   ],
+  //   ...
+  // }
+  writeJSON('data-by-group.json', dataByGroup)
+
+  // groups/smileys_emotion.js
+  //
+  // exports.name = "Smileys & Emotion"
+  // exports.slug = "smileys_emotion"
+  // exports.emojis = [
+  //   {"emoji":"😀","skin_tone_support":false,"name":"grinning face",...},
+  //   ...
+  // ]
+  //
+  // groups/smileys_emotion.mjs has the same as export const, and
+  // groups/index.js and groups/index.mjs export every group by slug
+  const modules = groupModules(dataByGroup)
+  fs.mkdirSync(path.join(outputDir, 'groups'), {recursive: true})
+  for (const file in modules) {
+    fs.writeFileSync(path.join(outputDir, 'groups', file), modules[file])
+  }
+
+  // [
+  //   {
+  //     "name": "Smileys & Emotion",
+  //     "slug": "smileys_emotion",
+  //     "subgroups": [
+  //       {
+  //         "name": "face-smiling",
+  //         "slug": "face_smiling",
+  //         "emojis": ["😀", "😃", ...]
+  //       },
+  //       ...
+  //     ]
+  //   },
+  //   ...
+  // ]
+  writeJSON('data-by-subgroup.json', dataBySubgroup)
+
+  // [
+  //   "😀",
+  //   "😃",
+  //   ...
+  // ]
+  writeJSON('data-ordered-emoji.json', orderedEmoji)
+
+  // {
+  //   "light_skin_tone": "🏻",
+  //   "medium_light_skin_tone": "🏼",
+  //   ...
+  // }
+  writeJSON('data-emoji-components.json', emojiComponents)
+
+  // {
+  //   "terms": ["0", "1", "10", "1st", "2", ...],
+  //   "postings": [[1552], [1553], [1562], [1087], [1554], ...]
+  // }
+  writeJSON('data-search-index.json', buildSearchIndex(orderedEmoji, dataByEmoji))
+
+  fs.writeFileSync(path.join(outputDir, 'emoji-regex.js'), [
+    '// Generated by script/build.js from the Unicode emoji data. Do not edit.',
+    '//',
+    '// Returns a new global regex matching every emoji in data-by-emoji.json, their',
+    '// skin tone variations and their minimally-qualified and unqualified forms',
+    `module.exports = () => /${buildEmojiRegex(matchableEmoji(data))}/gu`,
+    ''
+  ].join('\n'))
+
+  // {
+  //   "☺": "☺️",
+  //   "❤": "❤️",
+  //   "#⃣": "#️⃣",
+  //   ...
+  // }
+  writeJSON('data-qualification-aliases.json', qualificationAliases)
+
+  // Slugs that emoji had in earlier builds, before Unicode renamed them
+  //
+  // {
+  //   "flag_turkey": "🇹🇷",
+  //   ...
+  // }
+  writeJSON('data-slug-aliases.json', slugAliases)
+
+  // {
+  //   "👋": [
+  //     {
+  //       "emoji": "👋🏻",
+  //       "name": "waving hand light skin tone",
+  //       "tones": ["light_skin_tone"],
+  //       "emoji_version": "1.0",
+  //       "unicode_version": "8.0"
+  //     },
+  //     ...
+  //   ],
+  //   "🧑‍🤝‍🧑": [
+  //     ...
+  //     {
+  //       "emoji": "🧑🏻‍🤝‍🧑🏿",
+  //       "name": "people holding hands light skin tone, dark skin tone",
+  //       "tones": ["light_skin_tone", "dark_skin_tone"],
+  //       "emoji_version": "12.1",
+  //       "unicode_version": "12.0"
+  //     },
+  //     ...
+  //   ],
+  //   ...
+  // }
+  writeJSON('data-skin-tone-variants.json', skinToneVariants)
+
+  // {
+  //   "🙆": [
+  //     { "emoji": "🙆", "name": "person gesturing OK", "gender": "person" },
+  //     { "emoji": "🙆‍♂️", "name": "man gesturing OK", "gender": "man" },
+  //     { "emoji": "🙆‍♀️", "name": "woman gesturing OK", "gender": "woman" }
+  //   ],
+  //   "🧑": [
+  //     ...
+  //     { "emoji": "👨‍🦰", "name": "man red hair", "gender": "man", "hair": "red_hair" },
+  //     ...
+  //   ],
+  //   ...
+  // }
+  writeJSON('data-variant-families.json', variantFamilies)
+}
+
+// # Version: 15.1
+// # Used with Emoji Version 15.1 and subsequent minor revisions (if any)
+//                           |1-|
+//
+const VERSION_REGEX = /^#\s(?:Version:|Used\swith\sEmoji\sVersion)\s(?<version>[\d.]+)/m
+
+// Reads a Unicode file from inputDir, optionally checking that it is the
+// expected Unicode emoji version
+function readSource(inputDir, file, version) {
+  const text = fs.readFileSync(path.join(inputDir, file), 'utf-8')
+  if (version) {
+    const versionMatch = text.match(VERSION_REGEX)
+    const found = versionMatch ? versionMatch.groups.version : 'unknown'
+    if (found !== version) throw `${file} is version ${found}, expected ${version}`
+  }
+  return text
+}
+
+// Reads emoji-group.txt and emoji-order.txt from inputDir
+function read(inputDir, version) {
+  return {
+    groupedEmojiData: readSource(inputDir, 'emoji-group.txt', version),
+    orderedEmojiData: readSource(inputDir, 'emoji-order.txt')
+  }
+}
+
+// Reads emoji-sequences.txt and emoji-zwj-sequences.txt from inputDir
+function readSequences(inputDir, version) {
+  return {
+    emojiSequences: readSource(inputDir, 'emoji-sequences.txt', version),
+    emojiZwjSequences: readSource(inputDir, 'emoji-zwj-sequences.txt', version)
+  }
+}
+
+// Reads emoji-data.txt and emoji-variation-sequences.txt from inputDir, which
+// are Unicode 13.0 files for Emoji 13.1
+function readProperties(inputDir, version) {
+  return {
+    emojiData: readSource(inputDir, 'emoji-data.txt', version && ucdVersion(version)),
+    variationSequences: readSource(inputDir, 'emoji-variation-sequences.txt', version && ucdVersion(version))
+  }
+}
+
+function build({input = '.', output = '.', previous = output, version, cldr, locales, tables = false} = {}) {
+  const {groupedEmojiData, orderedEmojiData} = read(input, version)
+  const {emojiSequences, emojiZwjSequences} = readSequences(input, version)
+  const {emojiData, variationSequences} = readProperties(input, version)
+  const data = parse(groupedEmojiData, orderedEmojiData)
+  checkSlugs(data.dataByEmoji)
+  const {previousDataByEmoji, previousAliases} = readPreviousSlugs(previous)
+  data.slugAliases = updateSlugAliases(data, previousDataByEmoji, previousAliases)
+  addSequenceTypes(data, emojiSequences, emojiZwjSequences)
+  addProperties(data, emojiData, variationSequences)
+  addFlagCodes(data)
+  addVariants(data)
+  if (cldr) {
+    if (!fs.existsSync(cldr)) throw `No CLDR annotations in ${cldr}, copy common/annotations and common/annotationsDerived from a CLDR release there`
+    addAnnotations(data, cldr, locales)
+  }
+  fs.mkdirSync(output, {recursive: true})
+  write(data, output)
+  if (tables) {
+    const files = buildTables(data)
+    for (const file in files) fs.writeFileSync(path.join(output, file), files[file])
+  }
+  return data
+}
+
+// node script/build.js --input <dir> --output <dir> --version 15.1
+// node script/build.js --cldr <dir> --locales de,fr,zh_Hant
+// node script/build.js --previous <dir> --tables
+if (require.main === module) {
+  const {values} = parseArgs({
+    options: {
+      input: {type: 'string', default: '.'},
+      output: {type: 'string', default: '.'},
+      previous: {type: 'string'},
+      version: {type: 'string'},
+      cldr: {type: 'string'},
+      locales: {type: 'string'},
+      tables: {type: 'boolean', default: false}
+    }
+  })
+  build(Object.assign(values, {locales: values.locales && values.locales.split(',')}))
+}
+
+module.exports = {build, buildEmojiRegex, buildSearchIndex, checkSlugs, groupModules, matchableEmoji, parse, read, readProperties, readSequences, searchWords, slugify, updateSlugAliases}
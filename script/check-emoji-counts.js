@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+const cheerio = require('cheerio');
+
+// 可选的交叉检查：将 unicode.org 的 emoji-counts.html 与离线生成的 test/stats.json 对比。
+// 此脚本只读取数据，不会写入任何数据文件。
+const EMOJI_COUNTS_URL = 'https://unicode.org/emoji/charts/emoji-counts.html';
+const EMOJI_COUNTS_PATH = path.join(__dirname, '..', 'emoji-counts.html');
+const STATS_PATH = path.join(__dirname, '..', 'test', 'stats.json');
+
+// 配置
+const CONFIG = {
+  timeout: 30000, // 30秒超时
+  maxRetries: 3,  // 最大重试次数
+  retryDelay: 2000 // 重试延迟（毫秒）
+};
+
+async function fetchWithRetry(url, options = {}, retryCount = 0) {
+  try {
+    console.log(`Attempting to fetch ${url} (attempt ${retryCount + 1}/${CONFIG.maxRetries + 1})...`);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CONFIG.timeout);
+    
+    const response = await fetch(url, {
+      ...options,
+      signal: controller.signal
+    });
+    
+    clearTimeout(timeout);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    
+    return response;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log(`Request timeout after ${CONFIG.timeout/1000} seconds`);
+    } else {
+      console.log(`Request failed: ${error.message}`);
+    }
+    
+    if (retryCount < CONFIG.maxRetries) {
+      console.log(`Retrying in ${CONFIG.retryDelay/1000} seconds...`);
+      await new Promise(resolve => setTimeout(resolve, CONFIG.retryDelay));
+      return fetchWithRetry(url, options, retryCount + 1);
+    }
+    throw error;
+  }
+}
+
+async function loadEmojiCounts() {
+  // 优先使用 npm run download 下载的本地文件
+  if (fs.existsSync(EMOJI_COUNTS_PATH)) {
+    console.log(`Reading ${EMOJI_COUNTS_PATH}...`);
+    return fs.readFileSync(EMOJI_COUNTS_PATH, 'utf8');
+  }
+  console.log('Downloading emoji counts data...');
+  const response = await fetchWithRetry(EMOJI_COUNTS_URL);
+  return response.text();
+}
+
+function parseEmojiCounts(html) {
+  console.log('Starting to parse emoji counts...');
+  const stats = {
+    total_without_skin_tone_variations: 0,
+    component: 0,
+    dual_skin_tone_support: 0,
+    groups: {}
+  };
+
+  const $ = cheerio.load(html);
+  const rows = $('tr');
+  
+  // 跳过表头
+  for (let i = 1; i < rows.length; i++) {
+    const cells = $(rows[i]).find('td');
+    const category = $(cells[0]).text().trim();
+    const count = parseInt($(cells[1]).text().trim(), 10);
+    
+    if (category === 'Component') {
+      stats.component = count;
+    } else if (category === 'Total') {
+      stats.total_with_variations = count;
+    } else if (category === 'With skin tone variations') {
+      stats.skin_tone_variations = count;
+    } else if (category !== 'Group' && !isNaN(count)) {
+      stats.groups[category] = count;
+    }
+  }
+  
+  // 计算不包含肤色变体的总数
+  stats.total_without_skin_tone_variations = stats.total_with_variations - stats.skin_tone_variations - stats.component;
+  
+  return stats;
+}
+
+// 对比 HTML 统计与 stats.json，返回不一致的项
+function compareCounts(htmlStats, stats) {
+  const mismatches = [];
+  const compare = (label, expected, actual) => {
+    if (expected !== actual) mismatches.push(`${label}: emoji-counts.html has ${expected}, stats.json has ${actual}`);
+  };
+
+  compare('Component', htmlStats.component, stats.component);
+  compare('Total', htmlStats.total_with_variations, stats.total);
+  for (const group of Object.keys(stats.groups)) {
+    compare(group, htmlStats.groups[group], stats.groups[group]);
+  }
+
+  return mismatches;
+}
+
+async function testWithMockData() {
+  console.log('Running tests with mock data...');
+
+  // 模拟计数数据HTML
+  const mockCountsHtml = `
+    <table>
+      <tr>
+        <td>Group</td>
+        <td>Count</td>
+      </tr>
+      <tr>
+        <td>Smileys & Emotion</td>
+        <td>100</td>
+      </tr>
+      <tr>
+        <td>People & Body</td>
+        <td>200</td>
+      </tr>
+      <tr>
+        <td>Component</td>
+        <td>10</td>
+      </tr>
+      <tr>
+        <td>Total</td>
+        <td>310</td>
+      </tr>
+      <tr>
+        <td>With skin tone variations</td>
+        <td>25</td>
+      </tr>
+    </table>
+  `;
+
+  // 测试解析
+  const stats = parseEmojiCounts(mockCountsHtml);
+  const mismatches = compareCounts(stats, {
+    total: 310,
+    component: 10,
+    groups: {'Smileys & Emotion': 100, 'People & Body': 199}
+  });
+
+  // 验证结果
+  console.log('\nTest Results:');
+  console.log('Stats:', JSON.stringify(stats, null, 2));
+  console.log('Mismatches:', mismatches);
+
+  // 验证关键数据
+  const assertions = [
+    stats.total_without_skin_tone_variations === 275, // 310 - 25 - 10
+    stats.component === 10,
+    stats.groups['Smileys & Emotion'] === 100,
+    stats.groups['People & Body'] === 200,
+    mismatches.length === 1
+  ];
+
+  const failedAssertions = assertions.filter(assertion => !assertion);
+  if (failedAssertions.length > 0) {
+    console.log('Failed assertions:', failedAssertions);
+    throw new Error('Some tests failed');
+  }
+
+  console.log('All tests passed!');
+}
+
+async function main() {
+  try {
+    // 如果是测试模式，使用模拟数据
+    if (process.argv.includes('--test')) {
+      await testWithMockData();
+      return;
+    }
+
+    const stats = JSON.parse(fs.readFileSync(STATS_PATH, 'utf8'));
+    const htmlStats = parseEmojiCounts(await loadEmojiCounts());
+    const mismatches = compareCounts(htmlStats, stats);
+
+    if (mismatches.length > 0) {
+      console.error('❌ Counts differ from emoji-counts.html:');
+      mismatches.forEach(mismatch => console.error(`  ${mismatch}`));
+      process.exit(1);
+    }
+
+    console.log('🎉 test/stats.json matches emoji-counts.html');
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+// 如果直接运行此文件，则执行main函数
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseEmojiCounts, compareCounts };
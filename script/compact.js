@@ -0,0 +1,103 @@
+// Encodes data-by-emoji.json into data-compact.json, which compact.js decodes
+//
+// Entries are stored as columns, one array per field, in the order of the
+// emoji array. Repeated strings (groups, versions, keywords, ...) are stored
+// once in a string table and referred to by index, booleans are 0 or 1, and
+// fields that follow from the emoji itself are not stored at all.
+//
+// {
+//   "format": 1,
+//   "emoji": ["😀", "😃", ...],
+//   "strings": ["face", "Smileys & Emotion", "0.6", ...],
+//   "fields": [["name", "value"], ["group", "interned"], ["codepoints", "derived"], ...],
+//   "columns": [["grinning face", ...], [1, 1, ...], null, ...]
+// }
+
+const {decode} = require('../compact')
+
+const FORMAT = 1
+
+// How each field is stored. Fields not listed here are stored as they are.
+const ENCODINGS = {
+  group: 'interned',
+  subgroup: 'interned',
+  codepoints: 'derived',
+  codepoints_string: 'derived',
+  utf16_length: 'derived',
+  emoji_version: 'interned',
+  unicode_version: 'interned',
+  skin_tone_support: 'boolean',
+  skin_tone_support_unicode_version: 'interned',
+  type: 'interned',
+  default_presentation: 'interned',
+  has_text_variant: 'boolean',
+  modifier_base: 'boolean',
+  extended_pictographic: 'boolean',
+  keywords: 'interned_list'
+}
+
+// Every field in the order entries have them, so that decoded entries keep
+// their key order even when some of them leave out optional fields
+//
+// [['name', 'slug'], ['name', 'region_code', 'slug']] -> ['name', 'region_code', 'slug']
+function fieldOrder(entries) {
+  const fields = []
+  for (const entry of entries) {
+    let previous = -1
+    for (const key of Object.keys(entry)) {
+      let index = fields.indexOf(key)
+      if (index === -1) {
+        index = previous + 1
+        fields.splice(index, 0, key)
+      }
+      previous = index
+    }
+  }
+  return fields
+}
+
+function encode(dataByEmoji) {
+  const emoji = Object.keys(dataByEmoji)
+  const entries = emoji.map(key => dataByEmoji[key])
+  const fields = fieldOrder(entries)
+
+  // Most used strings first, so that the most common indexes are the shortest
+  const counts = new Map()
+  const count = string => counts.set(string, (counts.get(string) || 0) + 1)
+  for (const entry of entries) {
+    for (const field of fields) {
+      if (!(field in entry)) continue
+      if (ENCODINGS[field] === 'interned') count(entry[field])
+      if (ENCODINGS[field] === 'interned_list') entry[field].forEach(count)
+    }
+  }
+  const strings = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a))
+  const stringIndex = new Map(strings.map((string, index) => [string, index]))
+
+  const columns = fields.map(field => {
+    const encoding = ENCODINGS[field] || 'value'
+    if (encoding === 'derived') return null
+    return entries.map(entry => {
+      if (!(field in entry)) return null
+      const value = entry[field]
+      if (encoding === 'interned') return stringIndex.get(value)
+      if (encoding === 'interned_list') return value.map(string => stringIndex.get(string))
+      if (encoding === 'boolean') return value ? 1 : 0
+      return value
+    })
+  })
+
+  const compact = {
+    format: FORMAT,
+    emoji,
+    strings,
+    fields: fields.map(field => [field, ENCODINGS[field] || 'value']),
+    columns
+  }
+  if (JSON.stringify(decode(compact)) !== JSON.stringify(dataByEmoji)) {
+    throw 'data-compact.json does not decode to data-by-emoji.json, check the encodings in script/compact.js'
+  }
+  return compact
+}
+
+module.exports = {encode, fieldOrder}
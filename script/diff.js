@@ -0,0 +1,137 @@
+const fs = require('fs')
+const path = require('path')
+const {parseArgs} = require('util')
+const {parse, read} = require('./build')
+
+// Loads either a build (a directory with data-by-emoji.json) or a set of
+// Unicode source files (a directory with emoji-group.txt and emoji-order.txt)
+//
+// Builds from before data-skin-tone-variants.json existed get
+// skinToneVariants: null, since which emoji took several tones is unknown.
+function load(dir) {
+  if (fs.existsSync(path.join(dir, 'data-by-emoji.json'))) {
+    const readJSON = file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'))
+    const variantsPath = path.join(dir, 'data-skin-tone-variants.json')
+    return {
+      label: path.basename(path.resolve(dir)),
+      dataByEmoji: readJSON('data-by-emoji.json'),
+      skinToneVariants: fs.existsSync(variantsPath) ? readJSON('data-skin-tone-variants.json') : null
+    }
+  }
+
+  const {groupedEmojiData, orderedEmojiData} = read(dir)
+  const versionMatch = groupedEmojiData.match(/^#\sVersion:\s(?<version>[\d.]+)/m)
+  return Object.assign({label: versionMatch ? versionMatch.groups.version : path.basename(path.resolve(dir))}, parse(groupedEmojiData, orderedEmojiData))
+}
+
+// True when any skin tone variation takes more than one tone (🧑🏻‍🤝‍🧑🏿)
+function hasMultipleSkinTones(variants = []) {
+  return variants.some(variant => variant.tones.length > 1)
+}
+
+// diff(load('old'), load('new')) ->
+// {
+//   from: '15.1',
+//   to: '16.0',
+//   added: [{ emoji: '🫩', name: 'face with bags under eyes', slug: 'face_with_bags_under_eyes', group: 'Smileys & Emotion', subgroup: 'face-sleepy' }],
+//   removed: [],
+//   renamed: [],
+//   slug_changes: [],
+//   group_moves: [{ emoji: '🦀', name: 'crab', from: { group: 'Food & Drink', subgroup: 'food-marine' }, to: { group: 'Animals & Nature', subgroup: 'animal-marine' } }],
+//   skin_tone_support_added: [{ emoji: '🤝', name: 'handshake', multiple_skin_tones: true }]
+// }
+function diff(from, to) {
+  const report = {
+    from: from.label,
+    to: to.label,
+    added: [],
+    removed: [],
+    renamed: [],
+    slug_changes: [],
+    group_moves: [],
+    skin_tone_support_added: []
+  }
+  const summary = (emoji, {name, slug, group, subgroup}) => ({emoji, name, slug, group, subgroup})
+
+  for (const emoji in to.dataByEmoji) {
+    const after = to.dataByEmoji[emoji]
+    const before = from.dataByEmoji[emoji]
+    if (!before) {
+      report.added.push(summary(emoji, after))
+      continue
+    }
+    if (before.name !== after.name) report.renamed.push({emoji, from: before.name, to: after.name})
+    if (before.slug !== after.slug) report.slug_changes.push({emoji, from: before.slug, to: after.slug})
+    // Builds from before subgroups were added have no subgroup to compare
+    const subgroupMoved = before.subgroup !== undefined && after.subgroup !== undefined && before.subgroup !== after.subgroup
+    if (before.group !== after.group || subgroupMoved) {
+      report.group_moves.push({
+        emoji,
+        name: after.name,
+        from: {group: before.group, subgroup: before.subgroup},
+        to: {group: after.group, subgroup: after.subgroup}
+      })
+    }
+
+    const multipleSkinTones = Boolean(to.skinToneVariants) && hasMultipleSkinTones(to.skinToneVariants[emoji])
+    const newSkinToneSupport = after.skin_tone_support && !before.skin_tone_support
+    const newMultipleSkinTones = multipleSkinTones && Boolean(from.skinToneVariants) && !hasMultipleSkinTones(from.skinToneVariants[emoji])
+    if (newSkinToneSupport || newMultipleSkinTones) {
+      report.skin_tone_support_added.push({emoji, name: after.name, multiple_skin_tones: multipleSkinTones})
+    }
+  }
+
+  for (const emoji in from.dataByEmoji) {
+    if (!to.dataByEmoji[emoji]) report.removed.push(summary(emoji, from.dataByEmoji[emoji]))
+  }
+
+  return report
+}
+
+// {group: 'Food & Drink', subgroup: 'food-marine'} -> 'Food & Drink / food-marine'
+const place = ({group, subgroup}) => subgroup === undefined ? group : `${group} / ${subgroup}`
+
+// Release notes for a diff() report
+function toMarkdown(report) {
+  const sections = [
+    ['Added', report.added, ({emoji, name, slug, group}) => `${emoji} ${name} (\`${slug}\`), ${group}`],
+    ['Removed', report.removed, ({emoji, name, slug}) => `${emoji} ${name} (\`${slug}\`)`],
+    ['Renamed', report.renamed, ({emoji, from, to}) => `${emoji} ${from} → ${to}`],
+    ['Slug changes', report.slug_changes, ({emoji, from, to}) => `${emoji} \`${from}\` → \`${to}\``],
+    ['Group moves', report.group_moves, ({emoji, name, from, to}) => `${emoji} ${name}: ${place(from)} → ${place(to)}`],
+    ['New skin tone support', report.skin_tone_support_added, ({emoji, name, multiple_skin_tones}) => `${emoji} ${name}${multiple_skin_tones ? ' (multiple skin tones)' : ''}`]
+  ]
+
+  const lines = [`# Emoji changes from ${report.from} to ${report.to}`, '']
+  for (const [title, items, format] of sections) {
+    if (items.length === 0) continue
+    lines.push(`## ${title} (${items.length})`, '', ...items.map(item => `- ${format(item)}`), '')
+  }
+  if (lines.length === 2) lines.push('No changes.', '')
+  return lines.join('\n')
+}
+
+// node script/diff.js <from> <to> [--json report.json] [--markdown CHANGES.md]
+//
+// <from> and <to> are build directories or Unicode source directories. The
+// Markdown release notes are printed when no output file is given.
+if (require.main === module) {
+  const {values, positionals} = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: {type: 'string'},
+      markdown: {type: 'string'}
+    }
+  })
+  if (positionals.length !== 2) {
+    console.error('Usage: node script/diff.js <from> <to> [--json <file>] [--markdown <file>]')
+    process.exit(1)
+  }
+
+  const report = diff(load(positionals[0]), load(positionals[1]))
+  if (values.json) fs.writeFileSync(values.json, JSON.stringify(report, null, 2))
+  if (values.markdown) fs.writeFileSync(values.markdown, toMarkdown(report))
+  if (!values.json && !values.markdown) process.stdout.write(toMarkdown(report))
+}
+
+module.exports = {diff, load, toMarkdown}
@@ -1,25 +1,202 @@
-let version = '15.1'
+const fs = require('fs')
+const path = require('path')
+const http = require('http')
+const https = require('https')
+const crypto = require('crypto')
+const {parseArgs} = require('util')
 
-// npm run download 13.0
-if (process.argv[2]) {
-  version = Number(process.argv[2]).toFixed(1).toString()
+const DEFAULT_VERSION = '16.0'
+const DEFAULT_BASE_URL = 'https://unicode.org'
+const MAX_REDIRECTS = 5
+const REQUEST_TIMEOUT = 30000
+
+// ucdVersion('13.1') -> '13.0'
+//
+// The Unicode version whose emoji-data.txt and emoji-variation-sequences.txt
+// go with an Emoji version. Emoji 13.1 has no Unicode release of its own.
+function ucdVersion(version) {
+  return version === '13.1' ? '13.0' : version
 }
 
-const fs = require('fs')
-const https = require('https')
-const files = {
-  // Complete emoji list with version
-  'emoji-order.txt': `https://unicode.org/emoji/charts-${version}/emoji-ordering.txt`,
-  // Grouped emoji list with qualifier
-  'emoji-group.txt': `https://unicode.org/Public/emoji/${version}/emoji-test.txt`,
-  // Emoji count
-  'emoji-counts.html': `https://unicode.org/emoji/charts-${version}/emoji-counts.html`
+// ucdEmojiPath('16.0') -> '/Public/16.0.0/ucd/emoji'
+// ucdEmojiPath('13.1') -> '/Public/13.0.0/ucd/emoji'
+// ucdEmojiPath('12.1') -> '/Public/emoji/12.1'
+//
+// Where emoji-data.txt and emoji-variation-sequences.txt are. They moved into
+// the Unicode Character Database with Unicode 13.0.
+function ucdEmojiPath(version) {
+  if (Number(version.split('.')[0]) < 13) return `/Public/emoji/${version}`
+  return `/Public/${ucdVersion(version)}.0/ucd/emoji`
+}
+
+// Every file is checked before anything is written, so an error page or a
+// redirect page never ends up in place of the data.
+//
+// [
+//   { name: 'emoji-group.txt', path: '/Public/emoji/15.1/emoji-test.txt', check: ... },
+//   ...
+// ]
+function filesFor(version) {
+  return [
+    // Complete emoji list with version
+    {
+      name: 'emoji-order.txt',
+      path: `/emoji/charts-${version}/emoji-ordering.txt`,
+      check: text => /^U\+[0-9A-F]+.*;\s[\d.]+\s#/m.test(text) || 'no emoji ordering lines found'
+    },
+    // Grouped emoji list with qualifier
+    {
+      name: 'emoji-group.txt',
+      path: `/Public/emoji/${version}/emoji-test.txt`,
+      check: text => checkHeader(text, 'emoji-test.txt', version)
+    },
+    // Sequence type of each emoji
+    {
+      name: 'emoji-sequences.txt',
+      path: `/Public/emoji/${version}/emoji-sequences.txt`,
+      check: text => checkHeader(text, 'emoji-sequences.txt', version)
+    },
+    {
+      name: 'emoji-zwj-sequences.txt',
+      path: `/Public/emoji/${version}/emoji-zwj-sequences.txt`,
+      check: text => checkHeader(text, 'emoji-zwj-sequences.txt', version)
+    },
+    // Character properties and variation sequences, published with the
+    // Unicode Character Database
+    {
+      name: 'emoji-data.txt',
+      path: `${ucdEmojiPath(version)}/emoji-data.txt`,
+      check: text => checkHeader(text, 'emoji-data.txt', ucdVersion(version))
+    },
+    {
+      name: 'emoji-variation-sequences.txt',
+      path: `${ucdEmojiPath(version)}/emoji-variation-sequences.txt`,
+      check: text => checkHeader(text, 'emoji-variation-sequences.txt', ucdVersion(version))
+    },
+    // Emoji count, only used by `npm run check-counts`
+    {
+      name: 'emoji-counts.html',
+      path: `/emoji/charts-${version}/emoji-counts.html`,
+      optional: true,
+      check: text => /<table/i.test(text) || 'no table found'
+    }
+  ]
+}
+
+// # emoji-test.txt
+// # Date: 2023-06-05, 21:39:54 GMT
+// ...
+// # Version: 15.1
+//
+// # emoji-data.txt
+// ...
+// # Used with Emoji Version 15.1 and subsequent minor revisions (if any)
+//
+// Returns true, or the reason the header is wrong
+function checkHeader(text, fileName, version) {
+  if (!text.startsWith(`# ${fileName}`)) return `does not start with a "# ${fileName}" header`
+  const versionMatch = text.match(/^#\s(?:Version:|Used\swith\sEmoji\sVersion)\s(?<version>[\d.]+)/m)
+  if (!versionMatch) return 'has no version header'
+  if (versionMatch.groups.version !== version) return `is version ${versionMatch.groups.version}, expected ${version}`
+  return true
 }
 
-for (const name of Object.keys(files)) {
-  const file = fs.createWriteStream(name)
+// Resolves with the response body, following redirects and rejecting on any
+// other status than 200, or when the connection is idle for longer than
+// timeout milliseconds
+function get(url, timeout = REQUEST_TIMEOUT, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http
+    const request = client.get(url, response => {
+      const {statusCode, headers} = response
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume()
+        if (redirects >= MAX_REDIRECTS) return reject(new Error(`Too many redirects fetching ${url}`))
+        return resolve(get(new URL(headers.location, url).toString(), timeout, redirects + 1))
+      }
+      if (statusCode !== 200) {
+        response.resume()
+        return reject(new Error(`${url} responded with ${statusCode}`))
+      }
+      const chunks = []
+      response.on('data', chunk => chunks.push(chunk))
+      response.on('end', () => resolve(Buffer.concat(chunks)))
+      response.on('error', reject)
+    })
+    request.on('error', reject)
+    request.setTimeout(timeout, () => request.destroy(new Error(`Timed out after ${timeout} ms fetching ${url}`)))
+  })
+}
+
+async function download({version = DEFAULT_VERSION, from, baseUrl = DEFAULT_BASE_URL, output = '.', timeout = REQUEST_TIMEOUT} = {}) {
+  const manifest = {version, source: from ? path.resolve(from) : baseUrl, files: {}}
+  const fetched = []
+  const errors = []
+
+  for (const file of filesFor(version)) {
+    const source = from ? path.join(from, file.path) : baseUrl + file.path
+    try {
+      // A local mirror is laid out like unicode.org
+      const body = await (from ? fs.promises.readFile(source) : get(source, timeout))
+      const result = file.check(body.toString('utf-8'))
+      if (result !== true) throw new Error(`${source} ${result}`)
+      fetched.push([file.name, body])
+      manifest.files[file.name] = {
+        source,
+        bytes: body.length,
+        sha256: crypto.createHash('sha256').update(body).digest('hex')
+      }
+    } catch (error) {
+      if (file.optional) {
+        console.warn(`Skipping ${file.name}: ${error.message}`)
+      } else {
+        errors.push(error.message)
+      }
+    }
+  }
+
+  if (errors.length > 0) throw new Error(`Download failed, nothing was written:\n  ${errors.join('\n  ')}`)
 
-  https.get(files[name], function(response) {
-    response.pipe(file)
+  fs.mkdirSync(output, {recursive: true})
+  for (const [name, body] of fetched) {
+    fs.writeFileSync(path.join(output, name), body)
+  }
+  fs.writeFileSync(path.join(output, 'download-manifest.json'), JSON.stringify(manifest, null, 2))
+  return manifest
+}
+
+// npm run download 13.0
+// npm run download 15.1 -- --from ../unicode-mirror
+// npm run download 15.1 -- --base-url http://localhost:8080 --output /tmp/emoji
+// npm run download -- --timeout 60
+if (require.main === module) {
+  const {values, positionals} = parseArgs({
+    allowPositionals: true,
+    options: {
+      from: {type: 'string'},
+      'base-url': {type: 'string'},
+      output: {type: 'string', default: '.'},
+      timeout: {type: 'string'}
+    }
   })
+  const version = positionals[0] ? Number(positionals[0]).toFixed(1).toString() : DEFAULT_VERSION
+
+  const timeout = values.timeout === undefined ? undefined : Number(values.timeout) * 1000
+  if (timeout !== undefined && !(timeout > 0)) {
+    console.error(`--timeout must be a positive number of seconds, got ${values.timeout}`)
+    console.error('Usage: npm run download [version] -- [--from <dir>] [--base-url <url>] [--output <dir>] [--timeout <seconds>]')
+    process.exit(1)
+  }
+  download({version, from: values.from, baseUrl: values['base-url'], output: values.output, timeout})
+    .then(manifest => {
+      for (const name in manifest.files) {
+        console.log(`${manifest.files[name].sha256}  ${name}`)
+      }
+    })
+    .catch(error => {
+      console.error(error.message)
+      process.exit(1)
+    })
 }
+
+module.exports = {DEFAULT_VERSION, download, get, filesFor, ucdEmojiPath, ucdVersion}
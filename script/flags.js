@@ -0,0 +1,63 @@
+// Derives ISO 3166 codes for flag emoji from their code points
+
+// 🇯🇵: REGIONAL INDICATOR SYMBOL LETTER J, REGIONAL INDICATOR SYMBOL LETTER P
+const REGIONAL_INDICATOR_A = 0x1f1e6
+const REGIONAL_INDICATOR_Z = 0x1f1ff
+
+// 🏴󠁧󠁢󠁳󠁣󠁴󠁿: WAVING BLACK FLAG, TAG LATIN SMALL LETTER G, ..., CANCEL TAG
+const WAVING_BLACK_FLAG = 0x1f3f4
+const TAG_DIGIT_ZERO = 0xe0030
+const TAG_SMALL_Z = 0xe007a
+const CANCEL_TAG = 0xe007f
+
+const isRegionalIndicator = codePoint => codePoint >= REGIONAL_INDICATOR_A && codePoint <= REGIONAL_INDICATOR_Z
+const isTag = codePoint => codePoint >= TAG_DIGIT_ZERO && codePoint <= TAG_SMALL_Z
+
+// ['1F1EF', '1F1F5'] -> 'JP'
+// ['1F3F4', 'E0067', 'E0062', 'E0073', 'E0063', 'E0074', 'E007F'] -> 'gb-sct'
+// ['1F3C1'] -> null
+//
+// Regional indicator pairs are ISO 3166-1 region codes. Tag sequences spell an
+// ISO 3166-2 subdivision code: the region followed by the subdivision, in
+// lowercase, without a separator.
+function flagCode(codepoints) {
+  const codePoints = codepoints.map(hex => parseInt(hex, 16))
+  if (codePoints.length === 2 && codePoints.every(isRegionalIndicator)) {
+    return codePoints.map(codePoint => String.fromCharCode(codePoint - REGIONAL_INDICATOR_A + 65)).join('')
+  }
+
+  const [base, ...tags] = codePoints
+  const cancel = tags.pop()
+  if (base === WAVING_BLACK_FLAG && cancel === CANCEL_TAG && tags.length > 2 && tags.every(isTag)) {
+    const code = tags.map(codePoint => String.fromCharCode(codePoint - 0xe0000)).join('')
+    return `${code.slice(0, 2)}-${code.slice(2)}`
+  }
+  return null
+}
+
+// Adds region_code to regional indicator flags and subdivision_code to tag
+// sequence flags
+//
+// '🇰🇳' -> { region_code: 'KN' }
+// '🏴󠁧󠁢󠁳󠁣󠁴󠁿' -> { subdivision_code: 'gb-sct' }
+function addFlagCodes(data) {
+  const {dataByEmoji, dataByGroup} = data
+  for (const emoji in dataByEmoji) {
+    const entry = dataByEmoji[emoji]
+    const code = flagCode(entry.codepoints)
+    if (!code) continue
+    if (code.includes('-')) entry.subdivision_code = code
+    else entry.region_code = code
+  }
+
+  for (const group of dataByGroup) {
+    for (const entry of group.emojis) {
+      const {region_code, subdivision_code} = dataByEmoji[entry.emoji]
+      if (region_code) entry.region_code = region_code
+      if (subdivision_code) entry.subdivision_code = subdivision_code
+    }
+  }
+  return data
+}
+
+module.exports = {addFlagCodes, flagCode}
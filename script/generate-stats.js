@@ -0,0 +1,104 @@
+const fs = require('fs')
+const path = require('path')
+const {parseArgs} = require('util')
+
+// Counts emoji in emoji-group.txt independently of build.js so the test has
+// something to compare the build against. Every count is checked against the
+// totals Unicode publishes in the file itself before stats.json is written.
+
+// # Version: 16.0
+//            |1-|
+//
+const VERSION_REGEX = /^#\sVersion:\s(?<version>[\d.]+)/
+
+// # group: Smileys & Emotion
+//          |1--------------|
+//
+const GROUP_REGEX = /^#\sgroup:\s(?<name>.+)/
+
+// 1F44B 1F3FB                                            ; fully-qualified     # 👋🏻 E1.0 waving hand: light skin tone
+// |1---------|                                             |2------------|
+//
+const EMOJI_REGEX = /^(?<codepoints>[0-9A-F]+(?:\s[0-9A-F]+)*)\s*;\s(?<status>[\w-]+)/
+const SKIN_TONE_MODIFIER = /\b1F3F[B-F]\b/
+
+// # Smileys & Emotion subtotal:		185
+// # Smileys & Emotion subtotal:		185	w/o modifiers
+//   |1--------------|              |2|  |3-----------|
+//
+const SUBTOTAL_REGEX = /^#\s(?<name>.+)\ssubtotal:\s+(?<count>\d+)(?<withoutModifiers>\s+w\/o\smodifiers)?$/
+
+// # fully-qualified : 3781
+//   |1------------|   |2-|
+//
+const STATUS_COUNT_REGEX = /^#\s(?<status>[\w-]+)\s:\s(?<count>\d+)$/
+
+// Returns the expected counts for stats.json, throwing if they disagree with
+// the subtotals in the file
+function countEmoji(groupedEmojiData) {
+  let version = null
+  let currentGroup = null
+  const groups = {}
+  const statuses = {}
+  const expected = []
+
+  for (const line of groupedEmojiData.split('\n')) {
+    let match
+    if ((match = line.match(VERSION_REGEX))) {
+      version = match.groups.version
+    } else if ((match = line.match(GROUP_REGEX))) {
+      currentGroup = match.groups.name
+      groups[currentGroup] = {lines: 0, withoutModifiers: 0, fullyQualified: 0, skinToneVariations: 0}
+    } else if ((match = line.match(EMOJI_REGEX))) {
+      const {codepoints, status} = match.groups
+      const isModified = SKIN_TONE_MODIFIER.test(codepoints)
+      const group = groups[currentGroup]
+      group.lines++
+      if (!isModified) group.withoutModifiers++
+      if (status === 'fully-qualified') {
+        group.fullyQualified++
+        if (isModified) group.skinToneVariations++
+      }
+      statuses[status] = (statuses[status] || 0) + 1
+    } else if ((match = line.match(SUBTOTAL_REGEX))) {
+      const {name, count, withoutModifiers} = match.groups
+      const key = withoutModifiers ? 'withoutModifiers' : 'lines'
+      expected.push([`${name} subtotal${withoutModifiers ? ' w/o modifiers' : ''}`, () => groups[name] && groups[name][key], Number(count)])
+    } else if ((match = line.match(STATUS_COUNT_REGEX))) {
+      const {status, count} = match.groups
+      expected.push([`${status} count`, () => statuses[status], Number(count)])
+    }
+  }
+
+  if (expected.length === 0) throw 'No subtotals found in emoji-group.txt'
+  for (const [label, counted, count] of expected) {
+    if (counted() !== count) throw `${label} is ${count} in emoji-group.txt but ${counted()} emoji were counted`
+  }
+
+  const stats = {
+    version,
+    total: statuses['fully-qualified'] + statuses['component'],
+    skin_tone_variations: 0,
+    component: statuses['component'],
+    groups: {},
+    total_without_skin_tone_variations: 0
+  }
+
+  for (const name in groups) {
+    if (name === 'Component') continue
+    stats.groups[name] = groups[name].fullyQualified
+    stats.skin_tone_variations += groups[name].skinToneVariations
+  }
+  stats.total_without_skin_tone_variations = stats.total - stats.skin_tone_variations - stats.component
+
+  return stats
+}
+
+// node script/generate-stats.js --input <dir>
+if (require.main === module) {
+  const {values: {input}} = parseArgs({options: {input: {type: 'string', default: '.'}}})
+  const stats = countEmoji(fs.readFileSync(path.join(input, 'emoji-group.txt'), 'utf-8'))
+  fs.writeFileSync(path.join(__dirname, '..', 'test', 'stats.json'), JSON.stringify(stats, null, 2))
+}
+
+module.exports = {countEmoji}
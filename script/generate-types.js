@@ -0,0 +1,189 @@
+const fs = require('fs')
+const path = require('path')
+
+const ROOT = path.join(__dirname, '..')
+
+// typeOf(['1F600']) -> 'Array<string>'
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return `Array<${value.length ? typeOf(value[0]) : 'unknown'}>`
+  return typeof value
+}
+
+// Infers interface fields from every record so that a field which is missing
+// on some entries (e.g. skin_tone_support_unicode_version) becomes optional.
+//
+// [{ name: 'a', flag: true }, { name: 'b' }] -> ['  name: string;', '  flag?: boolean;']
+function inferFields(records, overrides = {}) {
+  const fields = new Map()
+  for (const record of records) {
+    for (const key in record) {
+      if (!fields.has(key)) fields.set(key, new Set())
+      fields.get(key).add(typeOf(record[key]))
+    }
+  }
+
+  return Array.from(fields, ([key, types]) => {
+    const optional = records.some(record => !(key in record)) ? '?' : ''
+    const type = overrides[key] || Array.from(types).join(' | ')
+    return `  ${key}${optional}: ${type};`
+  })
+}
+
+// schemaType({ type: 'array', items: { $ref: '#/definitions/Category' } }) -> 'Array<Category>'
+// schemaType({ type: 'string', enum: ['text', 'emoji'] }) -> "'text' | 'emoji'"
+//
+// Definitions are referred to by name, so refs to another schema file resolve
+// to the interface generated from that file.
+function schemaType(schema) {
+  if (schema.$ref) return schema.$ref.split('/').pop()
+  if (schema.enum) return schema.enum.map(value => JSON.stringify(value).replace(/"/g, "'")).join(' | ')
+  switch (schema.type) {
+    case 'array': return `Array<${schemaType(schema.items)}>`
+    case 'object': return `Record<string, ${schema.additionalProperties ? schemaType(schema.additionalProperties) : 'unknown'}>`
+    case 'integer': return 'number'
+    default: return schema.type
+  }
+}
+
+// Fields of an object schema, with its descriptions as doc comments
+//
+// { properties: { name: { description: 'CLDR name', type: 'string' } }, required: ['name'] } ->
+// ['  /** CLDR name */', '  name: string;']
+function schemaFields(schema) {
+  const required = schema.required || []
+  const lines = []
+  for (const key in schema.properties) {
+    const property = schema.properties[key]
+    if (property.description) lines.push(`  /** ${property.description} */`)
+    lines.push(`  ${key}${required.includes(key) ? '' : '?'}: ${schemaType(property)};`)
+  }
+  return lines
+}
+
+// The interfaces for every definition in a schema file
+function schemaInterfaces(schema) {
+  const lines = []
+  for (const name in schema.definitions) {
+    const definition = schema.definitions[name]
+    if (definition.description) lines.push(`/** ${definition.description} */`)
+    lines.push(`export interface ${name} {`, ...schemaFields(definition), '}', '')
+  }
+  return lines
+}
+
+function generateTypes(dir = ROOT) {
+  const read = file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'))
+  const schema = file => JSON.parse(fs.readFileSync(path.join(ROOT, 'schema', `${file}.schema.json`), 'utf-8'))
+  const byEmoji = schema('data-by-emoji')
+  const byGroup = schema('data-by-group')
+  const orderedEmoji = schema('data-ordered-emoji')
+  const emojiComponents = schema('data-emoji-components')
+  const skinToneVariants = [].concat(...Object.values(read('data-skin-tone-variants.json')))
+
+  return [
+    '// Generated by script/generate-types.js from schema/ and the built data files. Do not edit.',
+    '',
+    ...schemaInterfaces(byEmoji),
+    'export interface EmojiEntry extends Emoji {',
+    '  emoji: string;',
+    '}',
+    '',
+    ...schemaInterfaces(byGroup),
+    'export interface GroupSummary {',
+    '  name: string;',
+    '  slug: string;',
+    '}',
+    '',
+    'export interface SkinToneVariant {',
+    ...inferFields(skinToneVariants),
+    '}',
+    '',
+    'export interface SearchOptions {',
+    '  limit?: number;',
+    '  group?: string;',
+    '  maxVersion?: string;',
+    '}',
+    '',
+    'export interface EmojiToken {',
+    '  emoji: string;',
+    '  index: number;',
+    '  length: number;',
+    '  entry: EmojiEntry;',
+    '}',
+    '',
+    'export interface StrippedEmoji {',
+    '  base: string;',
+    '  tones: Array<string>;',
+    '}',
+    '',
+    'export interface VersionedData {',
+    `  dataByEmoji: ${schemaType(byEmoji)};`,
+    `  dataByGroup: ${schemaType(byGroup)};`,
+    `  orderedEmoji: ${schemaType(orderedEmoji)};`,
+    '  skinToneVariants: Record<string, Array<SkinToneVariant>>;',
+    '}',
+    '',
+    `export declare const dataByEmoji: ${schemaType(byEmoji)};`,
+    `export declare const dataByGroup: ${schemaType(byGroup)};`,
+    '',
+    'export declare function getByEmoji(emoji: string): EmojiEntry | null;',
+    'export declare function getBySlug(slug: string): EmojiEntry | null;',
+    'export declare function getGroup(slug: string): Category | null;',
+    'export declare function listGroups(): Array<GroupSummary>;',
+    'export declare function normalize(str: string): string | null;',
+    `export declare function ordered(): ${schemaType(orderedEmoji)};`,
+    `export declare function components(): ${schemaType(emojiComponents)};`,
+    'export declare function filterByVersion(maxVersion: string): VersionedData;',
+    'export declare function compareVersions(a: string, b: string): number;',
+    'export declare function search(query: string, options?: SearchOptions): Array<EmojiEntry>;',
+    'export declare function parse(text: string): Array<EmojiToken>;',
+    'export declare function flagForRegion(code: string): string | null;',
+    'export declare function regionForFlag(emoji: string): string | null;',
+    'export declare function applySkinTone(emoji: string, tones: string | Array<string>): string;',
+    'export declare function stripSkinTone(sequence: string): StrippedEmoji | null;',
+    ''
+  ].join('\n')
+}
+
+// Typings for the modules in groups/, which are the same for every group
+//
+// {
+//   "smileys_emotion.d.ts": "...",
+//   ...
+//   "index.d.ts": "..."
+// }
+function generateGroupTypes(dir = ROOT) {
+  const dataByGroup = JSON.parse(fs.readFileSync(path.join(dir, 'data-by-group.json'), 'utf-8'))
+  const header = '// Generated by script/generate-types.js from schema/ and the built data files. Do not edit.'
+  const types = {}
+  for (const {slug} of dataByGroup) {
+    types[`${slug}.d.ts`] = [
+      header,
+      '',
+      "import type {GroupEmoji} from '../index';",
+      '',
+      'export declare const name: string;',
+      'export declare const slug: string;',
+      'export declare const emojis: Array<GroupEmoji>;',
+      ''
+    ].join('\n')
+  }
+  types['index.d.ts'] = [
+    header,
+    '',
+    ...dataByGroup.map(({slug}) => `export * as ${slug} from './${slug}';`),
+    ''
+  ].join('\n')
+  return types
+}
+
+if (require.main === module) {
+  fs.writeFileSync(path.join(ROOT, 'index.d.ts'), generateTypes())
+  const groupTypes = generateGroupTypes()
+  for (const file in groupTypes) {
+    fs.writeFileSync(path.join(ROOT, 'groups', file), groupTypes[file])
+  }
+}
+
+module.exports = {generateGroupTypes, generateTypes, schemaType}
@@ -0,0 +1,94 @@
+// Reads emoji character properties from emoji-data.txt and text and emoji
+// presentation sequences from emoji-variation-sequences.txt
+
+const VARIATION_16 = String.fromCodePoint(0xfe0f)
+const KEYCAP = 0x20e3
+
+// 231A..231B    ; Emoji_Presentation   # E0.6   [2] (⌚..⌛)    watch..hourglass done
+// |1--| |2--|     |3---------------|
+//
+const PROPERTY_REGEX = /^(?<from>[0-9A-F]+)(?:\.\.(?<to>[0-9A-F]+))?\s*;\s*(?<property>\w+)\s*#/
+
+// 00A9 FE0E  ; text style;  # (1.1) COPYRIGHT SIGN
+// |1-|         |2-|
+//
+const VARIATION_SEQUENCE_REGEX = /^(?<codepoint>[0-9A-F]+)\sFE0[EF]\s*;\s*(?<style>text|emoji)\sstyle;/
+
+// {
+//   "Emoji_Presentation": Set { 0x231A, 0x231B, ... },
+//   "Emoji_Modifier_Base": Set { 0x261D, ... },
+//   ...
+// }
+function parseEmojiData(emojiData) {
+  const properties = {}
+  for (const line of emojiData.split('\n')) {
+    const match = line.match(PROPERTY_REGEX)
+    if (!match) continue
+    const {from, to = from, property} = match.groups
+    const codePoints = properties[property] || (properties[property] = new Set())
+    for (let codePoint = parseInt(from, 16); codePoint <= parseInt(to, 16); codePoint++) {
+      codePoints.add(codePoint)
+    }
+  }
+  return properties
+}
+
+// Code points that have a text style variation sequence
+function parseTextVariants(variationSequences) {
+  const textVariants = new Set()
+  for (const line of variationSequences.split('\n')) {
+    const match = line.match(VARIATION_SEQUENCE_REGEX)
+    if (match && match.groups.style === 'text') textVariants.add(parseInt(match.groups.codepoint, 16))
+  }
+  return textVariants
+}
+
+// Adds the presentation and modifier properties to every entry:
+//
+//   default_presentation   'emoji' when the emoji shows as emoji without
+//                          VARIATION_16, otherwise 'text'. Sequences other
+//                          than a single character are always 'emoji'.
+//   has_text_variant       The emoji (or the character of a keycap) has a
+//                          text style variation sequence.
+//   modifier_base          The emoji has a character that takes skin tone
+//                          modifiers (Emoji_Modifier_Base).
+//   extended_pictographic  The first character is Extended_Pictographic.
+//
+// '☺️' -> { default_presentation: 'text', has_text_variant: true, modifier_base: false, extended_pictographic: true }
+// '👋' -> { default_presentation: 'emoji', has_text_variant: false, modifier_base: true, extended_pictographic: true }
+//
+// Throws when an emoji supports skin tones without an Emoji_Modifier_Base
+// character. The reverse is fine: 👯 is Emoji_Modifier_Base, but its skin tone
+// variations are not recommended for general interchange.
+function addProperties(data, emojiData, variationSequences) {
+  const {dataByEmoji, dataByGroup} = data
+  const properties = parseEmojiData(emojiData)
+  const textVariants = parseTextVariants(variationSequences)
+  const has = (property, codePoint) => Boolean(properties[property] && properties[property].has(codePoint))
+
+  for (const emoji in dataByEmoji) {
+    const entry = dataByEmoji[emoji]
+    const codePoints = Array.from(emoji.split(VARIATION_16).join(''), character => character.codePointAt(0))
+    const isSingle = codePoints.length === 1
+    const isKeycap = codePoints.length === 2 && codePoints[1] === KEYCAP
+
+    entry.default_presentation = !isSingle || has('Emoji_Presentation', codePoints[0]) ? 'emoji' : 'text'
+    entry.has_text_variant = (isSingle || isKeycap) && textVariants.has(codePoints[0])
+    entry.modifier_base = codePoints.some(codePoint => has('Emoji_Modifier_Base', codePoint))
+    entry.extended_pictographic = has('Extended_Pictographic', codePoints[0])
+
+    if (entry.skin_tone_support && !entry.modifier_base) {
+      throw `${emoji} supports skin tones but has no Emoji_Modifier_Base character in emoji-data.txt`
+    }
+  }
+
+  for (const group of dataByGroup) {
+    for (const entry of group.emojis) {
+      const {default_presentation, has_text_variant, modifier_base, extended_pictographic} = dataByEmoji[entry.emoji]
+      Object.assign(entry, {default_presentation, has_text_variant, modifier_base, extended_pictographic})
+    }
+  }
+  return data
+}
+
+module.exports = {addProperties, parseEmojiData, parseTextVariants}
@@ -0,0 +1,82 @@
+// Reads the sequence type of every emoji from emoji-sequences.txt and
+// emoji-zwj-sequences.txt
+
+const ZWJ = String.fromCodePoint(0x200d)
+
+// 231A..231B    ; Basic_Emoji              ; watch..hourglass done          # E0.6   [2] (⌚..⌛)
+// 1F468 200D 2764 FE0F 200D 1F468 ; RGI_Emoji_ZWJ_Sequence ; couple with heart: man, man # E2.0 [1] (👨‍❤️‍👨)
+// |1-----------------------------|  |2-------------------|
+//
+const SEQUENCE_REGEX = /^(?<codepoints>[0-9A-F]+(?:\.\.[0-9A-F]+|(?:\s[0-9A-F]+)*))\s*;\s*(?<type>\w+)\s*;/
+
+// The type field of each entry, for each type in the Unicode files
+const SEQUENCE_TYPES = {
+  Basic_Emoji: 'basic_emoji',
+  Emoji_Keycap_Sequence: 'keycap_sequence',
+  RGI_Emoji_Flag_Sequence: 'flag_sequence',
+  RGI_Emoji_Tag_Sequence: 'tag_sequence',
+  RGI_Emoji_Modifier_Sequence: 'modifier_sequence',
+  RGI_Emoji_ZWJ_Sequence: 'zwj_sequence'
+}
+
+const fromHex = codepoints => String.fromCodePoint(...codepoints.split(' ').map(hex => parseInt(hex, 16)))
+
+// parseSequences(emojiSequences, emojiZwjSequences) ->
+// {
+//   "⌚": "basic_emoji",
+//   "#️⃣": "keycap_sequence",
+//   "👨‍❤️‍👨": "zwj_sequence",
+//   ...
+// }
+function parseSequences(...files) {
+  const types = {}
+  for (const file of files) {
+    for (const line of file.split('\n')) {
+      const match = line.match(SEQUENCE_REGEX)
+      if (!match) continue
+      const {codepoints, type} = match.groups
+      if (!SEQUENCE_TYPES[type]) throw `Unknown sequence type ${type} for ${codepoints}`
+
+      const [from, to] = codepoints.split('..')
+      if (to) {
+        for (let codePoint = parseInt(from, 16); codePoint <= parseInt(to, 16); codePoint++) {
+          types[String.fromCodePoint(codePoint)] = SEQUENCE_TYPES[type]
+        }
+      } else {
+        types[fromHex(codepoints)] = SEQUENCE_TYPES[type]
+      }
+    }
+  }
+  return types
+}
+
+// Adds the sequence type to every entry, and the data-by-emoji.json keys (or
+// data-emoji-components.json emoji) a ZWJ sequence is made of
+//
+// '👨‍❤️‍👨' -> { type: 'zwj_sequence', components: ['👨', '❤️', '👨'] }
+// '👨‍🦰' -> { type: 'zwj_sequence', components: ['👨', '🦰'] }
+function addSequenceTypes(data, emojiSequences, emojiZwjSequences) {
+  const {dataByEmoji, dataByGroup, qualificationAliases} = data
+  const types = parseSequences(emojiSequences, emojiZwjSequences)
+  const componentKey = part => qualificationAliases[part] || part
+
+  for (const emoji in dataByEmoji) {
+    const type = types[emoji]
+    if (!type) throw `${emoji} is not listed in emoji-sequences.txt or emoji-zwj-sequences.txt`
+    dataByEmoji[emoji].type = type
+    if (type === 'zwj_sequence') {
+      dataByEmoji[emoji].components = emoji.split(ZWJ).map(componentKey)
+    }
+  }
+
+  for (const group of dataByGroup) {
+    for (const entry of group.emojis) {
+      const {type, components} = dataByEmoji[entry.emoji]
+      entry.type = type
+      if (components) entry.components = components
+    }
+  }
+  return data
+}
+
+module.exports = {addSequenceTypes, parseSequences}
@@ -0,0 +1,101 @@
+// Flattens data-by-emoji.json into one row per emoji for spreadsheets and
+// databases: emoji.csv, emoji.ndjson and emoji.sql
+//
+// Every row starts with the emoji, its 1-based position in
+// data-ordered-emoji.json and the slug of its group, followed by every field
+// of data-by-emoji.json. In emoji.csv and emoji.sql, lists are joined with '|'
+// and objects become one column per key, e.g. variant_of.family is
+// variant_of_family. emoji.ndjson keeps the JSON values as they are.
+
+const {fieldOrder} = require('./compact')
+
+const LIST_SEPARATOR = '|'
+
+// Every column in the order entries have their fields
+//
+// [{name: 'a', variant_of: {family: 'x'}}, {name: 'b', region_code: 'JP'}] -> ['name', 'variant_of_family', 'region_code']
+function columnsFor(entries) {
+  const columns = []
+  for (const field of fieldOrder(entries)) {
+    const objects = entries.map(entry => entry[field]).filter(value => value && typeof value === 'object' && !Array.isArray(value))
+    if (objects.length === 0) columns.push({name: field, get: entry => entry[field]})
+    else for (const key of fieldOrder(objects)) columns.push({name: `${field}_${key}`, get: entry => entry[field] && entry[field][key]})
+  }
+  return columns
+}
+
+// {orderedEmoji, dataByEmoji, dataByGroup} -> {columns: ['emoji', 'position', ...], rows: [['😀', 1, ...], ...], records: [{emoji: '😀', position: 1, ...}, ...]}
+function flatten({orderedEmoji, dataByEmoji, dataByGroup}) {
+  const groupSlugs = {}
+  for (const {name, slug} of dataByGroup) groupSlugs[name] = slug
+
+  const records = orderedEmoji.map((emoji, index) => Object.assign({emoji, position: index + 1, group_slug: groupSlugs[dataByEmoji[emoji].group]}, dataByEmoji[emoji]))
+  const columns = columnsFor(records)
+  const rows = records.map(record => columns.map(column => {
+    const value = column.get(record)
+    if (value === undefined) return null
+    return Array.isArray(value) ? value.join(LIST_SEPARATOR) : value
+  }))
+  return {columns: columns.map(column => column.name), rows, records}
+}
+
+// 'family: woman, woman, girl, girl' -> '"family: woman, woman, girl, girl"'
+//
+// Quoted as RFC 4180 describes: values with commas, quotes or line breaks are
+// wrapped in quotes, and quotes inside them are doubled.
+function csvValue(value) {
+  if (value === null) return ''
+  const string = String(value)
+  return /[",\r\n]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string
+}
+
+// "flag: Côte d'Ivoire" -> "'flag: Côte d''Ivoire'"
+function sqlValue(value) {
+  if (value === null) return 'NULL'
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE'
+  if (typeof value === 'number') return String(value)
+  return `'${String(value).replace(/'/g, "''")}'`
+}
+
+// The narrowest SQL type that fits every value in a column
+function sqlType(values) {
+  const present = values.filter(value => value !== null)
+  const type = present.every(value => typeof value === 'boolean') ? 'BOOLEAN'
+    : present.every(value => Number.isInteger(value)) ? 'INTEGER'
+    : 'TEXT'
+  return present.length === values.length ? `${type} NOT NULL` : type
+}
+
+// Returns the contents of emoji.csv, emoji.ndjson and emoji.sql
+function buildTables(data) {
+  const {columns, rows, records} = flatten(data)
+
+  // emoji,position,group_slug,name,slug,group,...
+  // 😀,1,smileys_emotion,grinning face,grinning_face,Smileys & Emotion,...
+  // 👨‍👩‍👧‍👦,522,people_body,"family man, woman, girl, boy",...
+  const csv = [columns, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n'
+
+  // {"emoji":"😀","position":1,"group_slug":"smileys_emotion","name":"grinning face",...}
+  const ndjson = records.map(record => JSON.stringify(record)).join('\n') + '\n'
+
+  // CREATE TABLE "emoji" ("emoji" TEXT NOT NULL PRIMARY KEY, "position" INTEGER NOT NULL, ...);
+  // INSERT INTO "emoji" VALUES ('😀', 1, 'smileys_emotion', 'grinning face', ...);
+  //
+  // Every name is quoted, because columns like "group" are SQL keywords.
+  const definitions = columns.map((column, index) => {
+    const type = sqlType(rows.map(row => row[index]))
+    return `  "${column}" ${type}${column === 'emoji' ? ' PRIMARY KEY' : ''}`
+  })
+  const sql = [
+    'CREATE TABLE "emoji" (',
+    definitions.join(',\n'),
+    ');',
+    '',
+    ...rows.map(row => `INSERT INTO "emoji" VALUES (${row.map(sqlValue).join(', ')});`),
+    ''
+  ].join('\n')
+
+  return {'emoji.csv': csv, 'emoji.ndjson': ndjson, 'emoji.sql': sql}
+}
+
+module.exports = {buildTables, csvValue, flatten, sqlValue}
@@ -0,0 +1,93 @@
+// Links the person, man and woman forms of an emoji, and their hair styles,
+// into variant families
+
+const ZWJ = String.fromCodePoint(0x200d)
+
+// 🙆‍♂️: PERSON GESTURING OK, ZWJ, MALE SIGN
+const GENDER_SIGNS = {'♂️': 'man', '♀️': 'woman'}
+
+// 👨‍⚕️: MAN, ZWJ, STAFF OF AESCULAPIUS
+const ADULTS = {'🧑': 'person', '👨': 'man', '👩': 'woman'}
+const PERSON = '🧑'
+
+// The family an emoji belongs to and its place in it, or null
+//
+// '🙆‍♀️' -> { family: '🙆', gender: 'woman' }
+// '🏃‍♂️‍➡️' -> { family: '🏃‍➡️', gender: 'man' }
+// '👩‍⚕️' -> { family: '🧑‍⚕️', gender: 'woman' }
+// '👨‍🦰' -> { family: '🧑', gender: 'man', hair: 'red_hair' }
+// '👨‍👩‍👧' -> null
+function variantOf(emoji, dataByEmoji, hairStyles) {
+  const parts = emoji.split(ZWJ)
+
+  const signIndex = parts.findIndex((part, index) => index > 0 && GENDER_SIGNS[part])
+  if (signIndex !== -1) {
+    const family = parts.filter((_, index) => index !== signIndex).join(ZWJ)
+    return dataByEmoji[family] ? {family, gender: GENDER_SIGNS[parts[signIndex]]} : null
+  }
+
+  const [adult, ...rest] = parts
+  if (!ADULTS[adult] || !dataByEmoji[PERSON]) return null
+  if (rest.length === 0) return {family: PERSON, gender: ADULTS[adult]}
+  if (rest.length === 1 && hairStyles[rest[0]]) return {family: PERSON, gender: ADULTS[adult], hair: hairStyles[rest[0]]}
+  const family = [PERSON, ...rest].join(ZWJ)
+  return dataByEmoji[family] ? {family, gender: ADULTS[adult]} : null
+}
+
+// Adds variant_of to every emoji in a family, and the families themselves as
+// data.variantFamilies, keyed by the person form:
+//
+// {
+//   "🙆": [
+//     { "emoji": "🙆", "name": "person gesturing OK", "gender": "person" },
+//     { "emoji": "🙆‍♂️", "name": "man gesturing OK", "gender": "man" },
+//     { "emoji": "🙆‍♀️", "name": "woman gesturing OK", "gender": "woman" }
+//   ],
+//   ...
+// }
+//
+// An emoji with gendered forms is in its own family, as the person form.
+// Emoji without gendered forms or hair styles get no variant_of.
+function addVariants(data) {
+  const {orderedEmoji, dataByEmoji, dataByGroup, emojiComponents} = data
+  const hairStyles = {}
+  for (const name in emojiComponents) {
+    if (name.endsWith('_hair') || name === 'bald') hairStyles[emojiComponents[name]] = name
+  }
+
+  const members = {}
+  for (const emoji of orderedEmoji) {
+    const variant = variantOf(emoji, dataByEmoji, hairStyles)
+    if (!variant) continue
+    if (!members[variant.family]) members[variant.family] = {}
+    members[variant.family][emoji] = variant
+  }
+
+  // Families in the order of their person form, leaving out emoji like 🧑‍🎄
+  // that are the only member of their family
+  const variants = {}
+  data.variantFamilies = {}
+  for (const family of orderedEmoji) {
+    if (!members[family]) continue
+    if (!members[family][family]) members[family][family] = {family, gender: 'person'}
+    const emojis = orderedEmoji.filter(emoji => members[family][emoji])
+    if (emojis.length < 2) continue
+
+    data.variantFamilies[family] = emojis.map(emoji => {
+      const variant = variants[emoji] = members[family][emoji]
+      dataByEmoji[emoji].variant_of = variant
+      const member = {emoji, name: dataByEmoji[emoji].name, gender: variant.gender}
+      if (variant.hair) member.hair = variant.hair
+      return member
+    })
+  }
+
+  for (const group of dataByGroup) {
+    for (const entry of group.emojis) {
+      if (variants[entry.emoji]) entry.variant_of = variants[entry.emoji]
+    }
+  }
+  return data
+}
+
+module.exports = {addVariants, variantOf}
@@ -0,0 +1,406 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {execFileSync} = require('child_process')
+const test = require('tape')
+const {build, buildEmojiRegex, buildSearchIndex, checkSlugs, groupModules, matchableEmoji, parse, read, readProperties, readSequences, searchWords, slugify, updateSlugAliases} = require('../script/build')
+const {countEmoji} = require('../script/generate-stats')
+const {annotate, listLocales, localeChain, parseAnnotations, readAnnotations} = require('../script/annotations')
+const {addSequenceTypes, parseSequences} = require('../script/sequences')
+const {addProperties, parseEmojiData} = require('../script/properties')
+const {addFlagCodes, flagCode} = require('../script/flags')
+const {addVariants, variantOf} = require('../script/variants')
+const {encode, fieldOrder} = require('../script/compact')
+const {decode} = require('../compact')
+const {buildTables, csvValue, flatten, sqlValue} = require('../script/tables')
+
+const FIXTURES = path.join(__dirname, 'fixtures')
+const CLDR = path.join(FIXTURES, 'cldr')
+const {groupedEmojiData, orderedEmojiData} = read(FIXTURES)
+const data = parse(groupedEmojiData, orderedEmojiData)
+
+test('parse: entries', function(t) {
+  t.deepEqual(data.orderedEmoji, ['😀', '😂', '☺️', '❤️', '👋', '👨‍🦰', '🙆‍♀️', '🧑‍🤝‍🧑', '🐶', '#️⃣', '🅰️', '🏁', '🇯🇵', '🇰🇳', '🏴󠁧󠁢󠁳󠁣󠁴󠁿'], 'Orders fully-qualified emoji without skin tone variations.')
+  t.deepEqual(Object.keys(data.dataByEmoji), data.orderedEmoji, 'Every ordered emoji has an entry.')
+  t.deepEqual(data.dataByEmoji['🙆‍♀️'], {
+    name: 'woman gesturing OK',
+    slug: 'woman_gesturing_ok',
+    group: 'People & Body',
+    subgroup: 'person-gesture',
+    codepoints: ['1F646', '200D', '2640', 'FE0F'],
+    codepoints_string: '1f646-200d-2640-fe0f',
+    utf16_length: 5,
+    emoji_version: '4.0',
+    unicode_version: '4.0',
+    skin_tone_support: true,
+    skin_tone_support_unicode_version: '4.0'
+  }, 'Parses every field of an entry.')
+  t.equal(data.dataByEmoji['☺️'].name, 'smiling face', 'Matches ordered data missing VARIATION_16.')
+  t.equal(data.dataByEmoji['🇰🇳'].name, 'flag St. Kitts & Nevis', 'Joins names around the colon.')
+  t.equal(data.dataByEmoji['👨‍🦰'].skin_tone_support, true, 'Hair style emoji support skin tones.')
+  t.equal(data.dataByEmoji['🐶'].skin_tone_support, false, 'Other emoji do not support skin tones.')
+  t.end()
+})
+
+test('parse: groups', function(t) {
+  t.deepEqual(data.dataByGroup.map(group => group.slug), ['smileys_emotion', 'people_body', 'animals_nature', 'symbols', 'flags'], 'Lists groups in order without Component.')
+  t.deepEqual(data.dataByGroup[0].emojis[0], Object.assign({emoji: '😀'}, {
+    skin_tone_support: false,
+    skin_tone_support_unicode_version: undefined,
+    name: 'grinning face',
+    slug: 'grinning_face',
+    subgroup: 'face-smiling',
+    codepoints: ['1F600'],
+    codepoints_string: '1f600',
+    utf16_length: 2,
+    unicode_version: '1.0',
+    emoji_version: '1.0'
+  }), 'Group entries carry every field but group.')
+  t.deepEqual(data.dataBySubgroup[4].subgroups.map(subgroup => [subgroup.slug, subgroup.emojis]), [
+    ['flag', ['🏁']],
+    ['country_flag', ['🇯🇵', '🇰🇳']],
+    ['subdivision_flag', ['🏴󠁧󠁢󠁳󠁣󠁴󠁿']]
+  ], 'Nests emoji by subgroup.')
+  t.end()
+})
+
+test('parse: components, aliases and skin tones', function(t) {
+  t.deepEqual(Object.keys(data.emojiComponents), ['light_skin_tone', 'medium_light_skin_tone', 'medium_skin_tone', 'medium_dark_skin_tone', 'dark_skin_tone', 'red_hair', 'curly_hair', 'white_hair', 'bald'], 'Names every component.')
+  t.deepEqual(data.qualificationAliases, {
+    '☺': '☺️',
+    '❤': '❤️',
+    '🙆‍♀': '🙆‍♀️',
+    '#⃣': '#️⃣',
+    '🅰': '🅰️'
+  }, 'Maps minimally-qualified and unqualified emoji.')
+  t.deepEqual(Object.keys(data.skinToneVariants), ['👋', '👨‍🦰', '🙆‍♀️', '🧑‍🤝‍🧑'], 'Lists variants by base emoji.')
+  t.deepEqual(data.skinToneVariants['👨‍🦰'][0], {
+    emoji: '👨🏻‍🦰',
+    name: 'man light skin tone, red hair',
+    tones: ['light_skin_tone'],
+    emoji_version: '11.0',
+    unicode_version: '11.0'
+  }, 'Parses a skin tone variation.')
+  t.equal(data.skinToneVariants['🧑‍🤝‍🧑'].length, 25, 'Lists every combination of two skin tones.')
+  t.deepEqual(data.skinToneVariants['🧑‍🤝‍🧑'][1].tones, ['light_skin_tone', 'medium_light_skin_tone'], 'Names both skin tones.')
+  t.end()
+})
+
+test('sequence types', function(t) {
+  const {emojiSequences, emojiZwjSequences} = readSequences(FIXTURES, '15.1')
+  const types = parseSequences(emojiSequences, emojiZwjSequences)
+  t.equal(types['😄'], 'basic_emoji', 'Expands code point ranges.')
+  t.equal(types['👋🏻'], 'modifier_sequence', 'Reads modifier sequences.')
+  const typed = addSequenceTypes(JSON.parse(JSON.stringify(data)), emojiSequences, emojiZwjSequences)
+  t.deepEqual(typed.orderedEmoji.map(emoji => typed.dataByEmoji[emoji].type), [
+    'basic_emoji', 'basic_emoji', 'basic_emoji', 'basic_emoji', 'basic_emoji',
+    'zwj_sequence', 'zwj_sequence', 'zwj_sequence',
+    'basic_emoji', 'keycap_sequence', 'basic_emoji', 'basic_emoji',
+    'flag_sequence', 'flag_sequence', 'tag_sequence'
+  ], 'Adds the type of every entry.')
+  t.deepEqual(typed.dataByEmoji['🙆‍♀️'].components, ['🙆', '♀️'], 'Splits ZWJ sequences into emoji.')
+  t.deepEqual(typed.dataByEmoji['👨‍🦰'].components, ['👨', '🦰'], 'Includes components in ZWJ sequences.')
+  t.notOk('components' in typed.dataByEmoji['🐶'], 'Only ZWJ sequences have components.')
+  t.deepEqual(typed.dataByGroup[1].emojis[1].components, ['👨', '🦰'], 'Adds the type to group entries.')
+  t.throws(() => addSequenceTypes(JSON.parse(JSON.stringify(data)), emojiSequences, ''), /👨‍🦰 is not listed/, 'Throws on emoji without a sequence type.')
+  t.throws(() => parseSequences('1F600 ; Emoji_Thing ; grinning face'), /Unknown sequence type Emoji_Thing/, 'Throws on unknown sequence types.')
+  t.end()
+})
+
+test('emoji properties', function(t) {
+  const {emojiData, variationSequences} = readProperties(FIXTURES, '15.1')
+  t.ok(parseEmojiData(emojiData).Emoji_Modifier_Base.has(0x1F44B), 'Expands code point ranges.')
+  const {dataByEmoji, dataByGroup} = addProperties(JSON.parse(JSON.stringify(data)), emojiData, variationSequences)
+  const properties = emoji => {
+    const {default_presentation, has_text_variant, modifier_base, extended_pictographic} = dataByEmoji[emoji]
+    return [default_presentation, has_text_variant, modifier_base, extended_pictographic]
+  }
+  t.deepEqual(properties('☺️'), ['text', true, false, true], 'Reads text presentation emoji.')
+  t.deepEqual(properties('😀'), ['emoji', false, false, true], 'Reads emoji presentation emoji.')
+  t.deepEqual(properties('👋'), ['emoji', false, true, true], 'Reads modifier bases.')
+  t.deepEqual(properties('#️⃣'), ['emoji', true, false, false], 'Keycaps have the text variant of their character.')
+  t.deepEqual(properties('🙆‍♀️'), ['emoji', false, true, true], 'Sequences are emoji presentation.')
+  t.deepEqual(properties('🇯🇵'), ['emoji', false, false, false], 'Flags are not Extended_Pictographic.')
+  t.equal(dataByGroup[0].emojis[2].default_presentation, 'text', 'Adds the properties to group entries.')
+  const withoutModifierBase = emojiData.replace(/^1F446\.\.1F450.*$/m, '')
+  t.throws(() => addProperties(JSON.parse(JSON.stringify(data)), withoutModifierBase, variationSequences), /👋 supports skin tones but has no Emoji_Modifier_Base/, 'Checks skin tone support against Emoji_Modifier_Base.')
+  t.end()
+})
+
+test('flag codes', function(t) {
+  t.equal(flagCode(['1F1EF', '1F1F5']), 'JP', 'Reads regional indicators.')
+  t.equal(flagCode(['1F3F4', 'E0067', 'E0062', 'E0073', 'E0063', 'E0074', 'E007F']), 'gb-sct', 'Reads tag sequences.')
+  t.equal(flagCode(['1F3F4']), null, 'Skips the flag without tags.')
+  t.equal(flagCode(['1F1EF']), null, 'Skips a lone regional indicator.')
+  const {dataByEmoji, dataByGroup} = addFlagCodes(JSON.parse(JSON.stringify(data)))
+  t.equal(dataByEmoji['🇰🇳'].region_code, 'KN', 'Adds region codes.')
+  t.equal(dataByEmoji['🏴󠁧󠁢󠁳󠁣󠁴󠁿'].subdivision_code, 'gb-sct', 'Adds subdivision codes.')
+  t.deepEqual(Object.keys(dataByEmoji).filter(emoji => dataByEmoji[emoji].region_code || dataByEmoji[emoji].subdivision_code), ['🇯🇵', '🇰🇳', '🏴󠁧󠁢󠁳󠁣󠁴󠁿'], 'Only adds codes to country and subdivision flags.')
+  const flags = dataByGroup.find(group => group.name === 'Flags').emojis
+  t.equal(flags.find(entry => entry.emoji === '🇯🇵').region_code, 'JP', 'Adds the codes to group entries.')
+  t.end()
+})
+
+test('variants', function(t) {
+  const entries = ['🧑', '👨', '👩', '🧑‍🦰', '👨‍🦰', '🧑‍⚕️', '👩‍⚕️', '🙆', '🙆‍♂️', '🙆‍♀️', '🏃‍➡️', '🏃‍♀️‍➡️', '🧑‍🎄', '👨‍👩‍👧']
+  const dataByEmoji = {}
+  for (const emoji of entries) dataByEmoji[emoji] = {name: emoji}
+  const hairStyles = {'🦰': 'red_hair'}
+  t.deepEqual(variantOf('🙆‍♀️', dataByEmoji, hairStyles), {family: '🙆', gender: 'woman'}, 'Links gender signs to the person form.')
+  t.deepEqual(variantOf('🏃‍♀️‍➡️', dataByEmoji, hairStyles), {family: '🏃‍➡️', gender: 'woman'}, 'Finds gender signs before other characters.')
+  t.deepEqual(variantOf('👩‍⚕️', dataByEmoji, hairStyles), {family: '🧑‍⚕️', gender: 'woman'}, 'Links man and woman sequences to the person sequence.')
+  t.deepEqual(variantOf('👨‍🦰', dataByEmoji, hairStyles), {family: '🧑', gender: 'man', hair: 'red_hair'}, 'Links hair styles to the person.')
+  t.equal(variantOf('👨‍👩‍👧', dataByEmoji, hairStyles), null, 'Leaves families alone.')
+
+  const data = {
+    orderedEmoji: entries,
+    dataByEmoji,
+    dataByGroup: [{name: 'People & Body', slug: 'people_body', emojis: entries.map(emoji => ({emoji}))}],
+    emojiComponents: {light_skin_tone: '🏻', red_hair: '🦰'}
+  }
+  const {variantFamilies} = addVariants(data)
+  t.deepEqual(Object.keys(variantFamilies), ['🧑', '🧑‍⚕️', '🙆', '🏃‍➡️'], 'Groups families in order, without single emoji.')
+  t.deepEqual(variantFamilies['🙆'], [
+    {emoji: '🙆', name: '🙆', gender: 'person'},
+    {emoji: '🙆‍♂️', name: '🙆‍♂️', gender: 'man'},
+    {emoji: '🙆‍♀️', name: '🙆‍♀️', gender: 'woman'}
+  ], 'Lists the members of a family.')
+  t.deepEqual(variantFamilies['🧑'].map(member => member.hair), [undefined, undefined, undefined, 'red_hair', 'red_hair'], 'Lists hair styles in the person family.')
+  t.deepEqual(dataByEmoji['🙆'].variant_of, {family: '🙆', gender: 'person'}, 'Adds variant_of to the person form.')
+  t.notOk(dataByEmoji['🧑‍🎄'].variant_of, 'Adds no variant_of to emoji without gendered forms.')
+  t.deepEqual(data.dataByGroup[0].emojis[9].variant_of, {family: '🙆', gender: 'woman'}, 'Adds variant_of to group entries.')
+  t.end()
+})
+
+test('parse: errors', function(t) {
+  t.throws(() => parse(groupedEmojiData, orderedEmojiData + 'U+1F415 ; 0.6 # 🐕 dog\n'), /🐕 entry from emoji-order.txt/, 'Throws on ordered emoji missing from the group data.')
+  t.throws(() => read(FIXTURES, '16.0'), /version 15\.1, expected 16\.0/, 'Throws when the input is a different version.')
+  t.end()
+})
+
+test('slugify', function(t) {
+  t.equal(slugify('flag: St. Kitts & Nevis'), 'flag_st_kitts_nevis')
+  t.equal(slugify('A button (blood type)'), 'a_button')
+  t.equal(slugify('keycap: #'), 'keycap_number_sign')
+  t.equal(slugify('piñata'), 'pinata')
+  t.end()
+})
+
+test('buildSearchIndex', function(t) {
+  t.deepEqual(searchWords('flag: St. Kitts & Nevis'), ['flag', 'st', 'kitts', 'nevis'])
+  t.deepEqual(searchWords('piñata'), ['pinata'])
+  const {terms, postings} = buildSearchIndex(data.orderedEmoji, data.dataByEmoji)
+  t.deepEqual(terms, terms.slice().sort(), 'Sorts terms.')
+  t.deepEqual(postings[terms.indexOf('face')].map(position => data.orderedEmoji[position]), ['😀', '😂', '☺️', '🐶'], 'Lists emoji with a name word in order.')
+  t.deepEqual(postings[terms.indexOf('flag')].map(position => data.orderedEmoji[position]), ['🏁', '🇯🇵', '🇰🇳', '🏴󠁧󠁢󠁳󠁣󠁴󠁿'], 'Splits names on punctuation.')
+  t.end()
+})
+
+test('groupModules', function(t) {
+  const modules = groupModules(data.dataByGroup)
+  const slugs = data.dataByGroup.map(group => group.slug)
+  t.deepEqual(Object.keys(modules), [].concat(...slugs.map(slug => [`${slug}.js`, `${slug}.mjs`]), 'index.js', 'index.mjs'), 'Writes a CommonJS and an ES module per group.')
+  const group = data.dataByGroup.find(group => group.slug === 'flags')
+  const module = {exports: {}}
+  new Function('exports', 'require', 'module', modules['flags.js'])(module.exports, require, module)
+  t.deepEqual(module.exports, JSON.parse(JSON.stringify(group)), 'Exports the name, slug and emojis of the group.')
+  t.ok(modules['flags.mjs'].includes('export const emojis = [\n  {"emoji":"🏁",'), 'Exports the same as an ES module, one emoji per line.')
+  t.ok(modules['index.mjs'].includes("export * as flags from './flags.mjs'"), 'Re-exports every group by slug.')
+  t.end()
+})
+
+test('compact format', function(t) {
+  t.deepEqual(fieldOrder([{name: 'a', slug: 'a'}, {name: 'b', region_code: 'JP', slug: 'b'}, {keywords: []}]), ['keywords', 'name', 'region_code', 'slug'], 'Keeps the key order of every entry.')
+  const {dataByEmoji} = addVariants(addFlagCodes(JSON.parse(JSON.stringify(data))))
+  const compact = encode(dataByEmoji)
+  t.equal(JSON.stringify(decode(JSON.parse(JSON.stringify(compact)))), JSON.stringify(dataByEmoji), 'Decodes to the same entries, in the same key order.')
+  t.deepEqual(compact.fields.find(([field]) => field === 'codepoints'), ['codepoints', 'derived'], 'Leaves out code points.')
+  t.equal(compact.columns[compact.fields.findIndex(([field]) => field === 'region_code')][compact.emoji.indexOf('🇯🇵')], 'JP', 'Stores optional fields.')
+  t.ok(compact.strings.includes('Smileys & Emotion'), 'Interns groups.')
+  const mismatched = JSON.parse(JSON.stringify(dataByEmoji))
+  mismatched['😀'].utf16_length = 1
+  t.throws(() => encode(mismatched), /does not decode to data-by-emoji.json/, 'Throws when the round trip loses anything.')
+  t.throws(() => decode(Object.assign({}, compact, {format: 2})), /Unknown data-compact.json format 2/, 'Rejects other formats.')
+  t.end()
+})
+
+test('buildEmojiRegex', function(t) {
+  t.equal(buildEmojiRegex(['👋', '👋🏻', '👋🏼', '😀']), '(?=[\\u{1F44B}\\u{1F600}])(?:\\u{1F44B}(?:[\\u{1F3FB}\\u{1F3FC}])?|\\u{1F600})', 'Builds the regex from a trie.')
+  const sequences = matchableEmoji(data)
+  t.ok(sequences.includes('🙆‍♀') && sequences.includes('🙆🏻‍♀'), 'Matches emoji without VARIATION_16.')
+  const regex = new RegExp(buildEmojiRegex(sequences), 'gu')
+  const lines = groupedEmojiData.split('\n').filter(line => /^[0-9A-F]/.test(line) && !line.includes('; component'))
+  for (const line of lines) {
+    const emoji = line.match(/#\s(\S+)/)[1]
+    const matches = Array.from(`a${emoji}b`.matchAll(regex), match => match[0])
+    if (matches.length !== 1 || matches[0] !== emoji) t.fail(`Does not match ${line}`)
+  }
+  t.deepEqual(Array.from('👋🏽👋 1 # 🇯🇵🇰🇳'.matchAll(regex), match => match[0]), ['👋🏽', '👋', '🇯🇵', '🇰🇳'], 'Splits adjacent emoji and skips text.')
+  t.end()
+})
+
+test('build.js --input --output --version', function(t) {
+  const output = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-build-'))
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'script', 'build.js'), '--input', FIXTURES, '--output', output, '--version', '15.1'])
+  t.deepEqual(JSON.parse(fs.readFileSync(path.join(output, 'data-ordered-emoji.json'), 'utf-8')), data.orderedEmoji, 'Writes into the output directory.')
+  const {emojiSequences, emojiZwjSequences} = readSequences(FIXTURES)
+  const {emojiData, variationSequences} = readProperties(FIXTURES)
+  const typed = addProperties(addSequenceTypes(JSON.parse(JSON.stringify(data)), emojiSequences, emojiZwjSequences), emojiData, variationSequences)
+  t.deepEqual(JSON.parse(fs.readFileSync(path.join(output, 'data-by-emoji.json'), 'utf-8')), addVariants(addFlagCodes(typed)).dataByEmoji, 'Writes the parsed data with sequence types, properties, flag codes and variants.')
+  t.equal(require(path.join(output, 'emoji-regex.js'))().source, buildEmojiRegex(matchableEmoji(data)), 'Writes emoji-regex.js.')
+  t.deepEqual(require(path.join(output, 'groups', 'flags.js')).emojis.map(entry => entry.emoji), ['🏁', '🇯🇵', '🇰🇳', '🏴󠁧󠁢󠁳󠁣󠁴󠁿'], 'Writes the group modules.')
+  t.deepEqual(build({input: FIXTURES, output}).orderedEmoji, data.orderedEmoji, 'Can be used as a module.')
+  fs.rmSync(output, {recursive: true})
+  t.end()
+})
+
+// '"a, b",c\n' -> [['a, b', 'c']]
+function parseCSV(csv) {
+  const rows = [[]]
+  const pattern = /("(?:[^"]|"")*"|[^,\n]*)(,|\n)/g
+  for (const [, value, separator] of csv.matchAll(pattern)) {
+    rows[rows.length - 1].push(value.startsWith('"') ? value.slice(1, -1).replace(/""/g, '"') : value)
+    if (separator === '\n') rows.push([])
+  }
+  rows.pop()
+  return rows
+}
+
+test('tables', function(t) {
+  t.equal(csvValue('flag: St. Kitts & Nevis'), 'flag: St. Kitts & Nevis', 'Leaves plain values unquoted.')
+  t.equal(csvValue('family: woman, woman, girl, girl'), '"family: woman, woman, girl, girl"', 'Quotes values with commas.')
+  t.equal(csvValue('say "cheese", please'), '"say ""cheese"", please"', 'Doubles quotes.')
+  t.equal(csvValue(null), '', 'Leaves missing values empty.')
+  t.equal(sqlValue("flag: Côte d'Ivoire"), "'flag: Côte d''Ivoire'", 'Doubles single quotes in SQL strings.')
+  t.deepEqual([true, 2, null].map(sqlValue), ['TRUE', '2', 'NULL'], 'Writes SQL literals.')
+
+  const full = addVariants(addFlagCodes(JSON.parse(JSON.stringify(data))))
+  const {columns, rows, records} = flatten(full)
+  t.deepEqual(columns.slice(0, 4), ['emoji', 'position', 'group_slug', 'name'], 'Starts with the emoji, position and group slug.')
+  t.ok(columns.includes('region_code') && columns.includes('subdivision_code'), 'Has a column per optional field.')
+  const variants = flatten({
+    orderedEmoji: ['🧑‍🦰', '👨'],
+    dataByEmoji: {'🧑‍🦰': {name: 'person red hair', group: 'People & Body', variant_of: {family: 'person', gender: 'person', hair: 'red_hair'}}, '👨': {name: 'man', group: 'People & Body', keywords: ['adult', 'man']}},
+    dataByGroup: [{name: 'People & Body', slug: 'people_body'}]
+  })
+  t.deepEqual(variants.columns, ['emoji', 'position', 'group_slug', 'name', 'group', 'keywords', 'variant_of_family', 'variant_of_gender', 'variant_of_hair'], 'Has a column per object key.')
+  t.deepEqual(variants.rows, [['🧑‍🦰', 1, 'people_body', 'person red hair', 'People & Body', null, 'person', 'person', 'red_hair'], ['👨', 2, 'people_body', 'man', 'People & Body', 'adult|man', null, null, null]], 'Leaves missing values null.')
+  t.deepEqual(records.map(record => record.emoji), data.orderedEmoji, 'Has a row per emoji in data-ordered-emoji.json order.')
+  const flag = records.find(record => record.emoji === '🇰🇳')
+  t.deepEqual([flag.position, flag.group_slug, flag.region_code], [data.orderedEmoji.indexOf('🇰🇳') + 1, 'flags', 'KN'], 'Adds the 1-based position and group slug.')
+  t.equal(rows[0][columns.indexOf('codepoints')], '1F600', 'Joins lists.')
+
+  const files = buildTables(full)
+  t.deepEqual(parseCSV(files['emoji.csv']), [columns, ...rows.map(row => row.map(csvValue).map(value => value.startsWith('"') ? value.slice(1, -1).replace(/""/g, '"') : value))], 'Writes a CSV with a header.')
+  t.deepEqual(files['emoji.ndjson'].trim().split('\n').map(line => JSON.parse(line)), JSON.parse(JSON.stringify(records)), 'Writes a JSON object per line.')
+  const sql = files['emoji.sql'].split('\n')
+  t.ok(sql.includes('  "group" TEXT NOT NULL,') && sql.includes('  "utf16_length" INTEGER NOT NULL,') && sql.includes('  "skin_tone_support" BOOLEAN NOT NULL,') && sql.includes('  "region_code" TEXT,'), 'Types the columns.')
+  t.equal(sql.filter(line => line.startsWith('INSERT INTO "emoji" VALUES (')).length, records.length, 'Inserts every emoji.')
+
+  const output = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-build-'))
+  build({input: FIXTURES, output})
+  t.notOk(fs.existsSync(path.join(output, 'emoji.csv')), 'Only writes the tables when asked.')
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'script', 'build.js'), '--input', FIXTURES, '--output', output, '--tables'])
+  t.deepEqual(parseCSV(fs.readFileSync(path.join(output, 'emoji.csv'), 'utf-8')).map(row => row[0]), ['emoji', ...data.orderedEmoji], 'Writes emoji.csv with --tables.')
+  t.ok(fs.existsSync(path.join(output, 'emoji.ndjson')) && fs.existsSync(path.join(output, 'emoji.sql')), 'Writes emoji.ndjson and emoji.sql with --tables.')
+  fs.rmSync(output, {recursive: true})
+  t.end()
+})
+
+test('slug collisions', function(t) {
+  t.doesNotThrow(() => checkSlugs(data.dataByEmoji), 'Passes when every slug is unique.')
+  const colliding = parse(groupedEmojiData, orderedEmojiData.replace('🐶 dog face', '🐶 A button (dog)'))
+  t.throws(() => checkSlugs(colliding.dataByEmoji), /Slug a_button is used by both 🐶 A button \(dog\) and 🅰️ A button \(blood type\)/, 'Throws when two emoji get the same slug.')
+  t.end()
+})
+
+test('slug aliases', function(t) {
+  const previous = JSON.parse(JSON.stringify(data.dataByEmoji))
+  previous['😀'].slug = 'grinning'
+  t.deepEqual(updateSlugAliases(data), {}, 'Has no aliases without a previous build.')
+  t.deepEqual(updateSlugAliases(data, previous), {grinning: '😀'}, 'Maps renamed slugs to their emoji.')
+  t.deepEqual(updateSlugAliases(data, data.dataByEmoji, {grinning: '😀', smiley: '😃'}), {grinning: '😀'}, 'Keeps earlier aliases of emoji in this build.')
+  t.deepEqual(updateSlugAliases(data, {'☺': {slug: 'relaxed'}}), {relaxed: '☺️'}, 'Follows qualification aliases.')
+  t.deepEqual(updateSlugAliases(data, data.dataByEmoji, {grinning_face: '😀'}), {}, 'Drops slugs an emoji has been renamed back to.')
+  t.deepEqual(updateSlugAliases(data, {'#️⃣': {slug: 'keycap_'}, '🅰️': {slug: 'keycap_'}, '🐶': {slug: 'dog'}}), {dog: '🐶'}, 'Leaves out slugs the previous build gave to several emoji.')
+  t.deepEqual(updateSlugAliases(data, {'😀': {name: 'grinning face'}}), {}, 'Ignores previous builds without slugs.')
+  t.throws(() => updateSlugAliases(data, data.dataByEmoji, {waving_hand: '😀'}), /Retired slug waving_hand of 😀 is now the slug of 👋/, 'Throws when a retired slug belongs to another emoji.')
+
+  const output = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-build-'))
+  const readJSON = file => JSON.parse(fs.readFileSync(path.join(output, file), 'utf-8'))
+  build({input: FIXTURES, output})
+  t.deepEqual(readJSON('data-slug-aliases.json'), {}, 'Writes data-slug-aliases.json.')
+  fs.writeFileSync(path.join(output, 'data-by-emoji.json'), JSON.stringify(previous))
+  build({input: FIXTURES, output})
+  t.deepEqual(readJSON('data-slug-aliases.json'), {grinning: '😀'}, 'Compares with the previous build in the output directory.')
+  build({input: FIXTURES, output})
+  t.deepEqual(readJSON('data-slug-aliases.json'), {grinning: '😀'}, 'Keeps aliases across builds.')
+  const other = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-build-'))
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'script', 'build.js'), '--input', FIXTURES, '--output', other, '--previous', output])
+  t.deepEqual(JSON.parse(fs.readFileSync(path.join(other, 'data-slug-aliases.json'), 'utf-8')), {grinning: '😀'}, 'Compares with the build in --previous.')
+  fs.rmSync(output, {recursive: true})
+  fs.rmSync(other, {recursive: true})
+  t.end()
+})
+
+test('annotations', function(t) {
+  t.deepEqual(parseAnnotations('<annotation cp="&amp;" draft="contributed">ampersand | and</annotation><annotation cp="&amp;" type="tts">ampersand</annotation>'), {
+    '&': {keywords: ['ampersand', 'and'], name: 'ampersand'}
+  }, 'Parses keywords, names and XML entities.')
+  t.deepEqual(listLocales(CLDR), ['de', 'de_CH', 'en'], 'Lists locales.')
+  const english = annotate(data.dataByEmoji, readAnnotations(CLDR, 'en'))
+  t.deepEqual(Object.keys(english), data.orderedEmoji, 'Annotates every emoji.')
+  t.deepEqual(english['😀'], {name: 'grinning face', keywords: ['cheerful', 'cheery', 'face', 'grin', 'grinning', 'happy', 'laugh', 'nice', 'smile', 'smiling', 'teeth']}, 'Reads keywords and the tts name.')
+  t.equal(english['☺️'].name, 'smiling face', 'Matches annotations without VARIATION_16.')
+  t.equal(english['🇯🇵'].name, 'flag: Japan', 'Reads annotationsDerived.')
+  const swiss = annotate(data.dataByEmoji, readAnnotations(CLDR, 'de_CH'))
+  t.equal(swiss['🅰️'].name, 'Grossbuchstabe A in rotem Quadrat', 'Prefers the locale.')
+  t.equal(swiss['🐶'].name, 'Hundegesicht', 'Falls back to the parent locale.')
+  t.throws(() => readAnnotations(CLDR, 'xx'), /No CLDR annotations found for xx/, 'Throws on missing locales.')
+  t.end()
+})
+
+test('annotations: parent locales', function(t) {
+  t.deepEqual(localeChain('de_CH'), ['de', 'de_CH'], 'Falls back by dropping the last subtag.')
+  t.deepEqual(localeChain('zh_Hant'), ['zh_Hant'], 'Does not fall back from Traditional to Simplified Chinese.')
+  t.deepEqual(localeChain('zh_Hant_MO'), ['zh_Hant', 'zh_Hant_HK', 'zh_Hant_MO'], 'Follows CLDR parent locales.')
+  t.deepEqual(localeChain('en_GB'), ['en', 'en_001', 'en_GB'], 'Falls back to regional parents.')
+
+  const cldr = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-cldr-'))
+  fs.mkdirSync(path.join(cldr, 'annotations'))
+  fs.writeFileSync(path.join(cldr, 'annotations', 'zh.xml'), '<annotation cp="😀">笑脸</annotation><annotation cp="😀" type="tts">嘿嘿</annotation><annotation cp="🐶">狗</annotation><annotation cp="🐶" type="tts">狗脸</annotation>')
+  fs.writeFileSync(path.join(cldr, 'annotations', 'zh_Hant.xml'), '<annotation cp="😀">笑臉</annotation><annotation cp="😀" type="tts">露齒笑臉</annotation>')
+  const traditional = readAnnotations(cldr, 'zh_Hant')
+  t.deepEqual(traditional['😀'], {keywords: ['笑臉'], name: '露齒笑臉'}, 'Reads zh_Hant.')
+  t.equal(traditional['🐶'], undefined, 'Leaves out Simplified Chinese annotations from zh.')
+  fs.rmSync(cldr, {recursive: true})
+  t.end()
+})
+
+test('build.js --cldr --locales', function(t) {
+  const output = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-build-'))
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'script', 'build.js'), '--input', FIXTURES, '--output', output, '--cldr', CLDR, '--locales', 'de,de_CH'])
+  const readJSON = file => JSON.parse(fs.readFileSync(path.join(output, file), 'utf-8'))
+  const dataByEmoji = readJSON('data-by-emoji.json')
+  t.deepEqual(dataByEmoji['🐶'].keywords, ['adorbs', 'animal', 'dog', 'face', 'pet', 'puppies', 'puppy'], 'Adds English keywords to entries.')
+  t.deepEqual(readJSON('data-by-group.json')[2].emojis[0].keywords, ['adorbs', 'animal', 'dog', 'face', 'pet', 'puppies', 'puppy'], 'Adds English keywords to group entries.')
+  t.deepEqual(readJSON('data-by-emoji.de.json')['🐶'], {name: 'Hundegesicht', keywords: ['Gesicht', 'Hund', 'Hundegesicht', 'Tier', 'treu', 'Wau', 'wuff']}, 'Writes localized names and keywords.')
+  t.deepEqual(Object.keys(readJSON('data-by-emoji.de-CH.json')), Object.keys(dataByEmoji), 'Names locale files with BCP 47 tags.')
+  t.throws(() => execFileSync(process.execPath, [path.join(__dirname, '..', 'script', 'build.js'), '--input', FIXTURES, '--output', output, '--cldr', path.join(output, 'missing')], {stdio: 'pipe'}), /No CLDR annotations in .*missing, copy common\/annotations/, 'Fails when the CLDR directory is missing.')
+  t.ok(fs.existsSync(path.join(output, 'data-by-emoji.de.json')), 'Leaves the output alone when it fails.')
+  build({input: FIXTURES, output})
+  t.notOk('keywords' in readJSON('data-by-emoji.json')['🐶'], 'Builds without keywords without --cldr.')
+  t.deepEqual(fs.readdirSync(output).filter(file => /^data-by-emoji\..+\.json$/.test(file)), [], 'Removes the locale files of an earlier build without --cldr.')
+  fs.rmSync(output, {recursive: true})
+  t.end()
+})
+
+test('generate-stats.js', function(t) {
+  const stats = countEmoji(groupedEmojiData)
+  t.equal(stats.version, '15.1')
+  t.equal(stats.total_without_skin_tone_variations, data.orderedEmoji.length, 'Counts emoji without skin tone variations.')
+  t.equal(stats.skin_tone_variations, 40, 'Counts skin tone variations.')
+  t.deepEqual(stats.groups, {'Smileys & Emotion': 4, 'People & Body': 44, 'Animals & Nature': 1, 'Symbols': 2, 'Flags': 4}, 'Counts fully-qualified emoji per group.')
+  t.throws(() => countEmoji(groupedEmojiData.replace('# Flags subtotal:\t\t4\n', '# Flags subtotal:\t\t5\n')), /Flags subtotal is 5/, 'Throws when a subtotal does not add up.')
+  t.end()
+})
@@ -0,0 +1,180 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('tape')
+const {build} = require('../script/build')
+
+const FIXTURES = path.join(__dirname, 'fixtures')
+const VARIATION_16 = String.fromCodePoint(0xfe0f)
+const SKIN_TONES = ['1F3FB', '1F3FC', '1F3FD', '1F3FE', '1F3FF']
+const withoutVariation16 = emoji => emoji.split(VARIATION_16).join('')
+
+// ' fully-qualified     # #️⃣ E0.6 keycap: #' -> ['fully-qualified', '#️⃣ E0.6 keycap: #']
+function splitComment(field) {
+  const index = field.indexOf('#')
+  return [field.slice(0, index).trim(), field.slice(index + 1).trim()]
+}
+
+// A second, deliberately simple reading of emoji-test.txt and
+// emoji-ordering.txt, sharing no code with script/build.js. It splits lines on
+// their separators instead of matching them, and tells skin tone variations
+// apart by their code points instead of their names.
+function readSources(groupedEmojiData, orderedEmojiData) {
+  const entries = {}
+  const variants = {}
+  const aliases = {}
+  const components = {}
+  let group = null
+  let subgroup = null
+  let base = null
+
+  for (const line of groupedEmojiData.split('\n')) {
+    if (line.startsWith('# group: ')) group = line.slice('# group: '.length).trim()
+    if (line.startsWith('# subgroup: ')) subgroup = line.slice('# subgroup: '.length).trim()
+    if (line.startsWith('#') || !line.includes(';')) continue
+
+    const [codepointsField, rest] = line.split(';')
+    const [status, comment] = splitComment(rest)
+    const codepoints = codepointsField.trim().split(/\s+/)
+    const [emoji, version, ...name] = comment.split(' ')
+    if (status === 'component') {
+      components[name.join(' ').replace(/[\s-]/g, '_')] = emoji
+    } else if (status !== 'fully-qualified') {
+      if (!codepoints.some(codepoint => SKIN_TONES.includes(codepoint))) aliases[emoji] = null
+    } else if (codepoints.some(codepoint => SKIN_TONES.includes(codepoint))) {
+      variants[base].push({emoji, name: name.join(' ').replace(': ', ' '), emoji_version: version.slice(1)})
+    } else {
+      base = emoji
+      variants[base] = []
+      entries[emoji] = {
+        group,
+        subgroup,
+        codepoints,
+        codepoints_string: codepoints.join('-').toLowerCase(),
+        utf16_length: emoji.length,
+        emoji_version: version.slice(1)
+      }
+    }
+  }
+
+  for (const alias in aliases) {
+    aliases[alias] = Object.keys(entries).find(emoji => withoutVariation16(emoji) === withoutVariation16(alias))
+  }
+
+  const ordered = []
+  for (const line of orderedEmojiData.split('\n')) {
+    if (!line.startsWith('U+')) continue
+    const [, rest] = line.split(';')
+    const [version, comment] = splitComment(rest)
+    const [emoji, ...name] = comment.split(' ')
+    const key = entries[emoji] ? emoji : aliases[emoji]
+    if (key) {
+      ordered.push(key)
+      entries[key].name = name.join(' ').replace(': ', ' ')
+      entries[key].unicode_version = version
+      entries[key].skin_tone_support = variants[key].length > 0
+    } else {
+      const toned = Object.values(variants).flat().find(variant => withoutVariation16(variant.emoji) === withoutVariation16(emoji))
+      if (toned) toned.unicode_version = version
+    }
+  }
+
+  for (const emoji in variants) {
+    if (variants[emoji].length === 0) continue
+    entries[emoji].skin_tone_support_unicode_version = variants[emoji][0].unicode_version
+  }
+  return {entries, variants, aliases, components, ordered}
+}
+
+// 'flag: St. Kitts & Nevis' -> 'flag_st_kitts_nevis'
+function expectedSlug(name) {
+  return name.replace('#', 'number sign').replace('*', 'asterisk')
+    .normalize('NFD').replace(/\p{M}/gu, '')
+    .replace(/\(.*\)/, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .join('_')
+}
+
+function sortKeys(object) {
+  const sorted = {}
+  for (const key of Object.keys(object).sort()) sorted[key] = object[key]
+  return sorted
+}
+
+// Checks that the data files agree with each other exactly
+function checkConsistency(t, {dataByEmoji, dataByGroup, orderedEmoji, slugAliases}) {
+  t.deepEqual(orderedEmoji.slice().sort(), Object.keys(dataByEmoji).sort(), 'data-ordered-emoji.json lists every data-by-emoji.json key.')
+  t.equal(new Set(orderedEmoji).size, orderedEmoji.length, 'data-ordered-emoji.json has no duplicates.')
+
+  const grouped = [].concat(...dataByGroup.map(group => group.emojis.map(entry => entry.emoji)))
+  t.deepEqual(grouped, orderedEmoji, 'data-by-group.json lists every emoji in data-ordered-emoji.json order.')
+  const mismatched = []
+  for (const group of dataByGroup) {
+    for (const entry of group.emojis) {
+      const {emoji, ...fields} = entry
+      if (!dataByEmoji[emoji]) continue
+      const expected = Object.assign({}, dataByEmoji[emoji])
+      if (expected.group !== group.name) mismatched.push(`${emoji} is in ${group.name} instead of ${expected.group}`)
+      delete expected.group
+      if (JSON.stringify(sortKeys(fields)) !== JSON.stringify(sortKeys(expected))) mismatched.push(`${emoji} differs from data-by-emoji.json`)
+    }
+  }
+  t.deepEqual(mismatched, [], 'data-by-group.json entries are the data-by-emoji.json entries.')
+
+  const slugs = {}
+  const duplicates = []
+  for (const emoji in dataByEmoji) {
+    const {slug} = dataByEmoji[emoji]
+    if (slugs[slug]) duplicates.push(`${slug}: ${slugs[slug]} ${emoji}`)
+    slugs[slug] = emoji
+  }
+  t.deepEqual(duplicates, [], 'No slug appears twice.')
+
+  const brokenAliases = Object.keys(slugAliases).filter(slug => slugs[slug] || !dataByEmoji[slugAliases[slug]])
+  t.deepEqual(brokenAliases, [], 'data-slug-aliases.json maps retired slugs to emoji in data-by-emoji.json.')
+}
+
+test('build.js output against the fixtures, entry by entry', function(t) {
+  const read = file => fs.readFileSync(path.join(FIXTURES, file), 'utf-8')
+  const sources = readSources(read('emoji-group.txt'), read('emoji-order.txt'))
+  const output = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-correctness-'))
+  build({input: FIXTURES, output})
+  const written = file => JSON.parse(fs.readFileSync(path.join(output, file), 'utf-8'))
+  const dataByEmoji = written('data-by-emoji.json')
+  const dataByGroup = written('data-by-group.json')
+  const orderedEmoji = written('data-ordered-emoji.json')
+  const skinToneVariants = written('data-skin-tone-variants.json')
+
+  t.deepEqual(Object.keys(dataByEmoji).sort(), Object.keys(sources.entries).sort(), 'Has every fully-qualified emoji and nothing else.')
+  t.deepEqual(orderedEmoji, sources.ordered, 'Keeps the emoji-ordering.txt order.')
+  for (const emoji in sources.entries) {
+    const expected = Object.assign({slug: expectedSlug(sources.entries[emoji].name)}, sources.entries[emoji])
+    for (const field in expected) {
+      t.deepEqual(dataByEmoji[emoji] && dataByEmoji[emoji][field], expected[field], `${emoji} ${field}`)
+    }
+  }
+
+  for (const emoji in sources.variants) {
+    const expected = sources.variants[emoji].map(variant => [variant.emoji, variant.name, variant.emoji_version, variant.unicode_version])
+    const actual = (skinToneVariants[emoji] || []).map(variant => [variant.emoji, variant.name, variant.emoji_version, variant.unicode_version])
+    t.deepEqual(actual, expected, `${emoji} skin tone variations`)
+  }
+  t.deepEqual(written('data-qualification-aliases.json'), sources.aliases, 'Aliases every minimally-qualified and unqualified emoji.')
+  t.deepEqual(written('data-emoji-components.json'), sources.components, 'Lists every component.')
+
+  checkConsistency(t, {dataByEmoji, dataByGroup, orderedEmoji, slugAliases: written('data-slug-aliases.json')})
+  fs.rmSync(output, {recursive: true})
+  t.end()
+})
+
+test('data files agree with each other', function(t) {
+  checkConsistency(t, {
+    dataByEmoji: require('../data-by-emoji.json'),
+    dataByGroup: require('../data-by-group.json'),
+    orderedEmoji: require('../data-ordered-emoji.json'),
+    slugAliases: require('../data-slug-aliases.json')
+  })
+  t.end()
+})
@@ -0,0 +1,99 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {execFileSync} = require('child_process')
+const test = require('tape')
+const {diff, load, toMarkdown} = require('../script/diff')
+
+const FIXTURES = path.join(__dirname, 'fixtures')
+
+// Fixtures as the "old" release, and a copy of them changed the ways a new
+// release can change things
+function changedRelease() {
+  const release = JSON.parse(JSON.stringify(load(FIXTURES)))
+  release.label = 'next'
+  delete release.dataByEmoji['🇯🇵']
+  release.dataByEmoji['🫩'] = {name: 'face with bags under eyes', slug: 'face_with_bags_under_eyes', group: 'Smileys & Emotion', subgroup: 'face-sleepy', skin_tone_support: false}
+  Object.assign(release.dataByEmoji['🐶'], {name: 'puppy face', slug: 'puppy_face'})
+  Object.assign(release.dataByEmoji['😂'], {subgroup: 'face-hand'})
+  Object.assign(release.dataByEmoji['🐶'], {group: 'People & Body', subgroup: 'person'})
+  release.dataByEmoji['🏁'].skin_tone_support = true
+  release.skinToneVariants['👋'][0].tones = ['light_skin_tone', 'dark_skin_tone']
+  return release
+}
+
+test('diff', function(t) {
+  const from = load(FIXTURES)
+  t.equal(from.label, '15.1', 'Labels Unicode sources by version.')
+  const report = diff(from, changedRelease())
+  t.equal(report.to, 'next')
+  t.deepEqual(report.added.map(entry => entry.emoji), ['🫩'], 'Reports added emoji.')
+  t.deepEqual(report.removed.map(entry => entry.emoji), ['🇯🇵'], 'Reports removed emoji.')
+  t.deepEqual(report.renamed, [{emoji: '🐶', from: 'dog face', to: 'puppy face'}], 'Reports renamed emoji.')
+  t.deepEqual(report.slug_changes, [{emoji: '🐶', from: 'dog_face', to: 'puppy_face'}], 'Reports slug changes.')
+  t.deepEqual(report.group_moves.map(move => [move.emoji, move.to.group, move.to.subgroup]), [
+    ['😂', 'Smileys & Emotion', 'face-hand'],
+    ['🐶', 'People & Body', 'person']
+  ], 'Reports group and subgroup moves.')
+  t.deepEqual(report.skin_tone_support_added, [
+    {emoji: '👋', name: 'waving hand', multiple_skin_tones: true},
+    {emoji: '🏁', name: 'chequered flag', multiple_skin_tones: false}
+  ], 'Reports new skin tone support, including new multiple skin tone support.')
+  t.deepEqual(diff(from, from), {from: '15.1', to: '15.1', added: [], removed: [], renamed: [], slug_changes: [], group_moves: [], skin_tone_support_added: []}, 'Reports nothing for the same release.')
+  t.end()
+})
+
+test('toMarkdown', function(t) {
+  const markdown = toMarkdown(diff(load(FIXTURES), changedRelease()))
+  t.ok(markdown.startsWith('# Emoji changes from 15.1 to next\n'), 'Has a title.')
+  t.ok(markdown.includes('## Added (1)\n\n- 🫩 face with bags under eyes (`face_with_bags_under_eyes`), Smileys & Emotion\n'), 'Lists added emoji.')
+  t.ok(markdown.includes('- 🐶 `dog_face` → `puppy_face`'), 'Lists slug changes.')
+  t.ok(markdown.includes('- 👋 waving hand (multiple skin tones)'), 'Lists new skin tone support.')
+  t.ok(toMarkdown(diff(load(FIXTURES), load(FIXTURES))).includes('No changes.'), 'Says when nothing changed.')
+  t.end()
+})
+
+test('diff against an older build', function(t) {
+  const build = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-diff-'))
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'script', 'build.js'), '--input', FIXTURES, '--output', build])
+  const current = load(build)
+
+  // A build from before subgroups and data-skin-tone-variants.json
+  const old = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-diff-'))
+  const dataByEmoji = {}
+  for (const emoji in current.dataByEmoji) {
+    const {name, slug, group, skin_tone_support} = current.dataByEmoji[emoji]
+    dataByEmoji[emoji] = {name, slug, group, skin_tone_support}
+  }
+  fs.writeFileSync(path.join(old, 'data-by-emoji.json'), JSON.stringify(dataByEmoji))
+  const previous = load(old)
+  t.equal(previous.skinToneVariants, null, 'Loads builds without data-skin-tone-variants.json.')
+
+  t.ok(current.skinToneVariants['🧑‍🤝‍🧑'].some(variant => variant.tones.length > 1), 'The fixtures have emoji with multiple skin tones.')
+  const report = diff(previous, current)
+  t.deepEqual(report.group_moves, [], 'Does not report a move when the old build has no subgroups.')
+  t.deepEqual(report.skin_tone_support_added, [], 'Does not report multiple skin tones as new when the old build has no variants.')
+
+  dataByEmoji['🐶'].group = 'People & Body'
+  fs.writeFileSync(path.join(old, 'data-by-emoji.json'), JSON.stringify(dataByEmoji))
+  const moved = diff(load(old), current)
+  t.deepEqual(moved.group_moves, [{emoji: '🐶', name: 'dog face', from: {group: 'People & Body', subgroup: undefined}, to: {group: 'Animals & Nature', subgroup: 'animal-mammal'}}], 'Still reports group moves.')
+  t.ok(toMarkdown(moved).includes('- 🐶 dog face: People & Body → Animals & Nature / animal-mammal'), 'Leaves out the missing subgroup in the notes.')
+  fs.rmSync(build, {recursive: true})
+  fs.rmSync(old, {recursive: true})
+  t.end()
+})
+
+test('diff.js between a build and Unicode sources', function(t) {
+  const build = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-diff-'))
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'script', 'build.js'), '--input', FIXTURES, '--output', build])
+  const json = path.join(build, 'report.json')
+  const markdown = path.join(build, 'CHANGES.md')
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'script', 'diff.js'), build, FIXTURES, '--json', json, '--markdown', markdown])
+  const report = JSON.parse(fs.readFileSync(json, 'utf-8'))
+  t.equal(report.from, path.basename(build), 'Labels builds by directory name.')
+  t.deepEqual(report.added.concat(report.removed, report.renamed), [], 'Finds no changes between a build and its sources.')
+  t.equal(fs.readFileSync(markdown, 'utf-8'), toMarkdown(report), 'Writes the release notes.')
+  fs.rmSync(build, {recursive: true})
+  t.end()
+})
@@ -0,0 +1,143 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const http = require('http')
+const crypto = require('crypto')
+const test = require('tape')
+const {DEFAULT_VERSION, download, filesFor, get} = require('../script/download-unicode-data')
+const {spawnSync} = require('child_process')
+
+const FIXTURES = path.join(__dirname, 'fixtures')
+const emojiTest = fs.readFileSync(path.join(FIXTURES, 'emoji-group.txt'))
+const emojiOrdering = fs.readFileSync(path.join(FIXTURES, 'emoji-order.txt'))
+const emojiSequences = fs.readFileSync(path.join(FIXTURES, 'emoji-sequences.txt'))
+const emojiZwjSequences = fs.readFileSync(path.join(FIXTURES, 'emoji-zwj-sequences.txt'))
+const emojiData = fs.readFileSync(path.join(FIXTURES, 'emoji-data.txt'))
+const variationSequences = fs.readFileSync(path.join(FIXTURES, 'emoji-variation-sequences.txt'))
+const emojiCounts = Buffer.from('<html><table><tr><td>Total</td><td>64</td></tr></table></html>')
+const sha256 = body => crypto.createHash('sha256').update(body).digest('hex')
+
+// A stand-in for unicode.org. Ordering data is behind a redirect, 16.0 serves
+// the 15.1 file and anything else is a 404 page.
+const ROUTES = {
+  '/Public/emoji/15.1/emoji-test.txt': emojiTest,
+  '/Public/emoji/16.0/emoji-test.txt': emojiTest,
+  '/Public/emoji/15.1/emoji-sequences.txt': emojiSequences,
+  '/Public/emoji/15.1/emoji-zwj-sequences.txt': emojiZwjSequences,
+  '/Public/15.1.0/ucd/emoji/emoji-data.txt': emojiData,
+  '/Public/15.1.0/ucd/emoji/emoji-variation-sequences.txt': variationSequences,
+  '/emoji/charts-15.1/emoji-ordering.txt': '/moved/emoji-ordering.txt',
+  '/moved/emoji-ordering.txt': emojiOrdering,
+  '/emoji/charts-15.1/emoji-counts.html': emojiCounts,
+  '/loop': '/loop',
+  '/stall': null
+}
+
+function startServer() {
+  const server = http.createServer((request, response) => {
+    const route = ROUTES[request.url]
+    if (route === null) {
+      // Never responds, like a stalled connection
+    } else if (typeof route === 'string') {
+      response.writeHead(302, {location: route})
+      response.end()
+    } else if (route) {
+      response.end(route)
+    } else {
+      response.writeHead(404, {'content-type': 'text/html'})
+      response.end('<html>Not Found</html>')
+    }
+  })
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)))
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-download-'))
+}
+
+test('download from a server', async function(t) {
+  const server = await startServer()
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+  const output = tempDir()
+  try {
+    const manifest = await download({version: '15.1', baseUrl, output})
+    t.deepEqual(fs.readFileSync(path.join(output, 'emoji-group.txt')), emojiTest, 'Writes emoji-test.txt as emoji-group.txt.')
+    t.deepEqual(fs.readFileSync(path.join(output, 'emoji-order.txt')), emojiOrdering, 'Follows redirects.')
+    t.deepEqual(fs.readFileSync(path.join(output, 'emoji-zwj-sequences.txt')), emojiZwjSequences, 'Downloads the sequence files.')
+    t.deepEqual(fs.readFileSync(path.join(output, 'emoji-data.txt')), emojiData, 'Downloads the character properties.')
+    t.equal(manifest.files['emoji-group.txt'].sha256, sha256(emojiTest), 'Records a SHA-256 of each file.')
+    t.equal(manifest.files['emoji-order.txt'].source, `${baseUrl}/emoji/charts-15.1/emoji-ordering.txt`, 'Records where each file came from.')
+    t.deepEqual(JSON.parse(fs.readFileSync(path.join(output, 'download-manifest.json'), 'utf-8')), manifest, 'Writes the manifest.')
+
+    const mismatched = tempDir()
+    await download({version: '16.0', baseUrl, output: mismatched}).then(
+      () => t.fail('Should reject a file of the wrong version.'),
+      error => t.match(error.message, /is version 15\.1, expected 16\.0/, 'Rejects a file of the wrong version.')
+    )
+    t.match((await get(`${baseUrl}/loop`).catch(error => error)).message, /Too many redirects/, 'Stops following redirect loops.')
+    t.match((await get(`${baseUrl}/missing.txt`).catch(error => error)).message, /responded with 404/, 'Rejects error statuses.')
+    t.equal((await get(`${baseUrl}/stall`, 100).catch(error => error)).message, `Timed out after 100 ms fetching ${baseUrl}/stall`, 'Rejects stalled requests with the URL.')
+    t.deepEqual(fs.readdirSync(mismatched), [], 'Writes nothing when a file fails.')
+    fs.rmSync(mismatched, {recursive: true})
+  } finally {
+    server.close()
+    fs.rmSync(output, {recursive: true})
+  }
+})
+
+test('download --from a local mirror', async function(t) {
+  const mirror = tempDir()
+  const output = tempDir()
+  fs.mkdirSync(path.join(mirror, 'Public', 'emoji', '15.1'), {recursive: true})
+  fs.mkdirSync(path.join(mirror, 'emoji', 'charts-15.1'), {recursive: true})
+  fs.mkdirSync(path.join(mirror, 'Public', '15.1.0', 'ucd', 'emoji'), {recursive: true})
+  fs.writeFileSync(path.join(mirror, 'Public', 'emoji', '15.1', 'emoji-test.txt'), emojiTest)
+  fs.writeFileSync(path.join(mirror, 'Public', 'emoji', '15.1', 'emoji-sequences.txt'), emojiSequences)
+  fs.writeFileSync(path.join(mirror, 'Public', 'emoji', '15.1', 'emoji-zwj-sequences.txt'), emojiZwjSequences)
+  fs.writeFileSync(path.join(mirror, 'Public', '15.1.0', 'ucd', 'emoji', 'emoji-data.txt'), emojiData)
+  fs.writeFileSync(path.join(mirror, 'Public', '15.1.0', 'ucd', 'emoji', 'emoji-variation-sequences.txt'), variationSequences)
+  fs.writeFileSync(path.join(mirror, 'emoji', 'charts-15.1', 'emoji-ordering.txt'), emojiOrdering)
+
+  const manifest = await download({version: '15.1', from: mirror, output})
+  t.deepEqual(fs.readFileSync(path.join(output, 'emoji-group.txt')), emojiTest, 'Copies files from the mirror.')
+  t.equal(manifest.files['emoji-order.txt'].sha256, sha256(emojiOrdering), 'Records a SHA-256 of each file.')
+  t.notOk(manifest.files['emoji-counts.html'], 'Skips the optional counts page when it is missing.')
+
+  fs.writeFileSync(path.join(mirror, 'emoji', 'charts-15.1', 'emoji-ordering.txt'), '<html>Moved</html>')
+  await download({version: '15.1', from: mirror, output}).then(
+    () => t.fail('Should reject a file that is not ordering data.'),
+    error => t.match(error.message, /no emoji ordering lines found/, 'Rejects a file that is not ordering data.')
+  )
+  fs.rmSync(mirror, {recursive: true})
+  fs.rmSync(output, {recursive: true})
+})
+
+test('download version', function(t) {
+  t.equal(DEFAULT_VERSION, require('./stats.json').version, 'Downloads the version of the committed data by default.')
+  t.end()
+})
+
+test('file paths', function(t) {
+  const paths = version => Object.fromEntries(filesFor(version).map(file => [file.name, file.path]))
+  t.equal(paths('16.0')['emoji-data.txt'], '/Public/16.0.0/ucd/emoji/emoji-data.txt', 'Reads emoji-data.txt from the UCD.')
+  t.equal(paths('13.1')['emoji-data.txt'], '/Public/13.0.0/ucd/emoji/emoji-data.txt', 'Reads Emoji 13.1 properties from Unicode 13.0.')
+  t.equal(paths('13.1')['emoji-variation-sequences.txt'], '/Public/13.0.0/ucd/emoji/emoji-variation-sequences.txt')
+  t.equal(paths('13.1')['emoji-group.txt'], '/Public/emoji/13.1/emoji-test.txt', 'Reads the other files from the Emoji version.')
+  t.equal(paths('12.1')['emoji-data.txt'], '/Public/emoji/12.1/emoji-data.txt', 'Reads emoji-data.txt from the emoji directory before Unicode 13.0.')
+  t.equal(paths('12.1')['emoji-variation-sequences.txt'], '/Public/emoji/12.1/emoji-variation-sequences.txt')
+  const emojiDataFile = filesFor('13.1').find(file => file.name === 'emoji-data.txt')
+  t.equal(emojiDataFile.check('# emoji-data.txt\n# Used with Emoji Version 13.0 and subsequent minor revisions (if any)\n'), true, 'Expects Unicode 13.0 properties for Emoji 13.1.')
+  t.end()
+})
+
+test('download.js --timeout', function(t) {
+  const script = path.join(__dirname, '..', 'script', 'download-unicode-data.js')
+  const mirror = tempDir()
+  for (const timeout of ['abc', '0', '-5']) {
+    const result = spawnSync(process.execPath, [script, `--timeout=${timeout}`, '--from', mirror], {encoding: 'utf-8'})
+    t.equal(result.status, 1, `Exits with 1 for --timeout ${timeout}.`)
+    t.ok(result.stderr.startsWith(`--timeout must be a positive number of seconds, got ${timeout}`), `Explains --timeout ${timeout}.`)
+  }
+  fs.rmSync(mirror, {recursive: true})
+  t.end()
+})
@@ -0,0 +1,70 @@
+const path = require('path')
+const {spawnSync} = require('child_process')
+const test = require('tape')
+const {run} = require('../bin/emoji-db')
+const {compareVersions} = require('..')
+
+const BIN = path.join(__dirname, '..', 'bin', 'emoji-db.js')
+
+test('emoji-db info', function(t) {
+  const output = run(['info', 'waving_hand'])
+  t.ok(output.startsWith('👋  waving hand\n'), 'Looks up slugs.')
+  t.ok(/^emoji_version\s+0\.6$/m.test(output), 'Lists every field.')
+  t.equal(run(['info', '👋🏽']), output, 'Looks up skin tone variations as their base emoji.')
+  t.equal(run(['info', '☺']), run(['info', '☺️']), 'Looks up unqualified emoji.')
+  t.deepEqual(JSON.parse(run(['info', '🇯🇵', '--json'])), require('..').getByEmoji('🇯🇵'), 'Prints the entry as JSON.')
+  t.throws(() => run(['info', 'no_such_emoji']), /No emoji found for no_such_emoji/, 'Throws for unknown emoji.')
+  t.throws(() => run(['info', '🫠', '--max-version', '13.0']), /No emoji found for 🫠 up to Emoji 13.0/, 'Leaves out newer emoji.')
+  t.equal(JSON.parse(run(['info', '🤝', '--json', '--max-version', '13.0'])).skin_tone_support, false, 'Leaves out newer skin tones.')
+  t.end()
+})
+
+test('emoji-db search', function(t) {
+  t.equal(run(['search', 'grinning', 'face', '--limit', '1']), '😀  grinning_face  grinning face\n', 'Prints the best matches.')
+  const results = JSON.parse(run(['search', 'melting', '--json']))
+  t.equal(results[0].emoji, '🫠', 'Prints JSON.')
+  t.deepEqual(JSON.parse(run(['search', 'melting', '--json', '--max-version', '13.0'])), [], 'Leaves out newer emoji.')
+  t.throws(() => run(['search', 'grin', '--limit', 'ten']), /--limit must be a positive number/, 'Checks --limit.')
+  t.end()
+})
+
+test('emoji-db group', function(t) {
+  const summary = JSON.parse(run(['group', 'flags', '--json']))
+  const flags = require('..').getGroup('flags')
+  t.equal(summary.count, flags.emojis.length, 'Counts the emoji in a group.')
+  t.equal(summary.subgroups['country-flag'], flags.emojis.filter(entry => entry.subgroup === 'country-flag').length, 'Counts the emoji in each subgroup.')
+  t.ok(run(['group', 'flags']).startsWith(`Flags (flags): ${flags.emojis.length} emoji\n`), 'Prints a summary.')
+  const list = run(['group', 'smileys_emotion', '--list', '--max-version', '12.1']).trim().split('\n')
+  t.equal(list[0], '😀  grinning_face  grinning face', 'Lists the emoji in a group.')
+  const versions = list.map(item => require('..').getByEmoji(item.split('  ')[0]).emoji_version)
+  t.ok(versions.every(version => compareVersions(version, '12.1') <= 0), 'Lists emoji up to --max-version.')
+  t.ok(versions.includes('2.0') && versions.includes('12.0'), 'Compares versions as numbers.')
+  t.throws(() => run(['group', 'nope']), /No group nope, try one of: smileys_emotion/, 'Lists the groups for unknown groups.')
+  t.throws(() => run(['group']), /^Usage: emoji-db <command>/, 'Prints the usage without a group.')
+  t.end()
+})
+
+test('emoji-db components and stats', function(t) {
+  t.deepEqual(JSON.parse(run(['components', '--json'])), require('../data-emoji-components.json'), 'Prints the components.')
+  t.ok(run(['components']).includes('🏻  light_skin_tone\n'), 'Prints the components as text.')
+  const stats = JSON.parse(run(['stats', '--json']))
+  t.equal(stats.emoji, require('../data-ordered-emoji.json').length, 'Counts every emoji.')
+  t.equal(stats.skin_tone_variations, [].concat(...Object.values(require('../data-skin-tone-variants.json'))).length, 'Counts skin tone variations.')
+  const capped = JSON.parse(run(['stats', '--json', '--max-version', '12.1']))
+  t.equal(capped.latest_emoji_version, '12.1', 'Caps the latest version.')
+  t.ok(capped.emoji < stats.emoji, 'Counts fewer emoji up to --max-version.')
+  t.end()
+})
+
+test('emoji-db command line', function(t) {
+  const info = spawnSync(process.execPath, [BIN, 'info', 'grinning_face'], {encoding: 'utf-8'})
+  t.equal(info.status, 0, 'Exits with 0.')
+  t.equal(info.stdout, run(['info', 'grinning_face']), 'Prints the output.')
+  const unknown = spawnSync(process.execPath, [BIN, 'frobnicate'], {encoding: 'utf-8'})
+  t.equal(unknown.status, 1, 'Exits with 1 for unknown commands.')
+  t.ok(unknown.stderr.startsWith('Usage: emoji-db <command>'), 'Prints the usage.')
+  const badOption = spawnSync(process.execPath, [BIN, 'stats', '--bogus'], {encoding: 'utf-8'})
+  t.equal(badOption.status, 1, 'Exits with 1 for unknown options.')
+  t.ok(badOption.stderr.includes('--bogus'), 'Names the unknown option.')
+  t.end()
+})
@@ -1,4 +1,6 @@
 const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const test = require('tape')
 const stats = require('./stats.json')
 const data = require("../data-by-group.json");
@@ -6,10 +8,54 @@ const data = require("../data-by-group.json");
 const OUTPUT_FILES = [
   'data-by-emoji.json',
   'data-by-group.json',
+  'data-by-subgroup.json',
   'data-ordered-emoji.json',
   'data-emoji-components.json'
 ]
 
+test('JSON schemas', function(t) {
+  const Ajv = require('ajv')
+  const ajv = new Ajv({allErrors: true})
+  const files = ['data-by-emoji', 'data-by-group', 'data-ordered-emoji', 'data-emoji-components']
+  for (const file of files) ajv.addSchema(require(`../schema/${file}.schema.json`))
+  for (const file of files) {
+    const validate = ajv.getSchema(`${file}.schema.json`)
+    if (validate(require(`../${file}.json`))) t.pass(`${file}.json matches its schema.`)
+    else t.fail(`${file}.json does not match its schema: ${ajv.errorsText(validate.errors)}`)
+  }
+
+  const validateByEmoji = ajv.getSchema('data-by-emoji.schema.json')
+  t.notOk(validateByEmoji({'😀': {name: 'grinning face'}}), 'Rejects entries with missing fields.')
+  const withExtraField = Object.assign({}, require('../data-by-emoji.json')['😀'], {version: '6.1'})
+  t.notOk(validateByEmoji({'😀': withExtraField}), 'Rejects fields that are not in the schema.')
+
+  const {build} = require('../script/build')
+  const output = fs.mkdtempSync(path.join(os.tmpdir(), 'emoji-schema-'))
+  build({input: path.join(__dirname, 'fixtures'), output})
+  for (const file of files) {
+    const validate = ajv.getSchema(`${file}.schema.json`)
+    const written = JSON.parse(fs.readFileSync(path.join(output, `${file}.json`), 'utf-8'))
+    if (validate(written)) t.pass(`${file}.json built without --cldr matches its schema.`)
+    else t.fail(`${file}.json built without --cldr does not match its schema: ${ajv.errorsText(validate.errors)}`)
+  }
+  fs.rmSync(output, {recursive: true})
+
+  const {definitions: {Emoji}} = require('../schema/data-by-emoji.schema.json')
+  const {definitions: {GroupEmoji}} = require('../schema/data-by-group.schema.json')
+  const expected = ['emoji'].concat(Object.keys(Emoji.properties).filter(key => key !== 'group'))
+  t.deepEqual(Object.keys(GroupEmoji.properties), expected, 'Group entries have every field but group.')
+  t.end()
+})
+
+test('output files', function(t) {
+  const {files} = require('../package.json')
+  for (const file of OUTPUT_FILES) {
+    t.ok(fs.existsSync(path.join(__dirname, '..', file)), `${file} is built.`)
+    t.ok(files.includes(file), `${file} is published.`)
+  }
+  t.end()
+})
+
 test('data-ordered-emoji.json', function(t) {
   const data = require('../data-ordered-emoji.json')
   t.equal(data.length, stats.total_without_skin_tone_variations, 'Correct number of total emoji.')
@@ -25,28 +71,368 @@ test('data-emoji-components.json', function(t) {
 test('data-by-emoji.json', function(t) {
   const data = require('../data-by-emoji.json')
   t.equal(Object.keys(data).length, stats.total_without_skin_tone_variations, 'Correct number of total emoji.')
+  const mismatched = Object.keys(data).filter(emoji => {
+    const {codepoints, codepoints_string, utf16_length} = data[emoji]
+    return String.fromCodePoint(...codepoints.map(hex => parseInt(hex, 16))) !== emoji ||
+      codepoints_string !== codepoints.join('-').toLowerCase() ||
+      utf16_length !== emoji.length
+  })
+  t.deepEqual(mismatched, [], 'Code point fields match every emoji.')
+  t.deepEqual(data['🙆‍♀️'].codepoints, ['1F646', '200D', '2640', 'FE0F'], 'Code points are listed in sequence order.')
+  t.equal(data['🙆‍♀️'].codepoints_string, '1f646-200d-2640-fe0f', 'Code point string is lowercase and dash separated.')
   t.end()
 })
 
 test('data-by-group.json', function(t) {
   const data = require('../data-by-group.json')
-  const testGroup = 'People & Body';
+  const variants = require('../data-skin-tone-variants.json')
   for (const groupName in stats.groups) {
     const groupIndex = data.findIndex((element) => element.name === groupName)
     t.notEqual(groupIndex, -1, `Unable to find the ${groupName} group.`)
     if (groupIndex === -1) continue;
-    if (groupName === testGroup) {
-      // Ensure emoji count adds up to expected number of variations
-      //
-      // Each of these has 1 + 5 more skin tone variation sequences
-      const emojiWithSkinToneSupport = data[groupIndex].emojis.filter(entry => entry.skin_tone_support).length
-      // Each of these has 1 + 5 * 5 more skin tone variation sequences
-      const dualSkinToneSupport = stats.dual_skin_tone_support
-      const countWithSkinVariation = data[groupIndex].emojis.length + (emojiWithSkinToneSupport - dualSkinToneSupport) * 5 + dualSkinToneSupport * 5 * 5
-      t.equal(countWithSkinVariation, stats.groups[groupName], `Correct number of ${groupName} emoji.`)
-    } else {
-      t.equal(data[groupIndex].emojis.length, stats.groups[groupName], `Correct number of ${groupName} emoji.`)
+    // Ensure emoji count adds up to expected number of variations
+    const countWithSkinVariation = data[groupIndex].emojis.reduce((count, entry) => count + 1 + (variants[entry.emoji] || []).length, 0)
+    t.equal(countWithSkinVariation, stats.groups[groupName], `Correct number of ${groupName} emoji.`)
+  }
+  t.end()
+})
+
+test('data-skin-tone-variants.json', function(t) {
+  const data = require('../data-skin-tone-variants.json')
+  const byEmoji = require('../data-by-emoji.json')
+  const components = require('../data-emoji-components.json')
+  const supported = Object.keys(byEmoji).filter(emoji => byEmoji[emoji].skin_tone_support)
+  t.deepEqual(Object.keys(data).sort(), supported.sort(), 'Variants are listed for every emoji with skin tone support.')
+  const variants = [].concat(...Object.values(data))
+  t.equal(variants.length, stats.skin_tone_variations, 'Correct number of skin tone variations.')
+  const invalid = variants.filter(variant => variant.tones.length === 0 || !variant.tones.every(tone => components[tone] && variant.emoji.includes(components[tone])))
+  t.deepEqual(invalid, [], 'Every variant names the skin tones it contains.')
+  t.deepEqual(data['🧑‍🤝‍🧑'].find(variant => variant.emoji === '🧑🏻‍🤝‍🧑🏿').tones, ['light_skin_tone', 'dark_skin_tone'], 'Multiple tones are listed in sequence order.')
+  const multiTone = Object.keys(data).filter(emoji => data[emoji].some(variant => variant.tones.length > 1))
+  t.ok(multiTone.every(emoji => data[emoji].length === 5 * 5), 'Emoji with multiple skin tones have a variant per combination.')
+  t.ok(Object.keys(data).every(emoji => multiTone.includes(emoji) || data[emoji].length === 5), 'Other emoji have a variant per tone.')
+  t.end()
+})
+
+test('data-variant-families.json', function(t) {
+  const families = require('../data-variant-families.json')
+  const byEmoji = require('../data-by-emoji.json')
+  const members = new Set()
+  for (const family in families) {
+    if (families[family].length < 2) t.fail(`${family} has no other members`)
+    if (!families[family].some(member => member.emoji === family && member.gender === 'person')) t.fail(`${family} is not its own person form`)
+    for (const {emoji, name, gender} of families[family]) {
+      const variantOf = byEmoji[emoji].variant_of || {}
+      if (variantOf.family !== family || variantOf.gender !== gender || byEmoji[emoji].name !== name) t.fail(`${emoji} does not match ${family}`)
+      members.add(emoji)
+    }
+  }
+  for (const emoji in byEmoji) {
+    if (byEmoji[emoji].variant_of && !members.has(emoji)) t.fail(`${emoji} is not in its family`)
+  }
+  t.deepEqual(families['🙆'].map(member => member.emoji), ['🙆', '🙆‍♂️', '🙆‍♀️'], 'Links gendered forms.')
+  t.deepEqual(byEmoji['👩‍🦰'].variant_of, {family: '🧑', gender: 'woman', hair: 'red_hair'}, 'Links hair styles.')
+  t.deepEqual(byEmoji['👨‍⚕️'].variant_of, {family: '🧑‍⚕️', gender: 'man'}, 'Links professions.')
+  t.end()
+})
+
+test('data-by-subgroup.json', function(t) {
+  const data = require('../data-by-subgroup.json')
+  const byEmoji = require('../data-by-emoji.json')
+  const byGroup = require('../data-by-group.json')
+  const flattened = [].concat(...data.map(group => [].concat(...group.subgroups.map(subgroup => subgroup.emojis))))
+  t.deepEqual(flattened, require('../data-ordered-emoji.json'), 'Subgroups cover every emoji in order.')
+  t.deepEqual(data.map(group => group.slug), byGroup.map(group => group.slug), 'Groups match data-by-group.json.')
+  for (const group of data) {
+    for (const subgroup of group.subgroups) {
+      const misplaced = subgroup.emojis.filter(emoji => byEmoji[emoji].group !== group.name || byEmoji[emoji].subgroup !== subgroup.name)
+      t.deepEqual(misplaced, [], `${group.name} / ${subgroup.name} matches data-by-emoji.json.`)
+    }
+  }
+  t.end()
+})
+
+test('data-qualification-aliases.json', function(t) {
+  const data = require('../data-qualification-aliases.json')
+  const byEmoji = require('../data-by-emoji.json')
+  const unresolved = Object.keys(data).filter(emoji => !byEmoji[data[emoji]] || byEmoji[emoji])
+  t.deepEqual(unresolved, [], 'Every alias points to a data-by-emoji.json key and is not one itself.')
+  const mismatched = Object.keys(data).filter(emoji => emoji.replace(/\uFE0F/g, '') !== data[emoji].replace(/\uFE0F/g, ''))
+  t.deepEqual(mismatched, [], 'Aliases only differ from their emoji by VARIATION_16.')
+  t.end()
+})
+
+test('sequence types', function(t) {
+  const byEmoji = require('../data-by-emoji.json')
+  const components = Object.values(require('../data-emoji-components.json'))
+  const types = ['basic_emoji', 'keycap_sequence', 'flag_sequence', 'tag_sequence', 'modifier_sequence', 'zwj_sequence']
+  for (const emoji in byEmoji) {
+    const {type, components: parts} = byEmoji[emoji]
+    if (!types.includes(type)) t.fail(`${emoji} has an unknown type ${type}`)
+    if ((type === 'zwj_sequence') !== Array.isArray(parts)) t.fail(`${emoji} components do not match its type`)
+    for (const part of parts || []) {
+      if (!byEmoji[part] && !components.includes(part)) t.fail(`${part} in ${emoji} is not an emoji or a component`)
     }
   }
+  t.equal(byEmoji['🏴󠁧󠁢󠁳󠁣󠁴󠁿'].type, 'tag_sequence', 'Types tag sequences.')
+  t.deepEqual(byEmoji['👨‍👩‍👧'].components, ['👨', '👩', '👧'], 'Decomposes families.')
+  t.deepEqual(byEmoji['👩‍❤️‍👨'].components, ['👩', '❤️', '👨'], 'Decomposes couples.')
+  t.end()
+})
+
+test('emoji properties', function(t) {
+  const byEmoji = require('../data-by-emoji.json')
+  for (const emoji in byEmoji) {
+    const {default_presentation, has_text_variant, modifier_base, extended_pictographic, skin_tone_support} = byEmoji[emoji]
+    if (!['text', 'emoji'].includes(default_presentation)) t.fail(`${emoji} has an unknown default_presentation ${default_presentation}`)
+    if (![has_text_variant, modifier_base, extended_pictographic].every(value => typeof value === 'boolean')) t.fail(`${emoji} is missing a property`)
+    if (skin_tone_support && !modifier_base) t.fail(`${emoji} supports skin tones but is not a modifier base`)
+  }
+  t.equal(byEmoji['☺️'].default_presentation, 'text', 'Reads text presentation.')
+  t.equal(byEmoji['☺️'].has_text_variant, true, 'Reads text variants.')
+  t.equal(byEmoji['😀'].default_presentation, 'emoji', 'Reads emoji presentation.')
+  t.end()
+})
+
+test('CLDR annotations', function(t) {
+  const byEmoji = require('../data-by-emoji.json')
+  for (const emoji in byEmoji) {
+    if (!Array.isArray(byEmoji[emoji].keywords) || byEmoji[emoji].keywords.length === 0) t.fail(`${emoji} has no keywords`)
+  }
+  const locales = fs.readdirSync(path.join(__dirname, '..')).filter(file => /^data-by-emoji\.[\w-]+\.json$/.test(file))
+  t.ok(locales.includes('data-by-emoji.de.json'), 'Ships localized data.')
+  for (const file of locales) {
+    const localized = require(`../${file}`)
+    t.deepEqual(Object.keys(localized), Object.keys(byEmoji), `${file} has an entry for every emoji.`)
+  }
+  t.end()
+})
+
+test('index.js slug aliases', function(t) {
+  const api = require('..')
+  t.deepEqual(api.getBySlug('flag_turkey'), api.getByEmoji('🇹🇷'), 'Resolves retired slugs to their emoji.')
+  t.equal(api.getBySlug('flag_turkey').slug, 'flag_turkiye', 'Returns the current slug.')
+  t.equal(api.getBySlug('hugging_face').emoji, '🤗', 'Resolves slugs retired before the last release.')
+  t.end()
+})
+
+test('index.js', function(t) {
+  const api = require('..')
+  const byEmoji = require('../data-by-emoji.json')
+  t.equal(api.getByEmoji('👋').slug, 'waving_hand', 'Looks up entries by emoji.')
+  t.equal(api.getByEmoji('👋').emoji, '👋', 'Entries include their emoji key.')
+  t.equal(api.getByEmoji('👋🏻'), null, 'Skin tone variations are not entries.')
+  t.equal(api.getByEmoji('constructor'), null, 'Ignores inherited keys.')
+  t.deepEqual(api.getBySlug('waving_hand'), api.getByEmoji('👋'), 'Looks up entries by slug.')
+  t.equal(api.getBySlug('not_an_emoji'), null, 'Unknown slugs return null.')
+  for (const emoji in byEmoji) {
+    if (api.getBySlug(byEmoji[emoji].slug).emoji !== emoji) t.fail(`${byEmoji[emoji].slug} does not resolve to ${emoji}`)
+  }
+  const slugAliases = require('../data-slug-aliases.json')
+  for (const slug in slugAliases) {
+    if (api.getBySlug(slug).emoji !== slugAliases[slug]) t.fail(`Retired slug ${slug} does not resolve to ${slugAliases[slug]}`)
+  }
+  t.equal(api.getBySlug('toString'), null, 'Ignores inherited keys of the slug aliases.')
+  t.equal(api.getGroup('smileys_emotion').name, 'Smileys & Emotion', 'Looks up groups by slug.')
+  t.equal(api.getGroup('nope'), null, 'Unknown groups return null.')
+  const group = api.getGroup('flags')
+  group.emojis.pop()
+  group.emojis[0].name = 'changed'
+  t.deepEqual(api.getGroup('flags'), api.dataByGroup.find(group => group.slug === 'flags'), 'Returns a copy of the group.')
+  t.notEqual(api.getGroup('flags').emojis[0].name, 'changed', 'Returns copies of the group entries.')
+  const smileys = api.getGroup('smileys_emotion')
+  const keywords = api.getByEmoji('😀').keywords.slice()
+  smileys.emojis[0].keywords.push('changed')
+  smileys.emojis[0].codepoints[0] = 'changed'
+  t.deepEqual(api.getByEmoji('😀').keywords, keywords, 'Returns copies of the keywords of group entries.')
+  t.deepEqual(api.getGroup('smileys_emotion').emojis[0].codepoints, ['1F600'], 'Returns copies of the code points of group entries.')
+  const entry = api.getByEmoji('😀')
+  entry.keywords.length = 0
+  api.search('grinning face', {limit: 1})[0].keywords.push('changed')
+  api.filterByVersion('12.1').dataByEmoji['😀'].keywords.push('changed')
+  t.deepEqual(api.getByEmoji('😀').keywords, keywords, 'Lookups, searches and filtered data are copies.')
+  t.deepEqual(api.listGroups().map(group => group.slug), api.dataByGroup.map(group => group.slug), 'Lists every group.')
+  t.equal(api.normalize('☺'), '☺️', 'Normalizes unqualified emoji.')
+  t.equal(api.normalize('❤'), '❤️', 'Normalizes emoji missing VARIATION_16.')
+  t.equal(api.normalize('👁‍🗨'), '👁️‍🗨️', 'Normalizes minimally-qualified ZWJ sequences.')
+  t.equal(api.normalize('😀'), '😀', 'Keeps fully-qualified emoji.')
+  t.equal(api.normalize('a'), null, 'Returns null for other input.')
+  t.deepEqual(api.ordered(), require('../data-ordered-emoji.json'), 'Returns ordered emoji.')
+  t.deepEqual(api.components(), require('../data-emoji-components.json'), 'Returns components.')
+  t.end()
+})
+
+test('index.js compareVersions', function(t) {
+  const {compareVersions} = require('..')
+  t.equal(compareVersions('12.1', '13.0'), -1, 'Orders older versions first.')
+  t.equal(compareVersions('2.0', '12.1'), -1, 'Compares versions as numbers.')
+  t.equal(compareVersions('13.1', '13.0'), 1, 'Compares minor versions.')
+  t.equal(compareVersions('0.6', '0.6'), 0, 'Returns 0 for the same version.')
+  t.end()
+})
+
+test('index.js filterByVersion', function(t) {
+  const api = require('..')
+  const capped = api.filterByVersion('12.1')
+  const isOld = entry => Number(entry.emoji_version) <= 12.1
+  t.deepEqual(capped.orderedEmoji, api.ordered().filter(emoji => isOld(api.dataByEmoji[emoji])), 'Drops newer emoji from the ordered list.')
+  t.deepEqual(Object.keys(capped.dataByEmoji), capped.orderedEmoji, 'Drops newer emoji from data-by-emoji.json.')
+  t.deepEqual([].concat(...capped.dataByGroup.map(group => group.emojis.map(entry => entry.emoji))), capped.orderedEmoji, 'Drops newer emoji from data-by-group.json.')
+  t.notOk(capped.dataByEmoji['🫠'], 'Drops Emoji 14.0.')
+  t.equal(capped.dataByEmoji['🤝'].skin_tone_support, false, 'Drops skin tone support added after the emoji.')
+  t.notOk('skin_tone_support_unicode_version' in capped.dataByEmoji['🤝'], 'Drops the skin tone support version with it.')
+  t.equal(api.dataByEmoji['🤝'].skin_tone_support, true, 'Leaves the data files alone.')
+  t.notOk(capped.skinToneVariants['🤝'], 'Drops skin tone variations of emoji without skin tone support.')
+  t.equal(api.filterByVersion('12.0').skinToneVariants['🧑‍🤝‍🧑'].length, 15, 'Drops skin tone variations newer than their base emoji.')
+  for (const emoji in capped.dataByEmoji) {
+    const variants = capped.skinToneVariants[emoji] || []
+    if (capped.dataByEmoji[emoji].skin_tone_support !== variants.length > 0) t.fail(`${emoji} skin_tone_support does not match its skin tone variations`)
+    if (variants.some(variant => !isOld(variant))) t.fail(`${emoji} has skin tone variations newer than 12.1`)
+  }
+  t.deepEqual(api.filterByVersion('16.0').orderedEmoji, api.ordered(), 'Keeps everything up to the latest version.')
+  t.throws(() => api.filterByVersion(13), /Expected an emoji version/, 'Throws on versions that are not strings like 13.0.')
+  t.end()
+})
+
+test('index.js search', function(t) {
+  const api = require('..')
+  const emoji = results => results.map(result => result.emoji)
+  t.deepEqual(api.search('grinning face')[0], api.getByEmoji('😀'), 'Ranks exact slug matches first.')
+  t.deepEqual(emoji(api.search('grinning_face', {limit: 3})), ['😀', '😃', '😄'], 'Ranks name word prefix matches next, in order.')
+  t.deepEqual(emoji(api.search('red hea')), ['❤️'], 'Matches every word of the query.')
+  t.deepEqual(emoji(api.search('Piñata')), ['🪅'], 'Ignores case and accents.')
+  t.ok(emoji(api.search('grin')).includes('😁'), 'Matches keywords.')
+  t.ok(emoji(api.search('sparkling')).includes('💖'), 'Matches names in the middle of a word.')
+  const ordered = api.ordered()
+  const hearts = api.search('heart')
+  const firstSubstringMatch = hearts.findIndex(result => !result.name.split(/\W+/).some(word => word.startsWith('heart')))
+  t.ok(firstSubstringMatch > 0, 'Ranks substring matches after word prefix matches.')
+  const inOrder = list => list.every((result, i) => i === 0 || ordered.indexOf(list[i - 1].emoji) < ordered.indexOf(result.emoji))
+  t.ok(inOrder(hearts.slice(0, firstSubstringMatch)) && inOrder(hearts.slice(firstSubstringMatch)), 'Breaks ties by data-ordered-emoji.json order.')
+  t.equal(api.search('heart', {limit: 4}).length, 4, 'Limits results.')
+  t.ok(api.search('heart', {group: 'smileys_emotion'}).every(result => result.group === 'Smileys & Emotion'), 'Filters by group slug.')
+  t.notOk(emoji(api.search('face', {maxVersion: '12.1'})).includes('🫠'), 'Filters by emoji version.')
+  t.equal(api.search('handshake', {maxVersion: '12.1'})[0].skin_tone_support, false, 'Caps skin tone support by emoji version.')
+  t.deepEqual(api.search('  '), [], 'Returns nothing for an empty query.')
+  t.deepEqual(api.search('zzzzzz'), [], 'Returns nothing when nothing matches.')
+  t.end()
+})
+
+test('index.js parse', function(t) {
+  const api = require('..')
+  const tokens = api.parse('Hi 👋🏽! ☺ 🧑🏻‍🤝‍🧑🏿#️⃣🇯🇵 🏴󠁧󠁢󠁳󠁣󠁴󠁿 👨‍👩‍👧 1')
+  t.deepEqual(tokens.map(token => [token.emoji, token.entry.emoji]), [
+    ['👋🏽', '👋'],
+    ['☺', '☺️'],
+    ['🧑🏻‍🤝‍🧑🏿', '🧑‍🤝‍🧑'],
+    ['#️⃣', '#️⃣'],
+    ['🇯🇵', '🇯🇵'],
+    ['🏴󠁧󠁢󠁳󠁣󠁴󠁿', '🏴󠁧󠁢󠁳󠁣󠁴󠁿'],
+    ['👨‍👩‍👧', '👨‍👩‍👧']
+  ], 'Finds skin tone, keycap, flag, tag and ZWJ sequences and resolves them to their entry.')
+  t.deepEqual(tokens[0], {emoji: '👋🏽', index: 3, length: 4, entry: api.getByEmoji('👋')}, 'Has the UTF-16 index and length.')
+  for (const {emoji, index, length} of tokens) {
+    if ('Hi 👋🏽! ☺ 🧑🏻‍🤝‍🧑🏿#️⃣🇯🇵 🏴󠁧󠁢󠁳󠁣󠁴󠁿 👨‍👩‍👧 1'.slice(index, index + length) !== emoji) t.fail(`${emoji} is not at ${index}`)
+  }
+  t.equal(api.parse('🚶🏻‍♀‍➡️')[0].entry.slug, 'woman_walking_facing_right', 'Resolves minimally-qualified skin tone variations.')
+  for (const emoji of api.ordered()) {
+    const [token] = api.parse(emoji)
+    if (!token || token.emoji !== emoji || token.entry.emoji !== emoji) t.fail(`Does not find ${emoji}`)
+  }
+  t.deepEqual(api.parse('no emoji here, 123'), [], 'Finds nothing in plain text.')
+  t.end()
+})
+
+test('index.js flags', function(t) {
+  const api = require('..')
+  for (const entry of api.getGroup('flags').emojis) {
+    const code = entry.region_code || entry.subdivision_code
+    if ((entry.subgroup === 'country-flag' || entry.subgroup === 'subdivision-flag') !== Boolean(code)) t.fail(`${entry.emoji} in ${entry.subgroup} has code ${code}`)
+    if (code && (api.flagForRegion(code) !== entry.emoji || api.regionForFlag(entry.emoji) !== code)) t.fail(`${entry.emoji} does not round-trip through ${code}`)
+  }
+  t.equal(api.flagForRegion('JP'), '🇯🇵', 'Finds country flags.')
+  t.equal(api.flagForRegion('kn'), '🇰🇳', 'Takes lowercase region codes.')
+  t.equal(api.flagForRegion('GB-SCT'), '🏴󠁧󠁢󠁳󠁣󠁴󠁿', 'Finds subdivision flags.')
+  t.equal(api.regionForFlag('🇯🇵'), 'JP', 'Returns region codes.')
+  t.equal(api.regionForFlag('🏴󠁧󠁢󠁷󠁬󠁳󠁿'), 'gb-wls', 'Returns subdivision codes.')
+  t.equal(api.flagForRegion('XX'), null, 'Returns null for unknown regions.')
+  t.equal(api.regionForFlag('🏁'), null, 'Returns null for other flags.')
+  t.end()
+})
+
+test('index.js skin tones', function(t) {
+  const api = require('..')
+  const variants = require('../data-skin-tone-variants.json')
+  for (const emoji in variants) {
+    for (const variant of variants[emoji]) {
+      const {base, tones} = api.stripSkinTone(variant.emoji)
+      if (base !== emoji || tones.join() !== variant.tones.join()) t.fail(`${variant.emoji} strips to ${base} ${tones}`)
+      if (api.applySkinTone(emoji, variant.tones) !== variant.emoji) t.fail(`${emoji} with ${variant.tones} is not ${variant.emoji}`)
+    }
+  }
+  t.equal(api.applySkinTone('👋', 'medium_skin_tone'), '👋🏽', 'Applies one tone.')
+  t.equal(api.applySkinTone('🧑‍🤝‍🧑', ['light_skin_tone', 'dark_skin_tone']), '🧑🏻‍🤝‍🧑🏿', 'Applies a tone to each person.')
+  t.equal(api.applySkinTone('🧑‍🤝‍🧑', 'light_skin_tone'), '🧑🏻‍🤝‍🧑🏻', 'Applies one tone to both people.')
+  t.equal(api.applySkinTone('💏', 'dark_skin_tone'), '💏🏿', 'Uses the single-character form for one tone.')
+  t.equal(api.applySkinTone('💏', ['light_skin_tone', 'dark_skin_tone']), '🧑🏻‍❤️‍💋‍🧑🏿', 'Uses the ZWJ form for two tones.')
+  t.equal(api.applySkinTone('👋🏻', 'dark_skin_tone'), '👋🏿', 'Replaces an existing tone.')
+  t.equal(api.applySkinTone('🏌', 'dark_skin_tone'), '🏌🏿', 'Takes unqualified emoji.')
+  t.throws(() => api.applySkinTone('😀', 'dark_skin_tone'), /😀 does not support skin tones/, 'Rejects emoji without skin tone support.')
+  t.throws(() => api.applySkinTone('👋', 'red_hair'), /Unknown skin tone red_hair/, 'Rejects other components.')
+  t.throws(() => api.applySkinTone('👋', ['light_skin_tone', 'dark_skin_tone']), TypeError, 'Rejects two tones on emoji with one person.')
+  t.deepEqual(api.stripSkinTone('👋🏽'), {base: '👋', tones: ['medium_skin_tone']}, 'Strips one tone.')
+  t.deepEqual(api.stripSkinTone('🏌🏿‍♂'), {base: '🏌️‍♂️', tones: ['dark_skin_tone']}, 'Strips minimally-qualified sequences.')
+  t.deepEqual(api.stripSkinTone('☺'), {base: '☺️', tones: []}, 'Returns emoji without a tone as they are.')
+  t.equal(api.stripSkinTone('hello'), null, 'Returns null for other text.')
+  t.end()
+})
+
+test('data-compact.json', function(t) {
+  const {decode} = require('../compact')
+  const byEmoji = fs.readFileSync(path.join(__dirname, '..', 'data-by-emoji.json'), 'utf-8')
+  const compact = fs.readFileSync(path.join(__dirname, '..', 'data-compact.json'), 'utf-8')
+  t.equal(JSON.stringify(decode(JSON.parse(compact)), null, 2), byEmoji, 'Decodes to data-by-emoji.json exactly.')
+  t.ok(compact.length < byEmoji.length / 3, 'Is less than a third of the size of data-by-emoji.json.')
+  t.end()
+})
+
+test('groups/ modules', async function(t) {
+  const dataByGroup = require('../data-by-group.json')
+  for (const group of dataByGroup) {
+    t.deepEqual(Object.assign({}, require(`../groups/${group.slug}.js`)), group, `groups/${group.slug}.js has the ${group.name} group.`)
+    t.deepEqual(Object.assign({}, await import(`../groups/${group.slug}.mjs`)), group, `groups/${group.slug}.mjs has the ${group.name} group.`)
+  }
+  const slugs = dataByGroup.map(group => group.slug)
+  t.deepEqual(Object.keys(require('../groups')), slugs, 'groups/index.js exports every group.')
+  t.deepEqual(Object.keys(await import('../groups/index.mjs')).sort(), slugs.slice().sort(), 'groups/index.mjs exports every group.')
+  t.equal(require('../groups').flags, require('../groups/flags.js'), 'groups/index.js loads the group modules.')
+})
+
+test('package.json exports', async function(t) {
+  const api = require('..')
+  const esm = await import('unicode-emoji-json')
+  t.deepEqual(Object.keys(esm).filter(key => key !== 'default').sort(), Object.keys(api).sort(), 'index.mjs has every export of index.js.')
+  t.equal(esm.getByEmoji, api.getByEmoji, 'index.mjs re-exports index.js.')
+  t.equal((await import('unicode-emoji-json/groups/flags')).slug, 'flags', 'Imports a group.')
+  t.equal(require('unicode-emoji-json/groups/flags').slug, 'flags', 'Requires a group.')
+  t.ok(require('unicode-emoji-json/groups').smileys_emotion, 'Requires every group.')
+  t.equal(require('unicode-emoji-json/data-by-emoji.json'), api.dataByEmoji, 'Requires the data files.')
+  t.equal(typeof require('unicode-emoji-json/emoji-regex'), 'function', 'Requires emoji-regex.js.')
+  t.ok(require('unicode-emoji-json/schema/data-by-emoji.schema.json'), 'Requires the schemas.')
+  t.equal(typeof require('unicode-emoji-json/compact').decode, 'function', 'Requires the compact data decoder.')
+})
+
+test('index.d.ts', function(t) {
+  const {generateGroupTypes, generateTypes} = require('../script/generate-types')
+  const types = fs.readFileSync(require.resolve('../index.d.ts'), 'utf-8')
+  t.equal(types, generateTypes(), 'index.d.ts is up to date with the data files, run `node script/generate-types.js`.')
+  const groupTypes = generateGroupTypes()
+  for (const file in groupTypes) {
+    t.equal(fs.readFileSync(path.join(__dirname, '..', 'groups', file), 'utf-8'), groupTypes[file], `groups/${file} is up to date.`)
+  }
+  const api = require('..')
+  for (const [, name] of types.matchAll(/^export declare (?:const|function) (\w+)/gm)) {
+    t.ok(name in api, `${name} is exported at runtime.`)
+  }
   t.end()
 })